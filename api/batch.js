@@ -0,0 +1,108 @@
+// Batch Backend: /api/batch.js
+// One request for many documents, e.g. a class set of essays:
+//   POST { tool, documents: [{ id?, text, ... }], options?, async?, webhookUrl? }
+//        Small batches answer 200 with every result. Large ones (or async: true,
+//        or a webhookUrl) answer 202 with a jobId to poll (lib/jobs.js).
+//   GET  ?id=<jobId>  job status and the results so far; each poll also runs
+//        the next slice of the job. Poll every 10 seconds or so.
+// Each document is run through the tool's own validation and cache (lib/tools.js),
+// so per-document errors look exactly like that tool's error responses, and
+// costs one request from the tool's own rate limit, charged up front.
+
+import { withCors } from '../lib/cors.js';
+import { chargeRoute, withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { TOOL_NAMES } from '../lib/tools.js';
+import { runBatch } from '../lib/batch.js';
+import { createJob, advanceJob, describeJob, runInBackground } from '../lib/jobs.js';
+import { checkWebhookUrl } from '../lib/webhook.js';
+
+// --- Limits ---
+const MAX_DOCUMENTS = 50;
+// Larger batches always run as jobs; this many fit in one call even on slow days.
+const SYNC_MAX_DOCUMENTS = 10;
+// Work done per call: the rest of the POST that created the job, then each poll.
+const SUBMIT_BUDGET_MS = 60 * 1000;
+const POLL_BUDGET_MS = 25 * 1000;
+
+// --- Request Schemas ---
+const SUBMIT_SCHEMA = {
+  tool: { type: 'string', required: true, enum: TOOL_NAMES, caseInsensitive: true, label: 'Tool' },
+  documents: { type: 'array', required: true, minItems: 1, maxItems: MAX_DOCUMENTS, items: { type: 'object' }, label: 'Documents' },
+  // Fields shared by every document (mode, language, ...); a document's own fields win.
+  options: { type: 'object', label: 'Options' },
+  async: { type: 'boolean', label: 'Async' },
+  // POSTed the job status once every document is done (lib/webhook.js).
+  webhookUrl: { type: 'string', maxLength: 2048, label: 'Webhook URL' },
+};
+
+const STATUS_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/i, patternMessage: 'Job id is not valid.', label: 'Job id' },
+};
+
+// Only the corpus API key is passed on to the tools (plagiarism mode: "corpus").
+const forwardedHeaders = (req) => (req.headers['x-api-key'] ? { 'x-api-key': req.headers['x-api-key'] } : {});
+
+async function submitBatch(req, res) {
+  const { tool, documents, options = {}, webhookUrl } = req.body; // Already checked against SUBMIT_SCHEMA
+  const prepared = documents.map(({ id, ...fields }, index) => ({ index, id, body: { ...options, ...fields } }));
+  const headers = forwardedHeaders(req);
+
+  const webhookProblem = webhookUrl && checkWebhookUrl(webhookUrl);
+  if (webhookProblem) {
+    return res.status(400).json({ success: false, message: `ERROR: Webhook URL ${webhookProblem}.` });
+  }
+  if (!(await chargeRoute(tool, req, res, prepared.length))) return res;
+
+  if (!req.body.async && !webhookUrl && prepared.length <= SYNC_MAX_DOCUMENTS) {
+    console.log(`SERVER LOG (Batch): Running ${prepared.length} ${tool} document(s).`);
+    const results = await runBatch(tool, prepared, { headers });
+    return res.status(200).json({
+      success: true,
+      tool,
+      total: results.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results,
+    });
+  }
+
+  const job = await createJob({ tool, documents: prepared, webhookUrl });
+  console.log(`SERVER LOG (Batch): Queued job ${job.id} with ${prepared.length} ${tool} document(s).`);
+  // Keeps going after the response while the instance is alive; polls pick up the rest.
+  runInBackground(advanceJob(job.id, { budgetMs: SUBMIT_BUDGET_MS, headers }), 'Batch');
+  return res.status(202).json({ success: true, ...describeJob(job), statusUrl: `/api/batch?id=${job.id}` });
+}
+
+async function pollBatch(req, res) {
+  const { id } = req.body; // Already checked against STATUS_SCHEMA
+  const job = await advanceJob(id.toLowerCase(), { budgetMs: POLL_BUDGET_MS, headers: forwardedHeaders(req) });
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'ERROR: No batch job with that id (jobs expire after 24 hours).' });
+  }
+  return res.status(200).json({ success: true, ...describeJob(job) });
+}
+
+const METHOD_HANDLERS = {
+  POST: withValidation(SUBMIT_SCHEMA, submitBatch),
+  GET: (req, res) => {
+    req.body = { id: req.query?.id };
+    return withValidation(STATUS_SCHEMA, pollBatch)(req, res);
+  },
+};
+
+// Main Handler Function
+async function handler(req, res) {
+  try {
+    return await METHOD_HANDLERS[req.method](req, res);
+  } catch (error) {
+    console.error(`Vercel Function Error (Batch): ${error.message}`);
+    return res.status(500).json({ success: false, message: 'ERROR: The batch could not be processed.' });
+  }
+}
+
+// Wrap the handler with CORS and rate limiting
+export default withCors(withRateLimit('batch', handler), {
+  methods: ['GET', 'POST'],
+  headers: ['X-API-Key'],
+});
@@ -0,0 +1,70 @@
+// Reference Corpus Backend: /api/corpus.js
+// Manages the documents that `mode: "corpus"` plagiarism checks compare against.
+//   GET     list documents (metadata only)
+//   POST    { title, text } add a document
+//   DELETE  { id } or ?id= remove a document
+// Every call needs the CORPUS_API_KEY in X-API-Key.
+
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withApiKey } from '../lib/auth.js';
+import { createFileCorpus } from '../lib/corpus.js';
+
+// --- Request Schemas ---
+const ADD_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 200, label: 'Title' },
+  text: { type: 'string', required: true, maxLength: 200000, label: 'Document text' },
+};
+
+const REMOVE_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/i, patternMessage: 'Document id is not valid.', label: 'Document id' },
+};
+
+async function listDocuments(req, res) {
+  const documents = await createFileCorpus().list();
+  return res.status(200).json({ success: true, documents });
+}
+
+async function addDocument(req, res) {
+  const { title, text } = req.body; // Already checked against ADD_SCHEMA
+  const document = await createFileCorpus().add({ title: title.trim(), text });
+  console.log(`SERVER LOG (Corpus): Added ${document.id} (${document.words} words).`);
+  return res.status(201).json({ success: true, document });
+}
+
+async function removeDocument(req, res) {
+  const { id } = req.body; // Already checked against REMOVE_SCHEMA
+  const removed = await createFileCorpus().remove(id.toLowerCase());
+  if (!removed) {
+    return res.status(404).json({ success: false, message: 'ERROR: No corpus document with that id.' });
+  }
+  console.log(`SERVER LOG (Corpus): Removed ${id}.`);
+  return res.status(200).json({ success: true, id });
+}
+
+const METHOD_HANDLERS = {
+  GET: listDocuments,
+  POST: withValidation(ADD_SCHEMA, addDocument),
+  DELETE: (req, res) => {
+    // Some clients cannot send a DELETE body, so the id may come in the query string.
+    if (req.query?.id) req.body = { ...req.body, id: req.query.id };
+    return withValidation(REMOVE_SCHEMA, removeDocument)(req, res);
+  },
+};
+
+// Main Handler Function
+async function handler(req, res) {
+  try {
+    return await METHOD_HANDLERS[req.method](req, res);
+  } catch (error) {
+    console.error(`Vercel Function Error (Corpus): ${error.message}`);
+    return res.status(500).json({ success: false, message: 'ERROR: The document archive could not be accessed.' });
+  }
+}
+
+// Wrap the handler with CORS, rate limiting and the API key check
+export default withCors(withRateLimit('corpus', withApiKey('CORPUS_API_KEY', handler)), {
+  methods: ['GET', 'POST', 'DELETE'],
+  headers: ['X-API-Key'],
+});
@@ -1,175 +1,95 @@
 // AI Detector Backend: /api/detector.js
+// The model's verdict is one input; local stylometric signals (lib/stylometry.js)
+// are the other, and the two are fused into the reported aiScore.
+
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { withUpload } from '../lib/upload.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectObject, expectNumberInRange, expectString } from '../lib/output.js';
+import { analyzeStyle, calibrate } from '../lib/stylometry.js';
+import { languageRule, resolveLanguage } from '../lib/language.js';
+
+// --- Response Schema ---
+const DETECTOR_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "aiScore": {
+      type: "NUMBER",
+      description: "The percentage probability (0-100) that the text is AI-generated. 0 means 100% human, 100 means 100% AI."
+    },
+    "explanation": {
+      type: "STRING",
+      description: "A brief, one or two-sentence explanation for the score."
+    }
+  },
+  required: ["aiScore", "explanation"]
+};
 
-// Helper function for delays
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// --- Cache ---
+const PROMPT_VERSION = 4; // bump when the prompt changes (see lib/cache.js)
 
-// CORS Helper Function
-const allowCors = (fn) => async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-  return await fn(req, res);
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 20000, label: 'Input text' },
+  language: languageRule(),
 };
 
 // Main Handler Function
 async function handler(req, res) {
-  // --- Secure API Key Retrieval ---
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('SERVER ERROR (Detector): Gemini API key not configured.');
-    return res.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
-
-  // --- Input Validation ---
-  const { text } = req.body;
-  if (!text) {
-    return res.status(400).json({ success: false, message: 'ERROR: Input text is required.' });
-  }
-
-  // --- Gemini API Configuration ---
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+  const { text } = req.body; // Already checked against REQUEST_SCHEMA
+  const language = resolveLanguage(req.body.language, text);
 
   // --- Prompt ---
-  const prompt = `
-    You are an expert AI text classifier. Your task is to analyze the provided text and determine the probability that it was written by an AI.
-
-    Text:
-    "${text}"
+  const { system, prompt } = buildPrompt({
+    instructions: `
+    You are an expert AI text classifier. Your task is to analyze the TEXT block and determine the probability that it was written by an AI.
 
+    The text is written in ${language.name}; judge it against how people typically write in ${language.name}.
     Analyze the text's style, consistency, vocabulary, sentence structure, and "burstiness" (the variation in sentence length and complexity).
     - Human-written text tends to have more burstiness, varied vocabulary, and occasional imperfections.
     - AI-generated text often has very uniform sentence structure, high coherence, and uses predictable vocabulary.
 
+    Write the explanation in English.
     Respond ONLY with a single valid JSON object adhering to the schema.
-  `;
-
-  // --- Payload with Schema ---
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          "aiScore": {
-            type: "NUMBER",
-            description: "The percentage probability (0-100) that the text is AI-generated. 0 means 100% human, 100 means 100% AI."
-          },
-          "explanation": {
-            type: "STRING",
-            description: "A brief, one or two-sentence explanation for the score."
-          }
-        },
-        required: ["aiScore", "explanation"]
-      }
-    }
+    `,
+    data: { text },
+  });
+
+  // --- Output Checks ---
+  const validate = (data) => {
+    expectObject(data);
+    expectNumberInRange(data.aiScore, 0, 100, 'aiScore');
+    expectString(data.explanation, 'explanation', { maxLength: 1000 });
+    return data;
   };
 
-  // --- Retry Configuration ---
-  const MAX_RETRIES = 3;
-  const BASE_DELAY = 1000;
-
-  // --- API Call with Timeout and Retry Logic ---
   try {
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      console.log(`SERVER LOG (Detector): API request attempt ${attempt + 1}/${MAX_RETRIES + 1}...`);
-      
-      try {
-        const apiResponse = await fetch(geminiApiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-        });
-        
-        console.log(`SERVER LOG (Detector): Attempt ${attempt + 1} status:`, apiResponse.status);
-
-        if (apiResponse.ok) {
-          const result = await apiResponse.json();
-          const candidate = result?.candidates?.[0];
-          const part = candidate?.content?.parts?.[0];
-          
-          if (!part?.text) {
-            console.error("SERVER ERROR (Detector): Unexpected Gemini response structure.", JSON.stringify(result, null, 2));
-            let reason = 'Unexpected or empty response structure from AI.';
-            if (candidate?.finishReason === 'RECITATION') {
-                reason = 'AI response blocked due to potential recitation.';
-            } else if (candidate?.finishReason === 'SAFETY') {
-                reason = 'AI response blocked due to safety settings.';
-            }
-            throw new Error(reason);
-          }
-
-          const jsonText = part.text;
-          console.log("SERVER LOG (Detector): Received JSON text from Gemini.");
-
-          const data = JSON.parse(jsonText);
-          console.log("SERVER LOG (Detector): Successfully parsed JSON data.");
-
-          // Send the successful data back
-          return res.status(200).json({ success: true, ...data });
-        }
-
-        if (apiResponse.status === 503) {
-          if (attempt === MAX_RETRIES) {
-            throw new Error('The model is overloaded. Please try again later. (Max retries reached)');
-          }
-          const delay = BASE_DELAY * Math.pow(2, attempt);
-          console.log(`SERVER LOG (Detector): Model overloaded (503). Retrying in ${delay}ms...`);
-          await sleep(delay);
-          continue;
-        }
-        
-        // Handle other non-OK responses (400, 500, etc.)
-        let errorBody = `Gemini API Error: ${apiResponse.status} ${apiResponse.statusText}`;
-        try {
-          const errorJson = await apiResponse.json();
-          console.error("SERVER ERROR (Detector): Gemini API returned non-retryable error JSON:", errorJson);
-          errorBody = errorJson?.error?.message || errorBody;
-        } catch (e) {
-          console.error("SERVER ERROR (Detector): Gemini API returned non-JSON error response.");
-        }
-        throw new Error(errorBody);
-
-      } catch (fetchError) {
-        console.error(`SERVER LOG (Detector Attempt ${attempt + 1}):`, fetchError.message);
-        
-        // Do not retry on permanent errors
-        if (fetchError.message.includes('Gemini API Error') || fetchError.message.includes('safety') || fetchError.message.includes('recitation')) {
-             throw fetchError;
-        }
-
-        if (attempt === MAX_RETRIES) {
-          throw fetchError; // Give up on max retries
-        }
-        
-        // Retry on network errors or 503s
-        const delay = BASE_DELAY * Math.pow(2, attempt);
-        console.log(`SERVER LOG (Detector): Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
-    }
+    const { data } = await generateContent({ task: 'detector', system, prompt, schema: DETECTOR_SCHEMA, validate, label: 'AI Detector' });
+    const style = analyzeStyle(text, { language: language.code });
+    const { aiScore, confidence, sentences } = calibrate(data.aiScore, style);
+    return res.status(200).json({
+      success: true,
+      language,
+      aiScore,
+      confidence,
+      modelScore: data.aiScore,
+      styleScore: style.styleScore,
+      explanation: data.explanation,
+      signals: style.signals,
+      features: style.features,
+      sentences,
+    });
   } catch (error) {
-    let errorMessage = 'ERROR: The AI service encountered an issue processing the request.';
-    let serverLogMessage = `Vercel Function Error (AI Detector): ${error.message}`;
-
-    if (error.name === 'AbortError') {
-        serverLogMessage = "Vercel Function Error (AI Detector): Request timed out.";
-        errorMessage = 'ERROR: The analysis took too long. Please try again.';
-    } else if (error.message.includes('overloaded')) {
-        errorMessage = 'ERROR: The model is overloaded. Please try again later.';
-    } else if (error.message.includes('Gemini API Error:')) {
-        errorMessage = `ERROR: ${error.message}`;
-    }
-
-    console.error(serverLogMessage);
-    return res.status(500).json({ success: false, message: errorMessage });
+    return sendLLMError(res, error, { label: 'AI Detector' });
   }
 }
 
-// Wrap the handler with CORS
-export default allowCors(handler);
+// Input validation and caching only, so batch jobs can run the tool in-process (see lib/tools.js)
+export const worker = withValidation(REQUEST_SCHEMA, withCache('detector', { version: PROMPT_VERSION, exact: true }, handler));
 
+// Wrap the worker with file uploads (lib/upload.js), CORS and rate limiting
+export default withCors(withRateLimit('detector', withUpload(worker, { locate: ['sentences'] })), { headers: ['Cache-Control'] });
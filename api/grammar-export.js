@@ -0,0 +1,62 @@
+// Grammar Export Backend: /api/grammar-export.js
+// Turns the corrections the writer accepted into a file to download:
+//   POST { text, corrections, format, filename?, skipConflicts? }
+//        or multipart/form-data with the original `file` (lib/upload.js) and
+//        corrections as a JSON field; an uploaded DOCX is edited in place.
+// format: docx (tracked changes), markdown or html (inline highlights), patch (unified diff).
+// Corrections are those grammar.js returned for the same text, with their `from`/`to` offsets.
+// Any that no longer fit the text answer 409 with the list, unless skipConflicts is set.
+
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withUpload } from '../lib/upload.js';
+import { EXPORT_FORMATS, exportCorrections } from '../lib/export/index.js';
+
+// --- Request Schema ---
+// The same text limit as grammar.js, so every checked text can be exported.
+const REQUEST_SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 100000, label: 'Input text' },
+  corrections: { type: 'array', required: true, maxItems: 5000, items: { type: 'object' }, label: 'Corrections' },
+  format: { type: 'string', required: true, enum: Object.keys(EXPORT_FORMATS), caseInsensitive: true, label: 'Format' },
+  filename: { type: 'string', maxLength: 200, label: 'File name' },
+  skipConflicts: { type: 'boolean', label: 'Skip conflicts' },
+};
+
+// RFC 6266: a plain ASCII fallback plus the exact name, UTF-8 encoded.
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Main Handler Function
+async function handler(req, res) {
+  const { text, corrections, format, filename, skipConflicts } = req.body; // Already checked against REQUEST_SCHEMA
+
+  try {
+    const result = exportCorrections({ format, text, corrections, upload: req.upload, filename });
+    if (result.conflicts.length > 0 && !skipConflicts) {
+      console.log(`SERVER LOG (Grammar Export): Refused a ${format} export with ${result.conflicts.length} conflicting correction(s).`);
+      return res.status(409).json({
+        success: false,
+        message: `ERROR: ${result.conflicts.length} correction(s) conflict with the text or with each other. Fix them, or set skipConflicts to export the rest.`,
+        conflicts: result.conflicts,
+      });
+    }
+
+    console.log(`SERVER LOG (Grammar Export): Applied ${result.applied} of ${corrections.length} correction(s) as ${format}.`);
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', contentDisposition(result.filename));
+    res.setHeader('X-Corrections-Applied', String(result.applied));
+    if (result.conflicts.length > 0) {
+      res.setHeader('X-Corrections-Skipped', result.conflicts.map(conflict => conflict.index).join(','));
+    }
+    return res.status(200).send(result.data);
+  } catch (error) {
+    console.error(`Vercel Function Error (Grammar Export): ${error.message}`);
+    return res.status(500).json({ success: false, message: 'ERROR: The corrected file could not be created.' });
+  }
+}
+
+// Wrap the handler with file uploads (lib/upload.js), CORS and rate limiting
+export default withCors(withRateLimit('grammar-export', withUpload(withValidation(REQUEST_SCHEMA, handler))));
@@ -1,77 +1,226 @@
-// This is the new messenger for the Hangman game's AI word generator.
-export default async function handler(request, response) {
-  // --- Security Rules (CORS Headers) ---
-  response.setHeader('Access-Control-Allow-Origin', 'https://easyutilityhub.com');
-  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (request.method === 'OPTIONS') {
-    return response.status(200).end();
-  }
+// This is the new messenger for the Hangman game. The word stays on the server:
+//   POST { action: "start", category, difficulty?, length?, language? }
+//        Asks the model for a word and answers with a sessionId and the masked
+//        pattern ("_______"). "start" is the default action.
+//   POST { action: "guess", sessionId, letter }
+//        The updated pattern, lives left and status (playing, won or lost).
+//        The word is only sent once the game is over.
+//   POST { action: "hint", sessionId }
+//        The model's hint, for HINT_PENALTY points off the score.
+// Games live in the "games" store (lib/games.js).
 
-  // --- Main Logic ---
-  const { category, lengthConstraint } = request.body; // Get data from the request
-  const apiKey = process.env.GEMINI_API_KEY; // Securely get the Gemini key
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { buildPrompt, inlineValue } from '../lib/prompt.js';
+import { expectObject, expectString, invalidOutput } from '../lib/output.js';
+import { LANGUAGES, GAME_LANGUAGE_CODES, languageRule, resolveLanguage, wordPattern } from '../lib/language.js';
+import { SESSION_ID_RULE, checkGameStore, createGame, loadGame, saveGame, sendGameError } from '../lib/games.js';
 
-  if (!category) {
-    return response.status(400).json({ success: false, message: 'ERROR: Category is required.' });
-  }
-  if (!apiKey) {
-    return response.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
+// --- Scoring ---
+// A won game scores the difficulty's points plus a bonus per life left; a lost one scores 0.
+const DIFFICULTIES = {
+  easy: { lives: 8, length: 'with 4 to 6 letters', vocabulary: 'Pick a word most children would know.', points: 100 },
+  medium: { lives: 6, length: 'with 6 to 9 letters', vocabulary: 'Pick a word most adults would know.', points: 200 },
+  hard: { lives: 4, length: 'with 8 to 12 letters', vocabulary: 'Pick a less common word that is still fair to guess.', points: 300 },
+};
+const POINTS_PER_LIFE = 20;
+const HINT_PENALTY = 50;
+
+// --- Request Schemas ---
+// lengthConstraint is inlined into the prompt, so only short phrases like
+// "with 5 to 8 letters" or "that is exactly 6 letters long" get through.
+const LENGTH_CONSTRAINT_PATTERN = /^[a-z ]{0,30}\d{1,2}(?:\s*(?:-|to|and)\s*\d{1,2})?\s*(?:letters?|characters?)(?: long)?$/i;
+
+const ACTION_SCHEMA = {
+  action: { type: 'string', enum: ['start', 'guess', 'hint'], caseInsensitive: true, label: 'Action' },
+};
+
+const START_SCHEMA = {
+  category: { type: 'string', required: true, maxLength: 100, label: 'Category' },
+  difficulty: { type: 'string', enum: Object.keys(DIFFICULTIES), caseInsensitive: true, label: 'Difficulty' },
+  // Exact number of letters; spaces, hyphens and apostrophes do not count.
+  length: { type: 'integer', min: 3, max: 20, label: 'Length' },
+  lengthConstraint: {
+    type: 'string',
+    maxLength: 60,
+    pattern: LENGTH_CONSTRAINT_PATTERN,
+    patternMessage: 'lengthConstraint must look like "with 5 to 8 letters".',
+  },
+  // Only languages with an alphabet to guess letters from.
+  language: languageRule(GAME_LANGUAGE_CODES),
+};
+
+const GUESS_SCHEMA = {
+  sessionId: SESSION_ID_RULE,
+  letter: { type: 'string', required: true, maxLength: 4, label: 'Letter' },
+};
+
+const HINT_SCHEMA = {
+  sessionId: SESSION_ID_RULE,
+};
+
+// --- Game Rules ---
+// Letters are compared in lower case; anything outside the alphabet (spaces,
+// hyphens, apostrophes) is shown from the start.
+const letterKey = (character, code) => character.toLocaleLowerCase(code);
+const isLetter = (character, code) => LANGUAGES[code].alphabet.includes(letterKey(character, code));
+const lettersOf = (word, code) => [...word].filter(character => isLetter(character, code));
 
-  // Use the correct model name that works for your key
-  const googleApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-  // Re-create the prompt on the server side
-  const prompt = `Generate a single, family-friendly English word or short phrase for a hangman game, related to the category '${category}' ${lengthConstraint}. Also provide a one-sentence clever hint for that word or phrase.`;
-
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          "word": { "type": "STRING", "description": "The word/phrase to guess." },
-          "hint": { "type": "STRING", "description": "A hint." }
-        },
-        required: ["word", "hint"]
-      },
-      // Increase temperature for variety
-      temperature: 1.0
-    }
+function maskWord({ word, guessed, language }) {
+  return [...word]
+    .map(character => (isLetter(character, language.code) && !guessed.includes(letterKey(character, language.code)) ? '_' : character))
+    .join('');
+}
+
+function scoreOf(game) {
+  if (game.status === 'lost') return 0;
+  const { points } = DIFFICULTIES[game.difficulty];
+  return Math.max(0, points + game.lives * POINTS_PER_LIFE - (game.hintUsed ? HINT_PENALTY : 0));
+}
+
+// What the client may see: never the word while the game is on, nor the hint until asked for.
+function describeGame(game) {
+  const { code } = game.language;
+  const inWord = new Set(lettersOf(game.word, code).map(character => letterKey(character, code)));
+  const description = {
+    sessionId: game.id,
+    status: game.status,
+    difficulty: game.difficulty,
+    pattern: maskWord(game),
+    letters: lettersOf(game.word, code).length,
+    lives: game.lives,
+    maxLives: game.maxLives,
+    guessed: game.guessed,
+    misses: game.guessed.filter(letter => !inWord.has(letter)),
+    // Points if the game were won now.
+    score: scoreOf(game),
+    hintUsed: game.hintUsed,
+    hintPenalty: HINT_PENALTY,
+    language: game.language,
+    // The alphabet is what the game's keyboard should offer.
+    alphabet: [...LANGUAGES[code].alphabet],
   };
+  if (game.hintUsed) description.hint = game.hint;
+  if (game.status !== 'playing') description.word = game.word;
+  return description;
+}
 
+const notFound = (res) => res.status(404).json({ success: false, message: 'ERROR: No hangman game with that session id (games expire after an hour without a move).' });
+
+async function startGame(request, response) {
+  const { category, difficulty = 'medium', length } = request.body; // Already checked against START_SCHEMA
+  const language = resolveLanguage(request.body.language, category, { allowed: GAME_LANGUAGE_CODES });
+  const settings = DIFFICULTIES[difficulty];
+  const lengthConstraint = length ? `that is exactly ${length} letters long` : request.body.lengthConstraint || settings.length;
+
+  // Re-create the prompt on the server side. The category is user data; the
+  // length constraint is ours or already matched LENGTH_CONSTRAINT_PATTERN.
+  const { system, prompt } = buildPrompt({
+    instructions: `Generate a single, family-friendly ${language.name} word or short phrase for a hangman game, related to the category in the CATEGORY block ${inlineValue(lengthConstraint, 60)}. ${settings.vocabulary} Write it in the ${language.name} alphabet, with its usual accents, and no digits. Also provide a one-sentence clever hint for that word or phrase, in ${language.name}, that does not contain the word itself.`,
+    data: { category },
+  });
+
+  const schema = {
+    type: "OBJECT",
+    properties: {
+      "word": { "type": "STRING", "description": "The word/phrase to guess." },
+      "hint": { "type": "STRING", "description": "A hint." }
+    },
+    required: ["word", "hint"]
+  };
+
+  // --- Output Checks ---
+  const validate = (data) => {
+    expectObject(data);
+    if (typeof data.word === 'string') data.word = data.word.trim().normalize('NFC');
+    expectString(data.word, 'word', { maxLength: 30, pattern: wordPattern(language.code, { extra: " '-" }) });
+    expectString(data.hint, 'hint', { maxLength: 300 });
+    const count = lettersOf(data.word, language.code).length;
+    if (length && count !== length) throw invalidOutput(`word has ${count} letters, not ${length}.`);
+    return data;
+  };
+
+  let data;
   try {
-    const googleResponse = await fetch(googleApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
+    // Increase temperature for variety
+    ({ data } = await generateContent({ task: 'hangman', system, prompt, schema, validate, temperature: 1.0, label: 'Hangman' }));
+  } catch (error) {
+    return sendLLMError(response, error, { label: 'Hangman' });
+  }
 
-    const result = await googleResponse.json();
+  const game = await createGame('hangman', {
+    word: data.word,
+    hint: data.hint,
+    language,
+    difficulty,
+    lives: settings.lives,
+    maxLives: settings.lives,
+    guessed: [],
+    hintUsed: false,
+    status: 'playing',
+  });
+  return response.status(200).json({ success: true, ...describeGame(game) });
+}
 
-    if (result.error) {
-       throw new Error(result.error.message);
-    }
+async function guessLetter(request, response) {
+  const { sessionId } = request.body; // Already checked against GUESS_SCHEMA
+  const game = await loadGame('hangman', sessionId);
+  if (!game) return notFound(response);
 
-    let jsonText = result.candidates[0].content.parts[0].text;
+  const { code, name } = game.language;
+  const letter = request.body.letter.trim().normalize('NFC');
+  if ([...letter].length !== 1 || !isLetter(letter, code)) {
+    return response.status(400).json({ success: false, message: `ERROR: Letter must be a single letter of the ${name} alphabet.` });
+  }
+  if (game.status !== 'playing') {
+    return response.status(409).json({ success: false, message: `ERROR: This game is already ${game.status}.`, ...describeGame(game) });
+  }
 
-    // Clean potential markdown formatting
-    const markdownMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (markdownMatch) {
-      jsonText = markdownMatch[1];
-    }
+  const key = letterKey(letter, code);
+  const correct = lettersOf(game.word, code).some(character => letterKey(character, code) === key);
+  // A letter already tried costs nothing a second time.
+  const repeated = game.guessed.includes(key);
+  if (!repeated) {
+    game.guessed.push(key);
+    if (!correct) game.lives -= 1;
+    if (!maskWord(game).includes('_')) game.status = 'won';
+    else if (game.lives === 0) game.status = 'lost';
+    await saveGame(game);
+  }
 
-    const data = JSON.parse(jsonText);
+  return response.status(200).json({ success: true, letter: key, correct, repeated, ...describeGame(game) });
+}
 
-    // Send the successful result back to your website
-    return response.status(200).json({ success: true, ...data });
+async function revealHint(request, response) {
+  const game = await loadGame('hangman', request.body.sessionId); // Already checked against HINT_SCHEMA
+  if (!game) return notFound(response);
 
-  } catch (error) {
-    console.error("Vercel Function Error (Hangman):", error.message);
-    return response.status(500).json({ success: false, message: 'ERROR: The AI service returned an error.' });
+  // Asking again shows the same hint without a second penalty.
+  if (!game.hintUsed && game.status === 'playing') {
+    game.hintUsed = true;
+    await saveGame(game);
   }
+  return response.status(200).json({ success: true, ...describeGame(game), hint: game.hint });
+}
+
+const ACTION_HANDLERS = {
+  start: withValidation(START_SCHEMA, startGame),
+  guess: withValidation(GUESS_SCHEMA, guessLetter),
+  hint: withValidation(HINT_SCHEMA, revealHint),
+};
 
+// Main Handler Function
+async function handler(request, response) {
+  try {
+    // Before the model is asked for a word that could not be kept.
+    checkGameStore();
+    return await ACTION_HANDLERS[request.body.action || 'start'](request, response);
+  } catch (error) {
+    return sendGameError(response, error, { label: 'Hangman', message: 'ERROR: The game could not be saved.' });
+  }
 }
+
+// Wrap the handler with CORS, rate limiting and input validation
+export default withCors(withRateLimit('hangman-ai', withValidation(ACTION_SCHEMA, handler)));
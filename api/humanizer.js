@@ -1,172 +1,166 @@
 // AI Humanizer Backend: /api/humanizer.js
-
-// Helper function for delays
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// CORS Helper Function
-const allowCors = (fn) => async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-  return await fn(req, res);
+// Options: tone, intensity, and which kinds of facts to preserve. Every rewrite
+// is checked against the input (lib/meaning.js) and comes with a word diff.
+
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { withUpload } from '../lib/upload.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectObject, expectString } from '../lib/output.js';
+import { wantsEventStream, sendEventStream, createJsonFieldStream } from '../lib/sse.js';
+import { PRESERVE_OPTIONS, checkMeaning, protectedItems } from '../lib/meaning.js';
+import { summarizeChanges } from '../lib/diff.js';
+import { LANGUAGES, languageRule, resolveLanguage } from '../lib/language.js';
+
+// --- Response Schema ---
+const HUMANIZER_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "humanizedText": {
+      type: "STRING",
+      description: "The rewritten, human-sounding text."
+    }
+  },
+  required: ["humanizedText"]
 };
 
-// Main Handler Function
-async function handler(req, res) {
-  // --- Secure API Key Retrieval ---
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('SERVER ERROR (Humanizer): Gemini API key not configured.');
-    return res.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
+// --- Cache ---
+const PROMPT_VERSION = 3; // bump when the prompt changes (see lib/cache.js)
 
-  // --- Input Validation ---
-  const { text } = req.body;
-  if (!text) {
-    return res.status(400).json({ success: false, message: 'ERROR: Input text is required.' });
-  }
-
-  // --- Gemini API Configuration ---
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+// --- Options ---
+const TONES = {
+  casual: 'Use a relaxed, conversational voice, as if explaining this to a friend. Contractions are welcome.',
+  academic: 'Keep a scholarly register suitable for a student essay, but let it read like a person wrote it: varied rhythm, precise verbs, no filler.',
+  professional: 'Write the way a clear, confident colleague would in a business document: direct, polished, never stiff.',
+};
+const INTENSITIES = {
+  light: 'Make light edits only: smooth the most robotic phrases and keep the structure and most of the wording.',
+  medium: 'Rework sentences freely, but keep the paragraph order and every point made.',
+  strong: 'Rewrite thoroughly: restructure sentences and paragraphs as needed, while keeping every point made.',
+};
+// Quoted spans are always kept; these are the defaults for everything else.
+const DEFAULT_PRESERVE = ['numbers', 'entities', 'citations'];
+// Extra attempts when the rewrite drops facts; after that the result is returned flagged.
+const MEANING_RETRIES = 1;
+
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 10000, label: 'Input text' },
+  tone: { type: 'string', enum: Object.keys(TONES), caseInsensitive: true, label: 'Tone' },
+  intensity: { type: 'string', enum: Object.keys(INTENSITIES), caseInsensitive: true, label: 'Intensity' },
+  preserve: {
+    type: 'array',
+    maxItems: PRESERVE_OPTIONS.length,
+    items: { type: 'string', enum: PRESERVE_OPTIONS, caseInsensitive: true },
+    label: 'Preserve',
+  },
+  language: languageRule(),
+};
 
-  // --- Prompt ---
-  const prompt = `
-    You are a creative editor. Your task is to rewrite the following AI-generated text to sound like it was written by a human.
+// Builds the generateContent() request; `missing` comes from a failed meaning check.
+function buildRequest({ text, language, tone, intensity, preserve, missing }) {
+  const keep = protectedItems(text, preserve);
+  const data = { text };
+  if (keep.length > 0) data.mustKeep = keep.join('\n');
+  if (missing) data.droppedLastTime = Object.values(missing).flat().join('\n');
+
+  const { system, prompt } = buildPrompt({
+    instructions: `
+    You are a creative editor. Your task is to rewrite the AI-generated text in the TEXT block to sound like it was written by a human.
+    The text is written in ${language.name}. Write the rewrite in ${language.name}, in the way a native speaker would.
     Focus on:
     1.  **Burstiness:** Vary sentence length and structure. Mix short, punchy sentences with longer, more complex ones.
     2.  **Vocabulary:** Replace overly formal or complex words with more natural, common language.
-    3.  **Personality:** Add a more personal or slightly informal tone.
+    3.  **Tone:** ${TONES[tone]}
     4.  **Flow:** Break up long, uniform paragraphs.
+    5.  **Extent:** ${INTENSITIES[intensity]}
 
-    Original Text:
-    "${text}"
+    Never change facts. ${keep.length > 0 ? 'Every line of the MUST_KEEP block must appear in your rewrite exactly as written.' : ''}
+    ${preserve.includes('markdown') ? 'Keep the markdown structure (headings, lists, links, code) intact.' : ''}
+    ${missing ? 'Your previous rewrite dropped the items in the DROPPED_LAST_TIME block. Include every one of them this time.' : ''}
 
     Rewrite the text to be more engaging and less robotic. Respond ONLY with a single valid JSON object adhering to the schema.
-  `;
-
-  // --- Payload with Schema ---
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          "humanizedText": {
-            type: "STRING",
-            description: "The rewritten, human-sounding text."
-          }
-        },
-        required: ["humanizedText"]
-      }
-    }
+    `,
+    data,
+  });
+
+  // --- Output Checks ---
+  // A rewrite several times longer than the input is not a rewrite.
+  const validate = (result) => {
+    expectObject(result);
+    expectString(result.humanizedText, 'humanizedText', { maxLength: text.length * 3 + 500 });
+    return result;
   };
 
-  // --- Retry Configuration ---
-  const MAX_RETRIES = 3;
-  const BASE_DELAY = 1000;
+  return { task: 'humanizer', system, prompt, schema: HUMANIZER_SCHEMA, validate, label: 'AI Humanizer' };
+}
 
-  // --- API Call with Timeout and Retry Logic ---
-  try {
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      console.log(`SERVER LOG (Humanizer): API request attempt ${attempt + 1}/${MAX_RETRIES + 1}...`);
-      
-      try {
-        const apiResponse = await fetch(geminiApiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-        });
-        
-        console.log(`SERVER LOG (Humanizer): Attempt ${attempt + 1} status:`, apiResponse.status);
-
-        if (apiResponse.ok) {
-          const result = await apiResponse.json();
-          const candidate = result?.candidates?.[0];
-          const part = candidate?.content?.parts?.[0];
-          
-          if (!part?.text) {
-            console.error("SERVER ERROR (Humanizer): Unexpected Gemini response structure.", JSON.stringify(result, null, 2));
-            let reason = 'Unexpected or empty response structure from AI.';
-            if (candidate?.finishReason === 'RECITATION') {
-                reason = 'AI response blocked due to potential recitation.';
-            } else if (candidate?.finishReason === 'SAFETY') {
-                reason = 'AI response blocked due to safety settings.';
-            }
-            throw new Error(reason);
-          }
-
-          const jsonText = part.text;
-          console.log("SERVER LOG (Humanizer): Received JSON text from Gemini.");
-
-          const data = JSON.parse(jsonText);
-          console.log("SERVER LOG (Humanizer): Successfully parsed JSON data.");
-
-          // Send the successful data back
-          return res.status(200).json({ success: true, ...data });
-        }
-
-        if (apiResponse.status === 503) {
-          if (attempt === MAX_RETRIES) {
-            throw new Error('The model is overloaded. Please try again later. (Max retries reached)');
-          }
-          const delay = BASE_DELAY * Math.pow(2, attempt);
-          console.log(`SERVER LOG (Humanizer): Model overloaded (503). Retrying in ${delay}ms...`);
-          await sleep(delay);
-          continue;
-        }
-        
-        // Handle other non-OK responses (400, 500, etc.)
-        let errorBody = `Gemini API Error: ${apiResponse.status} ${apiResponse.statusText}`;
-        try {
-          const errorJson = await apiResponse.json();
-          console.error("SERVER ERROR (Humanizer): Gemini API returned non-retryable error JSON:", errorJson);
-          errorBody = errorJson?.error?.message || errorBody;
-        } catch (e) {
-          console.error("SERVER ERROR (Humanizer): Gemini API returned non-JSON error response.");
-        }
-        throw new Error(errorBody);
-
-      } catch (fetchError) {
-        console.error(`SERVER LOG (Humanizer Attempt ${attempt + 1}):`, fetchError.message);
-        
-        // Do not retry on permanent errors
-        if (fetchError.message.includes('Gemini API Error') || fetchError.message.includes('safety') || fetchError.message.includes('recitation')) {
-             throw fetchError;
-        }
-
-        if (attempt === MAX_RETRIES) {
-          throw fetchError; // Give up on max retries
-        }
-        
-        // Retry on network errors or 503s
-        const delay = BASE_DELAY * Math.pow(2, attempt);
-        console.log(`SERVER LOG (Humanizer): Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
-    }
-  } catch (error) {
-    let errorMessage = 'ERROR: The AI service encountered an issue processing the request.';
-    let serverLogMessage = `Vercel Function Error (AI Humanizer): ${error.message}`;
-
-    if (error.name === 'AbortError') {
-        serverLogMessage = "Vercel Function Error (AI Humanizer): Request timed out.";
-        errorMessage = 'ERROR: The analysis took too long. Please try again.';
-    } else if (error.message.includes('overloaded')) {
-        errorMessage = 'ERROR: The model is overloaded. Please try again later.';
-    } else if (error.message.includes('Gemini API Error:')) {
-        errorMessage = `ERROR: ${error.message}`;
+/**
+ * Rewrites, checks that no facts were lost, and tries again (once) if some were.
+ * `stream` is the { onText, onRetry } pair from sendEventStream(), when streaming.
+ */
+async function humanize(options, stream) {
+  const { text, preserve } = options;
+  let missing;
+
+  for (let attempt = 0; ; attempt++) {
+    // The model answers in JSON; only the humanizedText string is forwarded as it grows.
+    let feed = stream && createJsonFieldStream('humanizedText', stream.onText);
+    const request = buildRequest({ ...options, missing });
+    const { data, metadata } = await generateContent(!stream ? request : {
+      ...request,
+      onText: (delta) => feed(delta),
+      onRetry: (retry) => {
+        feed = createJsonFieldStream('humanizedText', stream.onText);
+        stream.onRetry(retry);
+      },
+    });
+
+    const meaningCheck = checkMeaning(text, data.humanizedText, preserve);
+    if (meaningCheck.passed || attempt >= MEANING_RETRIES) {
+      if (!meaningCheck.passed) console.log('SERVER LOG (AI Humanizer): Meaning check still failing; returning flagged result.');
+      return {
+        humanizedText: data.humanizedText,
+        meaningCheck: { ...meaningCheck, attempts: attempt + 1 },
+        changeSummary: summarizeChanges(text, data.humanizedText),
+        metadata,
+      };
     }
 
-    console.error(serverLogMessage);
-    return res.status(500).json({ success: false, message: errorMessage });
+    console.log(`SERVER LOG (AI Humanizer): Rewrite dropped ${Object.values(meaningCheck.missing).flat().length} item(s); asking again.`);
+    missing = meaningCheck.missing;
+    if (stream) stream.onRetry(attempt + 2);
+  }
+}
+
+// Main Handler Function
+async function handler(req, res) {
+  // Already checked against REQUEST_SCHEMA
+  const { text, tone = 'casual', intensity = 'medium' } = req.body;
+  const language = resolveLanguage(req.body.language, text);
+  // Where every noun is capitalized, capitals do not mark names, so entities cannot be checked.
+  const preserve = (req.body.preserve || DEFAULT_PRESERVE)
+    .filter(kind => !(kind === 'entities' && LANGUAGES[language.code].capitalizedNouns));
+  const options = { text, language, tone, intensity, preserve };
+
+  // --- Streaming (opt-in via Accept: text/event-stream) ---
+  if (wantsEventStream(req)) {
+    return sendEventStream(res, { label: 'AI Humanizer' }, async (stream) => ({ language, tone, intensity, ...await humanize(options, stream) }));
+  }
+
+  try {
+    const { metadata, ...result } = await humanize(options);
+    return res.status(200).json({ success: true, language, tone, intensity, ...result });
+  } catch (error) {
+    return sendLLMError(res, error, { label: 'AI Humanizer' });
   }
 }
 
-// Wrap the handler with CORS
-export default allowCors(handler);
+// Input validation and caching only, so batch jobs can run the tool in-process (see lib/tools.js)
+export const worker = withValidation(REQUEST_SCHEMA, withCache('humanizer', { version: PROMPT_VERSION }, handler));
 
+// Wrap the worker with file uploads (lib/upload.js), CORS and rate limiting
+export default withCors(withRateLimit('humanizer', withUpload(worker)), { headers: ['Cache-Control'] });
@@ -0,0 +1,92 @@
+// Jobs Backend: /api/jobs.js
+// Runs one long analysis without holding the connection open:
+//   POST { tool, input: { text, ... }, webhookUrl? }
+//        answers 202 at once with a jobId. `input` is the body the tool's own
+//        route takes (/api/grammar, /api/detector, ...).
+//   GET  ?id=<jobId>  status, plus `result` once done; each poll also runs the
+//        job if it has not finished. Poll every few seconds, or pass webhookUrl
+//        to get the status POSTed when it completes (lib/webhook.js).
+// A job costs one request from the tool's own rate limit when it is queued.
+// Many documents at once: /api/batch.
+
+import { withCors } from '../lib/cors.js';
+import { chargeRoute, withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { TOOL_NAMES } from '../lib/tools.js';
+import { createJob, advanceJob, describeJob, runInBackground } from '../lib/jobs.js';
+import { checkWebhookUrl } from '../lib/webhook.js';
+
+// Work done per call: the rest of the POST that created the job, then each poll.
+const SUBMIT_BUDGET_MS = 240 * 1000;
+const POLL_BUDGET_MS = 25 * 1000;
+
+// --- Request Schemas ---
+const SUBMIT_SCHEMA = {
+  tool: { type: 'string', required: true, enum: TOOL_NAMES, caseInsensitive: true, label: 'Tool' },
+  input: { type: 'object', required: true, label: 'Input' },
+  webhookUrl: { type: 'string', maxLength: 2048, label: 'Webhook URL' },
+};
+
+const STATUS_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/i, patternMessage: 'Job id is not valid.', label: 'Job id' },
+};
+
+// Only the corpus API key is passed on to the tools (plagiarism mode: "corpus").
+const forwardedHeaders = (req) => (req.headers['x-api-key'] ? { 'x-api-key': req.headers['x-api-key'] } : {});
+
+// One document per job here, so its outcome is also given on its own.
+function describe(job) {
+  const { results, ...status } = describeJob(job);
+  const [outcome] = results;
+  if (!outcome) return status;
+  return outcome.success
+    ? { ...status, result: outcome.result }
+    : { ...status, error: { status: outcome.status, message: outcome.message } };
+}
+
+async function submitJob(req, res) {
+  const { tool, input, webhookUrl } = req.body; // Already checked against SUBMIT_SCHEMA
+  const webhookProblem = webhookUrl && checkWebhookUrl(webhookUrl);
+  if (webhookProblem) {
+    return res.status(400).json({ success: false, message: `ERROR: Webhook URL ${webhookProblem}.` });
+  }
+  if (!(await chargeRoute(tool, req, res))) return res;
+
+  const job = await createJob({ tool, documents: [{ index: 0, body: input }], webhookUrl });
+  console.log(`SERVER LOG (Jobs): Queued ${tool} job ${job.id}.`);
+  runInBackground(advanceJob(job.id, { budgetMs: SUBMIT_BUDGET_MS, headers: forwardedHeaders(req) }));
+  return res.status(202).json({ success: true, ...describe(job), statusUrl: `/api/jobs?id=${job.id}` });
+}
+
+async function pollJob(req, res) {
+  const { id } = req.body; // Already checked against STATUS_SCHEMA
+  const job = await advanceJob(id.toLowerCase(), { budgetMs: POLL_BUDGET_MS, headers: forwardedHeaders(req) });
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'ERROR: No job with that id (jobs expire after 24 hours).' });
+  }
+  return res.status(200).json({ success: true, ...describe(job) });
+}
+
+const METHOD_HANDLERS = {
+  POST: withValidation(SUBMIT_SCHEMA, submitJob),
+  GET: (req, res) => {
+    req.body = { id: req.query?.id };
+    return withValidation(STATUS_SCHEMA, pollJob)(req, res);
+  },
+};
+
+// Main Handler Function
+async function handler(req, res) {
+  try {
+    return await METHOD_HANDLERS[req.method](req, res);
+  } catch (error) {
+    console.error(`Vercel Function Error (Jobs): ${error.message}`);
+    return res.status(500).json({ success: false, message: 'ERROR: The job could not be processed.' });
+  }
+}
+
+// Wrap the handler with CORS and rate limiting
+export default withCors(withRateLimit('jobs', handler), {
+  methods: ['GET', 'POST'],
+  headers: ['X-API-Key'],
+});
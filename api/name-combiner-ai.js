@@ -1,74 +1,58 @@
 // This is the new messenger for the Name Combiner's AI suggestions.
-export default async function handler(request, response) {
-  // --- Security Rules (CORS Headers) ---
-  response.setHeader('Access-Control-Allow-Origin', 'https://easyutilityhub.com');
-  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (request.method === 'OPTIONS') {
-    return response.status(200).end();
-  }
 
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectArray, expectString } from '../lib/output.js';
+
+// --- Cache ---
+const PROMPT_VERSION = 1; // bump when the prompt changes (see lib/cache.js)
+
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  name1: { type: 'string', required: true, maxLength: 50, label: 'First name' },
+  name2: { type: 'string', required: true, maxLength: 50, label: 'Second name' },
+  context: { type: 'string', maxLength: 200, label: 'Context' },
+};
+
+async function handler(request, response) {
   // --- Main Logic ---
-  const { name1, name2, context } = request.body; // Get data from the request
-  const apiKey = process.env.GEMINI_API_KEY; // Securely get the Gemini key
-
-  if (!name1 || !name2) {
-    return response.status(400).json({ success: false, message: 'ERROR: Both names are required.' });
-  }
-  if (!apiKey) {
-    return response.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
-
-  // Use the correct model name that works for your key
-  const googleApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+  const { name1, name2, context } = request.body; // Already checked against REQUEST_SCHEMA
 
   // Re-create the prompt on the server side
   const safeContext = context || 'a new brand name'; // Provide default context if none given
-  const prompt = `You are a creative naming expert. Given the words '${name1}' and '${name2}' for the context of '${safeContext}', generate a list of 10 unique and catchy combined names.`;
+  const { system, prompt } = buildPrompt({
+    instructions: `You are a creative naming expert. Given the words in the NAME1 and NAME2 blocks for the context in the CONTEXT block, generate a list of 10 unique and catchy combined names.`,
+    data: { name1, name2, context: safeContext },
+  });
+
+  const schema = {
+    type: "ARRAY",
+    items: { type: "STRING" }
+  };
 
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "ARRAY",
-        items: { type: "STRING" }
-      },
-      // Increase temperature slightly for more creative suggestions
-      temperature: 0.8
-    }
+  // --- Output Checks ---
+  const validate = (data) => {
+    expectArray(data, 'names', { minItems: 1, maxItems: 20 });
+    data.forEach((name, index) => expectString(name, `names[${index}]`, { maxLength: 60 }));
+    return data;
   };
 
   try {
-    const googleResponse = await fetch(googleApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await googleResponse.json();
-
-    if (result.error) {
-       throw new Error(result.error.message);
-    }
-
-    let jsonText = result.candidates[0].content.parts[0].text;
-
-    // Clean potential markdown formatting (important for array responses)
-    const markdownMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (markdownMatch) {
-      jsonText = markdownMatch[1];
-    }
-
-    const names = JSON.parse(jsonText); // Should be an array of strings
+    // Increase temperature slightly for more creative suggestions
+    const { data: names } = await generateContent({ task: 'name-combiner', system, prompt, schema, validate, temperature: 0.8, label: 'Name Combiner' }); // Should be an array of strings
 
     // Send the successful result back to your website
     return response.status(200).json({ success: true, names: names });
 
   } catch (error) {
-    console.error("Vercel Function Error (Name Combiner):", error.message);
-    return response.status(500).json({ success: false, message: 'ERROR: The AI service returned an error.' });
+    return sendLLMError(response, error, { label: 'Name Combiner' });
   }
 
 }
+
+// Wrap the handler with CORS, rate limiting, input validation and caching
+export default withCors(withRateLimit('name-combiner-ai', withValidation(REQUEST_SCHEMA, withCache('name-combiner-ai', { version: PROMPT_VERSION, textFields: ['name1', 'name2', 'context'] }, handler))));
@@ -1,148 +1,240 @@
 // Paraphraser Backend: /api/paraphrase.js
+// Modes each have their own instructions and temperature. The model rewrites
+// the text sentence by sentence and says which original sentences each new one
+// comes from, so the response can align the two texts.
+
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { withUpload } from '../lib/upload.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectObject, expectArray, expectString, invalidOutput } from '../lib/output.js';
+import { wantsEventStream, sendEventStream, createJsonFieldStream } from '../lib/sse.js';
+import { splitSentences } from '../lib/text.js';
+import { languageRule, resolveLanguage } from '../lib/language.js';
+
+// --- Response Schema ---
+const PARAPHRASE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "variants": {
+      type: "ARRAY",
+      description: "One entry per requested alternative.",
+      items: {
+        type: "OBJECT",
+        properties: {
+          "sentences": {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                "text": { type: "STRING", description: "One sentence of the paraphrase." },
+                "sources": {
+                  type: "ARRAY",
+                  items: { type: "INTEGER" },
+                  description: "Numbers of the original sentences this sentence rewrites."
+                }
+              },
+              required: ["text", "sources"],
+              propertyOrdering: ["text", "sources"]
+            }
+          }
+        },
+        required: ["sentences"]
+      }
+    }
+  },
+  required: ["variants"]
+};
 
-// Helper function for delays
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// CORS Helper Function
-const allowCors = (fn) => async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-  return await fn(req, res);
+// --- Cache ---
+const PROMPT_VERSION = 4; // bump when the prompt changes (see lib/cache.js)
+
+// --- Modes ---
+// Lower temperatures for modes that must stay close to the original wording.
+const MODES = {
+  standard: {
+    instruction: 'Reword the text naturally, keeping its meaning, tone and length.',
+    temperature: 0.7,
+  },
+  fluency: {
+    instruction: 'Fix awkward phrasing and grammar so the text reads smoothly. Change as little as needed.',
+    temperature: 0.4,
+  },
+  formal: {
+    instruction: 'Rewrite in a formal register: no contractions, no slang, precise vocabulary.',
+    temperature: 0.5,
+  },
+  simple: {
+    instruction: 'Rewrite in plain language a 12-year-old could follow: short sentences, everyday words.',
+    temperature: 0.5,
+  },
+  creative: {
+    instruction: 'Rewrite with fresh, vivid wording and varied sentence structure, keeping every point made.',
+    temperature: 1.0,
+  },
+  shorten: {
+    instruction: 'Make the text as concise as possible without losing any point. Sentences may be merged or cut.',
+    temperature: 0.4,
+  },
+  expand: {
+    instruction: 'Expand the text with more detail and explanation, without inventing facts. Sentences may be split.',
+    temperature: 0.8,
+  },
+  academic: {
+    instruction: 'Rewrite in an academic register suitable for a paper: objective, precise, hedged where appropriate.',
+    temperature: 0.3,
+  },
+};
+const MAX_VARIANTS = 5;
+
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 10000, label: 'Input text' },
+  mode: { type: 'string', required: true, enum: Object.keys(MODES), caseInsensitive: true, label: 'Mode' },
+  variants: { type: 'integer', min: 1, max: MAX_VARIANTS, label: 'Variants' },
+  protectedWords: {
+    type: 'array',
+    maxItems: 50,
+    items: { type: 'string', minLength: 1, maxLength: 100 },
+    label: 'Protected words',
+  },
+  language: languageRule(),
 };
 
-// Main Handler Function
-async function handler(req, res) {
-  // --- Secure API Key Retrieval ---
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('SERVER ERROR: Gemini API key not configured.');
-    return res.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-  // --- Input Validation ---
-  const { text, mode } = req.body;
-  if (!text || !mode) {
-    return res.status(400).json({ success: false, message: 'ERROR: Input text and mode are required.' });
-  }
+// Whole-word, case-sensitive: "Apple" the company is not "apple" the fruit.
+const containsTerm = (text, term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'u').test(text);
 
-  // --- Gemini API Configuration ---
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+// Whitespace to put before a sentence whose sources start at `source`, given
+// the last original sentence used so far: paragraph breaks in the original carry over.
+function separatorBefore(text, originals, previous, source) {
+  if (previous === undefined) return '';
+  const gap = text.slice(originals[previous].to, originals[Math.max(previous, source)].from);
+  if (/\n\s*\n/.test(gap)) return '\n\n';
+  return gap.includes('\n') ? '\n' : ' ';
+}
 
-  // --- Prompt ---
-  // The prompt is dynamically built based on the selected mode
-  const prompt = `
-    You are a professional paraphrasing tool.
-    Rewrite the following text to make it ${mode.toLowerCase()}.
-    Do not add any commentary. Respond only with the paraphrased text.
-
-    Original Text:
-    "${text}"
-
-    Paraphrased Text:
-  `;
-
-  // --- Payload ---
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    // No tools or JSON schema needed, we just want the raw text response
-  };
+/**
+ * Joins the model's sentences into one text and aligns each with the original.
+ * @returns {{ paraphrasedText: string, sentences: Array<{ from: number, to: number, original: Array<{ from: number, to: number }> }> }}
+ */
+function assembleVariant(variant, text, originals) {
+  let paraphrasedText = '';
+  let previous;
+  const sentences = variant.sentences.map((sentence) => {
+    const sources = [...new Set(sentence.sources)].sort((a, b) => a - b).map(number => number - 1);
+    paraphrasedText += separatorBefore(text, originals, previous, sources[0]);
+    previous = Math.max(previous ?? 0, sources.at(-1));
+
+    const from = paraphrasedText.length;
+    paraphrasedText += sentence.text.trim();
+    return {
+      from,
+      to: paraphrasedText.length,
+      original: sources.map(index => ({ from: originals[index].from, to: originals[index].to })),
+    };
+  });
+  return { paraphrasedText, sentences };
+}
 
-  // --- Retry Configuration ---
-  const MAX_RETRIES = 3;
-  const BASE_DELAY = 1000;
+function buildRequest({ text, language, mode, variants, protectedWords }) {
+  const originals = splitSentences(text);
+  // Trimmed and listed once each. A blank term would "occur" everywhere, and
+  // terms that are not in the text cannot be kept.
+  const terms = [...new Set(protectedWords.map(term => term.trim()))].filter(Boolean);
+  const keep = terms.filter(term => containsTerm(text, term));
 
-  // --- API Call with Timeout and Retry Logic ---
-  try {
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      console.log(`SERVER LOG (Paraphrase): API request attempt ${attempt + 1}/${MAX_RETRIES + 1}...`);
-      
-      try {
-        const apiResponse = await fetch(geminiApiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-        });
-        
-        console.log(`SERVER LOG (Paraphrase): Attempt ${attempt + 1} status:`, apiResponse.status);
-
-        if (apiResponse.ok) {
-          const result = await apiResponse.json();
-          const candidate = result?.candidates?.[0];
-          const part = candidate?.content?.parts?.[0];
-          
-          if (!part?.text) {
-            console.error("SERVER ERROR (Paraphrase): Unexpected Gemini response structure.", JSON.stringify(result, null, 2));
-            let reason = 'Unexpected or empty response structure from AI.';
-            if (candidate?.finishReason === 'SAFETY') reason = 'AI response blocked due to safety settings.';
-            throw new Error(reason);
-          }
+  const data = { sentences: originals.map((sentence, index) => `${index + 1}. ${sentence.text}`).join('\n') };
+  if (keep.length > 0) data.protectedWords = keep.join('\n');
 
-          const paraphrasedText = part.text.trim();
-          console.log("SERVER LOG (Paraphrase): Successfully received paraphrased text.");
-          
-          return res.status(200).json({ success: true, paraphrasedText: paraphrasedText });
-        }
-
-        if (apiResponse.status === 503) {
-          if (attempt === MAX_RETRIES) {
-            throw new Error('The model is overloaded. Please try again later. (Max retries reached)');
-          }
-          const delay = BASE_DELAY * Math.pow(2, attempt);
-          console.log(`SERVER LOG (Paraphrase): Model overloaded (503). Retrying in ${delay}ms...`);
-          await sleep(delay);
-          continue;
+  // --- Prompt ---
+  const { system, prompt } = buildPrompt({
+    instructions: `
+    You are a professional paraphrasing tool. The SENTENCES block holds the text to rewrite, one numbered sentence per line.
+    The text is written in ${language.name}; write every version in ${language.name}.
+    ${MODES[mode].instruction}
+    Write exactly ${variants} ${variants === 1 ? 'version' : 'clearly different versions'} of the whole text.
+    For each sentence you write, list in "sources" the numbers of the original sentences it rewrites (at least one).
+    ${keep.length > 0 ? 'Every line of the PROTECTED_WORDS block must appear in each version exactly as written, with the same capitalization.' : ''}
+    Do not add any commentary. Respond ONLY with a single valid JSON object adhering to the schema.
+    `,
+    data,
+  });
+
+  // --- Output Checks ---
+  const validate = (result) => {
+    expectObject(result);
+    expectArray(result.variants, 'variants', { minItems: variants });
+    const assembled = result.variants.slice(0, variants).map((variant, v) => {
+      expectObject(variant, `variants[${v}]`);
+      expectArray(variant.sentences, `variants[${v}].sentences`, { minItems: 1 });
+      variant.sentences.forEach((sentence, s) => {
+        const field = `variants[${v}].sentences[${s}]`;
+        expectObject(sentence, field);
+        expectString(sentence.text, `${field}.text`);
+        expectArray(sentence.sources, `${field}.sources`, { minItems: 1 });
+        if (!sentence.sources.every(number => Number.isInteger(number) && number >= 1 && number <= originals.length)) {
+          throw invalidOutput(`${field}.sources must be sentence numbers between 1 and ${originals.length}.`);
         }
+      });
+
+      const assembledVariant = assembleVariant(variant, text, originals);
+      expectString(assembledVariant.paraphrasedText, `variants[${v}]`, { maxLength: text.length * 3 + 500 });
+      const dropped = keep.filter(term => !containsTerm(assembledVariant.paraphrasedText, term));
+      if (dropped.length > 0) throw invalidOutput(`variants[${v}] changed protected words: ${dropped.join(', ')}.`);
+      return assembledVariant;
+    });
+    return assembled;
+  };
 
-        let errorBody = `Gemini API Error: ${apiResponse.status} ${apiResponse.statusText}`;
-        try {
-          const errorJson = await apiResponse.json();
-          console.error("SERVER ERROR (Paraphrase): Gemini API returned non-retryable error JSON:", errorJson);
-          errorBody = errorJson?.error?.message || errorBody;
-        } catch (e) {
-          console.error("SERVER ERROR (Paraphrase): Gemini API returned non-JSON error response.");
-        }
-        throw new Error(errorBody);
+  return { task: 'paraphrase', system, prompt, schema: PARAPHRASE_SCHEMA, validate, temperature: MODES[mode].temperature, label: 'Paraphrase' };
+}
 
-      } catch (fetchError) {
-        console.error(`SERVER LOG (Paraphrase Attempt ${attempt + 1}):`, fetchError.message);
-        if (attempt === MAX_RETRIES) {
-          throw fetchError; // Give up
-        }
-        
-        const errorString = fetchError.message || "";
-        if (errorString.includes('Failed to fetch') || errorString.includes('network error')) {
-            const delay = BASE_DELAY * Math.pow(2, attempt);
-            console.log(`SERVER LOG (Paraphrase): Network error. Retrying in ${delay}ms...`);
-            await sleep(delay);
-        } else {
-            throw fetchError;
-        }
-      }
-    }
+// Main Handler Function
+async function handler(req, res) {
+  // Already checked against REQUEST_SCHEMA
+  const { text, mode, variants = 1, protectedWords = [] } = req.body;
+  const language = resolveLanguage(req.body.language, text);
+  const request = buildRequest({ text, language, mode, variants, protectedWords });
+  const respond = (assembled) => ({
+    language,
+    mode,
+    paraphrasedText: assembled[0].paraphrasedText,
+    variants: assembled,
+  });
+
+  // --- Streaming (opt-in via Accept: text/event-stream) ---
+  // Deltas carry the first version only, sentence by sentence; the done event has all of them.
+  if (wantsEventStream(req)) {
+    return sendEventStream(res, { label: 'Paraphrase' }, async ({ onText, onRetry }) => {
+      const firstVariant = () => createJsonFieldStream('text', onText, { repeat: true, separator: ' ', stopAt: /"sentences"/ });
+      let feed = firstVariant();
+      const { data, metadata } = await generateContent({
+        ...request,
+        onText: (delta) => feed(delta),
+        onRetry: (attempt) => {
+          feed = firstVariant();
+          onRetry(attempt);
+        },
+      });
+      return { ...respond(data), metadata };
+    });
+  }
 
+  try {
+    const { data } = await generateContent(request);
+    return res.status(200).json({ success: true, ...respond(data) });
   } catch (error) {
-    let errorMessage = 'ERROR: The AI service encountered an issue processing the request.';
-    let serverLogMessage = `Vercel Function Error (Paraphrase Check): ${error.message}`;
-
-    if (error.name === 'AbortError') {
-        serverLogMessage = "Vercel Function Error (Paraphrase): Request timed out.";
-        errorMessage = 'ERROR: The paraphrasing analysis took too long. Please try again.';
-    } else if (error.message.includes('overloaded')) {
-        errorMessage = 'ERROR: The model is overloaded. Please try again later.';
-    } else if (error.message.includes('Gemini API Error:')) {
-        errorMessage = `ERROR: ${error.message}`;
-    }
-
-    console.error(serverLogMessage);
-    return res.status(500).json({ success: false, message: errorMessage });
+    return sendLLMError(res, error, { label: 'Paraphrase' });
   }
 }
 
-// Wrap the handler with CORS
-export default allowCors(handler);
+// Input validation and caching only, so batch jobs can run the tool in-process (see lib/tools.js)
+export const worker = withValidation(REQUEST_SCHEMA, withCache('paraphrase', { version: PROMPT_VERSION, exact: true }, handler));
 
+// Wrap the worker with file uploads (lib/upload.js), CORS and rate limiting
+export default withCors(withRateLimit('paraphrase', withUpload(worker, { locate: ['variants.sentences.original'] })), { headers: ['Cache-Control'] });
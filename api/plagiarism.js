@@ -1,193 +1,102 @@
 // Plagiarism Backend: /api/plagiarism.js
-// FIX: Updated prompt to avoid "RECITATION" error.
+// Matches come from Google Search grounding metadata, never from model-written URLs or scores.
+// mode: "corpus" checks against the local reference corpus instead (see api/corpus.js).
+
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { withUpload } from '../lib/upload.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { readGrounding, matchAgainstSources } from '../lib/plagiarism.js';
+import { rejectApiKey } from '../lib/auth.js';
+import { createFileCorpus } from '../lib/corpus.js';
+
+// --- Cache ---
+const PROMPT_VERSION = 2; // bump when the prompt changes (see lib/cache.js)
+// Corpus results change whenever a document is added, so only web checks are cached.
+const CACHE_OPTIONS = { version: PROMPT_VERSION, exact: true, bypass: body => body.mode === 'corpus' };
+
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 10000, label: 'Input text' },
+  mode: { type: 'string', enum: ['web', 'corpus'], caseInsensitive: true, label: 'Mode' },
+  // Corpus mode only: keep the submission so later ones are checked against it.
+  addToCorpus: { type: 'boolean', label: 'Add to corpus' },
+  title: { type: 'string', maxLength: 200, label: 'Title' },
+};
 
-// Helper function for delays
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Corpus mode: compare against stored documents; no model call involved.
+async function checkCorpus(req, res) {
+  if (rejectApiKey(req, res, 'CORPUS_API_KEY')) return;
+  const { text, addToCorpus, title } = req.body;
 
-// CORS Helper Function
-const allowCors = (fn) => async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+  try {
+    const corpus = createFileCorpus();
+    const { coverage, matches } = await corpus.match(text);
+    const added = addToCorpus ? await corpus.add({ title: title?.trim() || `Submission ${new Date().toISOString()}`, text }) : undefined;
+    return res.status(200).json({
+      success: true,
+      mode: 'corpus',
+      plagiarismPercentage: coverage,
+      uniquePercentage: 100 - coverage,
+      matchedDocuments: matches,
+      ...(added ? { addedDocument: added } : {}),
+    });
+  } catch (error) {
+    console.error(`Vercel Function Error (Plagiarism Corpus): ${error.message}`);
+    return res.status(500).json({ success: false, message: 'ERROR: The document archive could not be accessed.' });
   }
-  return await fn(req, res);
-};
+}
 
 // Main Handler Function
 async function handler(req, res) {
-  // --- Secure API Key Retrieval ---
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('SERVER ERROR: Gemini API key not configured.');
-    return res.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
-
-  // --- Input Validation ---
-  const { text } = req.body;
-  if (!text) {
-    return res.status(400).json({ success: false, message: 'ERROR: Input text is required.' });
-  }
-
-  // --- Gemini API Configuration ---
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-  // --- ** NEW, More Explicit Prompt ** ---
-  const prompt = `
-    You are a professional plagiarism detection service.
-    Your task is to analyze the following user-provided text using your Google Search tool to find matching sources.
-    
-    User Text:
-    "${text}"
-
-    Your Instructions:
-    1.  Search Google for snippets from the User Text.
-    2.  Based on the search results, determine a "plagiarismPercentage" (number, 0-100) and a "uniquePercentage" (number, 0-100).
-    3.  Compile a list of "matchedSources".
-    4.  For each source in "matchedSources", provide its "url", "title", and a "snippet".
-    5.  The "snippet" MUST be a *short quote* from the user's text that matches the source, NOT a quote from the source itself.
-    
-    IMPORTANT: Your final response MUST be a single, valid JSON object. Do NOT include markdown \`\`\`json.
-    Do NOT recite or output the full User Text in your response. Your response must be an *analysis* in the specified JSON format.
-
-    JSON Schema:
-    {
-      "plagiarismPercentage": number,
-      "uniquePercentage": number,
-      "matchedSources": [
-        {
-          "url": "string",
-          "title": "string",
-          "snippet": "string"
-        }
-      ]
-    }
-
-    If no matches are found, return 0 for plagiarismPercentage, 100 for uniquePercentage, and an empty matchedSources array.
-  `;
-
-  // --- Payload ---
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    tools: [{ "google_search": {} }],
-  };
+  const { text, mode = 'web' } = req.body; // Already checked against REQUEST_SCHEMA
+  if (mode === 'corpus') return checkCorpus(req, res);
+
+  // --- Prompt ---
+  // The model only searches and quotes. Sources and scores are computed from the
+  // grounding metadata (lib/plagiarism.js), so nothing it writes becomes a URL or a number.
+  const { system, prompt } = buildPrompt({
+    instructions: `
+    You are the search step of a plagiarism checker.
+    Use your Google Search tool to look up the most distinctive phrases of the text in the TEXT block.
+
+    For every web page you find that contains wording from the TEXT, write one line quoting the matching wording as it appears on that page (at most 30 words per line).
+    Write nothing else: no URLs, no percentages, no commentary. Do not output the TEXT block itself.
+    If no page contains wording from the TEXT, write NONE.
+    `,
+    data: { text },
+  });
 
-  // --- Retry Configuration ---
-  const MAX_RETRIES = 3;
-  const BASE_DELAY = 1000;
-
-  // --- API Call with Timeout and Retry Logic ---
   try {
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      console.log(`SERVER LOG (Plagiarism): API request attempt ${attempt + 1}/${MAX_RETRIES + 1}...`);
-      
-      try {
-        const apiResponse = await fetch(geminiApiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-        });
-        
-        console.log(`SERVER LOG (Plagiarism): Attempt ${attempt + 1} status:`, apiResponse.status);
-
-        if (apiResponse.ok) {
-          const result = await apiResponse.json();
-          const candidate = result?.candidates?.[0];
-          const part = candidate?.content?.parts?.[0];
-          
-          if (!part?.text) {
-            console.error("SERVER ERROR (Plagiarism): Unexpected Gemini response structure.", JSON.stringify(result, null, 2));
-            let reason = 'Unexpected or empty response structure from AI.';
-            // ** This logic correctly catches the RECITATION error **
-            if (candidate?.finishReason === 'RECITATION') {
-                reason = 'AI response blocked due to potential recitation.';
-            } else if (candidate?.finishReason === 'SAFETY') {
-                reason = 'AI response blocked due to safety settings.';
-            }
-            throw new Error(reason);
-          }
-
-          let jsonText = part.text.trim();
-          console.log("SERVER LOG (Plagiarism): Received raw text from Gemini.");
-
-          // Clean markdown backticks
-          if (jsonText.startsWith("```json")) {
-            jsonText = jsonText.substring(7, jsonText.length - 3).trim();
-          } else if (jsonText.startsWith("```")) {
-            jsonText = jsonText.substring(3, jsonText.length - 3).trim();
-          }
-          
-          console.log("SERVER LOG (Plagiarism): Cleaned text. Attempting to parse...");
-          const data = JSON.parse(jsonText);
-          console.log("SERVER LOG (Plagiarism): Successfully parsed JSON data.");
-
-          return res.status(200).json({ success: true, ...data });
-        }
-
-        if (apiResponse.status === 503) {
-          if (attempt === MAX_RETRIES) {
-            throw new Error('The model is overloaded. Please try again later. (Max retries reached)');
-          }
-          const delay = BASE_DELAY * Math.pow(2, attempt);
-          console.log(`SERVER LOG (Plagiarism): Model overloaded (503). Retrying in ${delay}ms...`);
-          await sleep(delay);
-          continue;
-        }
-
-        let errorBody = `Gemini API Error: ${apiResponse.status} ${apiResponse.statusText}`;
-        try {
-          const errorJson = await apiResponse.json();
-          console.error("SERVER ERROR (Plagiarism): Gemini API returned non-retryable error JSON:", errorJson);
-          errorBody = errorJson?.error?.message || errorBody;
-        } catch (e) {
-          console.error("SERVER ERROR (Plagiarism): Gemini API returned non-JSON error response.");
-        }
-        // Do not retry on 400-level errors
-        throw new Error(errorBody);
-
-      } catch (fetchError) {
-        console.error(`SERVER LOG (Plagiarism Attempt ${attempt + 1}):`, fetchError.message);
-        const errorString = (fetchError.message || "").toLowerCase();
-        
-        // ** FIX: Do NOT retry on RECITATION or other permanent errors **
-        if (errorString.includes('recitation') || errorString.includes('safety') || errorString.includes('invalid') || errorString.includes('gemini api error')) {
-             throw fetchError; // Give up immediately
-        }
-
-        if (attempt === MAX_RETRIES) {
-          throw fetchError; // Give up on max retries
-        }
-        
-        // Retry on network errors or 503s
-        const delay = BASE_DELAY * Math.pow(2, attempt);
-        console.log(`SERVER LOG (Plagiarism): Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
+    const { candidate } = await generateContent({
+      task: 'plagiarism',
+      system,
+      prompt,
+      tools: [{ "google_search": {} }],
+      label: 'Plagiarism Check',
+    });
+
+    const grounding = readGrounding(candidate);
+    if (!candidate?.groundingMetadata) {
+      console.log('SERVER LOG (Plagiarism Check): No grounding metadata returned; reporting no matches.');
     }
-
+    const report = matchAgainstSources(text, grounding);
+    return res.status(200).json({ success: true, mode: 'web', ...report, searchQueries: grounding.queries });
   } catch (error) {
-    let errorMessage = 'ERROR: The AI service encountered an issue processing the request.';
-    let serverLogMessage = `Vercel Function Error (Plagiarism Check): ${error.message}`;
-
-    if (error.name === 'AbortError') {
-        serverLogMessage = "Vercel Function Error (Paraphrase): Request timed out.";
-        errorMessage = 'ERROR: The analysis took too long. Please try again.';
-    } else if (error.message.includes('overloaded')) {
-        errorMessage = 'ERROR: The model is overloaded. Please try again later.';
-    } else if (error.message.includes('recitation')) {
-         errorMessage = 'ERROR: AI analysis was blocked. The text may be too similar to a web source.';
-    } else if (error.message.includes('Gemini API Error:')) {
-        errorMessage = `ERROR: ${error.message}`;
-    }
-
-    console.error(serverLogMessage);
-    return res.status(500).json({ success: false, message: errorMessage });
+    return sendLLMError(res, error, {
+      label: 'Plagiarism Check',
+      messages: { RECITATION: 'ERROR: AI analysis was blocked. The text may be too similar to a web source.' },
+    });
   }
 }
 
-// Wrap the handler with CORS
-export default allowCors(handler);
-
+// Input validation and caching only, so batch jobs can run the tool in-process (see lib/tools.js)
+export const worker = withValidation(REQUEST_SCHEMA, withCache('plagiarism', CACHE_OPTIONS, handler));
 
+// Wrap the worker with file uploads (lib/upload.js), CORS and rate limiting
+export default withCors(withRateLimit('plagiarism', withUpload(worker, { locate: ['sentences', 'sentences.spans', 'sentences.modelQuotedSpans', 'matchedDocuments.passages.submission'] })), {
+  headers: ['Cache-Control', 'X-API-Key'],
+});
@@ -1,57 +1,360 @@
+// Background Remover Backend: /api/remove-background.js
+// POST multipart/form-data with the photo as `image_file` (PNG, JPEG or WebP,
+// up to 40 megapixels; the local remover reads PNG and JPEG), or JSON with
+// `urls`, and optional fields:
+//   engine           auto (default) | clipdrop | local
+//   format           png (default) | webp
+//   maxSize          longest side of the result, in pixels
+//   crop, padding    crop to the subject, with a transparent margin
+//   feather          soften the edge over this many pixels
+//   shadow           add a drop shadow
+//   backgroundColor  #rrggbb or #rrggbbaa to put behind the subject
+//   backgroundImage  a second file to put behind the subject
+//   keyColor, tolerance  local colour key: the backdrop colour and how far (0-100) it may vary
+//   urls             image URLs to fetch (a JSON array; public https only, see lib/background.js)
+//   output           zip (default) | json, for batches
+// Uploads are checked before anything else happens: the declared type, the
+// magic bytes and the pixel size from the header. HEIC, GIF and the like are
+// refused with a 415 rather than passed on to fail upstream. Photos over
+// ClipDrop's 25 megapixels are scaled down before they are sent.
+// A single image is answered with the image itself; X-Background-Engine says
+// which remover made it (clipdrop, model or chroma-key, see lib/background.js).
+// An unchanged ClipDrop result is streamed straight through.
+// A batch is several `image_file` parts and/or URLs, up to 10 images in all;
+// they are processed a few at a time with the same options. The answer is a
+// ZIP of the cut-outs plus manifest.json, or with output=json the manifest
+// itself with each image inline as base64. Either way one image failing does
+// not fail the rest: its manifest entry carries the status and message.
+
+import { once } from 'node:events';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { UploadError } from '../lib/errors.js';
+import { isMultipart, parseMultipart, readRawBody } from '../lib/multipart.js';
+import { MAX_UPLOAD_BYTES, parseField } from '../lib/upload.js';
+import { createLimiter, mapWithConcurrency } from '../lib/pool.js';
+import { writeZip } from '../lib/extract/zip.js';
+import { IMAGE_FORMATS, OUTPUT_FORMATS, decodeImage, encodeImage, inspectImage } from '../lib/image/index.js';
+import { fitWithin, parseColor } from '../lib/image/effects.js';
+import {
+  fetchImage, finishCutout, needsFinishing, readCutout, removeLocally, removeWithClipDrop, shrinkForClipDrop,
+} from '../lib/background.js';
+
 export const config = {
   api: {
     bodyParser: false,
   },
 };
 
-const allowCors = (fn) => async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+// --- Limits ---
+// Decoding is done in plain JavaScript; 40 MP is about 160 MB of pixels.
+const MAX_PIXELS = 40 * 1000 * 1000;
+const MAX_OUTPUT_SIZE = 4096;
+// What ClipDrop accepts.
+const UPLOAD_FORMATS = ['png', 'jpeg', 'webp'];
+const MAX_IMAGES = 10;
+// Per URL; uploads share MAX_UPLOAD_BYTES for the whole request.
+const MAX_URL_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_JSON_BYTES = 64 * 1024;
+// Images in flight at once: downloads and ClipDrop calls overlap, but only one
+// image at a time is decoded and worked on (decodeSlot), since each may hold a
+// decoded photo of up to 160 MB. The slot is shared by every request on the instance.
+const BATCH_CONCURRENCY = 3;
+const decodeSlot = createLimiter(1);
+
+// --- Request Schema ---
+const COLOR = { type: 'string', pattern: /^#?[0-9a-f]{6}(?:[0-9a-f]{2})?$|^transparent$/i, patternMessage: 'Colours must be hex, such as #ffffff.' };
+const OPTIONS_SCHEMA = {
+  engine: { type: 'string', enum: ['auto', 'clipdrop', 'local'], caseInsensitive: true, label: 'Engine' },
+  format: { type: 'string', enum: OUTPUT_FORMATS, caseInsensitive: true, label: 'Format' },
+  maxSize: { type: 'integer', min: 16, max: MAX_OUTPUT_SIZE, label: 'Max size' },
+  crop: { type: 'boolean', label: 'Crop' },
+  padding: { type: 'integer', min: 0, max: 1000, label: 'Padding' },
+  feather: { type: 'integer', min: 0, max: 50, label: 'Feather' },
+  shadow: { type: 'boolean', label: 'Shadow' },
+  backgroundColor: { ...COLOR, label: 'Background color' },
+  keyColor: { ...COLOR, label: 'Key color' },
+  tolerance: { type: 'integer', min: 1, max: 100, label: 'Tolerance' },
+  urls: { type: 'array', maxItems: MAX_IMAGES, items: { type: 'string', maxLength: 2048 }, label: 'URLs' },
+  output: { type: 'string', enum: ['zip', 'json'], caseInsensitive: true, label: 'Output' },
+};
+
+const refuse = (res, error) => res.status(error.status).json({ success: false, message: `ERROR: ${error.message}` });
+
+/**
+ * Refuses anything that is not a usable image, judging by the bytes rather than
+ * the name or declared type, and without decoding it.
+ * @returns {object} the file with its contentType corrected to what the bytes say
+ */
+function checkImage(file) {
+  const label = `"${file.field}"`;
+  if (!file.data.length) throw new UploadError(`${label} is empty.`);
+  const declared = file.contentType.split(';')[0].trim().toLowerCase();
+  if (!declared.startsWith('image/') && declared !== 'application/octet-stream') {
+    throw new UploadError(`${label} was sent as ${declared}, not as an image.`, 415);
+  }
+
+  const { format, width, height } = inspectImage(file.data);
+  if (format === 'heic' || format === 'avif') {
+    throw new UploadError(`${format.toUpperCase()} photos are not supported; send a JPEG or PNG. (On an iPhone, Settings > Camera > Formats > Most Compatible takes JPEGs.)`, 415);
+  }
+  if (!UPLOAD_FORMATS.includes(format)) {
+    throw new UploadError(`${label} is not a PNG, JPEG or WebP image${format ? ` (it is a ${format.toUpperCase()})` : ''}.`, 415);
+  }
+  if (!width) throw new UploadError(`${label} is damaged: its ${format.toUpperCase()} header cannot be read.`, 422);
+  if (width * height > MAX_PIXELS) {
+    throw new UploadError(`Image is too large (${width}×${height}; the limit is ${MAX_PIXELS / 1e6} megapixels).`, 413);
+  }
+  return { ...file, contentType: IMAGE_FORMATS[format].contentType };
+}
+
+// Multipart: the option fields become req.body, the files req.uploads and
+// req.background. JSON: the body itself, with URLs only.
+async function readImageRequest(req) {
+  if (/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    const raw = await readRawBody(req, MAX_JSON_BYTES);
+    try {
+      req.body = JSON.parse(raw.toString('utf8') || '{}');
+    } catch (error) {
+      throw new UploadError('Request body is not valid JSON.');
+    }
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) throw new UploadError('Request body must be a JSON object.');
+    req.uploads = [];
     return;
   }
+
+  const { fields, files } = parseMultipart(await readRawBody(req, MAX_UPLOAD_BYTES), req.headers['content-type']);
+  for (const file of files) {
+    if (file.field !== 'image_file' && file.field !== 'backgroundImage') throw new UploadError(`Unexpected file field "${file.field}".`);
+  }
+  const backgrounds = files.filter(file => file.field === 'backgroundImage');
+  if (backgrounds.length > 1) throw new UploadError('Send one "backgroundImage" per request.');
+  req.uploads = files.filter(file => file.field === 'image_file');
+  req.background = backgrounds[0] && checkImage(backgrounds[0]);
+  req.body = Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, parseField(value)]));
+  // "123456" is read as a number; colours are always strings.
+  for (const name of ['backgroundColor', 'keyColor']) {
+    if (typeof req.body[name] === 'number') req.body[name] = String(req.body[name]);
+  }
+}
+
+// Reads the request (see above) and checks the image count before validation.
+const withImageUpload = (fn) => async (req, res) => {
+  if (!isMultipart(req) && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    return res.status(415).json({ success: false, message: 'ERROR: Send the image as multipart/form-data in an "image_file" field, or JSON with "urls".' });
+  }
+  try {
+    await readImageRequest(req);
+    // A single URL may come as a plain string.
+    if (typeof req.body.urls === 'string') req.body.urls = [req.body.urls];
+    const count = req.uploads.length + (Array.isArray(req.body.urls) ? req.body.urls.length : 0);
+    if (count === 0) throw new UploadError('Attach the image as an "image_file" form field, or send "urls".');
+    if (count > MAX_IMAGES) throw new UploadError(`Send at most ${MAX_IMAGES} images per request (this one has ${count}).`, 413);
+  } catch (error) {
+    if (!(error instanceof UploadError)) throw error;
+    console.log(`SERVER LOG (Remove Background): Refused upload: ${error.message}`);
+    return refuse(res, error);
+  }
   return await fn(req, res);
 };
 
-async function handler(req, res) {
-  const clipDropApiKey = process.env.CLIPDROP_API_KEY;
-  if (!clipDropApiKey) {
-    return res.status(500).json({ error: 'API key not configured.' });
+/**
+ * The cut-out from ClipDrop as { result }, ClipDrop's final refusal as
+ * { failed: { status, body } }, or undefined when the local remover should
+ * take over. In auto mode, one fallback sends the rest of a batch straight to
+ * the local remover (settings.clipDropDown) rather than asking ClipDrop again.
+ */
+async function cutOutWithClipDrop(file, settings) {
+  const apiKey = process.env.CLIPDROP_API_KEY;
+  if (!apiKey) {
+    if (settings.engine === 'clipdrop') return { failed: { status: 500, body: { error: 'API key not configured.' } } };
+    return undefined;
+  }
+  const upload = await decodeSlot(async () => shrinkForClipDrop(file, { maxPixels: MAX_PIXELS }));
+  const result = await removeWithClipDrop(upload, apiKey);
+  if (result.ok) return { result };
+  if (settings.engine === 'auto' && result.fallback) {
+    console.warn(`SERVER WARN (Remove Background): ClipDrop answered ${result.status}; using the local remover.`);
+    settings.clipDropDown = true;
+    return undefined;
+  }
+  console.error('ClipDrop API error:', result.body);
+  return { failed: { status: result.status, body: result.body } };
+}
+
+/**
+ * One image through the chosen remover and the finishing steps.
+ * @param {object} file a checked image (see checkImage)
+ * @param {object} settings { engine, format, finishing, keyColor, tolerance }
+ * @param {object} [options]
+ * @param {boolean} [options.stream] hand an unchanged ClipDrop result back as a stream
+ * @returns {Promise<
+ *   { engine: string, contentType: string, data?: Buffer, stream?: ReadableStream, contentLength?: number } |
+ *   { failed: { status: number, body: object } }
+ * >}
+ */
+async function cutOut(file, settings, { stream: allowStream = false } = {}) {
+  const { format, finishing } = settings;
+  let cutout;
+  let engine = 'clipdrop';
+  const hosted = settings.engine === 'local' || settings.clipDropDown ? undefined : await cutOutWithClipDrop(file, settings);
+  if (hosted?.failed) return hosted;
+
+  if (hosted?.result) {
+    const { contentType, contentLength, stream } = hosted.result;
+    // Nothing to change: ClipDrop's file goes back as it is.
+    if (!needsFinishing(finishing) && !finishing.maxSize && format === 'png') {
+      return allowStream ? { engine, contentType, contentLength, stream } : { engine, contentType, data: await readCutout(hosted.result) };
+    }
   }
 
-  try {
-    const response = await fetch('https://clipdrop-api.co/remove-background/v1', {
-      method: 'POST',
-      headers: {
-        'x-api-key': clipDropApiKey,
-        'Content-Type': req.headers['content-type'],
-      },
-      body: req,
-      duplex: 'half',
-    });
-
-    if (!response.ok) {
-      const errorBody = await response.json().catch(() => ({ error: `ClipDrop API returned status ${response.status}` }));
-      console.error('ClipDrop API error:', errorBody);
-      return res.status(response.status).json(errorBody);
+  const data = hosted?.result && await readCutout(hosted.result);
+  return decodeSlot(async () => {
+    if (data) {
+      cutout = decodeImage(data, { maxPixels: MAX_PIXELS });
+    } else {
+      // The result is no bigger than maxSize anyway, so a huge photo is scaled
+      // down before the (per-pixel) removal rather than after.
+      const image = fitWithin(decodeImage(file.data, { maxPixels: MAX_PIXELS }), finishing.maxSize || MAX_OUTPUT_SIZE);
+      const local = await removeLocally(image, { keyColor: settings.keyColor, tolerance: settings.tolerance });
+      cutout = local.image;
+      engine = local.engine;
+      console.log(`SERVER LOG (Remove Background): Removed the background of a ${image.width}×${image.height} image locally (${engine}).`);
+    }
+
+    const finished = finishCutout(cutout, { ...finishing, maxSize: finishing.maxSize || MAX_OUTPUT_SIZE });
+    return { engine, contentType: IMAGE_FORMATS[format].contentType, data: encodeImage(finished, format) };
+  });
+}
+
+// Copies ClipDrop's answer to the client as it arrives.
+async function pipeToResponse(stream, res) {
+  for await (const chunk of stream) {
+    if (!res.write(chunk)) await once(res, 'drain');
+  }
+  return res.end();
+}
+
+// Where each image comes from, loaded (and checked) only when its turn comes.
+function listSources(req) {
+  const uploads = req.uploads.map(file => ({ source: file.filename || 'image', load: async () => checkImage(file) }));
+  const urls = (req.body.urls || []).map(url => ({
+    source: url,
+    load: async () => checkImage({ field: 'urls', ...await fetchImage(url, { maxBytes: MAX_URL_IMAGE_BYTES }) }),
+  }));
+  return [...uploads, ...urls];
+}
+
+// "03-red-sneaker.png" for the third image, from its file name.
+function archiveName(filename, index, format) {
+  const stem = filename.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'image';
+  return `${String(index + 1).padStart(2, '0')}-${stem}.${IMAGE_FORMATS[format].extension}`;
+}
+
+// Every image through cutOut(); failures become manifest entries, never a throw.
+function cutOutAll(sources, settings) {
+  return mapWithConcurrency(sources, BATCH_CONCURRENCY, async ({ source, load }, index) => {
+    try {
+      const file = await load();
+      const outcome = await cutOut(file, settings);
+      if (outcome.failed) {
+        const { status, body } = outcome.failed;
+        return { index, source, success: false, status, message: `ERROR: ${body?.error || 'ClipDrop could not process the image.'}` };
+      }
+      const { width, height } = inspectImage(outcome.data);
+      const format = Object.keys(IMAGE_FORMATS).find(name => IMAGE_FORMATS[name].contentType === outcome.contentType) || 'png';
+      return {
+        index,
+        source,
+        success: true,
+        status: 200,
+        engine: outcome.engine,
+        filename: archiveName(file.filename || 'image', index, format),
+        contentType: outcome.contentType,
+        width,
+        height,
+        bytes: outcome.data.length,
+        data: outcome.data,
+      };
+    } catch (error) {
+      if (error instanceof UploadError) return { index, source, success: false, status: error.status, message: `ERROR: ${error.message}` };
+      console.error(`SERVER ERROR (Remove Background #${index}): ${error.message}`);
+      return { index, source, success: false, status: 500, message: 'ERROR: The image could not be processed.' };
     }
+  });
+}
 
-    // --- THE FINAL, RELIABLE FIX ---
-    // Instead of trying to pipe the stream, we buffer the entire response.
-    // This is more robust and avoids the .pipe() error completely.
-    const resultBuffer = await response.arrayBuffer();
+async function answerBatch(req, res, sources, settings) {
+  console.log(`SERVER LOG (Remove Background): Processing a batch of ${sources.length} image(s).`);
+  const results = await cutOutAll(sources, settings);
+  const summary = {
+    total: results.length,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+  };
 
-    // Set the headers and send the complete image buffer back to the user.
-    res.setHeader('Content-Type', response.headers.get('content-type'));
-    res.status(200).send(Buffer.from(resultBuffer));
-    // --- END OF FIX ---
+  if (req.body.output === 'json') {
+    const manifest = results.map(({ data, ...result }) => (data ? { ...result, data: data.toString('base64') } : result));
+    return res.status(200).json({ success: true, ...summary, results: manifest });
+  }
+  const manifest = results.map(({ data, ...result }) => result);
+  const archive = writeZip([
+    ...results.filter(result => result.success).map(result => [result.filename, result.data]),
+    ['manifest.json', JSON.stringify({ ...summary, results: manifest }, null, 2)],
+  ]);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="backgrounds-removed.zip"');
+  res.setHeader('X-Images-Succeeded', String(summary.succeeded));
+  res.setHeader('X-Images-Failed', String(summary.failed));
+  return res.status(200).send(archive);
+}
 
+// Main Handler Function
+async function handler(req, res) {
+  const options = req.body; // Already checked against OPTIONS_SCHEMA
+  const settings = {
+    engine: options.engine || 'auto',
+    format: options.format || 'png',
+    keyColor: options.keyColor && parseColor(options.keyColor),
+    tolerance: options.tolerance,
+    finishing: {
+      crop: options.crop,
+      padding: options.padding,
+      feather: options.feather,
+      shadow: options.shadow,
+      maxSize: options.maxSize,
+      backgroundColor: options.backgroundColor && parseColor(options.backgroundColor),
+    },
+  };
+
+  try {
+    if (req.background) {
+      settings.finishing.backgroundImage = fitWithin(decodeImage(req.background.data, { maxPixels: MAX_PIXELS }), MAX_OUTPUT_SIZE);
+    }
+
+    // One image and no output format asked for: the image itself.
+    const sources = listSources(req);
+    if (sources.length > 1 || options.output) return await answerBatch(req, res, sources, settings);
+
+    const outcome = await cutOut(await sources[0].load(), settings, { stream: true });
+    if (outcome.failed) return res.status(outcome.failed.status).json(outcome.failed.body);
+    res.setHeader('Content-Type', outcome.contentType);
+    res.setHeader('X-Background-Engine', outcome.engine);
+    if (!outcome.stream) return res.status(200).send(outcome.data);
+    if (outcome.contentLength) res.setHeader('Content-Length', outcome.contentLength);
+    res.status(200);
+    return await pipeToResponse(outcome.stream, res);
   } catch (error) {
+    if (res.headersSent) {
+      // Too late for an error response: cut the stream off so the client sees it fail.
+      console.error('SERVER ERROR (Remove Background): The ClipDrop stream broke off:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof UploadError) return refuse(res, error);
     console.error('Error in proxy function:', error);
-    res.status(500).json({ error: 'An internal server error occurred.' });
+    return res.status(500).json({ error: 'An internal server error occurred.' });
   }
 }
 
-export default allowCors(handler);
\ No newline at end of file
+export default withCors(withRateLimit('remove-background', withImageUpload(withValidation(OPTIONS_SCHEMA, handler))), { headers: ['x-api-key'] });
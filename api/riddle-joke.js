@@ -1,78 +1,63 @@
 // This is the new messenger for the Riddle/Joke Generator.
-export default async function handler(request, response) {
-  // --- Security Rules (CORS Headers) ---
-  response.setHeader('Access-Control-Allow-Origin', 'https://easyutilityhub.com');
-  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
-  if (request.method === 'OPTIONS') {
-    return response.status(200).end();
-  }
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectObject, expectString } from '../lib/output.js';
 
-  // --- Main Logic ---
-  const { type, category } = request.body; // Get type and category from the request
-  const apiKey = process.env.GEMINI_API_KEY; // Securely get the Gemini key
+// --- Cache ---
+const PROMPT_VERSION = 1; // bump when the prompt changes (see lib/cache.js)
 
-  if (!type || !category) {
-    return response.status(400).json({ success: false, message: 'ERROR: Type and category are required.' });
-  }
-  if (!apiKey) {
-    return response.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  type: { type: 'string', required: true, enum: ['riddle', 'joke'], caseInsensitive: true, label: 'Type' },
+  category: { type: 'string', required: true, maxLength: 100, label: 'Category' },
+};
 
-  // Use the correct model name that works for your key
-  const googleApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+async function handler(request, response) {
+  // --- Main Logic ---
+  const { type, category } = request.body; // Already checked against REQUEST_SCHEMA
 
   // --- THE FIX IS HERE: Add instruction for VARIETY ---
   // Re-create the prompt on the server side, asking for a *unique* result.
-  const prompt = `Generate one unique, short, family-friendly ${type} in the '${category}' category. Make sure it's different from common examples.`;
+  // `type` is 'riddle' or 'joke' (REQUEST_SCHEMA); the category is user data.
+  const { system, prompt } = buildPrompt({
+    instructions: `Generate one unique, short, family-friendly ${type} in the category given in the CATEGORY block. Make sure it's different from common examples.`,
+    data: { category },
+  });
+
+  const schema = {
+    type: "OBJECT",
+    properties: {
+      "question": { "type": "STRING" },
+      "answer": { "type": "STRING" }
+    },
+    required: ["question", "answer"]
+  };
 
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          "question": { "type": "STRING" },
-          "answer": { "type": "STRING" }
-        },
-        required: ["question", "answer"]
-      },
-       // --- THE FIX IS HERE: Increase 'temperature' for more randomness ---
-      temperature: 1.0 // Higher value (0.0-1.0+) encourages creativity
-    }
+  // --- Output Checks ---
+  const validate = (data) => {
+    expectObject(data);
+    expectString(data.question, 'question', { maxLength: 500 });
+    expectString(data.answer, 'answer', { maxLength: 300 });
+    return data;
   };
 
   try {
-    const googleResponse = await fetch(googleApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await googleResponse.json();
-
-    if (result.error) {
-       throw new Error(result.error.message);
-    }
-
-    let jsonText = result.candidates[0].content.parts[0].text;
-
-    // Clean potential markdown formatting
-    const markdownMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (markdownMatch) {
-      jsonText = markdownMatch[1];
-    }
-
-    const data = JSON.parse(jsonText);
+    // --- THE FIX IS HERE: Increase 'temperature' for more randomness ---
+    // Higher value (0.0-1.0+) encourages creativity
+    const { data } = await generateContent({ task: 'riddle-joke', system, prompt, schema, validate, temperature: 1.0, label: 'Riddle/Joke' });
 
     // Send the successful result back to your website
     return response.status(200).json({ success: true, ...data });
 
   } catch (error) {
-    console.error("Vercel Function Error (Riddle/Joke):", error.message);
-    return response.status(500).json({ success: false, message: 'ERROR: The AI service returned an error.' });
+    return sendLLMError(response, error, { label: 'Riddle/Joke' });
   }
 }
 
+// Wrap the handler with CORS, rate limiting, input validation and caching
+export default withCors(withRateLimit('riddle-joke', withValidation(REQUEST_SCHEMA, withCache('riddle-joke', { version: PROMPT_VERSION, textFields: ['category'] }, handler))));
@@ -1,59 +1,65 @@
-export default async function handler(request, response) {
-  // 1. CORS Headers
-  response.setHeader('Access-Control-Allow-Origin', '*');
-  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
-  if (request.method === 'OPTIONS') return response.status(200).end();
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { withCache } from '../lib/cache.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectString } from '../lib/output.js';
+import { LANGUAGES, languageRule, resolveLanguage } from '../lib/language.js';
 
-  try {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) return response.status(500).json({ success: false, message: 'Server Config Error: API Key missing.' });
+// --- Cache ---
+const PROMPT_VERSION = 2; // bump when the prompt changes (see lib/cache.js)
+
+// --- Request Schema ---
+const REQUEST_SCHEMA = {
+  category: { type: 'string', maxLength: 100, label: 'Category' },
+  duration: { type: 'number', min: 15, max: 600, label: 'Duration' },
+  language: languageRule(),
+};
 
-    const { category, duration } = request.body;
+async function handler(request, response) {
+  try {
+    const { category, duration } = request.body; // Already checked against REQUEST_SCHEMA
+    // Without a language, a topic written in another language picks that language.
+    const language = resolveLanguage(request.body.language, category || '');
 
     // Exam Standard: Ensure enough text for high speeds (100 WPM+)
     // 2 minutes * 100 WPM = 200 words. We request 300 to be safe.
     const wordCount = 300; 
 
     // 3. AI Request
-    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-    const prompt = `
-      Generate a professional typing test passage.
-      Topic: ${category || "General Knowledge"}
-      Length: Approximately ${wordCount} words.
+    const { system, prompt } = buildPrompt({
+      instructions: `
+      Generate a professional typing test passage in ${language.name} about the topic in the TOPIC block.
+      Length: Approximately ${LANGUAGES[language.code].spaced === false ? `${wordCount * 2} characters` : `${wordCount} words`}.
       
       Rules:
       1. Plain text paragraph format. No titles, no markdown, no bullet points.
-      2. Use standard English punctuation (commas, periods, capitalization).
+      2. Use standard ${language.name} spelling and punctuation.
       3. Ensure the text flows logically (like an article or essay snippet).
       4. Do not include newlines or line breaks.
-    `;
-
-    const googleResponse = await fetch(baseUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
+      `,
+      data: { topic: category || "General Knowledge" },
     });
 
-    const result = await googleResponse.json();
-    
-    if (result.error) throw new Error(result.error.message);
+    // --- Output Checks ---
+    const validate = (data, rawText) => {
+      expectString(rawText, 'text', { maxLength: 10000 });
+      return data;
+    };
+
+    let { text } = await generateContent({ task: 'typing-test', system, prompt, validate, label: 'Typing Test' });
 
-    let text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-    
     // Cleanup: Flatten to single line for smooth scrolling
-    if (text) {
-        text = text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
-    } else {
-        throw new Error("AI returned empty response");
-    }
+    text = text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
 
-    return response.status(200).json({ success: true, text: text });
+    return response.status(200).json({ success: true, language, text: text });
 
   } catch (error) {
-    console.error("Backend Error:", error);
-    return response.status(500).json({ success: false, message: error.message });
+    return sendLLMError(response, error, { label: 'Typing Test' });
   }
 }
+
+// Wrap the handler with CORS, rate limiting, input validation and caching
+export default withCors(withRateLimit('typing-test-text', withValidation(REQUEST_SCHEMA, withCache('typing-test-text', { version: PROMPT_VERSION, textFields: ['category'] }, handler))));
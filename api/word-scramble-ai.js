@@ -1,75 +1,237 @@
-// This is the new messenger for the Word Scramble game's AI word generator.
-export default async function handler(request, response) {
-  // --- Security Rules (CORS Headers) ---
-  response.setHeader('Access-Control-Allow-Origin', 'https://easyutilityhub.com');
-  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (request.method === 'OPTIONS') {
-    return response.status(200).end();
-  }
+// This is the new messenger for the Word Scramble game. The answer stays sealed:
+//   POST { action: "start", category, language? }
+//        Asks the model for a word and answers with its letters scrambled and
+//        a round token that carries the word, encrypted (lib/games.js).
+//        "start" is the default action.
+//   POST { action: "guess", round, answer }
+//        Checks an answer. The word itself and any other word from the bundled
+//        list with the same letters (lib/anagrams.js) are right. After
+//        MAX_WRONG_ANSWERS wrong ones the round is over and the word is shown.
+//   POST { action: "hint", round }
+//        The next hint (first letter, then the clue, then the last letter),
+//        each for HINT_PENALTY points off the score.
+// Hints taken, wrong answers and whether the round is solved live in the
+// "games" store, so an older token cannot undo them.
 
-  // --- Main Logic ---
-  const { category } = request.body; // Get category from the request
-  const apiKey = process.env.GEMINI_API_KEY; // Securely get the Gemini key
+import { randomUUID } from 'node:crypto';
 
-  if (!category) {
-    return response.status(400).json({ success: false, message: 'ERROR: Category is required.' });
-  }
-  if (!apiKey) {
-    return response.status(500).json({ success: false, message: 'ERROR: API Key is not configured on the server.' });
-  }
+import { generateContent, sendLLMError } from '../lib/llm.js';
+import { withCors } from '../lib/cors.js';
+import { withRateLimit } from '../lib/rate-limit.js';
+import { withValidation } from '../lib/validate.js';
+import { buildPrompt } from '../lib/prompt.js';
+import { expectObject, expectString, invalidOutput } from '../lib/output.js';
+import { GAME_LANGUAGE_CODES, languageRule, resolveLanguage, wordPattern } from '../lib/language.js';
+import { anagramsOf, letterKey, scrambleWord } from '../lib/anagrams.js';
+import { checkGameStore, loadGame, openToken, saveGame, sealToken, sendGameError } from '../lib/games.js';
+
+// --- Scoring ---
+// A solved round scores POINTS_PER_LETTER a letter plus a time bonus that runs
+// out after TIME_BONUS_SECONDS, less the penalties; never below MIN_SCORE.
+const POINTS_PER_LETTER = 20;
+const TIME_BONUS = 120;
+const TIME_BONUS_SECONDS = 60;
+const HINT_PENALTY = 25;
+const WRONG_ANSWER_PENALTY = 10;
+const MIN_SCORE = 10;
+// Enough for honest play; without a cap a script could try every arrangement.
+const MAX_WRONG_ANSWERS = 10;
+
+// --- Request Schemas ---
+const ACTION_SCHEMA = {
+  action: { type: 'string', enum: ['start', 'guess', 'hint'], caseInsensitive: true, label: 'Action' },
+};
+
+const START_SCHEMA = {
+  category: { type: 'string', required: true, maxLength: 100, label: 'Category' },
+  // Only languages with an alphabet to scramble.
+  language: languageRule(GAME_LANGUAGE_CODES),
+};
+
+const ROUND_RULE = { type: 'string', required: true, maxLength: 2000, pattern: /^[\w-]+$/, patternMessage: 'Round token is not valid.', label: 'Round token' };
+
+const GUESS_SCHEMA = {
+  round: ROUND_RULE,
+  answer: { type: 'string', required: true, maxLength: 40, label: 'Answer' },
+};
+
+const HINT_SCHEMA = {
+  round: ROUND_RULE,
+};
+
+// --- Hints ---
+// Given in this order, one per request.
+const revealLetters = (word, positions) => [...word].map((letter, index) => (positions.includes(index) ? letter : '_')).join('');
+const HINTS = [
+  { type: 'first-letter', reveal: ({ word }) => ({ pattern: revealLetters(word, [0]) }) },
+  { type: 'clue', reveal: ({ hint }) => ({ text: hint }) },
+  { type: 'last-letter', reveal: ({ word }) => ({ pattern: revealLetters(word, [0, [...word].length - 1]) }) },
+];
 
-  // Use the correct model name that works for your key
-  const googleApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-  // Re-create the prompt and payload on the server side
-  const prompt = `Generate a single, moderately difficult, family-friendly English word related to the category '${category}', between 6 and 10 letters long. Also provide a one-sentence clever hint for that word.`;
-
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          "word": { "type": "STRING", "description": "The word to be guessed." },
-          "hint": { "type": "STRING", "description": "A hint for the word." }
-        },
-        required: ["word", "hint"]
-      }
-    }
+const hintsTaken = (round, record) => HINTS.slice(0, record.hintsUsed).map(({ type, reveal }, index) => ({ level: index + 1, type, ...reveal(round) }));
+
+function scoreOf(round, record, now) {
+  const seconds = Math.max(0, (now - round.issuedAt) / 1000);
+  const breakdown = {
+    letters: [...round.word].length * POINTS_PER_LETTER,
+    timeBonus: Math.round(TIME_BONUS * Math.max(0, 1 - seconds / TIME_BONUS_SECONDS)),
+    hintPenalty: -record.hintsUsed * HINT_PENALTY,
+    wrongAnswerPenalty: -record.wrongAnswers * WRONG_ANSWER_PENALTY,
   };
+  const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+  return { score: Math.max(MIN_SCORE, total), breakdown, elapsedMs: Math.round(seconds * 1000) };
+}
+
+const roundOver = (record) => Boolean(record.solvedAt) || record.wrongAnswers >= MAX_WRONG_ANSWERS;
+
+const ROUND_PROBLEMS = {
+  invalid: [400, 'Round token is not valid.'],
+  expired: [410, 'This round has expired; start a new one.'],
+};
+
+// The token's round plus what has happened in it so far, or the problem with the token.
+async function openRound(token) {
+  const { payload, problem } = openToken(token);
+  if (problem) return { problem };
+  const record = await loadGame('word-scramble', payload.id) || { id: payload.id, kind: 'word-scramble', hintsUsed: 0, wrongAnswers: 0 };
+  return { round: payload, record };
+}
+
+function sendRoundProblem(response, problem) {
+  const [status, message] = ROUND_PROBLEMS[problem];
+  return response.status(status).json({ success: false, message: `ERROR: ${message}` });
+}
+
+async function startRound(request, response) {
+  const { category } = request.body; // Already checked against START_SCHEMA
+  const language = resolveLanguage(request.body.language, category, { allowed: GAME_LANGUAGE_CODES });
 
+  // Re-create the prompt and schema on the server side
+  const { system, prompt } = buildPrompt({
+    instructions: `Generate a single, moderately difficult, family-friendly ${language.name} word related to the category in the CATEGORY block, between 6 and 10 letters long, written in the ${language.name} alphabet with its usual accents. Also provide a one-sentence clever hint for that word, in ${language.name}, that does not contain the word itself.`,
+    data: { category },
+  });
+
+  const schema = {
+    type: "OBJECT",
+    properties: {
+      "word": { "type": "STRING", "description": "The word to be guessed." },
+      "hint": { "type": "STRING", "description": "A hint for the word." }
+    },
+    required: ["word", "hint"]
+  };
+
+  // --- Output Checks ---
+  const validate = (data) => {
+    expectObject(data);
+    if (typeof data.word === 'string') data.word = data.word.trim().normalize('NFC');
+    expectString(data.word, 'word', { pattern: wordPattern(language.code, { minLength: 4, maxLength: 12 }) });
+    expectString(data.hint, 'hint', { maxLength: 300 });
+    data.scrambled = scrambleWord(data.word, language.code);
+    if (!data.scrambled) throw invalidOutput('word cannot be scrambled.');
+    return data;
+  };
+
+  let data;
   try {
-    const googleResponse = await fetch(googleApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
+    ({ data } = await generateContent({ task: 'word-scramble', system, prompt, schema, validate, label: 'Word Scramble' }));
+  } catch (error) {
+    return sendLLMError(response, error, { label: 'Word Scramble' });
+  }
+
+  const issuedAt = Date.now();
+  const round = sealToken({ id: randomUUID(), word: data.word, hint: data.hint, language, issuedAt });
+  return response.status(200).json({
+    success: true,
+    round,
+    scrambled: data.scrambled,
+    letters: [...data.word].length,
+    language,
+    hintsAvailable: HINTS.length,
+    hintPenalty: HINT_PENALTY,
+    wrongAnswersAllowed: MAX_WRONG_ANSWERS,
+    startedAt: new Date(issuedAt).toISOString(),
+  });
+}
 
-    const result = await googleResponse.json();
+async function checkAnswer(request, response) {
+  const { round, record, problem } = await openRound(request.body.round); // Already checked against GUESS_SCHEMA
+  if (problem) return sendRoundProblem(response, problem);
+  const { code } = round.language;
 
-    if (result.error) {
-       throw new Error(result.error.message);
-    }
+  if (record.solvedAt) {
+    return response.status(409).json({ success: false, message: 'ERROR: This round is already solved.', word: round.word, score: record.score });
+  }
+  if (roundOver(record)) {
+    return response.status(409).json({ success: false, message: 'ERROR: This round is over; start a new one.', word: round.word });
+  }
 
-    let jsonText = result.candidates[0].content.parts[0].text;
+  const answer = request.body.answer.trim().normalize('NFC');
+  const usesLetters = letterKey(answer, code) === letterKey(round.word, code);
+  let acceptedAs;
+  if (usesLetters && answer.toLocaleLowerCase(code) === round.word.toLocaleLowerCase(code)) acceptedAs = 'word';
+  else if (usesLetters && anagramsOf(round.word, code).includes(answer.toLocaleLowerCase(code))) acceptedAs = 'anagram';
 
-    // Clean potential markdown formatting
-    const markdownMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (markdownMatch) {
-      jsonText = markdownMatch[1];
-    }
+  if (!acceptedAs) {
+    record.wrongAnswers += 1;
+    await saveGame(record);
+    const wrongAnswersLeft = MAX_WRONG_ANSWERS - record.wrongAnswers;
+    // The last wrong answer ends the round, so the word can be shown.
+    const word = wrongAnswersLeft === 0 ? round.word : undefined;
+    return response.status(200).json({ success: true, correct: false, usesLetters, wrongAnswers: record.wrongAnswers, wrongAnswersLeft, word });
+  }
 
-    const data = JSON.parse(jsonText);
+  const now = Date.now();
+  const { score, breakdown, elapsedMs } = scoreOf(round, record, now);
+  Object.assign(record, { solvedAt: new Date(now).toISOString(), score });
+  await saveGame(record);
+  return response.status(200).json({
+    success: true,
+    correct: true,
+    acceptedAs,
+    word: round.word,
+    score,
+    breakdown,
+    elapsedMs,
+    hintsUsed: record.hintsUsed,
+    wrongAnswers: record.wrongAnswers,
+  });
+}
 
-    // Send the successful result back to your website
-    return response.status(200).json({ success: true, ...data });
+async function nextHint(request, response) {
+  const { round, record, problem } = await openRound(request.body.round); // Already checked against HINT_SCHEMA
+  if (problem) return sendRoundProblem(response, problem);
 
+  // Hints after the last one, or once the round is over, are free repeats.
+  if (record.hintsUsed < HINTS.length && !roundOver(record)) {
+    record.hintsUsed += 1;
+    await saveGame(record);
+  }
+  return response.status(200).json({
+    success: true,
+    hints: hintsTaken(round, record),
+    hintsUsed: record.hintsUsed,
+    hintsLeft: HINTS.length - record.hintsUsed,
+    hintPenalty: HINT_PENALTY,
+  });
+}
+
+const ACTION_HANDLERS = {
+  start: withValidation(START_SCHEMA, startRound),
+  guess: withValidation(GUESS_SCHEMA, checkAnswer),
+  hint: withValidation(HINT_SCHEMA, nextHint),
+};
+
+// Main Handler Function
+async function handler(request, response) {
+  try {
+    // Before the model is asked for a word that could not be kept.
+    checkGameStore();
+    return await ACTION_HANDLERS[request.body.action || 'start'](request, response);
   } catch (error) {
-    console.error("Vercel Function Error (Word Scramble):", error.message);
-    return response.status(500).json({ success: false, message: 'ERROR: The AI service returned an error.' });
+    return sendGameError(response, error, { label: 'Word Scramble', message: 'ERROR: The round could not be saved.' });
   }
 }
 
+// Wrap the handler with CORS, rate limiting and input validation
+export default withCors(withRateLimit('word-scramble-ai', withValidation(ACTION_SCHEMA, handler)));
@@ -0,0 +1,67 @@
+// Anagrams: /lib/anagrams.js
+// Scrambles words for the Word Scramble game and recognises other words made
+// of the same letters, from the bundled lists in lib/words/. Languages without
+// a list only know the round's own word, so any other arrangement counts as
+// a scramble there.
+
+import { randomInt } from 'node:crypto';
+import english from './words/en.js';
+
+const WORD_LISTS = { en: english };
+const MAX_SHUFFLES = 100;
+
+// Sorted lower-case letters: equal for two words exactly when they are anagrams.
+export const letterKey = (word, code) => [...word.toLocaleLowerCase(code)].sort().join('');
+
+// code -> Map(letter key -> Set of words), built on first use.
+const dictionaries = new Map();
+
+function dictionaryOf(code) {
+  if (!WORD_LISTS[code]) return undefined;
+  if (!dictionaries.has(code)) {
+    const groups = new Map();
+    for (const word of WORD_LISTS[code].split(/\s+/).filter(Boolean)) {
+      const key = letterKey(word, code);
+      if (!groups.has(key)) groups.set(key, new Set());
+      groups.get(key).add(word.toLocaleLowerCase(code));
+    }
+    dictionaries.set(code, groups);
+  }
+  return dictionaries.get(code);
+}
+
+/**
+ * Words in the bundled list for `code` spelled with exactly the letters of
+ * `word`, other than `word` itself, in lower case.
+ * @returns {string[]}
+ */
+export function anagramsOf(word, code) {
+  const lower = word.toLocaleLowerCase(code);
+  const group = dictionaryOf(code)?.get(letterKey(word, code));
+  return group ? [...group].filter(other => other !== lower) : [];
+}
+
+/**
+ * Shuffles the letters of `word` until they spell neither the word nor any
+ * of its anagrams. Keeps the word's case.
+ * @param {string} word
+ * @param {string} code language code
+ * @param {object} [options]
+ * @param {Function} [options.random] (max) => integer in [0, max), for tests
+ * @returns {string | undefined} undefined when no such arrangement turned up (e.g. "AAAA")
+ */
+export function scrambleWord(word, code, { random = randomInt } = {}) {
+  const taken = new Set([word.toLocaleLowerCase(code), ...anagramsOf(word, code)]);
+  const letters = [...word];
+  if (new Set(letters.map(letter => letter.toLocaleLowerCase(code))).size < 2) return undefined;
+
+  for (let attempt = 0; attempt < MAX_SHUFFLES; attempt++) {
+    for (let index = letters.length - 1; index > 0; index--) {
+      const other = random(index + 1);
+      [letters[index], letters[other]] = [letters[other], letters[index]];
+    }
+    const scrambled = letters.join('');
+    if (!taken.has(scrambled.toLocaleLowerCase(code))) return scrambled;
+  }
+  return undefined;
+}
@@ -0,0 +1,45 @@
+// API Keys: /lib/auth.js
+// Routes that expose or change stored data (the plagiarism corpus) are not for
+// anonymous visitors. Callers send the key configured on the server in X-API-Key.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+/**
+ * @param {object} req
+ * @param {string} envName variable holding the expected key
+ * @returns {'ok' | 'missing-config' | 'denied'}
+ */
+export function checkApiKey(req, envName) {
+  const expected = process.env[envName];
+  if (!expected) return 'missing-config';
+  const provided = req.headers?.['x-api-key'];
+  // Compare digests so the check takes the same time whatever the input length.
+  if (!provided || !timingSafeEqual(digest(provided), digest(expected))) return 'denied';
+  return 'ok';
+}
+
+/**
+ * Sends the error response for a failed checkApiKey() and returns true, or
+ * returns false when the key is fine.
+ */
+export function rejectApiKey(req, res, envName) {
+  const result = checkApiKey(req, envName);
+  if (result === 'missing-config') {
+    console.error(`SERVER ERROR (Auth): ${envName} is not configured.`);
+    res.status(500).json({ success: false, message: 'ERROR: This feature is not configured on the server.' });
+    return true;
+  }
+  if (result === 'denied') {
+    res.status(401).json({ success: false, message: 'ERROR: A valid API key is required.' });
+    return true;
+  }
+  return false;
+}
+
+// Wraps a handler so it only runs with the right X-API-Key.
+export const withApiKey = (envName, fn) => async (req, res) => {
+  if (rejectApiKey(req, res, envName)) return;
+  return await fn(req, res);
+};
@@ -0,0 +1,208 @@
+// Background Removal: /lib/background.js
+// Two ways to cut the subject out of a photo, and the finishing steps that
+// apply to either:
+//   ClipDrop  the hosted API (best quality; needs CLIPDROP_API_KEY and credits)
+//   local     an ONNX model when one is configured (lib/image/model.js), else
+//             the colour key (lib/image/segment.js), all on this CPU
+// The route tries ClipDrop first and falls back to the local remover when the
+// key is missing, the quota is spent or the service is down. ClipDrop's answer
+// is handed back as a stream, so an unchanged result never sits in memory.
+//
+// Images can also come from URLs (fetchImage). Those must be public https URLs
+// (lib/ssrf.js); IMAGE_URL_HOSTS, when set, further limits them to a
+// comma-separated list of hosts and their subdomains, e.g. a shop's CDN.
+
+import { UploadError } from './errors.js';
+import { formatBytes } from './multipart.js';
+import { allowedHostsFrom, checkResolvedUrl } from './ssrf.js';
+import { decodeImage, encodeImage, inspectImage } from './image/index.js';
+import { segmentByColor } from './image/segment.js';
+import { segmentWithModel } from './image/model.js';
+import { addShadow, applyMask, cropToSubject, featherEdges, fitWithin, replaceBackground, shadowReach } from './image/effects.js';
+
+export const CLIPDROP_URL = 'https://clipdrop-api.co/remove-background/v1';
+const CLIPDROP_TIMEOUT_MS = 60 * 1000;
+// Upstream answers that mean "try the local remover instead": out of credits,
+// throttled, or broken. Anything else (e.g. 400 for a bad image) is the caller's problem.
+const FALLBACK_STATUSES = new Set([402, 429, 500, 502, 503, 504]);
+const IMAGE_FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 3;
+// ClipDrop refuses photos over 25 megapixels; those are scaled down first.
+export const CLIPDROP_MAX_PIXELS = 25 * 1000 * 1000;
+
+// Why an image URL may not be fetched, or undefined. Checked again for every redirect.
+async function checkImageUrl(url, hosts) {
+  const problem = await checkResolvedUrl(url);
+  if (problem) return problem;
+  const hostname = new URL(url).hostname.toLowerCase();
+  if (hosts.length && !hosts.some(host => hostname === host.toLowerCase() || hostname.endsWith(`.${host.toLowerCase()}`))) {
+    return 'is not on a host images may be fetched from';
+  }
+  return undefined;
+}
+
+/**
+ * Downloads an image the client pointed us at, following up to three
+ * redirects (each checked like the URL itself) and giving up as soon as the
+ * body passes `maxBytes`.
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {number} options.maxBytes
+ * @param {string[]} [options.hosts] defaults to IMAGE_URL_HOSTS; empty allows any public host
+ * @returns {Promise<{ filename: string, contentType: string, data: Buffer }>}
+ * @throws {UploadError} 400 for a refused URL, 413 for a file too large, 422 when it cannot be fetched
+ */
+export async function fetchImage(url, { maxBytes, hosts = allowedHostsFrom('IMAGE_URL_HOSTS') }) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const problem = await checkImageUrl(current, hosts);
+    if (problem) throw new UploadError(`Image URL ${problem}.`);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        headers: { Accept: 'image/png, image/jpeg, image/webp, image/*;q=0.8' },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw new UploadError(`Image URL could not be fetched (${error.message}).`, 422);
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirects >= MAX_REDIRECTS) throw new UploadError('Image URL redirects too many times.', 422);
+      current = new URL(response.headers.get('location'), current).href;
+      continue;
+    }
+    if (!response.ok) throw new UploadError(`Image URL answered ${response.status}.`, 422);
+
+    const tooLarge = () => new UploadError(`Image at the URL is too large (the limit is ${formatBytes(maxBytes)}).`, 413);
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > maxBytes) throw tooLarge(); // leaving the loop cancels the download
+      chunks.push(chunk);
+    }
+    const name = new URL(current).pathname.split('/').pop();
+    let filename;
+    try {
+      filename = decodeURIComponent(name);
+    } catch (error) {
+      filename = name;
+    }
+    return { filename: filename || 'image', contentType: response.headers.get('content-type') || 'application/octet-stream', data: Buffer.concat(chunks) };
+  }
+}
+
+/**
+ * The upload as ClipDrop will take it: unchanged, or scaled down to
+ * `targetPixels` and re-encoded as JPEG.
+ * @param {{ filename: string, contentType: string, data: Buffer }} file
+ * @param {object} [options]
+ * @param {number} [options.maxPixels] refuse (413) anything larger than this to decode
+ * @param {number} [options.targetPixels=CLIPDROP_MAX_PIXELS]
+ */
+export function shrinkForClipDrop(file, { maxPixels, targetPixels = CLIPDROP_MAX_PIXELS } = {}) {
+  const { width, height } = inspectImage(file.data);
+  if (!(width * height > targetPixels)) return file;
+  const image = decodeImage(file.data, { maxPixels });
+  const longest = Math.floor(Math.max(image.width, image.height) * Math.sqrt(targetPixels / (image.width * image.height)));
+  const smaller = fitWithin(image, longest);
+  console.log(`SERVER LOG (Background Removal): Scaled a ${width}×${height} photo down to ${smaller.width}×${smaller.height} for ClipDrop.`);
+  return {
+    ...file,
+    filename: `${(file.filename || 'image').replace(/\.[^.]*$/, '')}.jpg`,
+    contentType: 'image/jpeg',
+    data: encodeImage(smaller, 'jpeg', { quality: 92 }),
+  };
+}
+
+/**
+ * @param {{ filename: string, contentType: string, data: Buffer }} file
+ * @param {string} apiKey
+ * @returns {Promise<
+ *   { ok: true, stream: ReadableStream, contentType: string, contentLength?: number } |
+ *   { ok: false, status: number, body: object, fallback: boolean }
+ * >} `fallback` is true when the local remover should take over
+ */
+export async function removeWithClipDrop(file, apiKey) {
+  const form = new FormData();
+  form.append('image_file', new Blob([file.data], { type: file.contentType }), file.filename || 'image');
+
+  let response;
+  try {
+    response = await fetch(CLIPDROP_URL, {
+      method: 'POST',
+      headers: { 'x-api-key': apiKey },
+      body: form,
+      signal: AbortSignal.timeout(CLIPDROP_TIMEOUT_MS),
+    });
+  } catch (error) {
+    return { ok: false, status: 502, body: { error: `ClipDrop could not be reached: ${error.message}` }, fallback: true };
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({ error: `ClipDrop API returned status ${response.status}` }));
+    return { ok: false, status: response.status, body, fallback: FALLBACK_STATUSES.has(response.status) };
+  }
+  const contentLength = Number(response.headers.get('content-length')) || undefined;
+  return { ok: true, stream: response.body, contentType: response.headers.get('content-type') || 'image/png', contentLength };
+}
+
+/** Reads a successful ClipDrop answer into memory, for finishing it here. */
+export async function readCutout({ stream }) {
+  return Buffer.from(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Cuts the subject out on this machine.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image
+ * @param {object} [options]
+ * @param {number[]} [options.keyColor] [r, g, b] to key out everywhere (skips the model)
+ * @param {number} [options.tolerance] colour key tolerance, 0-100
+ * @returns {Promise<{ image: object, engine: 'model' | 'chroma-key' }>}
+ */
+export async function removeLocally(image, { keyColor, tolerance } = {}) {
+  const mask = keyColor ? undefined : await segmentWithModel(image);
+  if (mask) return { image: applyMask(image, mask), engine: 'model' };
+  const { mask: keyed, matte } = segmentByColor(image, { keyColor, tolerance });
+  return { image: applyMask(image, keyed, { matte }), engine: 'chroma-key' };
+}
+
+/** True when `finishCutout` would change anything beyond the size limit. */
+export const needsFinishing = ({ crop, feather, shadow, backgroundColor, backgroundImage }) => (
+  Boolean(crop || feather || shadow || backgroundColor || backgroundImage)
+);
+
+/**
+ * The finishing steps, in this order: crop to the subject, scale down to
+ * `maxSize`, feather the edges, drop a shadow, replace the background.
+ *
+ * @param {object} cutout RGBA image with a transparent background
+ * @param {object} [options]
+ * @param {boolean} [options.crop] crop to the subject
+ * @param {number} [options.padding=0] transparent margin around a crop, in pixels
+ * @param {number} [options.maxSize] longest side of the result
+ * @param {number} [options.feather] edge softening radius, in pixels of the result
+ * @param {boolean} [options.shadow] add a drop shadow
+ * @param {number[]} [options.backgroundColor] [r, g, b, a]
+ * @param {object} [options.backgroundImage] RGBA image scaled to cover the canvas
+ */
+export function finishCutout(cutout, { crop, padding = 0, maxSize, feather, shadow, backgroundColor, backgroundImage } = {}) {
+  let image = cutout;
+  if (crop) {
+    // A tight crop would cut the shadow off.
+    image = cropToSubject(image, shadow ? Math.max(padding, shadowReach(image).margin) : padding);
+  }
+  if (maxSize) image = fitWithin(image, maxSize);
+  if (feather) image = featherEdges(image, feather);
+  if (shadow) image = addShadow(image);
+  if (backgroundColor || backgroundImage) image = replaceBackground(image, { color: backgroundColor, backgroundImage });
+  return image;
+}
@@ -0,0 +1,47 @@
+// Batch Runs: /lib/batch.js
+// Runs one tool over many documents with bounded concurrency and a shared
+// backoff, collecting a result or an error per document. Batches too long for
+// one function call run as jobs (lib/jobs.js).
+
+import { withSharedBackoff } from './llm.js';
+import { mapWithConcurrency } from './pool.js';
+import { runTool } from './tools.js';
+
+export const BATCH_CONCURRENCY = 4;
+
+// One document through the tool; failures become part of the result, never a throw.
+async function runDocument(tool, document, headers) {
+  const { index, id } = document;
+  try {
+    const { status, body } = await runTool(tool, document.body, { headers });
+    if (status >= 200 && status < 300) {
+      const { success, ...result } = body;
+      return { index, id, status, success: true, result };
+    }
+    return { index, id, status, success: false, message: body?.message || 'ERROR: The document could not be processed.' };
+  } catch (error) {
+    console.error(`SERVER ERROR (Batch ${tool} #${index}): ${error.message}`);
+    return { index, id, status: 500, success: false, message: 'ERROR: The document could not be processed.' };
+  }
+}
+
+// Call inside withSharedBackoff().
+export function runDocuments(tool, documents, { concurrency, headers, onResult }) {
+  return mapWithConcurrency(documents, concurrency, async (document) => {
+    const result = await runDocument(tool, document, headers);
+    if (onResult) await onResult(result);
+    return result;
+  });
+}
+
+/**
+ * @param {string} tool one of TOOL_NAMES (lib/tools.js)
+ * @param {Array<{ index: number, id?: string | number, body: object }>} documents
+ * @param {object} [options]
+ * @param {number} [options.concurrency=BATCH_CONCURRENCY]
+ * @param {object} [options.headers] passed to every tool call
+ * @returns {Promise<Array<{ index: number, id?: string | number, status: number, success: boolean, result?: object, message?: string }>>}
+ */
+export function runBatch(tool, documents, { concurrency = BATCH_CONCURRENCY, headers } = {}) {
+  return withSharedBackoff(() => runDocuments(tool, documents, { concurrency, headers }));
+}
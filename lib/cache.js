@@ -0,0 +1,133 @@
+// Response Cache: /lib/cache.js
+// Re-running the same check on unchanged text should not cost another model
+// call. Successful JSON responses are stored under a key built from the route,
+// the prompt version, and a hash of the normalized request body.
+
+import { createHash } from 'node:crypto';
+import { getStore } from './stores/index.js';
+
+// --- Per-Route TTLs (seconds) ---
+// 0 = not cached. Generators are meant to give a different answer every time.
+// CACHE_TTL_<ROUTE> overrides these, e.g. CACHE_TTL_PLAGIARISM=3600 or CACHE_TTL_RIDDLE_JOKE=60.
+export const ROUTE_TTLS = {
+  'grammar': 24 * 60 * 60,
+  'detector': 24 * 60 * 60,
+  // Search results drift, so plagiarism scans go stale sooner.
+  'plagiarism': 6 * 60 * 60,
+  'humanizer': 60 * 60,
+  'paraphrase': 60 * 60,
+  'hangman-ai': 0,
+  'word-scramble-ai': 0,
+  'riddle-joke': 0,
+  'name-combiner-ai': 0,
+  'typing-test-text': 0,
+};
+
+// Cached results are far bigger than rate-limit buckets; keep the in-memory store small.
+const MAX_MEMORY_ENTRIES = 1000;
+
+export function getCacheTtl(route) {
+  const envName = `CACHE_TTL_${route.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const override = Number.parseInt(process.env[envName], 10);
+  if (Number.isInteger(override) && override >= 0) return override;
+  return ROUTE_TTLS[route] || 0;
+}
+
+// Differences that do not change the answer: Unicode form, line endings,
+// runs of spaces, surrounding whitespace.
+export function normalizeText(text) {
+  return String(text)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+/**
+ * @param {string} route
+ * @param {number} version prompt version; bump it when the prompt or output shape changes
+ * @param {object} body validated request body (mode, options, ...)
+ * @param {object} [options]
+ * @param {string[]} [options.textFields=['text']] fields run through normalizeText
+ * @param {boolean} [options.exact=false] hash text fields as-is (for answers with character offsets)
+ */
+export function cacheKey(route, version, body, { textFields = ['text'], exact = false } = {}) {
+  const normalized = Object.fromEntries(Object.keys(body).sort().map((field) => {
+    const value = body[field];
+    const isText = textFields.includes(field) && typeof value === 'string';
+    return [field, isText && !exact ? normalizeText(value) : value];
+  }));
+  const digest = createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  return `${route}:v${version}:${digest}`;
+}
+
+/**
+ * Wraps a handler (inside withValidation, so the body is already normalized)
+ * with a read-through cache. Only 200 JSON responses are stored. Every response
+ * carries X-Cache-Status: HIT, MISS or BYPASS.
+ *
+ * The cache is bypassed for streaming requests, for `Cache-Control: no-cache`
+ * (which still refreshes the entry), for routes with a TTL of 0, and entirely
+ * when CACHE_DISABLED=true. Store failures are logged and ignored.
+ *
+ * @param {string} route
+ * @param {object} options
+ * @param {number} options.version prompt version
+ * @param {string[]} [options.textFields] see cacheKey()
+ * @param {boolean} [options.exact] see cacheKey()
+ * @param {Function} [options.bypass] (body) => true for requests that must not be cached
+ */
+export const withCache = (route, { version, textFields, exact, bypass }, fn) => async (req, res) => {
+  const ttl = getCacheTtl(route);
+  const streaming = /\btext\/event-stream\b/i.test(req.headers?.accept || '');
+  if (process.env.CACHE_DISABLED === 'true' || ttl === 0 || streaming || bypass?.(req.body)) {
+    res.setHeader('X-Cache-Status', 'BYPASS');
+    return await fn(req, res);
+  }
+
+  let store;
+  try {
+    store = getStore('cache', { maxEntries: MAX_MEMORY_ENTRIES });
+  } catch (error) {
+    console.error(`SERVER ERROR (Cache ${route}): ${error.message}. Skipping cache.`);
+    res.setHeader('X-Cache-Status', 'BYPASS');
+    return await fn(req, res);
+  }
+  const key = cacheKey(route, version, req.body, { textFields, exact });
+  const refresh = /\bno-cache\b/i.test(req.headers?.['cache-control'] || '');
+
+  if (!refresh) {
+    try {
+      const cached = await store.get(key);
+      if (cached !== undefined) {
+        console.log(`SERVER LOG (Cache ${route}): Hit.`);
+        res.setHeader('X-Cache-Status', 'HIT');
+        return res.status(200).json(cached);
+      }
+    } catch (error) {
+      console.error(`SERVER ERROR (Cache ${route}): ${error.message}. Skipping cache.`);
+    }
+  }
+
+  res.setHeader('X-Cache-Status', refresh ? 'BYPASS' : 'MISS');
+
+  // Capture what the handler sends so a success can be stored on the way out.
+  let stored;
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if ((res.statusCode ?? 200) === 200 && data?.success !== false) stored = data;
+    return json(data);
+  };
+
+  const result = await fn(req, res);
+
+  if (stored !== undefined) {
+    try {
+      await store.set(key, stored, ttl * 1000);
+    } catch (error) {
+      console.error(`SERVER ERROR (Cache ${route}): ${error.message}. Response not cached.`);
+    }
+  }
+  return result;
+};
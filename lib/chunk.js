@@ -0,0 +1,73 @@
+// Text Chunking: /lib/chunk.js
+// Splits long documents on paragraph, then sentence, then word boundaries so
+// each piece fits one model call. Chunks keep their offset into the original
+// text, and joining every chunk's text gives back the original exactly.
+
+// Paragraph break: a blank line (possibly with whitespace on it).
+const PARAGRAPH_BREAK = /\n[ \t\r]*\n\s*/g;
+// Sentence end: terminal punctuation, optional closing quotes/brackets, then whitespace.
+const SENTENCE_END = /[.!?…。！？]+["'”’)\]]*\s+/g;
+
+// Cuts `text` after every match of `pattern`, keeping the separators.
+function cutAfter(text, pattern) {
+  const pieces = [];
+  let start = 0;
+  for (const match of text.matchAll(pattern)) {
+    const end = match.index + match[0].length;
+    if (end > start && end < text.length) {
+      pieces.push(text.slice(start, end));
+      start = end;
+    }
+  }
+  pieces.push(text.slice(start));
+  return pieces.filter(piece => piece.length > 0);
+}
+
+// Last resort for a single over-long sentence: cut at the last whitespace before the limit.
+function cutAtWhitespace(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const lastSpace = window.search(/\s\S*$/);
+    const cut = lastSpace > maxChars / 2 ? lastSpace + 1 : maxChars;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Breaks text into units no longer than maxChars, coarsest boundaries first.
+function units(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const paragraphs = cutAfter(text, PARAGRAPH_BREAK);
+  if (paragraphs.length > 1) return paragraphs.flatMap(paragraph => units(paragraph, maxChars));
+  const sentences = cutAfter(text, SENTENCE_END);
+  if (sentences.length > 1) return sentences.flatMap(sentence => units(sentence, maxChars));
+  return cutAtWhitespace(text, maxChars);
+}
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.maxChars=4000] upper bound per chunk
+ * @returns {Array<{ text: string, offset: number }>}
+ */
+export function splitIntoChunks(text, { maxChars = 4000 } = {}) {
+  const chunks = [];
+  let current = '';
+  let offset = 0;
+
+  // Greedily pack units so chunks end on the coarsest boundary that fits.
+  for (const unit of units(text, maxChars)) {
+    if (current && current.length + unit.length > maxChars) {
+      chunks.push({ text: current, offset });
+      offset += current.length;
+      current = '';
+    }
+    current += unit;
+  }
+  if (current) chunks.push({ text: current, offset });
+  return chunks;
+}
@@ -0,0 +1,187 @@
+// Reference Corpus: /lib/corpus.js
+// A local archive of documents (past submissions, course material) that
+// plagiarism checks can run against instead of the web. Each document is one
+// JSON file holding its text and winnowing fingerprints, so no database or
+// external service is needed. index.json maps every fingerprint to the
+// documents holding it, so a check reads only the documents it could match.
+//
+// CORPUS_DIR  where the files live (default: <tmpdir>/easyutilityhub-corpus).
+//             Vercel only allows writes under /tmp, which does not outlive the
+//             instance; point this at a mounted volume for a durable archive.
+
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { StoreError } from './errors.js';
+import { withFileLock } from './stores/file.js';
+import { tokenizeWords } from './text.js';
+import { fingerprint, alignDocument } from './fingerprint.js';
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const INDEX_FILE = 'index.json';
+
+export function getCorpusDir() {
+  return process.env.CORPUS_DIR || path.join(tmpdir(), 'easyutilityhub-corpus');
+}
+
+// Metadata only; the text and fingerprints stay on disk.
+const summarize = ({ id, title, addedAt, words }) => ({ id, title, addedAt, words });
+
+function indexDocument(index, { id, fingerprints }) {
+  for (const [value] of fingerprints) {
+    const ids = (index[value] ||= []);
+    if (!ids.includes(id)) ids.push(id);
+  }
+}
+
+function unindexDocument(index, { id, fingerprints }) {
+  for (const [value] of fingerprints) {
+    const ids = (index[value] || []).filter(other => other !== id);
+    if (ids.length > 0) index[value] = ids;
+    else delete index[value];
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] defaults to getCorpusDir()
+ */
+export function createFileCorpus({ dir = getCorpusDir() } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const indexFile = path.join(dir, INDEX_FILE);
+
+  async function readDocument(id) {
+    const file = `${id}.json`;
+    try {
+      return JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined; // removed since the listing
+      throw new StoreError(`Corpus file ${file} is unreadable: ${error.message}`);
+    }
+  }
+
+  async function readAll() {
+    let files;
+    try {
+      files = await readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new StoreError(`Corpus directory is unreadable: ${error.message}`);
+    }
+    const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    return readDocuments(ids.filter(id => ID_PATTERN.test(id)));
+  }
+
+  async function readDocuments(ids) {
+    const documents = await Promise.all(ids.map(readDocument));
+    return documents.filter(Boolean).sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  }
+
+  // { [fingerprint]: [document id, ...] }, or undefined before the first write.
+  async function readIndex() {
+    try {
+      return JSON.parse(await readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw new StoreError(`Corpus index is unreadable: ${error.message}`);
+    }
+  }
+
+  // Applies change to the index under a lock, building it from the documents
+  // first when a corpus predates the index.
+  function updateIndex(change) {
+    return withFileLock(indexFile, async () => {
+      let index = await readIndex();
+      if (!index) {
+        index = {};
+        for (const document of await readAll()) indexDocument(index, document);
+      }
+      change(index);
+      try {
+        const temporary = `${indexFile}.${randomUUID()}.tmp`;
+        await writeFile(temporary, JSON.stringify(index));
+        await rename(temporary, indexFile);
+      } catch (error) {
+        throw new StoreError(`Could not save corpus index: ${error.message}`);
+      }
+      return index;
+    });
+  }
+
+  return {
+    dir,
+
+    /** @returns {Promise<{ id: string, title: string, addedAt: string, words: number }>} */
+    async add({ title, text }) {
+      const document = {
+        id: randomUUID(),
+        title,
+        addedAt: new Date().toISOString(),
+        words: tokenizeWords(text).length,
+        text,
+        fingerprints: fingerprint(text),
+      };
+      try {
+        await mkdir(dir, { recursive: true });
+        // Write then rename, so a concurrent reader never sees half a file.
+        const temporary = `${fileFor(document.id)}.tmp`;
+        await writeFile(temporary, JSON.stringify(document));
+        await rename(temporary, fileFor(document.id));
+      } catch (error) {
+        throw new StoreError(`Could not save corpus document: ${error.message}`);
+      }
+      await updateIndex(index => indexDocument(index, document));
+      return summarize(document);
+    },
+
+    async list() {
+      return (await readAll()).map(summarize);
+    },
+
+    /** @returns {Promise<boolean>} false when there was no such document */
+    async remove(id) {
+      if (!ID_PATTERN.test(id)) return false;
+      const document = await readDocument(id);
+      if (!document) return false;
+      try {
+        await unlink(fileFor(id));
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw new StoreError(`Could not remove corpus document: ${error.message}`);
+      }
+      await updateIndex(index => unindexDocument(index, document));
+      return true;
+    },
+
+    /**
+     * Every document sharing at least one aligned passage with `text`, best
+     * match first. `coverage` is the share of the text's words found anywhere.
+     * @returns {Promise<{ coverage: number, matches: Array<{ id: string, title: string, overlapPercentage: number, passages: Array<object> }> }>}
+     */
+    async match(text) {
+      const submission = { text, tokens: tokenizeWords(text), fingerprints: fingerprint(text) };
+      if (submission.fingerprints.length === 0) return { coverage: 0, matches: [] };
+
+      const index = (await readIndex()) || (await updateIndex(() => {}));
+      const candidates = new Set(submission.fingerprints.flatMap(([value]) => index[value] || []));
+      const covered = new Set();
+      const matches = [];
+
+      for (const document of await readDocuments([...candidates])) {
+        const { coveredWords, passages } = alignDocument(submission, document);
+        if (passages.length === 0) continue;
+        for (const word of coveredWords) covered.add(word);
+        matches.push({
+          ...summarize(document),
+          overlapPercentage: Math.round((coveredWords.size / submission.tokens.length) * 100),
+          passages,
+        });
+      }
+
+      matches.sort((a, b) => b.overlapPercentage - a.overlapPercentage);
+      return { coverage: Math.round((covered.size / submission.tokens.length) * 100), matches };
+    },
+  };
+}
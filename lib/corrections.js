@@ -0,0 +1,62 @@
+// Applying Corrections: /lib/corrections.js
+// Grammar corrections are { from, to, mistake, correction } against the text
+// that was checked. Before any are applied they are checked against that
+// text and against each other: a correction whose offsets no longer point at
+// its mistake, or that overlaps one earlier in the text, is a conflict.
+
+/**
+ * @param {string} text the text the corrections were made against
+ * @param {Array<{ from: number, to: number, mistake?: string, correction: string, type?: string }>} corrections
+ * @returns {{
+ *   edits: Array<{ index: number, from: number, to: number, mistake: string, correction: string, type?: string }>,
+ *   conflicts: Array<{ index: number, reason: string }>
+ * }} edits in offset order; `index` is the correction's position in the input
+ */
+export function planCorrections(text, corrections) {
+  const conflicts = [];
+  const candidates = [];
+  corrections.forEach((correction, index) => {
+    const { from, to } = correction;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from || to > text.length) {
+      conflicts.push({ index, reason: 'Offsets are outside the text.' });
+    } else if (typeof correction.correction !== 'string') {
+      conflicts.push({ index, reason: 'Correction text is missing.' });
+    } else if (typeof correction.mistake === 'string' && text.slice(from, to) !== correction.mistake) {
+      conflicts.push({ index, reason: 'The text at these offsets no longer matches the mistake.' });
+    } else {
+      candidates.push({ index, from, to, mistake: text.slice(from, to), correction: correction.correction, type: correction.type });
+    }
+  });
+
+  // Offset order; the first of two overlapping corrections wins.
+  candidates.sort((a, b) => a.from - b.from || a.to - b.to || a.index - b.index);
+  const edits = [];
+  for (const candidate of candidates) {
+    const previous = edits.at(-1);
+    const overlaps = previous && (candidate.from < previous.to || (candidate.from === previous.from && candidate.from === candidate.to));
+    if (overlaps) conflicts.push({ index: candidate.index, reason: `Overlaps correction ${previous.index}.` });
+    else edits.push(candidate);
+  }
+  conflicts.sort((a, b) => a.index - b.index);
+  return { edits, conflicts };
+}
+
+/**
+ * Splits the text into unchanged and changed segments, in order:
+ * { text } for unchanged text, { edit } for each edit (its mistake and correction).
+ */
+export function segmentText(text, edits) {
+  const segments = [];
+  let position = 0;
+  for (const edit of edits) {
+    if (edit.from > position) segments.push({ text: text.slice(position, edit.from) });
+    segments.push({ edit });
+    position = edit.to;
+  }
+  if (position < text.length) segments.push({ text: text.slice(position) });
+  return segments;
+}
+
+export function applyCorrections(text, edits) {
+  return segmentText(text, edits).map(segment => (segment.edit ? segment.edit.correction : segment.text)).join('');
+}
@@ -0,0 +1,94 @@
+// CORS Policy: /lib/cors.js
+// One allow-list for every route, replacing the per-file allowCors helpers.
+//
+// CORS_ALLOWED_ORIGINS  comma-separated origins. "*" in the host matches any
+//                       subdomain (https://*.easyutilityhub.com), ":*" any port
+//                       (http://localhost:*), and a bare "*" allows everyone.
+// CORS_ALLOW_CREDENTIALS=true  sends Access-Control-Allow-Credentials
+// CORS_MAX_AGE          seconds browsers may cache a preflight (default 86400)
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://easyutilityhub.com',
+  'https://*.easyutilityhub.com',
+  'http://localhost:*',
+  'http://127.0.0.1:*',
+];
+const DEFAULT_MAX_AGE = 86400; // 24 hours
+const DEFAULT_ALLOWED_HEADERS = ['Content-Type'];
+// Response headers the front end may read (rate limit, cache status and export downloads).
+const EXPOSED_HEADERS = [
+  'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Cache-Status',
+  'Content-Disposition', 'X-Corrections-Applied', 'X-Corrections-Skipped',
+  'X-Background-Engine', 'X-Images-Succeeded', 'X-Images-Failed',
+];
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Turns one allow-list entry into an anchored RegExp.
+export function originPattern(entry) {
+  const source = escapeRegExp(entry.trim().toLowerCase().replace(/\/$/, ''))
+    .replace(/:\*/g, ':\\d+')
+    .replace(/\*/g, '[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  return new RegExp(`^${source}$`);
+}
+
+export function getCorsConfig() {
+  const configured = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const origins = configured.length > 0 ? configured : DEFAULT_ALLOWED_ORIGINS;
+  const maxAge = Number.parseInt(process.env.CORS_MAX_AGE, 10);
+
+  return {
+    allowAll: origins.includes('*'),
+    patterns: origins.filter(entry => entry !== '*').map(originPattern),
+    credentials: process.env.CORS_ALLOW_CREDENTIALS === 'true',
+    maxAge: Number.isInteger(maxAge) && maxAge >= 0 ? maxAge : DEFAULT_MAX_AGE,
+  };
+}
+
+export function isOriginAllowed(origin, config = getCorsConfig()) {
+  if (!origin) return false;
+  if (config.allowAll) return true;
+  const normalized = String(origin).toLowerCase();
+  return config.patterns.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Wraps a handler with the CORS policy.
+ *
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {string[]} [options.methods=['POST']] methods the route accepts; others get 405
+ * @param {string[]} [options.headers] extra request headers the route accepts
+ */
+export const withCors = (fn, { methods = ['POST'], headers = [] } = {}) => async (req, res) => {
+  const config = getCorsConfig();
+  const origin = req.headers?.origin;
+  const allowedMethods = [...methods, 'OPTIONS'];
+
+  res.setHeader('Vary', 'Origin');
+
+  if (origin) {
+    if (!isOriginAllowed(origin, config)) {
+      console.log(`SERVER LOG (CORS): Rejected origin ${origin}.`);
+      return res.status(403).json({ success: false, message: 'ERROR: This origin is not allowed to use the API.' });
+    }
+    // Credentialed responses must name the origin; "*" is only valid without them.
+    res.setHeader('Access-Control-Allow-Origin', config.allowAll && !config.credentials ? '*' : origin);
+    if (config.credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', allowedMethods.join(', '));
+    res.setHeader('Access-Control-Allow-Headers', [...DEFAULT_ALLOWED_HEADERS, ...headers].join(', '));
+    res.setHeader('Access-Control-Max-Age', String(config.maxAge));
+    return res.status(204).end();
+  }
+
+  if (!allowedMethods.includes(req.method)) {
+    res.setHeader('Allow', allowedMethods.join(', '));
+    return res.status(405).json({ success: false, message: `ERROR: Method ${req.method} is not allowed.` });
+  }
+
+  return await fn(req, res);
+};
@@ -0,0 +1,87 @@
+// Word Diff: /lib/diff.js
+// Before/after comparison for rewriting tools, as a list of equal/insert/delete
+// runs that concatenate back to either text.
+
+// A word or a punctuation run, each with the whitespace that follows it.
+const TOKEN = /[\p{L}\p{N}\p{M}'’]+\s*|[^\s\p{L}\p{N}\p{M}]+\s*|\s+/gu;
+const IS_WORD = /[\p{L}\p{N}]/u;
+// Above this many DP cells (two 1,700-word texts), fall back to comparing sentences.
+const MAX_CELLS = 4_000_000;
+
+export function splitTokens(text) {
+  return String(text).match(TOKEN) || [];
+}
+
+const sentenceTokens = (text) => String(text).match(/[^.!?…\n]+(?:[.!?…]+|\n+|$)\s*/g) || [];
+
+// Longest-common-subsequence diff; whitespace differences alone do not count as a change.
+function lcsDiff(a, b) {
+  const key = (token) => token.trim();
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint16Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = key(a[i]) === key(b[j])
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops.at(-1);
+    if (last?.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (key(a[i]) === key(b[j])) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return ops;
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'equal' | 'insert' | 'delete', text: string }>}
+ *   equal + insert runs rebuild `after` (equal runs carry its whitespace)
+ */
+export function diffWords(before, after) {
+  const a = splitTokens(before);
+  const b = splitTokens(after);
+  if ((a.length + 1) * (b.length + 1) <= MAX_CELLS) return lcsDiff(a, b);
+  return lcsDiff(sentenceTokens(before), sentenceTokens(after));
+}
+
+const countWords = (text) => splitTokens(text).filter(token => IS_WORD.test(token)).length;
+
+/**
+ * Word counts and the diff, ready to render as a tracked-changes view.
+ * @returns {{ wordsBefore: number, wordsAfter: number, wordsAdded: number, wordsRemoved: number, changedPercentage: number, changes: Array<object> }}
+ */
+export function summarizeChanges(before, after) {
+  const changes = diffWords(before, after);
+  const wordsBefore = countWords(before);
+  const wordsAdded = changes.filter(op => op.type === 'insert').reduce((sum, op) => sum + countWords(op.text), 0);
+  const wordsRemoved = changes.filter(op => op.type === 'delete').reduce((sum, op) => sum + countWords(op.text), 0);
+  return {
+    wordsBefore,
+    wordsAfter: countWords(after),
+    wordsAdded,
+    wordsRemoved,
+    changedPercentage: wordsBefore === 0 ? 0 : Math.min(100, Math.round((Math.max(wordsAdded, wordsRemoved) / wordsBefore) * 100)),
+    changes,
+  };
+}
@@ -0,0 +1,45 @@
+// Shared Error Types: /lib/errors.js
+
+/**
+ * Error raised by the LLM layer. `code` is what handlers branch on:
+ * NO_API_KEY, OVERLOADED, UPSTREAM, NETWORK, SAFETY, RECITATION, BLOCKED,
+ * MAX_TOKENS, EMPTY_RESPONSE, INVALID_JSON or INVALID_OUTPUT.
+ */
+export class LLMError extends Error {
+  constructor(message, { code, status, finishReason, retryable = false, retryAfter } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.finishReason = finishReason;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Raised by lib/stores adapters when the backing service is misconfigured or unreachable.
+export class StoreError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'StoreError';
+  }
+}
+
+// Raised by lib/games.js when a game changed between being loaded and saved,
+// i.e. another request for the same game got there first.
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+// Raised while reading an uploaded file; `status` is the HTTP status to answer with
+// (400 malformed, 413 too large, 415 unsupported type, 422 nothing to extract).
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
@@ -0,0 +1,216 @@
+// DOCX Export: /lib/export/docx.js
+// Corrections as Word tracked changes (w:del + w:ins), so the writer accepts
+// or rejects each one in Word. An uploaded DOCX is edited in place and keeps
+// its formatting: only the runs holding a correction are split. Any other
+// text becomes a new, minimal document.
+
+import { readZipEntry, replaceZipEntries, writeZip } from '../extract/zip.js';
+import { segmentText } from '../corrections.js';
+
+const AUTHOR = 'EasyUtilityHub';
+const NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Control characters are not allowed in XML 1.0 at all.
+export function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const revisionDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+function revisions(date, startId) {
+  let id = startId;
+  const attributes = () => `w:id="${id++}" w:author="${AUTHOR}" w:date="${revisionDate(date)}"`;
+  return {
+    deleted: (run, text) => `<w:del ${attributes()}>${run(`<w:delText xml:space="preserve">${escapeXml(text)}</w:delText>`)}</w:del>`,
+    inserted: (run, text) => `<w:ins ${attributes()}>${run(`<w:t xml:space="preserve">${escapeXml(text)}</w:t>`)}</w:ins>`,
+  };
+}
+
+// --- Editing an Uploaded Document ---
+
+// Top-level elements of a run's content, e.g. ['<w:t>Hi</w:t>', '<w:tab/>'].
+function runChildren(xml) {
+  const children = [];
+  let depth = 0;
+  let start = 0;
+  for (const match of xml.matchAll(/<(\/?)[\w:.-]+[^>]*?(\/?)>/g)) {
+    const [, closing, selfClosing] = match;
+    if (depth === 0 && !closing) start = match.index;
+    if (closing) depth--;
+    else if (!selfClosing) depth++;
+    if (depth === 0) children.push(xml.slice(start, match.index + match[0].length));
+  }
+  return children;
+}
+
+// Which characters of which w:t elements each edit covers.
+function mapEdits(edits, sources, nodes) {
+  const operations = new Map(); // node index -> [{ start, end, insert }]
+  const conflicts = [];
+  const applied = [];
+  const add = (node, operation) => {
+    if (!operations.has(node)) operations.set(node, []);
+    operations.get(node).push(operation);
+  };
+
+  for (const edit of edits) {
+    const covered = sources.slice(edit.from, edit.to);
+    if (covered.some(source => source === null)) {
+      conflicts.push({ index: edit.index, reason: 'Spans a paragraph break, line break or tab, which a tracked change here cannot.' });
+      continue;
+    }
+    if (covered.some(source => nodes[source.node].revised)) {
+      conflicts.push({ index: edit.index, reason: 'Touches a tracked change already in the document.' });
+      continue;
+    }
+
+    if (covered.length === 0) {
+      // A pure insertion goes after the character before it, or before the one after it.
+      const before = sources[edit.from - 1];
+      const after = sources[edit.from];
+      const anchor = before ? { node: before.node, offset: before.offset + 1 } : after ? { node: after.node, offset: after.offset } : undefined;
+      if (!anchor || nodes[anchor.node].revised) {
+        conflicts.push({ index: edit.index, reason: 'There is no text here to attach the insertion to.' });
+        continue;
+      }
+      add(anchor.node, { start: anchor.offset, end: anchor.offset, insert: edit.correction });
+    } else {
+      // One deletion per w:t element covered; the replacement follows the last one.
+      const groups = [];
+      for (const source of covered) {
+        const group = groups.at(-1);
+        if (group?.node === source.node && group.end === source.offset) group.end++;
+        else groups.push({ node: source.node, start: source.offset, end: source.offset + 1 });
+      }
+      groups.forEach((group, position) => {
+        add(group.node, { start: group.start, end: group.end, insert: position === groups.length - 1 ? edit.correction : '' });
+      });
+    }
+    applied.push(edit);
+  }
+  return { operations, conflicts, applied };
+}
+
+/**
+ * @param {Buffer} data the uploaded DOCX
+ * @param {{ sources: Array, nodes: Array }} document from extractDocument(file, { sources: true })
+ * @param {Array} edits from planCorrections(), against the extracted text
+ * @param {object} [options]
+ * @param {Date} [options.date]
+ * @returns {{ data: Buffer, applied: Array, conflicts: Array<{ index: number, reason: string }> }}
+ */
+export function trackChangesInDocx(data, { sources, nodes }, edits, { date = new Date() } = {}) {
+  const xml = readZipEntry(data, 'word/document.xml').toString('utf8');
+  const { operations, conflicts, applied } = mapEdits(edits, sources, nodes);
+
+  // Revision ids must not collide with any already in the document.
+  const highestId = Math.max(0, ...[...xml.matchAll(/\bw:id="(\d+)"/g)].map(match => Number(match[1])));
+  const { deleted, inserted } = revisions(date, highestId + 1);
+
+  const runs = new Map(); // run start -> its text nodes, in order
+  nodes.forEach((node, index) => {
+    if (!runs.has(node.runStart)) runs.set(node.runStart, []);
+    runs.get(node.runStart).push(index);
+  });
+
+  // Rewritten in document order, so revision ids follow the text.
+  const replacements = [];
+  const affected = [...new Set([...operations.keys()].map(node => nodes[node].runStart))].sort((a, b) => a - b);
+  for (const runStart of affected) {
+    const runEnd = xml.indexOf('</w:r>', runStart) + '</w:r>'.length;
+    const runXml = xml.slice(runStart, runEnd);
+    const openTag = runXml.match(/^<w:r\b[^>]*>/)[0];
+    const inner = runXml.slice(openTag.length, -'</w:r>'.length);
+    const properties = inner.match(/^\s*(?:<w:rPr\b[^>]*\/>|<w:rPr\b[^>]*>[\s\S]*?<\/w:rPr>)/)?.[0] || '';
+    const run = (content) => `${openTag}${properties.trim()}${content}</w:r>`;
+
+    const pieces = [];
+    let plain = '';
+    const flush = () => {
+      if (plain) pieces.push(run(plain));
+      plain = '';
+    };
+    const textNodes = [...runs.get(runStart)];
+    for (const child of runChildren(inner.slice(properties.length))) {
+      const text = child.match(/^<w:t\b[^>]*>([\s\S]*?)<\/w:t>$/);
+      const node = text && text[1] ? textNodes.shift() : undefined;
+      if (node === undefined || !operations.has(node)) {
+        plain += child;
+        continue;
+      }
+      const value = nodes[node].text;
+      let position = 0;
+      for (const { start, end, insert } of operations.get(node).sort((a, b) => a.start - b.start)) {
+        if (start > position) plain += `<w:t xml:space="preserve">${escapeXml(value.slice(position, start))}</w:t>`;
+        flush();
+        if (end > start) pieces.push(deleted(run, value.slice(start, end)));
+        if (insert) pieces.push(inserted(run, insert));
+        position = end;
+      }
+      if (position < value.length) plain += `<w:t xml:space="preserve">${escapeXml(value.slice(position))}</w:t>`;
+    }
+    flush();
+    replacements.push({ runStart, runEnd, xml: pieces.join('') });
+  }
+  const result = replacements.reduceRight((updated, { runStart, runEnd, xml: replacement }) => (
+    updated.slice(0, runStart) + replacement + updated.slice(runEnd)
+  ), xml);
+
+  return { data: replaceZipEntries(data, { 'word/document.xml': result }), applied, conflicts };
+}
+
+// --- New Document From Text ---
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>';
+const PACKAGE_RELATIONSHIPS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>';
+
+// Text inside one paragraph as run content: tabs and line breaks become elements.
+function runContent(text) {
+  return text.split(/(\t|\n)/).filter(Boolean).map((part) => {
+    if (part === '\t') return '<w:tab/>';
+    if (part === '\n') return '<w:br/>';
+    return `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`;
+  }).join('');
+}
+
+/**
+ * A new DOCX holding `text` (blank lines separate paragraphs) with the edits as tracked changes.
+ * @returns {{ data: Buffer, applied: Array, conflicts: Array<{ index: number, reason: string }> }}
+ */
+export function buildTrackedDocx(text, edits, { date = new Date() } = {}) {
+  const conflicts = [];
+  const applied = edits.filter((edit) => {
+    if (!edit.mistake.includes('\n')) return true;
+    conflicts.push({ index: edit.index, reason: 'Spans a paragraph break, line break or tab, which a tracked change here cannot.' });
+    return false;
+  });
+  const { deleted, inserted } = revisions(date, 1);
+  const run = (content) => `<w:r>${content}</w:r>`;
+
+  const paragraphs = [''];
+  for (const segment of segmentText(text, applied)) {
+    if (segment.edit) {
+      if (segment.edit.mistake) paragraphs[paragraphs.length - 1] += deleted(run, segment.edit.mistake);
+      if (segment.edit.correction) paragraphs[paragraphs.length - 1] += inserted(run, segment.edit.correction);
+      continue;
+    }
+    segment.text.split(/\n[ \t]*\n\s*/).forEach((part, index) => {
+      if (index > 0) paragraphs.push('');
+      if (part) paragraphs[paragraphs.length - 1] += run(runContent(part));
+    });
+  }
+
+  const body = paragraphs.map(content => `<w:p>${content}</w:p>`).join('');
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document xmlns:w="${NAMESPACE}"><w:body>${body}<w:sectPr/></w:body></w:document>`;
+  const data = writeZip([
+    ['[Content_Types].xml', CONTENT_TYPES],
+    ['_rels/.rels', PACKAGE_RELATIONSHIPS],
+    ['word/document.xml', document],
+  ]);
+  return { data, applied, conflicts };
+}
@@ -0,0 +1,59 @@
+// Correction Export: /lib/export/index.js
+// Turns a text plus the grammar corrections the writer accepted into a file:
+// a DOCX with tracked changes, Markdown or HTML with inline highlights, or a
+// unified diff. Corrections are planned first (lib/corrections.js), so any that
+// no longer fit the text are reported as conflicts instead of being applied.
+
+import { planCorrections } from '../corrections.js';
+import { extractDocument } from '../extract/index.js';
+import { buildTrackedDocx, trackChangesInDocx } from './docx.js';
+import { exportHtml, exportMarkdown } from './markup.js';
+import { exportPatch } from './patch.js';
+
+export const EXPORT_FORMATS = {
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  patch: { contentType: 'text/x-diff; charset=utf-8', extension: 'patch' },
+};
+
+// "Essay draft.docx" -> "Essay draft"; anything unusable falls back to "document".
+const baseName = (filename) => (filename || '').replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '').trim() || 'document';
+
+/**
+ * @param {object} request
+ * @param {'docx'|'markdown'|'html'|'patch'} request.format
+ * @param {string} request.text the text the corrections were made against
+ * @param {Array} request.corrections the accepted corrections, as grammar.js returned them
+ * @param {{ filename: string, data: Buffer, contentType?: string }} [request.upload]
+ *   the uploaded file `text` was extracted from; a DOCX is edited in place
+ * @param {string} [request.filename] name of the source, for the download's name
+ * @param {Date} [request.date] revision date for DOCX tracked changes
+ * @returns {{ data: Buffer, contentType: string, filename: string, applied: number, conflicts: Array<{ index: number, reason: string }> }}
+ */
+export function exportCorrections({ format, text, corrections, upload, filename, date }) {
+  const { edits, conflicts } = planCorrections(text, corrections);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const name = baseName(filename || upload?.filename);
+
+  let data;
+  let applied = edits;
+  if (format === 'docx') {
+    const document = upload && extractDocument(upload, { sources: true });
+    const result = document?.nodes
+      ? trackChangesInDocx(upload.data, document, edits, { date })
+      : buildTrackedDocx(text, edits, { date });
+    data = result.data;
+    applied = result.applied;
+    conflicts.push(...result.conflicts);
+    conflicts.sort((a, b) => a.index - b.index);
+  } else if (format === 'markdown') {
+    data = Buffer.from(exportMarkdown(text, edits));
+  } else if (format === 'html') {
+    data = Buffer.from(exportHtml(text, edits, { title: name }));
+  } else {
+    data = Buffer.from(exportPatch(text, edits, { filename: `${name}.txt` }));
+  }
+
+  return { data, contentType, filename: `${name}-corrected.${extension}`, applied: applied.length, conflicts };
+}
@@ -0,0 +1,55 @@
+// Markdown and HTML Export: /lib/export/markup.js
+// The corrected text with every change highlighted inline: the removed words
+// struck through, the replacement marked. Blank lines separate paragraphs.
+
+import { segmentText } from '../corrections.js';
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Plain text to HTML inside a paragraph, and paragraph breaks between them.
+const htmlText = (text) => escapeHtml(text).replace(/\n[ \t]*\n\s*|\n/g, (lineBreak) => (lineBreak === '\n' ? '<br>\n' : '</p>\n<p>'));
+
+const STYLE = `
+  body { font-family: Georgia, serif; line-height: 1.6; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; }
+  mark.correction { background: #fff3b0; border-radius: 2px; }
+  mark.correction del { color: #b42318; }
+  mark.correction ins { color: #067647; text-decoration: none; font-weight: 600; }
+`;
+
+/**
+ * @param {string} text the checked text
+ * @param {Array} edits from planCorrections()
+ * @param {object} [options]
+ * @param {string} [options.title]
+ */
+export function exportHtml(text, edits, { title = 'Corrected document' } = {}) {
+  const body = segmentText(text, edits).map(({ text: plain, edit }) => {
+    if (!edit) return htmlText(plain);
+    const type = edit.type ? ` data-type="${escapeHtml(edit.type)}" title="${escapeHtml(edit.type)}"` : '';
+    const removed = edit.mistake ? `<del>${escapeHtml(edit.mistake)}</del>` : '';
+    const added = edit.correction ? `<ins>${escapeHtml(edit.correction)}</ins>` : '';
+    return `<mark class="correction"${type}>${removed}${added}</mark>`;
+  }).join('');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<p>${body}</p>
+</body>
+</html>
+`;
+}
+
+// GitHub-flavoured Markdown: ~~removed~~ and <mark>added</mark> (inline HTML is valid Markdown).
+export function exportMarkdown(text, edits) {
+  return segmentText(text, edits).map(({ text: plain, edit }) => {
+    if (!edit) return plain;
+    const removed = edit.mistake ? `~~${edit.mistake}~~` : '';
+    const added = edit.correction ? `<mark>${escapeHtml(edit.correction)}</mark>` : '';
+    return removed + added;
+  }).join('').replace(/\n?$/, '\n');
+}
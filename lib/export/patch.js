@@ -0,0 +1,96 @@
+// Patch Export: /lib/export/patch.js
+// The corrections as a unified diff against the checked text, for
+// `patch -p1` / `git apply` or any diff viewer.
+
+import { applyCorrections } from '../corrections.js';
+
+const CONTEXT_LINES = 3;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+/**
+ * @param {string} text the checked text
+ * @param {Array} edits from planCorrections()
+ * @param {object} [options]
+ * @param {string} [options.filename='document.txt'] shown as a/<filename> and b/<filename>
+ * @returns {string} empty when there is nothing to change
+ */
+export function exportPatch(text, edits, { filename = 'document.txt' } = {}) {
+  const lines = text.split('\n');
+  const endsWithNewline = text.endsWith('\n');
+  if (endsWithNewline) lines.pop();
+  const starts = [];
+  lines.reduce((offset, line) => (starts.push(offset), offset + line.length + 1), 0);
+  const lineOf = (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  };
+
+  // Changed line ranges: edits on the same or adjacent lines share a block.
+  const blocks = [];
+  for (const edit of edits) {
+    const first = lineOf(edit.from);
+    const last = lineOf(edit.to);
+    const block = blocks.at(-1);
+    if (block && first <= block.last + 1) {
+      block.last = Math.max(block.last, last);
+      block.edits.push(edit);
+    } else {
+      blocks.push({ first, last, edits: [edit] });
+    }
+  }
+
+  // Blocks close enough to share context lines share a hunk.
+  const hunks = [];
+  for (const block of blocks) {
+    const hunk = hunks.at(-1);
+    if (hunk && block.first - hunk.blocks.at(-1).last <= CONTEXT_LINES * 2 + 1) hunk.blocks.push(block);
+    else hunks.push({ blocks: [block] });
+  }
+
+  const output = [`--- a/${filename}`, `+++ b/${filename}`];
+  let shift = 0; // lines added minus lines removed by earlier hunks
+  const finalLine = lines.length - 1;
+  for (const { blocks: hunkBlocks } of hunks) {
+    const start = Math.max(0, hunkBlocks[0].first - CONTEXT_LINES);
+    const end = Math.min(finalLine, hunkBlocks.at(-1).last + CONTEXT_LINES);
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    const context = (from, to) => {
+      for (let line = from; line <= to; line++) {
+        body.push(` ${lines[line]}`);
+        if (line === finalLine && !endsWithNewline) body.push(NO_NEWLINE);
+        oldCount++;
+        newCount++;
+      }
+    };
+
+    let line = start;
+    for (const block of hunkBlocks) {
+      context(line, block.first - 1);
+      const blockStart = starts[block.first];
+      const original = lines.slice(block.first, block.last + 1).join('\n');
+      const relative = block.edits.map(edit => ({ ...edit, from: edit.from - blockStart, to: Math.min(edit.to - blockStart, original.length) }));
+      const corrected = applyCorrections(original, relative).split('\n');
+      const atEnd = block.last === finalLine && !endsWithNewline;
+      for (const removed of original.split('\n')) body.push(`-${removed}`);
+      if (atEnd) body.push(NO_NEWLINE);
+      for (const added of corrected) body.push(`+${added}`);
+      if (atEnd) body.push(NO_NEWLINE);
+      oldCount += block.last - block.first + 1;
+      newCount += corrected.length;
+      line = block.last + 1;
+    }
+    context(line, end);
+
+    output.push(`@@ -${start + 1},${oldCount} +${start + 1 + shift},${newCount} @@`, ...body);
+    shift += newCount - oldCount;
+  }
+  return hunks.length ? `${output.join('\n')}\n` : '';
+}
@@ -0,0 +1,135 @@
+// Document Extraction: /lib/extract/index.js
+// Uploaded documents to plain text for the text tools. Paragraphs are joined
+// with blank lines, and each one's position in that text is kept so results
+// (corrections, flagged sentences, ...) can be mapped back to a page and
+// paragraph of the original file.
+
+import { UploadError } from '../errors.js';
+import { extractDocx, extractOdt } from './office.js';
+import { extractPdf } from './pdf.js';
+import { extractRtf } from './rtf.js';
+import { extractHtml, extractMarkdown, extractPlainText } from './markup.js';
+import { listZipEntries } from './zip.js';
+
+const isText = (data) => !data.subarray(0, 4096).includes(0) || data[0] === 0xff || data[0] === 0xfe;
+const startsWith = (data, signature) => data.subarray(0, signature.length).equals(Buffer.from(signature, 'latin1'));
+const isZip = (data) => startsWith(data, 'PK\x03\x04');
+
+// By extension, with the content checked against it: a renamed file should not reach the wrong parser.
+export const FORMATS = {
+  pdf: { extensions: ['pdf'], matches: (data) => data.subarray(0, 1024).includes('%PDF-'), extract: extractPdf },
+  docx: { extensions: ['docx'], matches: isZip, extract: extractDocx },
+  odt: { extensions: ['odt'], matches: isZip, extract: extractOdt },
+  rtf: { extensions: ['rtf'], matches: (data) => startsWith(data, '{\\rtf'), extract: extractRtf },
+  markdown: { extensions: ['md', 'markdown'], matches: isText, extract: extractMarkdown },
+  html: { extensions: ['html', 'htm'], matches: isText, extract: extractHtml },
+  text: { extensions: ['txt'], matches: isText, extract: extractPlainText },
+};
+
+// For uploads without a usable extension.
+const MIME_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+  'text/markdown': 'markdown',
+  'text/html': 'html',
+  'text/plain': 'text',
+};
+
+export const SUPPORTED_EXTENSIONS = Object.values(FORMATS).flatMap(format => format.extensions);
+
+function detectFormat({ filename = '', contentType = '', data }) {
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const byExtension = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension));
+  const format = byExtension || MIME_FORMATS[contentType.split(';')[0].trim().toLowerCase()];
+  if (!format) {
+    throw new UploadError(`Unsupported file type${extension ? ` .${extension}` : ''}. Upload one of: ${SUPPORTED_EXTENSIONS.map(name => `.${name}`).join(', ')}.`, 415);
+  }
+  if (!FORMATS[format].matches(data)) {
+    throw new UploadError(`File content does not match its type (${format.toUpperCase()}).`, 415);
+  }
+  // DOCX and ODT are both ZIPs; the archive's contents tell them apart.
+  if (format === 'docx' || format === 'odt') {
+    const entries = listZipEntries(data);
+    const expected = format === 'docx' ? 'word/document.xml' : 'content.xml';
+    if (!entries.has(expected)) throw new UploadError(`File content does not match its type (${format.toUpperCase()}).`, 415);
+  }
+  return format;
+}
+
+// Non-breaking spaces become spaces; spaces before line breaks and around the
+// paragraph are dropped. Also returns which characters were kept, so formats
+// that map text back into the file can follow along.
+function normalizeParagraph(text) {
+  const spaced = text.replace(/\u00a0/g, ' ');
+  const dropped = new Set();
+  const drop = (from, to) => { for (let index = from; index < to; index++) dropped.add(index); };
+  for (const match of spaced.matchAll(/[ \t]+(?=\n)/g)) drop(match.index, match.index + match[0].length);
+  drop(0, spaced.length - spaced.trimStart().length);
+  drop(spaced.trimEnd().length, spaced.length);
+
+  let normalized = '';
+  const kept = [];
+  for (let index = 0; index < spaced.length; index++) {
+    if (dropped.has(index)) continue;
+    normalized += spaced[index];
+    kept.push(index);
+  }
+  return { text: normalized, kept };
+}
+
+/**
+ * @param {{ filename?: string, contentType?: string, data: Buffer }} file
+ * @param {object} [options]
+ * @param {boolean} [options.sources] DOCX only: also return `sources` (one entry
+ *   per character of `text`) and `nodes`, mapping the text back into the file's XML
+ * @returns {{
+ *   format: string,
+ *   text: string,
+ *   pages?: number,
+ *   paragraphs: Array<{ from: number, to: number, page?: number }>
+ * }} offsets index into `text`; pages only where the format records them
+ */
+export function extractDocument(file, { sources: withSources = false } = {}) {
+  if (!file.data?.length) throw new UploadError('Uploaded file is empty.');
+  const format = detectFormat(file);
+  const traced = withSources && format === 'docx';
+  const { paragraphs, pages, nodes } = traced ? extractDocx(file.data, { sources: true }) : FORMATS[format].extract(file.data);
+
+  let text = '';
+  const located = [];
+  const sources = [];
+  for (const paragraph of paragraphs) {
+    const { text: content, kept } = normalizeParagraph(paragraph.text);
+    if (!content) continue;
+    if (text) {
+      text += '\n\n';
+      if (traced) sources.push(null, null);
+    }
+    located.push({ from: text.length, to: text.length + content.length, ...(pages && { page: paragraph.page }) });
+    text += content;
+    if (traced) for (const index of kept) sources.push(paragraph.sources[index]);
+  }
+  if (!text) throw new UploadError('No text could be extracted from the file.', 422);
+  return { format, text, ...(pages && { pages }), paragraphs: located, ...(traced && { sources, nodes }) };
+}
+
+/**
+ * Where an offset into the extracted text falls: 1-based paragraph, and page when known.
+ * @returns {{ paragraph: number, page?: number } | undefined}
+ */
+export function locate(paragraphs, offset) {
+  let low = 0;
+  let high = paragraphs.length - 1;
+  // Last paragraph starting at or before the offset (offsets in the gap belong to the one before).
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (paragraphs[middle].from <= offset) low = middle;
+    else high = middle - 1;
+  }
+  const paragraph = paragraphs[low];
+  if (!paragraph) return undefined;
+  return { paragraph: low + 1, ...(paragraph.page !== undefined && { page: paragraph.page }) };
+}
@@ -0,0 +1,127 @@
+// Text, Markdown and HTML: /lib/extract/markup.js
+// Each extractor returns the document's paragraphs; lib/extract/index.js
+// joins them and keeps track of where each one starts.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? Number.parseInt(name.slice(2), 16) : Number.parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Bytes to a string: honours a UTF-8 or UTF-16 byte order mark, otherwise
+ * tries UTF-8 and falls back to Windows-1252 (older Windows editors).
+ */
+export function decodeText(data) {
+  if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) return data.toString('utf8', 3);
+  if (data[0] === 0xff && data[1] === 0xfe) return new TextDecoder('utf-16le').decode(data.subarray(2));
+  if (data[0] === 0xfe && data[1] === 0xff) return new TextDecoder('utf-16be').decode(data.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(data);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(data);
+  }
+}
+
+// Blank lines separate paragraphs; form feeds separate pages.
+export function extractPlainText(data) {
+  const paragraphs = [];
+  decodeText(data).replace(/\r\n?/g, '\n').split('\f').forEach((page, index) => {
+    for (const text of page.split(/\n[ \t]*\n/)) paragraphs.push({ text, page: index + 1 });
+  });
+  return { paragraphs, pages: paragraphs.at(-1)?.page > 1 ? paragraphs.at(-1).page : undefined };
+}
+
+const HIDDEN_ELEMENTS = /<(script|style|head|noscript|template|svg|iframe|object)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const BLOCK_ELEMENTS = /<\/?(?:p|div|h[1-6]|li|ul|ol|dl|dt|dd|blockquote|pre|section|article|header|footer|main|aside|nav|figure|figcaption|table|thead|tbody|tr|hr|address|details|summary)\b[^>]*>/gi;
+const PARAGRAPH_BREAK = '\u0000';
+const LINE_BREAK = '\u0001';
+
+export function extractHtml(data) {
+  const html = decodeText(data)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(HIDDEN_ELEMENTS, '')
+    .replace(/<br\b[^>]*>/gi, LINE_BREAK)
+    .replace(BLOCK_ELEMENTS, PARAGRAPH_BREAK)
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+  const paragraphs = decodeEntities(html.replace(/\s+/g, ' '))
+    .split(PARAGRAPH_BREAK)
+    .map(text => ({ text: text.split(LINE_BREAK).map(line => line.trim()).join('\n') }));
+  return { paragraphs };
+}
+
+// Inline Markdown down to its visible text.
+function markdownInline(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\w*])([*_])(?=\S)([^*_]*?\S)\2(?![\w*])/g, '$1$3')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+}
+
+// Headings, list items and quotes become paragraphs of their own; soft line breaks become spaces.
+export function extractMarkdown(data) {
+  const paragraphs = [];
+  let current = [];
+  let fence;
+  const flush = () => {
+    if (current.length) paragraphs.push({ text: current.join(fence ? '\n' : ' ') });
+    current = [];
+  };
+
+  for (const raw of decodeText(data).replace(/\r\n?/g, '\n').split('\n')) {
+    const fenceMarker = raw.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMarker && fenceMarker[1][0] === fence[0] && fenceMarker[1].length >= fence.length) {
+        flush();
+        fence = undefined;
+      } else {
+        current.push(raw);
+      }
+      continue;
+    }
+    if (fenceMarker) {
+      flush();
+      fence = fenceMarker[1];
+      continue;
+    }
+
+    const line = raw.replace(/^\s{0,3}(?:>\s?)+/, '');
+    if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\[[^\]]+\]:\s*\S+/.test(line)) {
+      flush();
+      continue;
+    }
+    // Setext underline: the previous line was a heading.
+    if (/^\s*(=+|-+)\s*$/.test(line) && current.length) {
+      flush();
+      continue;
+    }
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (heading || item) {
+      flush();
+      current.push(markdownInline((heading || item)[1]));
+      if (heading) flush();
+      continue;
+    }
+    current.push(markdownInline(line.trim()));
+  }
+  flush();
+  return { paragraphs };
+}
@@ -0,0 +1,161 @@
+// Word and OpenDocument: /lib/extract/office.js
+// DOCX and ODT are ZIP archives with the body in one XML part. Paragraph
+// elements map one to one onto our paragraphs. Pages come from the page
+// breaks the word processor recorded when it last laid the document out
+// (w:lastRenderedPageBreak, text:soft-page-break), or from explicit page
+// breaks when there are none; documents with neither have no page numbers.
+
+import { UploadError } from '../errors.js';
+import { decodeEntities } from './markup.js';
+import { listZipEntries, readZipEntry } from './zip.js';
+
+const XML_TOKEN = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|<[!?][^>]*>|([^<]+)/g;
+
+function readPart(data, name, format) {
+  const entries = listZipEntries(data);
+  const part = readZipEntry(data, name, entries);
+  if (!part) throw new UploadError(`File is not a valid ${format} document (${name} is missing).`, 422);
+  return part.toString('utf8');
+}
+
+const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+// Revision marks already in the document: their runs are left alone when exporting.
+const DOCX_REVISIONS = new Set(['w:ins', 'w:del', 'w:moveFrom', 'w:moveTo']);
+
+/**
+ * @param {Buffer} data
+ * @param {object} [options]
+ * @param {boolean} [options.sources] also map every character back to the XML:
+ *   each paragraph gets `sources` (one entry per character: { node, offset } into
+ *   `nodes`, or null for tabs and breaks), and `nodes` lists the w:t elements with
+ *   their decoded text and the position of the run holding them (lib/export/docx.js)
+ */
+export function extractDocx(data, { sources = false } = {}) {
+  const xml = readPart(data, 'word/document.xml', 'DOCX');
+  const rendered = xml.includes('<w:lastRenderedPageBreak');
+  const paragraphs = [];
+  const nodes = [];
+  let page = 1;
+  let sawBreak = false;
+  let current;
+  let depth = 0; // paragraphs nest inside text boxes
+  let inText = false;
+  let runStart = -1;
+  let revisions = 0;
+
+  const append = (text, source = () => null) => {
+    current.text += text;
+    if (sources) for (let offset = 0; offset < text.length; offset++) current.sources.push(source(offset));
+  };
+
+  for (const match of xml.matchAll(XML_TOKEN)) {
+    const [, closing, name, attributes, selfClosing, text] = match;
+    if (text !== undefined) {
+      if (inText && current) {
+        const decoded = decodeEntities(text);
+        const node = nodes.length;
+        if (sources) nodes.push({ text: decoded, runStart, revised: revisions > 0 });
+        append(decoded, offset => ({ node, offset }));
+      }
+      continue;
+    }
+    if (DOCX_REVISIONS.has(name) && !selfClosing) {
+      revisions += closing ? -1 : 1;
+    } else if (name === 'w:r' && !selfClosing) {
+      runStart = closing ? -1 : match.index;
+    } else if (name === 'w:p' && !selfClosing) {
+      if (closing) {
+        depth--;
+        if (depth === 0 && current) {
+          paragraphs.push(current);
+          current = undefined;
+        }
+      } else {
+        if (depth === 0) current = { text: '', page, ...(sources && { sources: [] }) };
+        depth++;
+      }
+    } else if (name === 'w:t') {
+      inText = !closing && !selfClosing;
+    } else if (!current) {
+      continue;
+    } else if (name === 'w:tab' && !closing) {
+      append('\t');
+    } else if ((name === 'w:br' || name === 'w:cr') && !closing) {
+      if (attribute(attributes, 'w:type') === 'page') {
+        if (!rendered) {
+          page++;
+          sawBreak = true;
+        }
+      } else {
+        append('\n');
+      }
+    } else if (name === 'w:lastRenderedPageBreak') {
+      page++;
+      sawBreak = true;
+      // At the very start of a paragraph the whole paragraph is on the new page.
+      if (!current.text) current.page = page;
+    } else if (name === 'w:pageBreakBefore' && !rendered && attribute(attributes, 'w:val') !== '0' && attribute(attributes, 'w:val') !== 'false') {
+      page++;
+      sawBreak = true;
+      current.page = page;
+    } else if (name === 'w:noBreakHyphen') {
+      append('-');
+    }
+  }
+
+  return { paragraphs, pages: sawBreak ? page : undefined, ...(sources && { nodes }) };
+}
+
+// Footnote bodies, comments and the record of deleted text are not part of the running text.
+const ODT_SKIPPED = new Set(['text:note', 'office:annotation', 'text:tracked-changes']);
+
+export function extractOdt(data) {
+  const xml = readPart(data, 'content.xml', 'ODT');
+  const paragraphs = [];
+  let page = 1;
+  let sawBreak = false;
+  let current;
+  let depth = 0;
+  let skipped = 0;
+
+  for (const [, closing, name, attributes, selfClosing, text] of xml.matchAll(XML_TOKEN)) {
+    if (ODT_SKIPPED.has(name) && !selfClosing) {
+      skipped += closing ? -1 : 1;
+      continue;
+    }
+    if (skipped > 0) continue;
+    if (text !== undefined) {
+      if (current) current.text += decodeEntities(text);
+      continue;
+    }
+    if ((name === 'text:p' || name === 'text:h')) {
+      if (selfClosing) {
+        if (depth === 0) paragraphs.push({ text: '', page });
+      } else if (closing) {
+        depth--;
+        if (depth === 0 && current) {
+          paragraphs.push(current);
+          current = undefined;
+        }
+      } else {
+        if (depth === 0) current = { text: '', page };
+        depth++;
+      }
+    } else if (name === 'text:soft-page-break') {
+      page++;
+      sawBreak = true;
+      if (current && !current.text) current.page = page;
+    } else if (!current || closing) {
+      continue;
+    } else if (name === 'text:s') {
+      current.text += ' '.repeat(Number(attribute(attributes, 'text:c')) || 1);
+    } else if (name === 'text:tab') {
+      current.text += '\t';
+    } else if (name === 'text:line-break') {
+      current.text += '\n';
+    }
+  }
+
+  return { paragraphs: sawBreak ? paragraphs : paragraphs.map(({ text }) => ({ text })), pages: sawBreak ? page : undefined };
+}
@@ -0,0 +1,502 @@
+// PDF: /lib/extract/pdf.js
+// A small text extractor: reads every object (including compressed object
+// streams), walks the page tree, decodes each page's content stream with the
+// fonts' ToUnicode maps, and rebuilds lines and paragraphs from where the
+// text is placed. Enough for the PDFs word processors and browsers export;
+// scanned pages (images only) and encrypted files are refused, since there is
+// no text to read without OCR or the password.
+
+import { inflateSync, constants as zlibConstants } from 'node:zlib';
+import { UploadError } from '../errors.js';
+
+const MAX_STREAM_BYTES = 50 * 1024 * 1024;
+const MAX_PAGES = 500;
+
+// --- Object Syntax ---
+
+const WHITESPACE = /[\0\t\n\f\r ]/;
+const DELIMITER = /[\0\t\n\f\r ()<>[\]{}/%]/;
+
+function skipSpace(source, position) {
+  while (position < source.length) {
+    const char = source[position];
+    if (char === '%') {
+      while (position < source.length && source[position] !== '\n' && source[position] !== '\r') position++;
+    } else if (WHITESPACE.test(char)) {
+      position++;
+    } else {
+      break;
+    }
+  }
+  return position;
+}
+
+const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+function parseLiteralString(source, position) {
+  let depth = 1;
+  let value = '';
+  position++;
+  while (position < source.length) {
+    const char = source[position++];
+    if (char === '\\') {
+      const next = source[position++];
+      if (next in LITERAL_ESCAPES) value += LITERAL_ESCAPES[next];
+      else if (next >= '0' && next <= '7') {
+        let octal = next;
+        while (octal.length < 3 && source[position] >= '0' && source[position] <= '7') octal += source[position++];
+        value += String.fromCharCode(Number.parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        if (source[position] === '\n') position++;
+      } else if (next !== '\n') {
+        value += next;
+      }
+    } else if (char === '(') {
+      depth++;
+      value += char;
+    } else if (char === ')') {
+      if (--depth === 0) break;
+      value += char;
+    } else {
+      value += char;
+    }
+  }
+  return [{ bytes: value }, position];
+}
+
+/**
+ * Parses one object at `position` in a latin1 string. Names keep their slash
+ * ('/Page'), strings are { bytes }, references { ref }, dictionaries plain
+ * objects keyed without the slash, and bare keywords (content stream
+ * operators) { op }.
+ * @returns {[any, number]} the value and the position after it
+ */
+function parseValue(source, position) {
+  position = skipSpace(source, position);
+  const char = source[position];
+
+  if (char === '<' && source[position + 1] === '<') {
+    const dictionary = {};
+    position += 2;
+    while (true) {
+      position = skipSpace(source, position);
+      if (position >= source.length) return [dictionary, position];
+      if (source[position] === '>' && source[position + 1] === '>') return [dictionary, position + 2];
+      const [key, afterKey] = parseValue(source, position);
+      const [value, afterValue] = parseValue(source, afterKey);
+      if (typeof key === 'string' && key[0] === '/') dictionary[key.slice(1)] = value;
+      position = afterValue;
+    }
+  }
+  if (char === '<') {
+    const end = source.indexOf('>', position);
+    const hex = source.slice(position + 1, end === -1 ? source.length : end).replace(/[^0-9a-fA-F]/g, '');
+    return [{ bytes: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') }, end === -1 ? source.length : end + 1];
+  }
+  if (char === '[') {
+    const array = [];
+    position++;
+    while (true) {
+      position = skipSpace(source, position);
+      if (position >= source.length) return [array, position];
+      if (source[position] === ']') return [array, position + 1];
+      const [value, after] = parseValue(source, position);
+      array.push(value);
+      position = after;
+    }
+  }
+  if (char === '(') return parseLiteralString(source, position);
+  if (char === '/') {
+    let end = position + 1;
+    while (end < source.length && !DELIMITER.test(source[end])) end++;
+    const name = source.slice(position, end).replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+    return [name, end];
+  }
+
+  const number = /^[+-]?(?:\d+\.?\d*|\.\d+)/.exec(source.slice(position, position + 32));
+  if (number) {
+    const reference = /^(\d+)\s+(\d+)\s+R(?![A-Za-z])/.exec(source.slice(position, position + 32));
+    if (reference) return [{ ref: Number(reference[1]) }, position + reference[0].length];
+    return [Number(number[0]), position + number[0].length];
+  }
+
+  let end = position;
+  while (end < source.length && !DELIMITER.test(source[end])) end++;
+  if (end === position) return [null, position + 1]; // stray delimiter
+  const word = source.slice(position, end);
+  if (word === 'true') return [true, end];
+  if (word === 'false') return [false, end];
+  if (word === 'null') return [null, end];
+  return [{ op: word }, end];
+}
+
+// --- Document Structure ---
+
+function readObjects(source) {
+  const objects = new Map();
+  for (const match of source.matchAll(/(\d+)\s+\d+\s+obj\b/g)) {
+    const number = Number(match[1]);
+    let [value, position] = parseValue(source, match.index + match[0].length);
+    position = skipSpace(source, position);
+    let stream;
+    if (source.startsWith('stream', position)) {
+      let start = position + 6;
+      if (source[start] === '\r') start++;
+      if (source[start] === '\n') start++;
+      const length = typeof value?.Length === 'number' ? value.Length : -1;
+      const declaredEnd = start + length;
+      const end = length >= 0 && /^\s*endstream/.test(source.slice(declaredEnd, declaredEnd + 20))
+        ? declaredEnd
+        : source.indexOf('endstream', start);
+      stream = source.slice(start, end === -1 ? source.length : end);
+    }
+    objects.set(number, { value, stream });
+  }
+
+  // Objects packed into object streams (PDF 1.5+).
+  for (const { value, stream } of [...objects.values()]) {
+    if (value?.Type !== '/ObjStm' || stream === undefined) continue;
+    const data = decodeStream(value, stream);
+    if (data === undefined) continue;
+    const header = data.slice(0, value.First).trim().split(/\s+/).map(Number);
+    for (let index = 0; index + 1 < header.length; index += 2) {
+      if (!objects.has(header[index])) {
+        objects.set(header[index], { value: parseValue(data, value.First + header[index + 1])[0] });
+      }
+    }
+  }
+  return objects;
+}
+
+// Only FlateDecode and unfiltered streams carry text in practice.
+function decodeStream(dictionary, stream) {
+  const filters = [dictionary?.Filter ?? []].flat();
+  let data = Buffer.from(stream, 'latin1');
+  for (const filter of filters) {
+    if (filter !== '/FlateDecode' && filter !== '/Fl') return undefined;
+    try {
+      data = inflateSync(data, { maxOutputLength: MAX_STREAM_BYTES, finishFlush: zlibConstants.Z_SYNC_FLUSH });
+    } catch (error) {
+      return undefined;
+    }
+  }
+  return data.toString('latin1');
+}
+
+function resolver(objects) {
+  const resolve = (value, depth = 0) => (value && value.ref !== undefined && depth < 32 ? resolve(objects.get(value.ref)?.value, depth + 1) : value);
+  const streamOf = (value) => {
+    const entry = value?.ref !== undefined ? objects.get(value.ref) : undefined;
+    return entry?.stream === undefined ? undefined : decodeStream(entry.value, entry.stream);
+  };
+  return { resolve, streamOf };
+}
+
+// Pages in reading order, each with the resources it inherits.
+function collectPages(objects, resolve) {
+  const catalog = [...objects.values()].find(({ value }) => value?.Type === '/Catalog')?.value;
+  const pages = [];
+  const seen = new Set();
+  const walk = (node, inherited) => {
+    const dictionary = resolve(node);
+    if (!dictionary || seen.has(dictionary) || pages.length >= MAX_PAGES) return;
+    seen.add(dictionary);
+    const resources = dictionary.Resources ?? inherited;
+    if (Array.isArray(resolve(dictionary.Kids))) {
+      for (const kid of resolve(dictionary.Kids)) walk(kid, resources);
+    } else if (dictionary.Type === '/Page' || dictionary.Contents) {
+      pages.push({ page: dictionary, resources });
+    }
+  };
+  if (catalog) walk(catalog.Pages);
+  if (pages.length === 0) {
+    for (const { value } of objects.values()) {
+      if (value?.Type === '/Page' && pages.length < MAX_PAGES) pages.push({ page: value, resources: value.Resources });
+    }
+  }
+  return pages;
+}
+
+// --- Fonts ---
+
+// Glyph names that differ from the character they draw (Encoding /Differences).
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+  at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', braceleft: '{', bar: '|',
+  braceright: '}', quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', endash: '–',
+  emdash: '—', bullet: '•', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+function glyphToText(name) {
+  const glyph = name.slice(1);
+  if (glyph in GLYPH_NAMES) return GLYPH_NAMES[glyph];
+  if (/^uni[0-9A-F]{4}$/.test(glyph)) return String.fromCharCode(Number.parseInt(glyph.slice(3), 16));
+  return glyph.length === 1 ? glyph : '';
+}
+
+const utf16 = (bytes) => {
+  let text = '';
+  for (let index = 0; index + 1 < bytes.length; index += 2) text += String.fromCharCode((bytes.charCodeAt(index) << 8) | bytes.charCodeAt(index + 1));
+  return text;
+};
+const hexBytes = (hex) => Buffer.from(hex, 'hex').toString('latin1');
+const hexNumber = (hex) => Number.parseInt(hex, 16);
+
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+  for (const [, body] of cmap.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, low] of body.matchAll(/<([0-9a-fA-F]+)>\s*<[0-9a-fA-F]+>/g)) codeLength = Math.max(codeLength, low.length / 2);
+  }
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(hexNumber(source), utf16(hexBytes(target)));
+      codeLength = Math.max(codeLength, source.length / 2);
+    }
+  }
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const from = hexNumber(low);
+      const to = Math.min(hexNumber(high), from + 0xffff);
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], offset) => map.set(from + offset, utf16(hexBytes(hex))));
+      } else {
+        const base = utf16(hexBytes(target));
+        for (let code = from; code <= to; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+        }
+      }
+      codeLength = Math.max(codeLength, low.length / 2);
+    }
+  }
+  return { map, codeLength };
+}
+
+const cp1252 = new TextDecoder('windows-1252');
+
+// Turns the bytes of a shown string into text, and estimates how wide they are.
+function loadFont(font, { resolve, streamOf }) {
+  const toUnicode = streamOf(font?.ToUnicode);
+  const cmap = toUnicode ? parseToUnicode(toUnicode) : undefined;
+  const composite = font?.Subtype === '/Type0';
+  const codeLength = cmap ? cmap.codeLength : composite ? 2 : 1;
+
+  const differences = new Map();
+  const encoding = resolve(font?.Encoding);
+  if (Array.isArray(encoding?.Differences)) {
+    let code = 0;
+    for (const entry of encoding.Differences) {
+      if (typeof entry === 'number') code = entry;
+      else differences.set(code++, glyphToText(entry));
+    }
+  }
+
+  const widths = resolve(font?.Widths);
+  const firstChar = font?.FirstChar ?? 0;
+  const widthOf = (code) => (Array.isArray(widths) && typeof widths[code - firstChar] === 'number' ? widths[code - firstChar] : 500) / 1000;
+
+  return {
+    decode(bytes) {
+      let text = '';
+      let width = 0;
+      for (let index = 0; index < bytes.length; index += codeLength) {
+        let code = 0;
+        for (let offset = 0; offset < codeLength; offset++) code = code * 256 + (bytes.charCodeAt(index + offset) || 0);
+        width += composite ? 0.5 : widthOf(code);
+        if (cmap?.map.has(code)) text += cmap.map.get(code);
+        else if (differences.has(code)) text += differences.get(code);
+        // Without a ToUnicode map, composite font codes are glyph ids: nothing to read.
+        else if (!composite) text += cp1252.decode(Uint8Array.of(code));
+      }
+      return { text, width };
+    },
+  };
+}
+
+// --- Page Content ---
+
+/**
+ * Runs the text operators of one content stream and returns its lines as
+ * { x, y, size, text } in the order they were drawn.
+ */
+function readLines(content, fonts) {
+  const lines = [];
+  let line;
+  let font;
+  let fontSize = 12;
+  let leading = 0;
+  let wordSpacing = 0;
+  let lineMatrix = [1, 0, 0, 1, 0, 0];
+  let cursor = 0; // text-space advance since the line matrix was set, in points
+
+  const moveTo = (tx, ty) => {
+    const [a, b, c, d, e, f] = lineMatrix;
+    lineMatrix = [a, b, c, d, e + tx * a + ty * c, f + tx * b + ty * d];
+    cursor = 0;
+  };
+  const show = (bytes) => {
+    if (!font) return;
+    const { text, width } = font.decode(bytes);
+    const scale = Math.hypot(lineMatrix[2], lineMatrix[3]) || 1;
+    const size = fontSize * scale;
+    const x = lineMatrix[4] + cursor * scale;
+    const y = lineMatrix[5];
+    if (!line || Math.abs(line.y - y) > size * 0.4) {
+      line = { x, y, size, text: '', end: x };
+      lines.push(line);
+    } else if (x - line.end > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(text)) {
+      line.text += ' ';
+    }
+    line.text += text;
+    const advance = width * fontSize + (text.split(' ').length - 1) * wordSpacing;
+    cursor += advance;
+    line.end = Math.max(line.end, x + advance * scale);
+  };
+
+  let operands = [];
+  let position = 0;
+  while (position < content.length) {
+    const [value, next] = parseValue(content, position);
+    position = next;
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+    const number = (index) => (typeof operands[index] === 'number' ? operands[index] : 0);
+    switch (value.op) {
+      case 'BT':
+        lineMatrix = [1, 0, 0, 1, 0, 0];
+        cursor = 0;
+        break;
+      case 'Tf':
+        font = fonts(operands[0]);
+        fontSize = number(1) || fontSize;
+        break;
+      case 'Tm':
+        lineMatrix = operands.slice(0, 6).map(operand => (typeof operand === 'number' ? operand : 0));
+        cursor = 0;
+        break;
+      case 'Td':
+        moveTo(number(0), number(1));
+        break;
+      case 'TD':
+        leading = -number(1);
+        moveTo(number(0), number(1));
+        break;
+      case 'TL':
+        leading = number(0);
+        break;
+      case 'Tw':
+        wordSpacing = number(0);
+        break;
+      case 'T*':
+        moveTo(0, -leading);
+        break;
+      case 'Tj':
+        if (operands[0]?.bytes !== undefined) show(operands[0].bytes);
+        break;
+      case "'":
+        moveTo(0, -leading);
+        if (operands[0]?.bytes !== undefined) show(operands[0].bytes);
+        break;
+      case '"':
+        wordSpacing = number(0);
+        moveTo(0, -leading);
+        if (operands[2]?.bytes !== undefined) show(operands[2].bytes);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (item?.bytes !== undefined) show(item.bytes);
+          // Adjustments are in thousandths of an em; a large negative one is a space.
+          else if (typeof item === 'number') {
+            cursor -= (item / 1000) * fontSize;
+            if (item < -200 && line && !/\s$/.test(line.text)) line.text += ' ';
+          }
+        }
+        break;
+      case 'ID': {
+        // Inline image data: skip to its end marker.
+        const end = content.indexOf('EI', position);
+        position = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+  return lines;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+// Lines to paragraphs: a gap clearly wider than the usual line spacing, a jump
+// back up the page (next column) or an indented first line starts a new one.
+function groupParagraphs(lines) {
+  const visible = lines.filter(line => line.text.trim());
+  const gaps = [];
+  for (let index = 1; index < visible.length; index++) {
+    const gap = visible[index - 1].y - visible[index].y;
+    if (gap > 0 && gap < visible[index].size * 3) gaps.push(gap);
+  }
+  const lineGap = median(gaps);
+  const margin = Math.min(...visible.map(line => line.x));
+
+  const paragraphs = [];
+  let current;
+  visible.forEach((line, index) => {
+    const previous = visible[index - 1];
+    const gap = previous ? previous.y - line.y : 0;
+    const indented = previous && line.x - margin > line.size && previous.x - margin < line.size * 0.5;
+    const startsNew = !current || gap <= 0 || (lineGap > 0 ? gap > lineGap * 1.3 : gap > line.size * 1.5) || indented;
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    if (startsNew) {
+      current = { text };
+      paragraphs.push(current);
+    } else if (/\p{L}-$/u.test(current.text) && /^\p{Ll}/u.test(text)) {
+      // A word hyphenated across lines.
+      current.text = current.text.slice(0, -1) + text;
+    } else {
+      current.text += ` ${text}`;
+    }
+  });
+  // Running page numbers are layout, not text.
+  return paragraphs.filter(({ text }) => !/^(?:page\s+)?\d{1,4}(?:\s+(?:of|\/)\s+\d{1,4})?$/i.test(text));
+}
+
+export function extractPdf(data) {
+  const source = data.toString('latin1');
+  if (/\/Encrypt\s+(?:\d+\s+\d+\s+R|<<)/.test(source)) {
+    throw new UploadError('PDF is encrypted; remove the password protection and upload it again.', 422);
+  }
+
+  const objects = readObjects(source);
+  const { resolve, streamOf } = resolver(objects);
+  const pages = collectPages(objects, resolve);
+
+  const paragraphs = [];
+  pages.forEach(({ page, resources }, index) => {
+    const fontTable = resolve(resolve(resources)?.Font) || {};
+    const loaded = new Map();
+    const fonts = (name) => {
+      const key = typeof name === 'string' ? name.slice(1) : '';
+      if (!loaded.has(key)) loaded.set(key, loadFont(resolve(fontTable[key]), { resolve, streamOf }));
+      return loaded.get(key);
+    };
+    // Contents is one stream or an array of streams drawn in order.
+    const contents = resolve(page.Contents);
+    const content = (Array.isArray(contents) ? contents : [page.Contents]).map(part => streamOf(part) ?? '').join('\n');
+    for (const paragraph of groupParagraphs(readLines(content, fonts))) paragraphs.push({ ...paragraph, page: index + 1 });
+  });
+
+  if (!paragraphs.some(({ text }) => text.trim())) {
+    throw new UploadError('PDF has no extractable text (it may be a scanned image).', 422);
+  }
+  return { paragraphs, pages: pages.length };
+}
@@ -0,0 +1,122 @@
+// Rich Text Format: /lib/extract/rtf.js
+// Walks the control words, keeping body text and dropping destinations that
+// hold no running text (font and colour tables, pictures, headers, ...).
+// A field keeps its result (e.g. a hyperlink's label) but not its instruction.
+// \par ends a paragraph, \page a page.
+
+import { decodeText } from './markup.js';
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict', 'object',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'footnote', 'annotation', 'fldinst', 'themedata', 'colorschememapping', 'datastore',
+  'latentstyles', 'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr', 'revtbl', 'pgdsctbl',
+]);
+
+const SPECIAL_CHARACTERS = {
+  tab: '\t', line: '\n', emdash: '—', endash: '–', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ', qmspace: ' ', '~': ' ', '_': '-', '-': '',
+};
+
+const cp1252 = new TextDecoder('windows-1252');
+
+export function extractRtf(data) {
+  const rtf = decodeText(data);
+  const paragraphs = [];
+  let text = '';
+  let page = 1;
+  let sawBreak = false;
+  let paragraphPage = 1;
+
+  // Per group: skipping its content, and how many characters follow a \u escape.
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let hexBytes = [];
+
+  const emit = (value) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, value.length);
+      pendingSkip -= dropped;
+      value = value.slice(dropped);
+    }
+    if (!value) return;
+    if (!text) paragraphPage = page;
+    text += value;
+  };
+  const flushHex = () => {
+    if (hexBytes.length) {
+      const bytes = hexBytes;
+      hexBytes = [];
+      emit(cp1252.decode(Uint8Array.from(bytes)));
+    }
+  };
+  const endParagraph = () => {
+    if (state.skip) return;
+    paragraphs.push({ text, page: paragraphPage });
+    text = '';
+  };
+
+  const TOKEN = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|([\r\n]+)|([^\\{}\r\n]+)/g;
+  let groupStart = false;
+  for (const [, word, parameter, hex, symbol, brace, newline, plain] of rtf.matchAll(TOKEN)) {
+    if (hex) {
+      if (pendingSkip > 0) pendingSkip--;
+      else hexBytes.push(Number.parseInt(hex, 16));
+      groupStart = false;
+      continue;
+    }
+    flushHex();
+
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state };
+      groupStart = true;
+      continue;
+    }
+    if (brace === '}') {
+      state = stack.pop() || state;
+      groupStart = false;
+      continue;
+    }
+    if (newline) continue;
+
+    if (symbol) {
+      // {\* ...} marks a destination readers may ignore.
+      if (symbol === '*' && groupStart) state.skip = true;
+      else if (symbol in SPECIAL_CHARACTERS) emit(SPECIAL_CHARACTERS[symbol]);
+      else if (symbol !== '*') emit(symbol);
+      groupStart = false;
+      continue;
+    }
+
+    if (word) {
+      if (groupStart && SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+      else if (word === 'par' || word === 'sect') endParagraph();
+      else if (word === 'page') {
+        if (!state.skip) {
+          if (text) endParagraph();
+          page++;
+          sawBreak = true;
+        }
+      } else if (word === 'uc') state.unicodeSkip = Number(parameter) || 0;
+      else if (word === 'u') {
+        const code = Number(parameter);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = state.unicodeSkip;
+      } else if (word in SPECIAL_CHARACTERS) emit(SPECIAL_CHARACTERS[word]);
+      groupStart = false;
+      continue;
+    }
+
+    if (plain) {
+      emit(plain);
+      groupStart = false;
+    }
+  }
+  flushHex();
+  if (text) paragraphs.push({ text, page: paragraphPage });
+
+  return { paragraphs: sawBreak ? paragraphs : paragraphs.map(({ text: value }) => ({ text: value })), pages: sawBreak ? page : undefined };
+}
@@ -0,0 +1,141 @@
+// ZIP Archives: /lib/extract/zip.js
+// Just enough of the ZIP format to read single entries out of DOCX and ODT
+// files (the central directory, stored and deflated entries) and to write a
+// document back with some parts replaced. No ZIP64, no encryption.
+
+import { crc32, deflateRawSync, inflateRawSync } from 'node:zlib';
+import { UploadError } from '../errors.js';
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+// Guards against zip bombs: no document part we read is anywhere near this.
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+function findEndOfDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KB.
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY) return offset;
+  }
+  throw new UploadError('File is not a valid ZIP archive.');
+}
+
+/**
+ * Lists the entries of a ZIP archive.
+ * @param {Buffer} buffer
+ * @returns {Map<string, { method: number, compressedSize: number, size: number, offset: number }>}
+ */
+export function listZipEntries(buffer) {
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = new Map();
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new UploadError('File is not a valid ZIP archive.');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Reads one entry, or returns undefined if the archive does not have it.
+ * @param {Buffer} buffer
+ * @param {string} name
+ * @param {Map} [entries] from listZipEntries(), to avoid re-reading the directory
+ * @returns {Buffer | undefined}
+ */
+export function readZipEntry(buffer, name, entries = listZipEntries(buffer)) {
+  const entry = entries.get(name);
+  if (!entry) return undefined;
+  if (entry.size > MAX_ENTRY_BYTES) throw new UploadError('Document is too large once decompressed.', 413);
+  if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== LOCAL_HEADER) {
+    throw new UploadError('File is not a valid ZIP archive.');
+  }
+
+  const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new UploadError(`ZIP entry ${name} uses an unsupported compression method.`, 422);
+  try {
+    return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  } catch (error) {
+    throw new UploadError(`ZIP entry ${name} could not be decompressed.`, 422);
+  }
+}
+
+/**
+ * Builds an archive with every entry deflated, in the order given.
+ * @param {Array<[string, Buffer | string]>} files name and content pairs
+ * @returns {Buffer}
+ */
+export function writeZip(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const data = Buffer.from(content);
+    const compressed = deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    parts.push(local, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(DIRECTORY_ENTRY, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(checksum, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...directory, end]);
+}
+
+/**
+ * Rewrites an archive with some entries' content replaced, keeping the rest
+ * (and their order) as they were.
+ * @param {Buffer} buffer
+ * @param {Record<string, Buffer | string>} replacements
+ */
+export function replaceZipEntries(buffer, replacements) {
+  const entries = listZipEntries(buffer);
+  const files = [...entries.keys()].map(name => [name, name in replacements ? replacements[name] : readZipEntry(buffer, name, entries)]);
+  return writeZip(files);
+}
@@ -0,0 +1,110 @@
+// Document Fingerprints: /lib/fingerprint.js
+// Winnowing (Schleimer, Wilkerson & Aiken, 2003): hash every k-word shingle and
+// keep the smallest hash in each window of `window` consecutive shingles. Any
+// shared run of at least k + window - 1 words is guaranteed to produce a shared
+// fingerprint, while a document keeps only a fraction of its shingle hashes.
+
+import { tokenizeWords } from './text.js';
+
+export const SHINGLE_WORDS = 5;
+export const WINDOW = 4;
+
+// 32-bit FNV-1a; plenty for fingerprints that are confirmed positionally afterwards.
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.k=SHINGLE_WORDS] words per shingle
+ * @param {number} [options.window=WINDOW] shingles per winnowing window
+ * @returns {Array<[number, number]>} [hash, word index of the shingle start], in text order
+ */
+export function fingerprint(text, { k = SHINGLE_WORDS, window = WINDOW } = {}) {
+  const words = tokenizeWords(text).map(token => token.word);
+  const hashes = [];
+  for (let i = 0; i + k <= words.length; i++) hashes.push(hash(words.slice(i, i + k).join(' ')));
+  if (hashes.length === 0) return [];
+  if (hashes.length <= window) {
+    const min = hashes.reduce((best, value, index) => (value <= hashes[best] ? index : best), 0);
+    return [[hashes[min], min]];
+  }
+
+  const selected = [];
+  let last = -1;
+  for (let start = 0; start + window <= hashes.length; start++) {
+    // Rightmost minimum, so a window sliding over the same minimum selects it only once.
+    let min = start;
+    for (let i = start + 1; i < start + window; i++) if (hashes[i] <= hashes[min]) min = i;
+    if (min !== last) {
+      selected.push([hashes[min], min]);
+      last = min;
+    }
+  }
+  return selected;
+}
+
+/**
+ * Compares a submission with one stored document.
+ *
+ * @param {object} submission { text, tokens, fingerprints } (tokens from tokenizeWords)
+ * @param {object} document { text, fingerprints }
+ * @param {object} [options]
+ * @param {number} [options.k=SHINGLE_WORDS]
+ * @returns {{ coveredWords: Set<number>, passages: Array<{ submission: object, document: object }> }}
+ *   word indices of the submission found in the document, and the aligned passages
+ */
+export function alignDocument(submission, document, { k = SHINGLE_WORDS } = {}) {
+  const positions = new Map();
+  for (const [value, position] of document.fingerprints) {
+    if (!positions.has(value)) positions.set(value, []);
+    positions.get(value).push(position);
+  }
+
+  // Shared fingerprints as (submission word, document word) pairs, checked word by word
+  // so hash collisions never count.
+  const documentWords = tokenizeWords(document.text);
+  const sameShingle = (from, to) => submission.tokens.slice(from, from + k).every((token, i) => documentWords[to + i]?.word === token.word);
+  const pairs = [];
+  for (const [value, position] of submission.fingerprints) {
+    for (const other of positions.get(value) || []) {
+      if (sameShingle(position, other)) pairs.push([position, other]);
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  // Extend each pair word by word in both directions and merge what overlaps.
+  const runs = [];
+  for (const [from, to] of pairs) {
+    if (runs.some(run => from >= run.from && from < run.to && to - from === run.offset)) continue;
+    let start = from;
+    let other = to;
+    while (start > 0 && other > 0 && submission.tokens[start - 1].word === documentWords[other - 1].word) {
+      start--;
+      other--;
+    }
+    let end = from + k;
+    while (end < submission.tokens.length && documentWords[end + (to - from)]?.word === submission.tokens[end].word) end++;
+    runs.push({ from: start, to: end, offset: to - from });
+  }
+
+  const coveredWords = new Set();
+  const passages = runs.map((run) => {
+    for (let i = run.from; i < run.to; i++) coveredWords.add(i);
+    const first = submission.tokens[run.from];
+    const last = submission.tokens[run.to - 1];
+    const otherFirst = documentWords[run.from + run.offset];
+    const otherLast = documentWords[run.to - 1 + run.offset];
+    return {
+      submission: { from: first.from, to: last.to, text: submission.text.slice(first.from, last.to) },
+      document: { from: otherFirst.from, to: otherLast.to, text: document.text.slice(otherFirst.from, otherLast.to) },
+    };
+  });
+  return { coveredWords, passages };
+}
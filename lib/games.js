@@ -0,0 +1,140 @@
+// Game Sessions: /lib/games.js
+// Server-side state for the word games, so the answer never reaches the
+// browser before the game is over. The client only holds the session id.
+//
+// Games live in the "games" store, which must be shared: GAMES_STORE=redis, or
+// file on a single machine. The memory store would give every instance its own
+// games, so it is refused unless GAMES_ALLOW_MEMORY_STORE=true (tests, local dev).
+// Every save pushes the expiry back, so only abandoned games run out. Saves are
+// compare-and-set on the game's version: of two requests that load the same
+// move, only the first one saved counts and the other gets a ConflictError.
+//
+// State the client carries itself, such as a Word Scramble round, goes in a
+// sealed token instead: JSON encrypted and authenticated with AES-256-GCM under
+// a key derived from GAME_TOKEN_SECRET, so it can be neither read nor altered.
+// Without the secret each instance makes up its own key, and a token only
+// works on the instance that issued it.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, randomUUID } from 'node:crypto';
+import { ConflictError, StoreError } from './errors.js';
+import { getStore } from './stores/index.js';
+
+export const GAME_TTL_MS = 60 * 60 * 1000;
+const MAX_MEMORY_GAMES = 2000;
+
+// Request schema rule for the id handed out by createGame().
+export const SESSION_ID_RULE = {
+  type: 'string',
+  required: true,
+  pattern: /^[0-9a-f-]{36}$/i,
+  patternMessage: 'Session id is not valid.',
+  label: 'Session id',
+};
+
+const gameKey = (id) => `game:${id}`;
+
+function gameStore() {
+  const store = getStore('games', { maxEntries: MAX_MEMORY_GAMES });
+  if (store.name === 'memory' && process.env.GAMES_ALLOW_MEMORY_STORE !== 'true') {
+    throw new StoreError('Games need a shared store: set GAMES_STORE=redis (or file on a single machine).');
+  }
+  return store;
+}
+
+/** Throws the StoreError saving a game would, before any work is done for it. */
+export function checkGameStore() {
+  gameStore();
+}
+
+/**
+ * Stores a new game and gives it an id.
+ * @param {string} kind which game this is (hangman, ...); loadGame() only finds its own kind
+ * @param {object} state
+ * @returns {Promise<object>} the stored game
+ */
+export async function createGame(kind, state) {
+  const game = { id: randomUUID(), kind, ...state, createdAt: new Date().toISOString() };
+  return saveGame(game);
+}
+
+/**
+ * @returns {Promise<object | undefined>} a copy to change and pass to saveGame();
+ *   undefined when unknown, expired or another game's
+ */
+export async function loadGame(kind, id) {
+  const game = await gameStore().get(gameKey(id.toLowerCase()));
+  return game?.kind === kind ? structuredClone(game) : undefined;
+}
+
+/**
+ * Saves a game loaded with loadGame() (or a new one, without a version),
+ * unless it was saved by someone else since.
+ * @throws {ConflictError} when the stored game is no longer the one loaded
+ */
+export async function saveGame(game) {
+  const saved = { ...game, version: (game.version || 0) + 1, updatedAt: new Date().toISOString() };
+  if (!(await gameStore().compareAndSet(gameKey(game.id), game.version, saved, GAME_TTL_MS))) {
+    throw new ConflictError(`Game ${game.id} was changed by another request.`);
+  }
+  return Object.assign(game, { version: saved.version, updatedAt: saved.updatedAt });
+}
+
+/** Error response for a failed load or save; anything else is a 500 saying `message`. */
+export function sendGameError(response, error, { label, message }) {
+  if (error instanceof ConflictError) {
+    return response.status(409).json({ success: false, message: 'ERROR: Another move for this game arrived at the same time. Please try again.' });
+  }
+  if (error instanceof StoreError) {
+    console.error(`SERVER ERROR (${label}): ${error.message}`);
+    return response.status(503).json({ success: false, message: 'ERROR: Games are not available right now.' });
+  }
+  console.error(`Vercel Function Error (${label}): ${error.message}`);
+  return response.status(500).json({ success: false, message });
+}
+
+// --- Sealed Tokens ---
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+let instanceKey;
+
+function tokenKey() {
+  const secret = process.env.GAME_TOKEN_SECRET;
+  if (secret) return createHash('sha256').update(secret).digest();
+  if (!instanceKey) {
+    console.warn('SERVER WARN (Games): GAME_TOKEN_SECRET is not set; game tokens only work on this instance.');
+    instanceKey = randomBytes(32);
+  }
+  return instanceKey;
+}
+
+/**
+ * @param {object} payload anything JSON can hold
+ * @param {number} [ttlMs=GAME_TTL_MS]
+ * @returns {string} URL-safe token
+ */
+export function sealToken(payload, ttlMs = GAME_TTL_MS) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', tokenKey(), iv);
+  const body = Buffer.concat([cipher.update(JSON.stringify({ ...payload, expiresAt: Date.now() + ttlMs })), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+}
+
+/**
+ * @param {string} token from sealToken()
+ * @returns {{ payload: object } | { problem: 'invalid' | 'expired' }}
+ */
+export function openToken(token) {
+  const raw = Buffer.from(token, 'base64url');
+  if (raw.length <= IV_BYTES + TAG_BYTES) return { problem: 'invalid' };
+  let payload;
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', tokenKey(), raw.subarray(0, IV_BYTES));
+    decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    payload = JSON.parse(Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    // A wrong tag (tampered, or sealed under another key) fails final().
+    return { problem: 'invalid' };
+  }
+  if (!(payload.expiresAt > Date.now())) return { problem: 'expired' };
+  return { payload };
+}
@@ -0,0 +1,63 @@
+// Grammar Helpers: /lib/grammar.js
+// The model's from/to indices drift on long input, so every correction is
+// re-anchored by finding its `mistake` text in the original, and dropped if
+// the text isn't there.
+
+// All start positions of `needle` in `haystack`.
+function occurrences(haystack, needle) {
+  const positions = [];
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+    positions.push(index);
+  }
+  return positions;
+}
+
+/**
+ * Maps corrections reported against `chunk.text` onto the original document.
+ * Each one lands on the occurrence of its `mistake` closest to the model's
+ * `from` hint that no earlier correction has claimed.
+ *
+ * @param {Array<object>} corrections model output for one chunk
+ * @param {{ text: string, offset: number }} chunk
+ * @returns {Array<object>} corrections with absolute from/to
+ */
+export function anchorCorrections(corrections, chunk) {
+  const claimed = [];
+  const overlapsClaimed = (from, to) => claimed.some(range => from < range.to && to > range.from);
+  const anchored = [];
+
+  for (const correction of corrections) {
+    const mistake = correction?.mistake;
+    if (typeof mistake !== 'string' || mistake.length === 0) continue;
+
+    const hint = Number.isFinite(correction.from) ? correction.from : 0;
+    const candidates = occurrences(chunk.text, mistake)
+      .filter(from => !overlapsClaimed(from, from + mistake.length))
+      .sort((a, b) => Math.abs(a - hint) - Math.abs(b - hint));
+    if (candidates.length === 0) continue;
+
+    const from = candidates[0];
+    claimed.push({ from, to: from + mistake.length });
+    anchored.push({ ...correction, from: chunk.offset + from, to: chunk.offset + from + mistake.length });
+  }
+  return anchored;
+}
+
+/**
+ * Combines per-chunk analyses: clarity is averaged by chunk length and the
+ * tone that covers the most text wins.
+ *
+ * @param {Array<{ analysis: { tone: string, clarityScore: number }, length: number }>} parts
+ */
+export function mergeAnalyses(parts) {
+  const totalLength = parts.reduce((sum, part) => sum + part.length, 0) || 1;
+  const clarityScore = Math.round(parts.reduce((sum, part) => sum + part.analysis.clarityScore * part.length, 0) / totalLength);
+
+  const toneWeights = new Map();
+  for (const part of parts) {
+    toneWeights.set(part.analysis.tone, (toneWeights.get(part.analysis.tone) || 0) + part.length);
+  }
+  const [tone] = [...toneWeights.entries()].sort((a, b) => b[1] - a[1])[0];
+
+  return { tone, clarityScore };
+}
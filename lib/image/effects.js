@@ -0,0 +1,276 @@
+// Image Effects: /lib/image/effects.js
+// The finishing steps for a cut-out: resizing, feathered edges, cropping to
+// the subject, a drop shadow and a replacement background. Every function
+// takes and returns an RGBA image ({ width, height, data }); none mutate
+// their input.
+
+import { UploadError } from '../errors.js';
+import { DEFAULT_MAX_PIXELS } from './limits.js';
+
+// Every new canvas goes through here, so no option (padding, a background
+// image) can make one larger than a decoder would accept.
+function blank(width, height) {
+  if (width * height > DEFAULT_MAX_PIXELS) {
+    throw new UploadError(`The result would be too large (${width}×${height}; the limit is ${DEFAULT_MAX_PIXELS / 1e6} megapixels).`, 413);
+  }
+  return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+/** '#rrggbb', '#rrggbbaa' (with or without '#') or 'transparent' as [r, g, b, a]. */
+export function parseColor(value) {
+  if (/^transparent$/i.test(value)) return [0, 0, 0, 0];
+  const hex = value.replace(/^#/, '');
+  if (!/^[0-9a-f]{6}(?:[0-9a-f]{2})?$/i.test(hex)) return undefined;
+  const channels = hex.match(/../g).map(pair => Number.parseInt(pair, 16));
+  return channels.length === 3 ? [...channels, 255] : channels;
+}
+
+// Contributions of source pixels to each output pixel along one axis: a
+// triangle filter as wide as the scale, so downscaling averages and upscaling
+// interpolates.
+function resamplingWeights(sourceSize, targetSize) {
+  const scale = sourceSize / targetSize;
+  const support = Math.max(1, scale);
+  return Array.from({ length: targetSize }, (_, index) => {
+    const center = (index + 0.5) * scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(sourceSize, Math.ceil(center + support));
+    const weights = new Float32Array(end - start);
+    let total = 0;
+    for (let source = start; source < end; source++) {
+      const weight = Math.max(0, 1 - Math.abs(source + 0.5 - center) / support);
+      weights[source - start] = weight;
+      total += weight;
+    }
+    if (total === 0) {
+      const nearest = Math.min(sourceSize - 1, Math.floor(center));
+      return { start: nearest, weights: new Float32Array([1]) };
+    }
+    return { start, weights: weights.map(weight => weight / total) };
+  });
+}
+
+/**
+ * Resamples with premultiplied alpha, so transparent pixels never bleed their
+ * colour. Works a row at a time, so a 40 MP photo needs no full-size scratch copy.
+ */
+export function resizeImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const { width: sourceWidth, height: sourceHeight, data } = image;
+  const columns = resamplingWeights(sourceWidth, width);
+  const rows = resamplingWeights(sourceHeight, height);
+
+  // A source row scaled to the new width, premultiplied.
+  const resampleRow = (y) => {
+    const row = new Float32Array(width * 4);
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = columns[x];
+      for (let tap = 0; tap < weights.length; tap++) {
+        const source = (y * sourceWidth + start + tap) * 4;
+        const weight = weights[tap];
+        const colorWeight = (weight * data[source + 3]) / 255;
+        row[x * 4] += data[source] * colorWeight;
+        row[x * 4 + 1] += data[source + 1] * colorWeight;
+        row[x * 4 + 2] += data[source + 2] * colorWeight;
+        row[x * 4 + 3] += data[source + 3] * weight;
+      }
+    }
+    return row;
+  };
+
+  // Output rows move down the source, so rows above the current window are dropped.
+  const resampled = new Map();
+  const output = blank(width, height);
+  const sum = new Float32Array(4);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = rows[y];
+    for (const sourceRow of resampled.keys()) {
+      if (sourceRow < start) resampled.delete(sourceRow);
+    }
+    const sources = Array.from(weights, (_, tap) => {
+      if (!resampled.has(start + tap)) resampled.set(start + tap, resampleRow(start + tap));
+      return resampled.get(start + tap);
+    });
+    for (let x = 0; x < width; x++) {
+      sum.fill(0);
+      for (let tap = 0; tap < weights.length; tap++) {
+        for (let c = 0; c < 4; c++) sum[c] += sources[tap][x * 4 + c] * weights[tap];
+      }
+      const target = (y * width + x) * 4;
+      const alpha = sum[3];
+      output.data[target + 3] = alpha;
+      if (alpha > 0) {
+        output.data[target] = (sum[0] * 255) / alpha;
+        output.data[target + 1] = (sum[1] * 255) / alpha;
+        output.data[target + 2] = (sum[2] * 255) / alpha;
+      }
+    }
+  }
+  return output;
+}
+
+/** Scales down (never up) so neither side exceeds `maxSize`. */
+export function fitWithin(image, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  if (scale === 1) return image;
+  return resizeImage(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+}
+
+/**
+ * Multiplies the alpha channel by `mask` (0-255 per pixel). Where the mask is
+ * partial and the background colour is known (`matte`), that colour is taken
+ * back out of the pixel so edges do not keep a fringe of the old backdrop.
+ */
+export function applyMask(image, mask, { matte } = {}) {
+  const output = { ...image, data: new Uint8ClampedArray(image.data) };
+  const { data } = output;
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    const keep = mask[pixel] / 255;
+    const index = pixel * 4;
+    if (matte && keep > 0 && keep < 1) {
+      for (let c = 0; c < 3; c++) data[index + c] = (data[index + c] - (1 - keep) * matte[c]) / keep;
+    }
+    data[index + 3] *= keep;
+  }
+  return output;
+}
+
+// Separable box blur of one channel, in place, `passes` times (three passes look Gaussian).
+function boxBlur(values, width, height, radius, passes = 3) {
+  if (radius < 1) return values;
+  const line = new Float32Array(Math.max(width, height));
+  for (let pass = 0; pass < passes; pass++) {
+    for (const [length, count, step, stride] of [[width, height, 1, width], [height, width, width, 1]]) {
+      for (let lineIndex = 0; lineIndex < count; lineIndex++) {
+        const base = lineIndex * stride;
+        for (let i = 0; i < length; i++) line[i] = values[base + i * step];
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) sum += line[Math.min(length - 1, Math.max(0, i))];
+        for (let i = 0; i < length; i++) {
+          values[base + i * step] = sum / (radius * 2 + 1);
+          sum += line[Math.min(length - 1, i + radius + 1)] - line[Math.max(0, i - radius)];
+        }
+      }
+    }
+  }
+  return values;
+}
+
+/** Softens the cut-out's edge over roughly `radius` pixels, only ever inwards (no halo). */
+export function featherEdges(image, radius) {
+  if (radius < 1) return image;
+  const { width, height, data } = image;
+  const alpha = new Float32Array(width * height);
+  for (let pixel = 0; pixel < alpha.length; pixel++) alpha[pixel] = data[pixel * 4 + 3];
+  boxBlur(alpha, width, height, Math.max(1, Math.round(radius / 2)));
+  const output = { width, height, data: new Uint8ClampedArray(data) };
+  for (let pixel = 0; pixel < alpha.length; pixel++) {
+    // Blurring spreads alpha both ways; only the inward half is kept.
+    output.data[pixel * 4 + 3] = Math.min(data[pixel * 4 + 3], Math.max(0, alpha[pixel] * 2 - 255));
+  }
+  return output;
+}
+
+/** The subject's bounding box ({ x, y, width, height }), or undefined when the image is empty. */
+export function subjectBounds({ width, height, data }, threshold = 16) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] < threshold) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      bottom = y;
+    }
+  }
+  return right < 0 ? undefined : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/** Crops to the subject plus `padding` transparent pixels on every side. */
+export function cropToSubject(image, padding = 0) {
+  const bounds = subjectBounds(image);
+  if (!bounds) return image;
+  const output = blank(bounds.width + padding * 2, bounds.height + padding * 2);
+  for (let y = 0; y < bounds.height; y++) {
+    const source = ((bounds.y + y) * image.width + bounds.x) * 4;
+    output.data.set(image.data.subarray(source, source + bounds.width * 4), ((y + padding) * output.width + padding) * 4);
+  }
+  return output;
+}
+
+// `top` over `bottom`, both straight (not premultiplied) RGBA at the same index.
+function blendOver(top, topIndex, bottom, bottomIndex, target, targetIndex) {
+  const topAlpha = top[topIndex + 3] / 255;
+  const bottomAlpha = bottom[bottomIndex + 3] / 255;
+  const alpha = topAlpha + bottomAlpha * (1 - topAlpha);
+  if (alpha === 0) {
+    target[targetIndex] = target[targetIndex + 1] = target[targetIndex + 2] = target[targetIndex + 3] = 0;
+    return;
+  }
+  for (let c = 0; c < 3; c++) {
+    target[targetIndex + c] = (top[topIndex + c] * topAlpha + bottom[bottomIndex + c] * bottomAlpha * (1 - topAlpha)) / alpha;
+  }
+  target[targetIndex + 3] = alpha * 255;
+}
+
+/** How far a shadow reaches past the subject, for padding a tight crop. */
+export const shadowReach = (image) => {
+  const blur = Math.max(2, Math.round(Math.max(image.width, image.height) * 0.02));
+  return { blur, offset: blur, margin: blur * 3 };
+};
+
+/** A soft drop shadow below and to the right of the subject. */
+export function addShadow(image, { opacity = 0.45 } = {}) {
+  const { width, height, data } = image;
+  const { blur, offset } = shadowReach(image);
+  const shadow = new Float32Array(width * height);
+  for (let y = offset; y < height; y++) {
+    for (let x = Math.round(offset / 2); x < width; x++) {
+      shadow[y * width + x] = data[((y - offset) * width + x - Math.round(offset / 2)) * 4 + 3];
+    }
+  }
+  boxBlur(shadow, width, height, blur);
+
+  const shadowPixels = new Uint8ClampedArray(4);
+  const output = blank(width, height);
+  for (let pixel = 0; pixel < shadow.length; pixel++) {
+    shadowPixels[3] = shadow[pixel] * opacity;
+    blendOver(data, pixel * 4, shadowPixels, 0, output.data, pixel * 4);
+  }
+  return output;
+}
+
+/**
+ * Puts the cut-out on a background: a colour ([r, g, b, a]), an image scaled
+ * to cover the whole canvas (centred, the overflow cropped), or both (the
+ * colour shows through wherever the background image is transparent).
+ */
+export function replaceBackground(image, { color, backgroundImage } = {}) {
+  const { width, height } = image;
+  let background = blank(width, height);
+  if (color) {
+    for (let index = 0; index < background.data.length; index += 4) background.data.set(color, index);
+  }
+  if (backgroundImage) {
+    const scale = Math.max(width / backgroundImage.width, height / backgroundImage.height);
+    const scaled = resizeImage(backgroundImage, Math.max(width, Math.round(backgroundImage.width * scale)), Math.max(height, Math.round(backgroundImage.height * scale)));
+    const left = Math.floor((scaled.width - width) / 2);
+    const top = Math.floor((scaled.height - height) / 2);
+    const layered = blank(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        blendOver(scaled.data, ((y + top) * scaled.width + x + left) * 4, background.data, (y * width + x) * 4, layered.data, (y * width + x) * 4);
+      }
+    }
+    background = layered;
+  }
+
+  const output = blank(width, height);
+  for (let index = 0; index < output.data.length; index += 4) {
+    blendOver(image.data, index, background.data, index, output.data, index);
+  }
+  return output;
+}
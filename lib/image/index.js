@@ -0,0 +1,150 @@
+// Images: /lib/image/index.js
+// Format detection by magic bytes, decoding to upright RGBA and encoding.
+// Images are { width, height, data } with `data` as RGBA bytes, row by row.
+//
+//   png   decode + encode (lib/image/png.js)
+//   jpeg  decode + encode (lib/image/jpeg.js)
+//   webp  encode, lossless (lib/image/webp.js)
+
+import { UploadError } from '../errors.js';
+import { PNG_SIGNATURE, decodePng, encodePng } from './png.js';
+import { decodeJpeg, encodeJpeg } from './jpeg.js';
+import { encodeWebp } from './webp.js';
+
+export const IMAGE_FORMATS = {
+  png: { contentType: 'image/png', extension: 'png', decode: decodePng, encode: encodePng },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', decode: decodeJpeg, encode: encodeJpeg },
+  webp: { contentType: 'image/webp', extension: 'webp', encode: encodeWebp },
+  gif: { contentType: 'image/gif', extension: 'gif' },
+  heic: { contentType: 'image/heic', extension: 'heic' },
+  avif: { contentType: 'image/avif', extension: 'avif' },
+};
+
+// What cut-outs can be saved as: the encoders that keep transparency.
+export const OUTPUT_FORMATS = ['png', 'webp'];
+
+/** The format named by the file's first bytes, or undefined. */
+export function detectImageFormat(data) {
+  if (data.length >= 8 && data.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (/^GIF8[79]a/.test(data.toString('latin1', 0, 6))) return 'gif';
+  // ISO base media files: the major brand after "ftyp" says which.
+  if (data.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = data.toString('latin1', 8, 12);
+    if (/^(heic|heix|hevc|hevx|heim|heis|mif1|msf1)$/.test(brand)) return 'heic';
+    if (/^(avif|avis)$/.test(brand)) return 'avif';
+  }
+  return undefined;
+}
+
+// Width and height from the SOF segment, skipping everything before it.
+function jpegSize(data) {
+  let offset = 2;
+  while (offset + 9 <= data.length) {
+    if (data[offset] !== 0xff) return undefined;
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    if (marker === 0xda || marker === 0xd9) return undefined;
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return undefined;
+}
+
+// Width and height from the first chunk: VP8 (lossy), VP8L (lossless) or VP8X (extended).
+function webpSize(data) {
+  const chunk = data.toString('latin1', 12, 16);
+  if (chunk === 'VP8X' && data.length >= 30) return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  if (chunk === 'VP8L' && data.length >= 25) {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8 ' && data.length >= 30) return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  return undefined;
+}
+
+/**
+ * Format and pixel size from the file's first bytes, without decoding it.
+ * @param {Buffer} data
+ * @returns {{ format?: string, width?: number, height?: number }} no size for
+ *   HEIC and AVIF, or when the header is cut short or damaged
+ */
+export function inspectImage(data) {
+  const format = detectImageFormat(data);
+  let size;
+  if (format === 'png' && data.length >= 24 && data.toString('latin1', 12, 16) === 'IHDR') {
+    size = { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  } else if (format === 'jpeg') {
+    size = jpegSize(data);
+  } else if (format === 'webp') {
+    size = webpSize(data);
+  } else if (format === 'gif' && data.length >= 10) {
+    size = { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  return size?.width && size?.height ? { format, ...size } : { format };
+}
+
+// Turns an image upright per its EXIF orientation (1-8).
+export function orientImage(image, orientation) {
+  if (!orientation || orientation === 1) return image;
+  const { width, height, data } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const output = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let targetX;
+      let targetY;
+      switch (orientation) {
+        case 2: targetX = width - 1 - x; targetY = y; break;
+        case 3: targetX = width - 1 - x; targetY = height - 1 - y; break;
+        case 4: targetX = x; targetY = height - 1 - y; break;
+        case 5: targetX = y; targetY = x; break;
+        case 6: targetX = height - 1 - y; targetY = x; break;
+        case 7: targetX = height - 1 - y; targetY = width - 1 - x; break;
+        default: targetX = y; targetY = width - 1 - x; break; // 8
+      }
+      const source = (y * width + x) * 4;
+      const target = (targetY * outWidth + targetX) * 4;
+      output[target] = data[source];
+      output[target + 1] = data[source + 1];
+      output[target + 2] = data[source + 2];
+      output[target + 3] = data[source + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data: output };
+}
+
+/**
+ * @param {Buffer} data
+ * @param {object} [options]
+ * @param {number} [options.maxPixels] refuse larger images (413) before decoding them
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, format: string }}
+ */
+export function decodeImage(data, { maxPixels } = {}) {
+  const format = detectImageFormat(data);
+  const decode = format && IMAGE_FORMATS[format].decode;
+  if (!decode) {
+    const readable = Object.keys(IMAGE_FORMATS).filter(name => IMAGE_FORMATS[name].decode).map(name => name.toUpperCase());
+    throw new UploadError(`${format ? `${format.toUpperCase()} images` : 'This file type'} cannot be processed here; use ${readable.join(' or ')}.`, 415);
+  }
+  const { orientation, ...image } = decode(data, { maxPixels });
+  return { ...orientImage(image, orientation), format };
+}
+
+/**
+ * @param {object} image RGBA
+ * @param {string} format a key of IMAGE_FORMATS with an encoder
+ * @param {object} [options] passed to the encoder (e.g. { quality } for JPEG)
+ * @returns {Buffer}
+ */
+export function encodeImage(image, format, options) {
+  return IMAGE_FORMATS[format].encode(image, options);
+}
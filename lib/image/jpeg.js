@@ -0,0 +1,724 @@
+// JPEG Codec: /lib/image/jpeg.js
+// Decodes baseline and progressive Huffman JPEG (what cameras, phones and the
+// web produce) to 8-bit RGBA. Greyscale, YCbCr, RGB and Adobe CMYK/YCCK are
+// understood. Arithmetic-coded and lossless JPEGs are refused. The EXIF
+// orientation is returned so the caller can turn the picture upright.
+//
+// Encodes baseline 4:2:0 JPEG, which is how a large photo is passed on after
+// it has been scaled down (PNG would be several times bigger).
+
+import { UploadError } from '../errors.js';
+import { DEFAULT_MAX_PIXELS } from './limits.js';
+
+// Position in the 8×8 block of the k-th coefficient in zig-zag order.
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+]);
+
+// IDCT basis: COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1) u π / 16).
+const COSINES = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COSINES[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+const corrupt = (detail) => new UploadError(`JPEG image is damaged (${detail}).`, 422);
+
+// Canonical Huffman table from the DHT counts and symbols (ITU T.81 annex C).
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = index - code;
+    code += counts[length - 1];
+    index += counts[length - 1];
+    if (counts[length - 1] > 0) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valueOffset, symbols };
+}
+
+// Orientation tag (1-8) from an APP1 Exif segment, or 1.
+function readExifOrientation(segment) {
+  if (segment.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+  const tiff = segment.subarray(6);
+  if (tiff.length < 8) return 1;
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const directory = u32(4);
+  if (directory + 2 > tiff.length) return 1;
+  const entries = u16(directory);
+  for (let entry = 0; entry < entries; entry++) {
+    const offset = directory + 2 + entry * 12;
+    if (offset + 12 > tiff.length) break;
+    if (u16(offset) === 0x0112) {
+      const orientation = u16(offset + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+// Reads Huffman-coded bits from entropy-coded data, undoing 0xFF00 byte stuffing.
+// A marker inside the data ends it: from there on only zero bits are read.
+function createBitReader(data, start) {
+  const reader = {
+    offset: start,
+    buffer: 0,
+    count: 0,
+    reset() {
+      this.buffer = 0;
+      this.count = 0;
+    },
+    bit() {
+      if (this.count === 0) {
+        let byte = data[this.offset];
+        if (this.offset >= data.length) {
+          byte = 0;
+        } else if (byte === 0xff) {
+          const next = data[this.offset + 1];
+          if (next === 0) this.offset += 2;
+          else byte = 0; // a marker: stay in front of it
+        } else {
+          this.offset++;
+        }
+        this.buffer = byte;
+        this.count = 8;
+      }
+      this.count--;
+      return (this.buffer >> this.count) & 1;
+    },
+    bits(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+      return value;
+    },
+    // A `length`-bit magnitude category value as a signed number (T.81 F.2.2.1).
+    extend(length) {
+      if (length === 0) return 0;
+      const value = this.bits(length);
+      return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    },
+    decode(table) {
+      let code = this.bit();
+      let length = 1;
+      while (code > table.maxCode[length]) {
+        code = (code << 1) | this.bit();
+        length++;
+        if (length > 16) throw corrupt('bad Huffman code');
+      }
+      return table.symbols[code + table.valueOffset[length]];
+    },
+  };
+  return reader;
+}
+
+// One scan: decodes coefficients for the listed components into their blocks.
+function decodeScan(data, start, frame, scan, restartInterval) {
+  const { components, spectralStart, spectralEnd, approximationHigh, approximationLow } = scan;
+  const reader = createBitReader(data, start);
+  const progressive = frame.progressive;
+  let endOfBandRun = 0;
+
+  const decodeBaseline = (component, block) => {
+    const symbol = reader.decode(component.dcTable);
+    component.prediction += reader.extend(symbol);
+    block[0] = component.prediction;
+    for (let k = 1; k < 64;) {
+      const value = reader.decode(component.acTable);
+      const size = value & 15;
+      const run = value >> 4;
+      if (size === 0) {
+        if (run < 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      block[ZIGZAG[k]] = reader.extend(size);
+      k++;
+    }
+  };
+
+  const decodeDcFirst = (component, block) => {
+    const symbol = reader.decode(component.dcTable);
+    component.prediction += reader.extend(symbol);
+    block[0] = component.prediction * (1 << approximationLow);
+  };
+
+  const decodeDcRefine = (component, block) => {
+    if (reader.bit()) block[0] |= 1 << approximationLow;
+  };
+
+  const decodeAcFirst = (component, block) => {
+    if (endOfBandRun > 0) {
+      endOfBandRun--;
+      return;
+    }
+    for (let k = spectralStart; k <= spectralEnd;) {
+      const value = reader.decode(component.acTable);
+      const size = value & 15;
+      const run = value >> 4;
+      if (size === 0) {
+        if (run < 15) {
+          endOfBandRun = (1 << run) - 1 + (run ? reader.bits(run) : 0);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      block[ZIGZAG[k]] = reader.extend(size) * (1 << approximationLow);
+      k++;
+    }
+  };
+
+  // Successive approximation of AC coefficients, as libjpeg's decode_mcu_AC_refine.
+  const decodeAcRefine = (component, block) => {
+    const positive = 1 << approximationLow;
+    const negative = -1 << approximationLow;
+    const refine = (position) => {
+      if (reader.bit() && (block[position] & positive) === 0) block[position] += block[position] >= 0 ? positive : negative;
+    };
+    let k = spectralStart;
+    if (endOfBandRun === 0) {
+      for (; k <= spectralEnd; k++) {
+        const value = reader.decode(component.acTable);
+        let run = value >> 4;
+        let coefficient = 0;
+        if (value & 15) {
+          coefficient = reader.bit() ? positive : negative;
+        } else if (run !== 15) {
+          endOfBandRun = (1 << run) + (run ? reader.bits(run) : 0);
+          break;
+        }
+        while (k <= spectralEnd) {
+          const position = ZIGZAG[k];
+          if (block[position] !== 0) refine(position);
+          else if (--run < 0) break;
+          k++;
+        }
+        if (coefficient && k <= 63) block[ZIGZAG[k]] = coefficient;
+      }
+    }
+    if (endOfBandRun > 0) {
+      for (; k <= spectralEnd; k++) {
+        if (block[ZIGZAG[k]] !== 0) refine(ZIGZAG[k]);
+      }
+      endOfBandRun--;
+    }
+  };
+
+  let decodeBlock = decodeBaseline;
+  if (progressive) {
+    if (spectralStart === 0) decodeBlock = approximationHigh === 0 ? decodeDcFirst : decodeDcRefine;
+    else decodeBlock = approximationHigh === 0 ? decodeAcFirst : decodeAcRefine;
+  }
+
+  const blockAt = (component, row, column) => {
+    const offset = (row * component.blocksPerLineForMcu + column) * 64;
+    return component.coefficients.subarray(offset, offset + 64);
+  };
+
+  // A single-component scan walks that component's own blocks; an interleaved
+  // one walks MCUs holding h×v blocks of each component.
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (let unit = 0; unit < total; unit++) {
+    if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+      // Skip to the RSTn marker and start over.
+      reader.reset();
+      let offset = reader.offset;
+      while (offset + 1 < data.length && !(data[offset] === 0xff && data[offset + 1] >= 0xd0 && data[offset + 1] <= 0xd7)) offset++;
+      reader.offset = offset + 2;
+      for (const component of components) component.prediction = 0;
+      endOfBandRun = 0;
+    }
+    if (single) {
+      const component = components[0];
+      const row = Math.floor(unit / component.blocksPerLine);
+      const column = unit % component.blocksPerLine;
+      decodeBlock(component, blockAt(component, row, column));
+    } else {
+      const mcuRow = Math.floor(unit / frame.mcusPerLine);
+      const mcuColumn = unit % frame.mcusPerLine;
+      for (const component of components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, blockAt(component, mcuRow * component.v + v, mcuColumn * component.h + h));
+          }
+        }
+      }
+    }
+  }
+
+  // The scan ends at the next marker that is not a restart.
+  let offset = reader.offset;
+  while (offset + 1 < data.length && !(data[offset] === 0xff && data[offset + 1] !== 0 && data[offset + 1] !== 0xff && (data[offset + 1] < 0xd0 || data[offset + 1] > 0xd7))) offset++;
+  return offset;
+}
+
+// Dequantizes and inverse-transforms every block of a component into 8-bit samples.
+function buildSamples(component) {
+  const width = component.blocksPerLineForMcu * 8;
+  const height = component.blocksPerColumnForMcu * 8;
+  const samples = new Uint8ClampedArray(width * height);
+  const table = component.quantizationTable;
+  const block = new Float32Array(64);
+  const temporary = new Float32Array(64);
+  for (let row = 0; row < component.blocksPerColumnForMcu; row++) {
+    for (let column = 0; column < component.blocksPerLineForMcu; column++) {
+      const offset = (row * component.blocksPerLineForMcu + column) * 64;
+      for (let i = 0; i < 64; i++) block[i] = component.coefficients[offset + i] * table[i];
+      // Rows, then columns; rows that are all zero after the DC term are a constant.
+      for (let v = 0; v < 8; v++) {
+        let empty = true;
+        for (let u = 1; u < 8; u++) if (block[v * 8 + u] !== 0) { empty = false; break; }
+        for (let x = 0; x < 8; x++) {
+          if (empty) {
+            temporary[v * 8 + x] = block[v * 8] * COSINES[0];
+            continue;
+          }
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += COSINES[x * 8 + u] * block[v * 8 + u];
+          temporary[v * 8 + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += COSINES[y * 8 + v] * temporary[v * 8 + x];
+          samples[(row * 8 + y) * width + column * 8 + x] = Math.round(sum + 128);
+        }
+      }
+    }
+  }
+  return { samples, width };
+}
+
+/**
+ * @param {Buffer} data
+ * @param {object} [options]
+ * @param {number} [options.maxPixels] refuse larger images (413) before decoding them
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, orientation: number }} RGBA
+ */
+export function decodeJpeg(data, { maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) throw new UploadError('File is not a JPEG image.', 415);
+
+  const quantizationTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame;
+  let restartInterval = 0;
+  let orientation = 1;
+  let adobeTransform;
+  let offset = 2;
+
+  while (offset < data.length) {
+    if (data[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = data[offset + 1];
+    offset += 2;
+    if (marker === 0xff || marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      if (marker === 0xff) offset--;
+      continue;
+    }
+    if (marker === 0xd9) break; // EOI
+    if (offset + 2 > data.length) throw corrupt('truncated marker');
+    const length = data.readUInt16BE(offset);
+    if (length < 2) throw corrupt('bad segment length');
+    const segment = data.subarray(offset + 2, offset + length);
+    if (segment.length < length - 2) throw corrupt('truncated segment');
+    // Every field read below must lie inside the segment.
+    const need = (bytes) => {
+      if (bytes > segment.length) throw corrupt('truncated segment');
+    };
+
+    if (marker === 0xe1) {
+      orientation = readExifOrientation(segment);
+    } else if (marker === 0xee && segment.toString('latin1', 0, 5) === 'Adobe') {
+      adobeTransform = segment[11];
+    } else if (marker === 0xdb) {
+      for (let position = 0; position < segment.length;) {
+        const precision = segment[position] >> 4;
+        const id = segment[position] & 15;
+        need(position + 1 + 64 * (precision ? 2 : 1));
+        if (id > 3) throw corrupt('bad quantization table id');
+        const table = new Uint16Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? segment.readUInt16BE(position + 1 + k * 2) : segment[position + 1 + k];
+        }
+        quantizationTables[id] = table;
+        position += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xc4) {
+      for (let position = 0; position < segment.length;) {
+        const tableClass = segment[position] >> 4;
+        const id = segment[position] & 15;
+        need(position + 17);
+        const counts = segment.subarray(position + 1, position + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        need(position + 17 + total);
+        if (id > 3 || tableClass > 1) throw corrupt('bad Huffman table id');
+        const table = buildHuffmanTable(counts, segment.subarray(position + 17, position + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        position += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      need(2);
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      need(6);
+      if (frame) throw corrupt('second frame');
+      const height = segment.readUInt16BE(1);
+      const width = segment.readUInt16BE(3);
+      if (segment[0] !== 8) throw new UploadError(`${segment[0]}-bit JPEG images are not supported.`, 415);
+      if (!width || !height) throw corrupt('no dimensions');
+      if (width * height > maxPixels) {
+        throw new UploadError(`Image is too large (${width}×${height}; the limit is ${Math.round(maxPixels / 1e6)} megapixels).`, 413);
+      }
+      if (segment[5] < 1 || segment[5] > 4) throw corrupt('bad component count');
+      need(6 + segment[5] * 3);
+      const components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        const base = 6 + i * 3;
+        components.push({ id: segment[base], h: segment[base + 1] >> 4, v: segment[base + 1] & 15, table: segment[base + 2] });
+      }
+      if (components.some(component => !component.h || !component.v || component.h > 4 || component.v > 4)) throw corrupt('bad sampling factors');
+      const maxH = Math.max(...components.map(component => component.h));
+      const maxV = Math.max(...components.map(component => component.v));
+      const mcusPerLine = Math.ceil(width / (8 * maxH));
+      const mcusPerColumn = Math.ceil(height / (8 * maxV));
+      for (const component of components) {
+        component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+        component.blocksPerLineForMcu = mcusPerLine * component.h;
+        component.blocksPerColumnForMcu = mcusPerColumn * component.v;
+        component.coefficients = new Int16Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+      }
+      frame = { width, height, progressive: marker === 0xc2, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new UploadError('Lossless, hierarchical and arithmetic-coded JPEG images are not supported.', 415);
+    } else if (marker === 0xda) {
+      if (!frame) throw corrupt('scan before frame');
+      need(1);
+      if (segment[0] < 1 || segment[0] > frame.components.length) throw corrupt('bad scan component count');
+      need(4 + segment[0] * 2);
+      const components = [];
+      for (let i = 0; i < segment[0]; i++) {
+        const component = frame.components.find(candidate => candidate.id === segment[1 + i * 2]);
+        if (!component) throw corrupt('unknown component');
+        component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+        component.acTable = acTables[segment[2 + i * 2] & 15];
+        component.prediction = 0;
+        components.push(component);
+      }
+      const parameters = 1 + segment[0] * 2;
+      const scan = {
+        components,
+        spectralStart: segment[parameters],
+        spectralEnd: segment[parameters + 1],
+        approximationHigh: segment[parameters + 2] >> 4,
+        approximationLow: segment[parameters + 2] & 15,
+      };
+      if (scan.spectralStart > scan.spectralEnd || scan.spectralEnd > 63 || scan.approximationLow > 13) throw corrupt('bad spectral selection');
+      const needsDc = !frame.progressive || scan.spectralStart === 0;
+      const needsAc = !frame.progressive || scan.spectralStart > 0;
+      if (components.some(component => (needsDc && scan.approximationHigh === 0 && !component.dcTable) || (needsAc && !component.acTable))) {
+        throw corrupt('missing Huffman table');
+      }
+      offset = decodeScan(data, offset + length, frame, scan, restartInterval);
+      continue;
+    }
+    offset += length;
+  }
+
+  if (!frame) throw corrupt('no frame');
+  const { width, height, components, maxH, maxV } = frame;
+  for (const component of components) {
+    component.quantizationTable = quantizationTables[component.table];
+    if (!component.quantizationTable) throw corrupt('missing quantization table');
+  }
+  const planes = components.map((component) => {
+    const { samples, width: planeWidth } = buildSamples(component);
+    const stepX = component.h / maxH;
+    const stepY = component.v / maxV;
+    return { samples, planeWidth, stepX, stepY };
+  });
+
+  // RGB when the Adobe marker says so or the component ids spell it out.
+  const rgb = components.length === 3 && (adobeTransform === 0 || components.map(component => component.id).join() === '82,71,66');
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const values = new Float32Array(components.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < planes.length; c++) {
+        const { samples, planeWidth, stepX, stepY } = planes[c];
+        values[c] = samples[Math.floor(y * stepY) * planeWidth + Math.floor(x * stepX)];
+      }
+      const target = (y * width + x) * 4;
+      if (components.length === 1) {
+        pixels[target] = pixels[target + 1] = pixels[target + 2] = values[0];
+      } else if (rgb) {
+        pixels[target] = values[0];
+        pixels[target + 1] = values[1];
+        pixels[target + 2] = values[2];
+      } else {
+        let red = values[0];
+        let green = values[1];
+        let blue = values[2];
+        if (components.length === 3 || adobeTransform === 2) {
+          // YCbCr (or the YCC part of YCCK) to RGB.
+          red = values[0] + 1.402 * (values[2] - 128);
+          green = values[0] - 0.344136 * (values[1] - 128) - 0.714136 * (values[2] - 128);
+          blue = values[0] + 1.772 * (values[1] - 128);
+        }
+        if (components.length === 4) {
+          // Adobe writes CMYK inverted (a stored value is 255 - ink); YCCK holds the
+          // CMY inks themselves, as libjpeg's ycck_cmyk_convert undoes.
+          const clamp = (value) => Math.min(255, Math.max(0, value));
+          const [cyan, magenta, yellow] = adobeTransform === 2 ? [255 - clamp(red), 255 - clamp(green), 255 - clamp(blue)] : [red, green, blue];
+          red = (cyan * values[3]) / 255;
+          green = (magenta * values[3]) / 255;
+          blue = (yellow * values[3]) / 255;
+        }
+        pixels[target] = red;
+        pixels[target + 1] = green;
+        pixels[target + 2] = blue;
+      }
+      pixels[target + 3] = 255;
+    }
+  }
+
+  return { width, height, data: pixels, orientation };
+}
+
+// --- Encoding ---
+
+// Example tables from the standard (ITU T.81 annex K), as libjpeg writes them.
+const LUMA_QUANTIZATION = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+];
+const CHROMA_QUANTIZATION = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99),
+];
+const DC_SYMBOLS = Buffer.from('000102030405060708090a0b', 'hex');
+const HUFFMAN_SPECS = {
+  lumaDc: { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: DC_SYMBOLS },
+  chromaDc: { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: DC_SYMBOLS },
+  lumaAc: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 125],
+    symbols: Buffer.from(
+      '01020300041105122131410613516107227114328191a1082342b1c11552d1f02433627282090a161718191a25262728292a3435363738393a434445464748494a535455565758595a636465666768696a737475767778797a838485868788898a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3c4c5c6c7c8c9cad2d3d4d5d6d7d8d9dae1e2e3e4e5e6e7e8e9eaf1f2f3f4f5f6f7f8f9fa',
+      'hex',
+    ),
+  },
+  chromaAc: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 119],
+    symbols: Buffer.from(
+      '000102031104052131061241510761711322328108144291a1b1c109233352f0156272d10a162434e125f11718191a262728292a35363738393a434445464748494a535455565758595a636465666768696a737475767778797a82838485868788898a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3c4c5c6c7c8c9cad2d3d4d5d6d7d8d9dae2e3e4e5e6e7e8e9eaf2f3f4f5f6f7f8f9fa',
+      'hex',
+    ),
+  },
+};
+
+// Code and length for each symbol of a canonical Huffman table.
+function buildHuffmanCodes({ counts, symbols }) {
+  const codes = new Uint16Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++, index++, code++) {
+      codes[symbols[index]] = code;
+      lengths[symbols[index]] = length;
+    }
+    code <<= 1;
+  }
+  return { codes, lengths };
+}
+
+const HUFFMAN_CODES = Object.fromEntries(Object.entries(HUFFMAN_SPECS).map(([name, spec]) => [name, buildHuffmanCodes(spec)]));
+
+// libjpeg's quality scaling: 50 is the table as given, 100 all ones.
+function scaleQuantization(table, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return table.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+// Entropy-coded bits, with a zero byte stuffed after every 0xFF.
+function createBitWriter() {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+  let pending = 0;
+  let pendingBits = 0;
+  const pushByte = (byte) => {
+    if (length + 2 > bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+    if (byte === 0xff) bytes[length++] = 0;
+  };
+  return {
+    write(value, bits) {
+      pending = (pending << bits) | (value & ((1 << bits) - 1));
+      pendingBits += bits;
+      while (pendingBits >= 8) {
+        pendingBits -= 8;
+        pushByte((pending >>> pendingBits) & 0xff);
+      }
+      pending &= (1 << pendingBits) - 1;
+    },
+    // Pads the last byte with ones.
+    finish() {
+      if (pendingBits > 0) pushByte(((pending << (8 - pendingBits)) | ((1 << (8 - pendingBits)) - 1)) & 0xff);
+      pendingBits = 0;
+      return bytes.subarray(0, length);
+    },
+  };
+}
+
+// Forward DCT of `block` (level-shifted samples, row by row), quantized into zig-zag order.
+function transformBlock(block, quantization, output, scratch) {
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += COSINES[x * 8 + u] * block[y * 8 + x];
+      scratch[y * 8 + u] = sum;
+    }
+  }
+  for (let k = 0; k < 64; k++) {
+    const position = ZIGZAG[k];
+    const u = position & 7;
+    const v = position >> 3;
+    let sum = 0;
+    for (let y = 0; y < 8; y++) sum += COSINES[y * 8 + v] * scratch[y * 8 + u];
+    output[k] = Math.round(sum / quantization[position]);
+  }
+}
+
+// Writes one quantized block; returns its DC value for the next block's prediction.
+function encodeBlock(writer, coefficients, previousDc, dc, ac) {
+  const writeValue = (table, run, value) => {
+    const magnitude = value < 0 ? -value : value;
+    const size = magnitude ? 32 - Math.clz32(magnitude) : 0;
+    const symbol = (run << 4) | size;
+    writer.write(table.codes[symbol], table.lengths[symbol]);
+    if (size) writer.write(value < 0 ? value + (1 << size) - 1 : value, size);
+  };
+
+  writeValue(dc, 0, coefficients[0] - previousDc);
+  let run = 0;
+  for (let k = 1; k < 64; k++) {
+    if (coefficients[k] === 0) {
+      run++;
+      continue;
+    }
+    for (; run > 15; run -= 16) writer.write(ac.codes[0xf0], ac.lengths[0xf0]);
+    writeValue(ac, run, coefficients[k]);
+    run = 0;
+  }
+  if (run) writer.write(ac.codes[0], ac.lengths[0]);
+  return coefficients[0];
+}
+
+function markerSegment(marker, body) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Baseline JPEG, YCbCr 4:2:0. Transparent pixels are put on white first.
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image RGBA
+ * @param {object} [options]
+ * @param {number} [options.quality=90] 1-100, as in libjpeg
+ * @returns {Buffer}
+ */
+export function encodeJpeg({ width, height, data }, { quality = 90 } = {}) {
+  const lumaTable = scaleQuantization(LUMA_QUANTIZATION, quality);
+  const chromaTable = scaleQuantization(CHROMA_QUANTIZATION, quality);
+  const writer = createBitWriter();
+
+  // One 16×16 macroblock at a time: four luma blocks, then one block each of Cb and Cr.
+  const luma = new Float32Array(256);
+  const blueChroma = new Float32Array(64);
+  const redChroma = new Float32Array(64);
+  const block = new Float32Array(64);
+  const scratch = new Float32Array(64);
+  const coefficients = new Int32Array(64);
+  const predictions = [0, 0, 0];
+  for (let top = 0; top < height; top += 16) {
+    for (let left = 0; left < width; left += 16) {
+      blueChroma.fill(0);
+      redChroma.fill(0);
+      for (let y = 0; y < 16; y++) {
+        // Past the edge, the last row and column repeat.
+        const row = Math.min(top + y, height - 1) * width;
+        for (let x = 0; x < 16; x++) {
+          const source = (row + Math.min(left + x, width - 1)) * 4;
+          const alpha = data[source + 3] / 255;
+          const red = data[source] * alpha + 255 * (1 - alpha);
+          const green = data[source + 1] * alpha + 255 * (1 - alpha);
+          const blue = data[source + 2] * alpha + 255 * (1 - alpha);
+          luma[y * 16 + x] = 0.299 * red + 0.587 * green + 0.114 * blue - 128;
+          const chroma = (y >> 1) * 8 + (x >> 1);
+          blueChroma[chroma] += (-0.168736 * red - 0.331264 * green + 0.5 * blue) / 4;
+          redChroma[chroma] += (0.5 * red - 0.418688 * green - 0.081312 * blue) / 4;
+        }
+      }
+      for (let quarter = 0; quarter < 4; quarter++) {
+        const offset = (quarter >> 1) * 128 + (quarter & 1) * 8;
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) block[y * 8 + x] = luma[offset + y * 16 + x];
+        }
+        transformBlock(block, lumaTable, coefficients, scratch);
+        predictions[0] = encodeBlock(writer, coefficients, predictions[0], HUFFMAN_CODES.lumaDc, HUFFMAN_CODES.lumaAc);
+      }
+      transformBlock(blueChroma, chromaTable, coefficients, scratch);
+      predictions[1] = encodeBlock(writer, coefficients, predictions[1], HUFFMAN_CODES.chromaDc, HUFFMAN_CODES.chromaAc);
+      transformBlock(redChroma, chromaTable, coefficients, scratch);
+      predictions[2] = encodeBlock(writer, coefficients, predictions[2], HUFFMAN_CODES.chromaDc, HUFFMAN_CODES.chromaAc);
+    }
+  }
+
+  const quantization = (id, table) => Buffer.from([id, ...Array.from(ZIGZAG, position => table[position])]);
+  const huffman = (tableClass, id, { counts, symbols }) => Buffer.from([(tableClass << 4) | id, ...counts, ...symbols]);
+  const frame = Buffer.from([8, height >> 8, height & 255, width >> 8, width & 255, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    markerSegment(0xe0, Buffer.from([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0])), // JFIF 1.1, square pixels
+    markerSegment(0xdb, Buffer.concat([quantization(0, lumaTable), quantization(1, chromaTable)])),
+    markerSegment(0xc0, frame),
+    markerSegment(0xc4, Buffer.concat([
+      huffman(0, 0, HUFFMAN_SPECS.lumaDc),
+      huffman(1, 0, HUFFMAN_SPECS.lumaAc),
+      huffman(0, 1, HUFFMAN_SPECS.chromaDc),
+      huffman(1, 1, HUFFMAN_SPECS.chromaAc),
+    ])),
+    markerSegment(0xda, Buffer.from([3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0])),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
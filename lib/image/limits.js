@@ -0,0 +1,6 @@
+// Image Limits: /lib/image/limits.js
+// Ceilings every decoder applies even when the caller passes none, so no
+// header can make us allocate more than a few hundred megabytes.
+
+// 50 megapixels: 200 MB of RGBA.
+export const DEFAULT_MAX_PIXELS = 50 * 1000 * 1000;
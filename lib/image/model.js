@@ -0,0 +1,83 @@
+// Segmentation Model: /lib/image/model.js
+// Optional on-CPU background removal with an ONNX salient-object model
+// (U²-Net, ISNet, BiRefNet and similar: one RGB image in, one saliency map out).
+// It is used when BACKGROUND_MODEL_PATH points at the model file and the
+// onnxruntime-node package is installed (`npm install onnxruntime-node`; it is
+// not a dependency because it is too large for most serverless bundles).
+// Without either, segmentWithModel() answers undefined and the caller falls
+// back to the colour key (lib/image/segment.js).
+//
+// BACKGROUND_MODEL_PATH  path to the .onnx file
+// BACKGROUND_MODEL_SIZE  the model's square input size (default 320, U²-Net)
+
+import { resizeImage } from './effects.js';
+
+const DEFAULT_INPUT_SIZE = 320;
+// ImageNet normalisation, which these models are trained with.
+const MEAN = [0.485, 0.456, 0.406];
+const STD = [0.229, 0.224, 0.225];
+
+let loading;
+
+// The runtime and session, created once per instance; undefined when unavailable.
+function loadModel() {
+  const path = process.env.BACKGROUND_MODEL_PATH;
+  if (!path) return Promise.resolve(undefined);
+  loading ??= (async () => {
+    let runtime;
+    try {
+      runtime = await import('onnxruntime-node');
+    } catch (error) {
+      console.warn('SERVER WARN (Background Model): BACKGROUND_MODEL_PATH is set but onnxruntime-node is not installed. Using the colour key.');
+      return undefined;
+    }
+    const session = await runtime.InferenceSession.create(path, { executionProviders: ['cpu'] });
+    console.log(`SERVER LOG (Background Model): Loaded ${path}.`);
+    return { runtime, session };
+  })().catch((error) => {
+    console.error(`SERVER ERROR (Background Model): ${error.message}. Using the colour key.`);
+    return undefined;
+  });
+  return loading;
+}
+
+/**
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image
+ * @returns {Promise<Uint8Array | undefined>} mask (0 = background, 255 = subject), or
+ *   undefined when no model is configured
+ */
+export async function segmentWithModel(image) {
+  const model = await loadModel();
+  if (!model) return undefined;
+  const { runtime, session } = model;
+  const size = Number.parseInt(process.env.BACKGROUND_MODEL_SIZE, 10) || DEFAULT_INPUT_SIZE;
+
+  // Planar (NCHW) float input at the model's size.
+  const input = resizeImage(image, size, size);
+  const planes = new Float32Array(3 * size * size);
+  for (let pixel = 0; pixel < size * size; pixel++) {
+    for (let c = 0; c < 3; c++) {
+      planes[c * size * size + pixel] = (input.data[pixel * 4 + c] / 255 - MEAN[c]) / STD[c];
+    }
+  }
+  const outputs = await session.run({ [session.inputNames[0]]: new runtime.Tensor('float32', planes, [1, 3, size, size]) });
+  const saliency = outputs[session.outputNames[0]].data;
+
+  // The first map, stretched to 0-255 and scaled back to the picture's size.
+  let low = Infinity;
+  let high = -Infinity;
+  for (let pixel = 0; pixel < size * size; pixel++) {
+    low = Math.min(low, saliency[pixel]);
+    high = Math.max(high, saliency[pixel]);
+  }
+  const map = { width: size, height: size, data: new Uint8ClampedArray(size * size * 4) };
+  for (let pixel = 0; pixel < size * size; pixel++) {
+    const value = high > low ? ((saliency[pixel] - low) / (high - low)) * 255 : 0;
+    map.data.fill(value, pixel * 4, pixel * 4 + 3);
+    map.data[pixel * 4 + 3] = 255;
+  }
+  const scaled = resizeImage(map, image.width, image.height);
+  const mask = new Uint8Array(image.width * image.height);
+  for (let pixel = 0; pixel < mask.length; pixel++) mask[pixel] = scaled.data[pixel * 4];
+  return mask;
+}
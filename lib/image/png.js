@@ -0,0 +1,234 @@
+// PNG Codec: /lib/image/png.js
+// Decodes every standard PNG (all colour types and bit depths, palettes,
+// tRNS transparency, Adam7 interlacing) to 8-bit RGBA, and encodes RGBA.
+
+import { crc32, deflateSync, inflateSync } from 'node:zlib';
+import { UploadError } from '../errors.js';
+import { DEFAULT_MAX_PIXELS } from './limits.js';
+
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7: [x0, y0, dx, dy] per pass.
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverses the per-row filters of one (sub)image in place.
+function unfilter(data, offset, rowBytes, rows, bytesPerPixel) {
+  const previous = new Uint8Array(rowBytes);
+  for (let row = 0; row < rows; row++) {
+    const filter = data[offset];
+    const line = data.subarray(offset + 1, offset + 1 + rowBytes);
+    if (filter > 4) throw new UploadError(`PNG row filter ${filter} is not valid.`, 422);
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      if (filter === 1) line[i] += left;
+      else if (filter === 2) line[i] += up;
+      else if (filter === 3) line[i] += (left + up) >> 1;
+      else if (filter === 4) line[i] += paeth(left, up, upLeft);
+    }
+    previous.set(line);
+    offset += rowBytes + 1;
+  }
+  return offset;
+}
+
+/**
+ * @param {Buffer} data
+ * @param {object} [options]
+ * @param {number} [options.maxPixels] refuse larger images (413) before inflating them
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }} RGBA
+ */
+export function decodePng(data, { maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+  if (!data.subarray(0, 8).equals(PNG_SIGNATURE)) throw new UploadError('File is not a PNG image.', 415);
+
+  let header;
+  let palette;
+  let transparency;
+  const compressed = [];
+  for (let offset = 8; offset + 8 <= data.length;) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (body.length < length) throw new UploadError('PNG image is truncated.', 422);
+    if (type === 'IHDR') {
+      if (length !== 13) throw new UploadError('PNG image header is damaged.', 422);
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || compressed.length === 0) throw new UploadError('PNG image has no image data.', 422);
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || width === 0 || height === 0) {
+    throw new UploadError('PNG image uses an unknown colour type or bit depth.', 422);
+  }
+  if (colorType === 3 && !palette) throw new UploadError('PNG image is missing its palette.', 422);
+  if (width * height > maxPixels) {
+    throw new UploadError(`Image is too large (${width}×${height}; the limit is ${Math.round(maxPixels / 1e6)} megapixels).`, 413);
+  }
+
+  // Exactly this many bytes of filtered rows, so a small file cannot inflate
+  // to gigabytes behind a tiny IHDR.
+  const bitsPerPixel = channels * bitDepth;
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  const rawBytes = passes.reduce((total, [x0, y0, dx, dy]) => {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    return passWidth > 0 && passHeight > 0 ? total + (Math.ceil((passWidth * bitsPerPixel) / 8) + 1) * passHeight : total;
+  }, 0);
+
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(compressed), { maxOutputLength: rawBytes });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new UploadError('PNG image data is larger than its dimensions allow.', 422);
+    throw new UploadError('PNG image data could not be decompressed.', 422);
+  }
+
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const scale = (value) => (bitDepth === 8 ? value : bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxSample));
+  const sample = (line, index) => {
+    if (bitDepth === 8) return line[index];
+    if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+    const bit = index * bitDepth;
+    return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const keyed = transparency && colorType === 0 ? transparency.readUInt16BE(0)
+    : transparency && colorType === 2 ? [0, 2, 4].map(index => transparency.readUInt16BE(index)) : undefined;
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    if (offset + (rowBytes + 1) * passHeight > raw.length) throw new UploadError('PNG image is truncated.', 422);
+    const start = offset;
+    offset = unfilter(raw, offset, rowBytes, passHeight, bytesPerPixel);
+
+    for (let row = 0; row < passHeight; row++) {
+      const line = raw.subarray(start + row * (rowBytes + 1) + 1, start + (row + 1) * (rowBytes + 1));
+      for (let column = 0; column < passWidth; column++) {
+        const target = ((y0 + row * dy) * width + x0 + column * dx) * 4;
+        const first = column * channels;
+        let r;
+        let g;
+        let b;
+        let a = 255;
+        if (colorType === 3) {
+          const index = sample(line, first);
+          r = palette[index * 3];
+          g = palette[index * 3 + 1];
+          b = palette[index * 3 + 2];
+          if (transparency && index < transparency.length) a = transparency[index];
+        } else if (colorType === 0 || colorType === 4) {
+          const gray = sample(line, first);
+          r = g = b = scale(gray);
+          if (colorType === 4) a = scale(sample(line, first + 1));
+          else if (keyed === gray) a = 0;
+        } else {
+          const values = [sample(line, first), sample(line, first + 1), sample(line, first + 2)];
+          [r, g, b] = values.map(scale);
+          if (colorType === 6) a = scale(sample(line, first + 3));
+          else if (keyed && values.every((value, index) => value === keyed[index])) a = 0;
+        }
+        pixels[target] = r;
+        pixels[target + 1] = g;
+        pixels[target + 2] = b;
+        pixels[target + 3] = a;
+      }
+    }
+  }
+
+  return { width, height, data: pixels };
+}
+
+function chunk(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length, 0);
+  header.write(type, 4, 'latin1');
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(body, crc32(Buffer.from(type, 'latin1'))) >>> 0, 0);
+  return Buffer.concat([header, body, checksum]);
+}
+
+/**
+ * Encodes RGBA as a 32-bit PNG, choosing each row's filter by the smallest
+ * sum of absolute differences (the usual heuristic).
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const rowBytes = width * 4;
+  const filtered = Buffer.alloc((rowBytes + 1) * height);
+  const candidates = Array.from({ length: 5 }, () => new Uint8Array(rowBytes));
+  for (let row = 0; row < height; row++) {
+    const line = data.subarray(row * rowBytes, (row + 1) * rowBytes);
+    const previous = row > 0 ? data.subarray((row - 1) * rowBytes, row * rowBytes) : new Uint8Array(rowBytes);
+    let best = 0;
+    let bestCost = Infinity;
+    for (let filter = 0; filter < 5; filter++) {
+      const output = candidates[filter];
+      let cost = 0;
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= 4 ? line[i - 4] : 0;
+        const up = previous[i];
+        const predicted = filter === 0 ? 0
+          : filter === 1 ? left
+            : filter === 2 ? up
+              : filter === 3 ? (left + up) >> 1
+                : paeth(left, up, i >= 4 ? previous[i - 4] : 0);
+        const value = (line[i] - predicted) & 0xff;
+        output[i] = value;
+        cost += value < 128 ? value : 256 - value;
+      }
+      if (cost < bestCost) {
+        best = filter;
+        bestCost = cost;
+      }
+    }
+    filtered[row * (rowBytes + 1)] = best;
+    filtered.set(candidates[best], row * (rowBytes + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(filtered)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
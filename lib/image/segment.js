@@ -0,0 +1,85 @@
+// Colour-Key Segmentation: /lib/image/segment.js
+// The model-free way to find a background: either a known key colour
+// (a green screen) anywhere in the picture, or a plain backdrop reached by
+// flood-filling inwards from the edges (product shots on white, studio
+// portraits). Returns a mask (0 = background, 255 = subject) with a soft
+// ramp at the boundary instead of a hard, jagged edge.
+
+import { UploadError } from '../errors.js';
+
+const MAX_DISTANCE = Math.sqrt(3) * 255;
+// Share of edge pixels that must match the backdrop before we trust it.
+const MIN_BACKDROP_SHARE = 0.5;
+
+const distance = (data, index, color) => Math.hypot(data[index] - color[0], data[index + 1] - color[1], data[index + 2] - color[2]);
+
+// Per-channel median of the opaque edge pixels.
+function edgeColor({ width, height, data }) {
+  const edge = [];
+  for (let x = 0; x < width; x++) edge.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) edge.push(y * width, y * width + width - 1);
+  const opaque = edge.filter(pixel => data[pixel * 4 + 3] >= 128);
+  if (opaque.length === 0) return { edge, color: undefined };
+  const color = [0, 1, 2].map((channel) => {
+    const values = opaque.map(pixel => data[pixel * 4 + channel]).sort((a, b) => a - b);
+    return values[values.length >> 1];
+  });
+  return { edge, color };
+}
+
+/**
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image
+ * @param {object} [options]
+ * @param {number[]} [options.keyColor] [r, g, b] to remove everywhere; without it the
+ *   backdrop is found from the edges and only the part connected to them is removed
+ * @param {number} [options.tolerance=12] how different (0-100) a backdrop pixel may be
+ * @returns {{ mask: Uint8Array, matte: number[] }} `matte` is the backdrop colour
+ */
+export function segmentByColor(image, { keyColor, tolerance = 12 } = {}) {
+  const { width, height, data } = image;
+  const threshold = (tolerance / 100) * MAX_DISTANCE;
+  const ramp = Math.max(8, threshold / 2);
+  const keep = (index) => {
+    if (data[index + 3] < 8) return 0; // already transparent
+    const value = (distance(data, index, matte) - threshold) / ramp;
+    return value <= 0 ? 0 : value >= 1 ? 255 : Math.round(value * 255);
+  };
+
+  const mask = new Uint8Array(width * height).fill(255);
+  let matte = keyColor;
+  if (keyColor) {
+    for (let pixel = 0; pixel < mask.length; pixel++) mask[pixel] = keep(pixel * 4);
+    return { mask, matte };
+  }
+
+  const { edge, color } = edgeColor(image);
+  matte = color || [255, 255, 255];
+  const seeds = edge.filter(pixel => keep(pixel * 4) < 255);
+  if (seeds.length < edge.length * MIN_BACKDROP_SHARE) {
+    throw new UploadError('The picture has no plain background for the local remover to take out. Try a photo on a plain backdrop, or set keyColor.', 422);
+  }
+
+  // Flood fill over every pixel that is at least partly backdrop.
+  const visited = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+  for (const pixel of seeds) {
+    if (visited[pixel]) continue;
+    visited[pixel] = 1;
+    queue[tail++] = pixel;
+  }
+  while (head < tail) {
+    const pixel = queue[head++];
+    mask[pixel] = keep(pixel * 4);
+    if (mask[pixel] === 255) continue;
+    const x = pixel % width;
+    const neighbours = [x > 0 ? pixel - 1 : -1, x < width - 1 ? pixel + 1 : -1, pixel - width, pixel + width];
+    for (const next of neighbours) {
+      if (next < 0 || next >= mask.length || visited[next]) continue;
+      visited[next] = 1;
+      queue[tail++] = next;
+    }
+  }
+  return { mask, matte };
+}
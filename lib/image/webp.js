@@ -0,0 +1,414 @@
+// WebP Encoder: /lib/image/webp.js
+// Lossless WebP (VP8L, RFC 9649) from RGBA. Keeps the alpha channel exactly,
+// which lossy VP8 cannot. The encoder uses the subtract-green and predictor
+// transforms, backward references for runs (which is what makes transparent
+// backgrounds nearly free) and per-image Huffman codes.
+
+const MAX_DIMENSION = 16384;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const LENGTH_CODES = 24;
+const DISTANCE_CODES = 40;
+const MIN_MATCH = 3;
+const MAX_MATCH = 4096;
+const PREDICTOR_BITS = 4; // 16×16 pixel tiles share a predictor
+// Predictors tried on each tile: left, top, average of left and top, select, clamped gradient.
+const PREDICTOR_MODES = [1, 2, 7, 11, 12];
+
+// Writes bits least significant first, as VP8L reads them.
+class BitWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1 << 16);
+    this.length = 0;
+    this.value = 0;
+    this.count = 0;
+  }
+
+  write(value, length) {
+    this.value |= (value & ((1 << length) - 1)) << this.count;
+    this.count += length;
+    while (this.count >= 8) {
+      if (this.length === this.bytes.length) {
+        const grown = new Uint8Array(this.bytes.length * 2);
+        grown.set(this.bytes);
+        this.bytes = grown;
+      }
+      this.bytes[this.length++] = this.value & 0xff;
+      this.value >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  finish() {
+    if (this.count > 0) this.write(0, 8 - this.count);
+    return Buffer.from(this.bytes.buffer, 0, this.length);
+  }
+}
+
+// --- Huffman Codes ---
+
+// Code lengths for `counts`, no longer than `limit`: a plain Huffman tree,
+// rebuilt with rare symbols counted as more common until it fits.
+function codeLengths(counts, limit) {
+  const lengths = new Uint8Array(counts.length);
+  const used = [];
+  counts.forEach((count, symbol) => { if (count > 0) used.push(symbol); });
+  if (used.length === 1) lengths[used[0]] = 1;
+  if (used.length <= 1) return lengths;
+
+  for (let floor = 1; ; floor *= 2) {
+    let nodes = used.map(symbol => ({ weight: Math.max(counts[symbol], floor), symbol }));
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => a.weight - b.weight);
+      const [first, second] = nodes;
+      nodes = [{ weight: first.weight + second.weight, children: [first, second] }, ...nodes.slice(2)];
+    }
+    let deepest = 0;
+    const walk = (node, depth) => {
+      if (node.children) node.children.forEach(child => walk(child, depth + 1));
+      else {
+        lengths[node.symbol] = depth;
+        deepest = Math.max(deepest, depth);
+      }
+    };
+    walk(nodes[0], 0);
+    if (deepest <= limit) return lengths;
+  }
+}
+
+// Canonical codes for the lengths, bit-reversed for the LSB-first writer.
+function canonicalCodes(lengths) {
+  const codes = new Uint16Array(lengths.length);
+  const perLength = new Uint16Array(MAX_CODE_LENGTH + 1);
+  lengths.forEach((length) => { if (length) perLength[length]++; });
+  const next = new Uint16Array(MAX_CODE_LENGTH + 2);
+  let code = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    code = (code + perLength[length - 1]) << 1;
+    next[length] = code;
+  }
+  lengths.forEach((length, symbol) => {
+    if (!length) return;
+    let value = next[length]++;
+    let reversed = 0;
+    for (let bit = 0; bit < length; bit++) {
+      reversed = (reversed << 1) | (value & 1);
+      value >>= 1;
+    }
+    codes[symbol] = reversed;
+  });
+  return codes;
+}
+
+// Writes a prefix code and returns a function that writes its symbols.
+function writePrefixCode(writer, counts) {
+  const used = [];
+  counts.forEach((count, symbol) => { if (count > 0) used.push(symbol); });
+
+  // Simple code: one or two symbols below 256. A lone symbol costs no bits at all.
+  if (used.length <= 2 && used.every(symbol => symbol < 256)) {
+    const symbols = used.length ? used : [0];
+    writer.write(1, 1);
+    writer.write(symbols.length - 1, 1);
+    symbols.forEach((symbol, index) => {
+      if (index === 0) {
+        writer.write(symbol > 1 ? 1 : 0, 1);
+        writer.write(symbol, symbol > 1 ? 8 : 1);
+      } else {
+        writer.write(symbol, 8);
+      }
+    });
+    if (symbols.length === 1) return () => {};
+    return (symbol) => writer.write(symbol === symbols[0] ? 0 : 1, 1);
+  }
+
+  const lengths = codeLengths(counts, MAX_CODE_LENGTH);
+  const single = used.length === 1; // decoded with zero bits, like a simple code
+  const codes = canonicalCodes(lengths);
+
+  // The code lengths themselves, run-length coded (16 repeats the previous
+  // length 3-6 times, 17 and 18 are runs of zeros) with their own Huffman code.
+  const tokens = [];
+  for (let symbol = 0; symbol < lengths.length;) {
+    const length = lengths[symbol];
+    let run = 1;
+    while (symbol + run < lengths.length && lengths[symbol + run] === length) run++;
+    symbol += run;
+    if (length === 0) {
+      while (run >= 11) {
+        const take = Math.min(run, 138);
+        tokens.push([18, take - 11, 7]);
+        run -= take;
+      }
+      if (run >= 3) {
+        tokens.push([17, run - 3, 3]);
+        run = 0;
+      }
+      for (; run > 0; run--) tokens.push([0]);
+    } else {
+      tokens.push([length]);
+      run--;
+      while (run >= 3) {
+        const take = Math.min(run, 6);
+        tokens.push([16, take - 3, 2]);
+        run -= take;
+      }
+      for (; run > 0; run--) tokens.push([length]);
+    }
+  }
+  const tokenCounts = new Array(19).fill(0);
+  tokens.forEach(([token]) => tokenCounts[token]++);
+  const tokenLengths = codeLengths(tokenCounts, MAX_CODE_LENGTH_CODE_LENGTH);
+  // A code length code with a single symbol still needs a one-bit code to be complete.
+  if (tokenLengths.filter(Boolean).length === 1) tokenLengths[tokenLengths.indexOf(1) === 0 ? 1 : 0] = 1;
+  const tokenCodes = canonicalCodes(tokenLengths);
+
+  let sent = 19;
+  while (sent > 4 && tokenLengths[CODE_LENGTH_ORDER[sent - 1]] === 0) sent--;
+  writer.write(0, 1); // normal code
+  writer.write(sent - 4, 4);
+  for (let index = 0; index < sent; index++) writer.write(tokenLengths[CODE_LENGTH_ORDER[index]], 3);
+  writer.write(0, 1); // lengths for the whole alphabet follow
+  for (const [token, extra, extraBits] of tokens) {
+    writer.write(tokenCodes[token], tokenLengths[token]);
+    if (extraBits) writer.write(extra, extraBits);
+  }
+
+  return single ? () => {} : (symbol) => writer.write(codes[symbol], lengths[symbol]);
+}
+
+// --- Entropy-Coded Images ---
+
+// LZ77 length/distance values as a prefix symbol plus extra bits.
+function prefixEncode(value) {
+  const delta = value - 1;
+  if (delta < 4) return { symbol: delta, extraBits: 0, extra: 0 };
+  const highest = 31 - Math.clz32(delta);
+  const second = (delta >> (highest - 1)) & 1;
+  const extraBits = highest - 1;
+  return { symbol: 2 * highest + second, extraBits, extra: delta & ((1 << extraBits) - 1) };
+}
+
+// Pixels (ARGB) as literals and back references. Only the two cheapest
+// references are tried: repeating the previous pixel and copying the row above.
+// Token i is a literal when lengths[i] is 0, else a copy of lengths[i] pixels
+// with distance code values[i].
+function tokenize(pixels, width) {
+  const values = new Uint32Array(pixels.length);
+  const lengths = new Uint16Array(pixels.length);
+  let count = 0;
+  for (let index = 0; index < pixels.length; count++) {
+    let bestLength = 0;
+    let bestCode = 0;
+    for (const [code, distance] of [[2, 1], [1, width]]) {
+      if (index < distance) continue;
+      let length = 0;
+      while (length < MAX_MATCH && index + length < pixels.length && pixels[index + length] === pixels[index + length - distance]) length++;
+      if (length > bestLength) {
+        bestLength = length;
+        bestCode = code;
+      }
+    }
+    if (bestLength >= MIN_MATCH) {
+      values[count] = bestCode;
+      lengths[count] = bestLength;
+      index += bestLength;
+    } else {
+      values[count] = pixels[index];
+      index++;
+    }
+  }
+  return { values: values.subarray(0, count), lengths: lengths.subarray(0, count) };
+}
+
+// Five prefix codes (green + lengths, red, blue, alpha, distance) and the data.
+// The main image also says it has a single set of codes (no meta prefix codes).
+function writeEntropyCodedImage(writer, pixels, width, { main = false } = {}) {
+  const { values, lengths } = tokenize(pixels, width);
+  const counts = [
+    new Array(256 + LENGTH_CODES).fill(0),
+    new Array(256).fill(0),
+    new Array(256).fill(0),
+    new Array(256).fill(0),
+    new Array(DISTANCE_CODES).fill(0),
+  ];
+  for (let index = 0; index < values.length; index++) {
+    const value = values[index];
+    if (lengths[index] === 0) {
+      counts[0][(value >>> 8) & 0xff]++;
+      counts[1][(value >>> 16) & 0xff]++;
+      counts[2][value & 0xff]++;
+      counts[3][value >>> 24]++;
+    } else {
+      counts[0][256 + prefixEncode(lengths[index]).symbol]++;
+      counts[4][prefixEncode(value).symbol]++;
+    }
+  }
+
+  writer.write(0, 1); // no colour cache
+  if (main) writer.write(0, 1);
+  const [green, red, blue, alpha, distance] = counts.map(table => writePrefixCode(writer, table));
+  for (let index = 0; index < values.length; index++) {
+    const value = values[index];
+    if (lengths[index] === 0) {
+      green((value >>> 8) & 0xff);
+      red((value >>> 16) & 0xff);
+      blue(value & 0xff);
+      alpha(value >>> 24);
+    } else {
+      const length = prefixEncode(lengths[index]);
+      const code = prefixEncode(value);
+      green(256 + length.symbol);
+      writer.write(length.extra, length.extraBits);
+      distance(code.symbol);
+      writer.write(code.extra, code.extraBits);
+    }
+  }
+}
+
+// --- Transforms ---
+
+const channel = (pixel, shift) => (pixel >>> shift) & 0xff;
+const average = (a, b) => (
+  ((((a >>> 24) + (b >>> 24)) >> 1) << 24
+    | ((((a >>> 16) & 0xff) + ((b >>> 16) & 0xff)) >> 1) << 16
+    | ((((a >>> 8) & 0xff) + ((b >>> 8) & 0xff)) >> 1) << 8
+    | (((a & 0xff) + (b & 0xff)) >> 1)) >>> 0
+);
+const subtract = (a, b) => (
+  ((((a >>> 24) - (b >>> 24)) & 0xff) << 24
+    | ((((a >>> 16) & 0xff) - ((b >>> 16) & 0xff)) & 0xff) << 16
+    | ((((a >>> 8) & 0xff) - ((b >>> 8) & 0xff)) & 0xff) << 8
+    | (((a & 0xff) - (b & 0xff)) & 0xff)) >>> 0
+);
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+function select(left, top, topLeft) {
+  let toLeft = 0;
+  let toTop = 0;
+  for (const shift of [24, 16, 8, 0]) {
+    const estimate = channel(left, shift) + channel(top, shift) - channel(topLeft, shift);
+    toLeft += Math.abs(estimate - channel(left, shift));
+    toTop += Math.abs(estimate - channel(top, shift));
+  }
+  return toLeft < toTop ? left : top;
+}
+
+function predict(mode, pixels, index, width) {
+  const left = pixels[index - 1];
+  const top = pixels[index - width];
+  const topLeft = pixels[index - width - 1];
+  switch (mode) {
+    case 1: return left;
+    case 2: return top;
+    case 7: return average(left, top);
+    case 11: return select(left, top, topLeft);
+    default: { // 12: clamp(left + top - topLeft)
+      let result = 0;
+      for (const shift of [24, 16, 8, 0]) {
+        result |= clamp(channel(left, shift) + channel(top, shift) - channel(topLeft, shift)) << shift;
+      }
+      return result >>> 0;
+    }
+  }
+}
+
+// Residuals for the predictor transform, choosing each tile's mode by the
+// smallest sum of absolute residuals. The first row predicts from the left,
+// the first column from above, and the first pixel from opaque black.
+function applyPredictor(pixels, width, height) {
+  const tileSize = 1 << PREDICTOR_BITS;
+  const tilesWide = Math.ceil(width / tileSize);
+  const tilesHigh = Math.ceil(height / tileSize);
+  const modes = new Uint32Array(tilesWide * tilesHigh);
+  const residuals = new Uint32Array(pixels.length);
+  const magnitude = (value) => (value < 128 ? value : 256 - value);
+  const cost = (residual) => magnitude(residual >>> 24) + magnitude((residual >>> 16) & 0xff)
+    + magnitude((residual >>> 8) & 0xff) + magnitude(residual & 0xff);
+
+  for (let tileY = 0; tileY < tilesHigh; tileY++) {
+    for (let tileX = 0; tileX < tilesWide; tileX++) {
+      const x0 = tileX * tileSize;
+      const y0 = tileY * tileSize;
+      const x1 = Math.min(width, x0 + tileSize);
+      const y1 = Math.min(height, y0 + tileSize);
+      let bestMode = PREDICTOR_MODES[0];
+      let bestCost = Infinity;
+      for (const mode of PREDICTOR_MODES) {
+        let total = 0;
+        for (let y = Math.max(1, y0); y < y1 && total < bestCost; y++) {
+          for (let x = Math.max(1, x0); x < x1; x++) {
+            const index = y * width + x;
+            total += cost(subtract(pixels[index], predict(mode, pixels, index, width)));
+          }
+        }
+        if (total < bestCost) {
+          bestMode = mode;
+          bestCost = total;
+        }
+      }
+      modes[tileY * tilesWide + tileX] = (0xff000000 | (bestMode << 8)) >>> 0;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      let prediction;
+      if (x === 0 && y === 0) prediction = 0xff000000;
+      else if (y === 0) prediction = pixels[index - 1];
+      else if (x === 0) prediction = pixels[index - width];
+      else prediction = predict((modes[(y >> PREDICTOR_BITS) * tilesWide + (x >> PREDICTOR_BITS)] >>> 8) & 0xff, pixels, index, width);
+      residuals[index] = subtract(pixels[index], prediction);
+    }
+  }
+  return { residuals, modes, tilesWide };
+}
+
+/**
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image RGBA
+ * @returns {Buffer} a RIFF WebP file
+ */
+export function encodeWebp({ width, height, data }) {
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) throw new RangeError(`WebP images are limited to ${MAX_DIMENSION} pixels a side.`);
+
+  // ARGB with green subtracted from red and blue (the subtract-green transform).
+  const pixels = new Uint32Array(width * height);
+  let hasAlpha = false;
+  for (let index = 0; index < pixels.length; index++) {
+    const r = data[index * 4];
+    const g = data[index * 4 + 1];
+    const b = data[index * 4 + 2];
+    const a = data[index * 4 + 3];
+    if (a !== 255) hasAlpha = true;
+    pixels[index] = ((a << 24) | (((r - g) & 0xff) << 16) | (g << 8) | ((b - g) & 0xff)) >>> 0;
+  }
+  const { residuals, modes, tilesWide } = applyPredictor(pixels, width, height);
+
+  const writer = new BitWriter();
+  writer.write(0x2f, 8); // VP8L signature
+  writer.write(width - 1, 14);
+  writer.write(height - 1, 14);
+  writer.write(hasAlpha ? 1 : 0, 1);
+  writer.write(0, 3); // version
+  // Transforms are undone in reverse order: predictor first, then subtract green.
+  writer.write(1, 1);
+  writer.write(2, 2); // subtract green
+  writer.write(1, 1);
+  writer.write(0, 2); // predictor
+  writer.write(PREDICTOR_BITS - 2, 3);
+  writeEntropyCodedImage(writer, modes, tilesWide);
+  writer.write(0, 1); // no more transforms
+  writeEntropyCodedImage(writer, residuals, width, { main: true });
+
+  const bitstream = writer.finish();
+  const padding = bitstream.length % 2;
+  const file = Buffer.alloc(20 + bitstream.length + padding);
+  file.write('RIFF', 0, 'latin1');
+  file.writeUInt32LE(12 + bitstream.length + padding, 4);
+  file.write('WEBPVP8L', 8, 'latin1');
+  file.writeUInt32LE(bitstream.length, 16);
+  bitstream.copy(file, 20);
+  return file;
+}
@@ -0,0 +1,164 @@
+// Job Queue: /lib/jobs.js
+// Long analyses as jobs: the client submits, gets an id back at once, then
+// polls or waits for a webhook. A job runs one tool over one or more documents
+// through the tools' own workers (lib/batch.js, lib/tools.js).
+//
+// Jobs live in the "jobs" store (JOBS_STORE=memory|redis|file) and are worked
+// in slices: the submitting call keeps going after its response while the
+// platform lets it (runInBackground), and every status poll runs the next
+// slice, so a job finishes even if the instance that accepted it is frozen.
+// A slice starts by taking the job's lease with a compare-and-set on its
+// version, so of two polls arriving together only one runs it.
+
+import { randomUUID } from 'node:crypto';
+import { withSharedBackoff } from './llm.js';
+import { BATCH_CONCURRENCY, runDocuments } from './batch.js';
+import { getStore } from './stores/index.js';
+import { WEBHOOK_ATTEMPTS, deliverWebhook } from './webhook.js';
+
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// A run that has not saved within this long past its budget is presumed dead and taken over.
+const LEASE_GRACE_MS = 60 * 1000;
+const MAX_MEMORY_JOBS = 200;
+
+const jobKey = (id) => `job:${id}`;
+const jobStore = () => getStore('jobs', { maxEntries: MAX_MEMORY_JOBS });
+
+const webhookPending = (job) => job.webhook && !job.webhook.delivered && job.webhook.attempts < WEBHOOK_ATTEMPTS;
+
+/**
+ * Lets `promise` outlive the response. On Vercel this is the request
+ * context's waitUntil (what @vercel/functions uses); elsewhere the process
+ * simply keeps running it.
+ */
+export function runInBackground(promise, label = 'Jobs') {
+  const guarded = promise.catch((error) => {
+    console.error(`SERVER ERROR (${label}): Background work failed: ${error.message}`);
+  });
+  globalThis[Symbol.for('@vercel/request-context')]?.get?.()?.waitUntil?.(guarded);
+  return guarded;
+}
+
+// Counts and finished results, without the submitted documents or the lease.
+export function describeJob(job) {
+  const results = job.results.filter(Boolean);
+  const description = {
+    jobId: job.id,
+    tool: job.tool,
+    status: job.status,
+    total: job.documents.length,
+    completed: results.length,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    results,
+  };
+  if (job.webhook) description.webhook = { ...job.webhook };
+  return description;
+}
+
+/**
+ * Stores a new job. Nothing runs until advanceJob() is called.
+ *
+ * @param {object} spec
+ * @param {string} spec.tool one of TOOL_NAMES (lib/tools.js)
+ * @param {Array<{ index: number, id?: string | number, body: object }>} spec.documents
+ * @param {string} [spec.webhookUrl] already checked with checkWebhookUrl()
+ * @returns {Promise<object>} the stored job
+ */
+export async function createJob({ tool, documents, webhookUrl }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    tool,
+    status: 'queued',
+    documents,
+    results: documents.map(() => null),
+    createdAt: now,
+    updatedAt: now,
+    leaseUntil: 0,
+    version: 1,
+  };
+  if (webhookUrl) job.webhook = { url: webhookUrl, delivered: false, attempts: 0 };
+  await jobStore().set(jobKey(job.id), job, JOB_TTL_MS);
+  return job;
+}
+
+export function getJob(id) {
+  return jobStore().get(jobKey(id));
+}
+
+async function notify(job) {
+  const outcome = await deliverWebhook(job.webhook.url, { event: 'job.completed', ...describeJob(job) }, {
+    event: 'job.completed',
+    attempts: WEBHOOK_ATTEMPTS - job.webhook.attempts,
+  });
+  // A URL refused outright is not worth retrying on later polls.
+  job.webhook.attempts = outcome.attempts === 0 ? WEBHOOK_ATTEMPTS : job.webhook.attempts + outcome.attempts;
+  job.webhook.delivered = outcome.delivered;
+  job.webhook.lastStatus = outcome.status;
+  job.webhook.lastError = outcome.error;
+  console.log(`SERVER LOG (Jobs): Webhook for job ${job.id} ${outcome.delivered ? 'delivered' : 'failed'}.`);
+}
+
+/**
+ * Runs pending documents of a job for up to `budgetMs` (documents already
+ * started are allowed to finish), saving after each one, then sends the
+ * webhook once everything is done. Returns the job as it stands, or undefined
+ * if there is no such job. A job another call is already running is returned
+ * untouched.
+ *
+ * @param {string} id
+ * @param {object} options
+ * @param {number} options.budgetMs
+ * @param {object} [options.headers] passed to every tool call
+ * @param {number} [options.concurrency=BATCH_CONCURRENCY]
+ */
+export async function advanceJob(id, { budgetMs, headers, concurrency = BATCH_CONCURRENCY }) {
+  const store = jobStore();
+  const found = await store.get(jobKey(id));
+  if (!found || found.leaseUntil > Date.now()) return found;
+  if (found.status === 'completed' && !webhookPending(found)) return found;
+
+  const deadline = Date.now() + budgetMs;
+  const job = {
+    ...found,
+    status: found.status === 'completed' ? 'completed' : 'running',
+    leaseUntil: deadline + LEASE_GRACE_MS,
+    updatedAt: new Date().toISOString(),
+    version: found.version + 1,
+  };
+  if (!(await store.compareAndSet(jobKey(id), found.version, job, JOB_TTL_MS))) {
+    // Another call took the lease first and runs this slice.
+    return store.get(jobKey(id));
+  }
+  // Holding the lease; every save still moves the version on, so a stale read
+  // elsewhere cannot take the lease back.
+  const save = () => {
+    job.updatedAt = new Date().toISOString();
+    job.version += 1;
+    return store.set(jobKey(id), job, JOB_TTL_MS);
+  };
+
+  const pending = job.documents.filter((document, index) => !job.results[index]);
+  await withSharedBackoff(async () => {
+    while (pending.length > 0 && Date.now() < deadline) {
+      await runDocuments(job.tool, pending.splice(0, concurrency), {
+        concurrency,
+        headers,
+        onResult: (result) => {
+          job.results[result.index] = result;
+          return save();
+        },
+      });
+    }
+  });
+
+  job.status = job.results.every(Boolean) ? 'completed' : 'queued';
+  if (job.status === 'completed' && webhookPending(job)) await notify(job);
+  job.leaseUntil = 0;
+  await save();
+  console.log(`SERVER LOG (Jobs): Job ${id} ${job.status} (${job.results.filter(Boolean).length}/${job.documents.length}).`);
+  return job;
+}
@@ -0,0 +1,157 @@
+// Languages: /lib/language.js
+// The languages the text tools and word games support, and a small offline
+// detector for when the client does not say which one it is sending. Script
+// alone settles most non-Latin languages; Latin-script ones are told apart by
+// their most frequent words and their diacritics.
+
+// name: used in prompts. corrections: grammar categories on top of the shared ones.
+// alphabet: lower-case letters for the word games (omitted where the script has
+// no small alphabet to guess from). spaced: words are separated by spaces.
+// capitalizedNouns: every noun is capitalized, so capitals do not mark names.
+export const LANGUAGES = {
+  en: { name: 'English', corrections: [], alphabet: 'abcdefghijklmnopqrstuvwxyz' },
+  es: { name: 'Spanish', corrections: ['Agreement', 'Accents'], alphabet: 'abcdefghijklmnñopqrstuvwxyzáéíóúü' },
+  fr: { name: 'French', corrections: ['Agreement', 'Accents', 'Typography'], alphabet: 'abcdefghijklmnopqrstuvwxyzàâæçéèêëîïôœùûüÿ' },
+  de: { name: 'German', corrections: ['Agreement', 'Capitalization', 'Case'], alphabet: 'abcdefghijklmnopqrstuvwxyzäöüß', capitalizedNouns: true },
+  it: { name: 'Italian', corrections: ['Agreement', 'Accents'], alphabet: 'abcdefghijklmnopqrstuvwxyzàèéìíîòóùú' },
+  pt: { name: 'Portuguese', corrections: ['Agreement', 'Accents'], alphabet: 'abcdefghijklmnopqrstuvwxyzáâãàçéêíóôõú' },
+  nl: { name: 'Dutch', corrections: ['Agreement', 'Compounds'], alphabet: 'abcdefghijklmnopqrstuvwxyzéèëïöü' },
+  sv: { name: 'Swedish', corrections: ['Agreement', 'Compounds'], alphabet: 'abcdefghijklmnopqrstuvwxyzåäö' },
+  pl: { name: 'Polish', corrections: ['Agreement', 'Case', 'Accents'], alphabet: 'aąbcćdeęfghijklłmnńoóprsśtuwyzźż' },
+  tr: { name: 'Turkish', corrections: ['Agreement', 'Suffixes'], alphabet: 'abcçdefgğhıijklmnoöprsştuüvyz' },
+  ru: { name: 'Russian', corrections: ['Agreement', 'Case'], alphabet: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя' },
+  uk: { name: 'Ukrainian', corrections: ['Agreement', 'Case'], alphabet: 'абвгґдеєжзиіїйклмнопрстуфхцчшщьюя' },
+  el: { name: 'Greek', corrections: ['Agreement', 'Accents'], alphabet: 'αβγδεζηθικλμνξοπρσςτυφχψωάέήίόύώϊϋΐΰ' },
+  ar: { name: 'Arabic', corrections: ['Agreement', 'Diacritics'], alphabet: 'ءآأؤإئابةتثجحخدذرزسشصضطظعغفقكلمنهوىي' },
+  he: { name: 'Hebrew', corrections: ['Agreement'], alphabet: 'אבגדהוזחטיכךלמםנןסעפףצץקרשת' },
+  hi: { name: 'Hindi', corrections: ['Agreement', 'Postpositions'] },
+  ja: { name: 'Japanese', corrections: ['Particles', 'Kanji', 'Politeness'], spaced: false },
+  zh: { name: 'Chinese', corrections: ['Characters', 'Measure Words'], spaced: false },
+  ko: { name: 'Korean', corrections: ['Particles', 'Spacing', 'Politeness'] },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const GAME_LANGUAGE_CODES = LANGUAGE_CODES.filter(code => LANGUAGES[code].alphabet);
+
+// Shared by every language; `corrections` above adds to these.
+const BASE_CORRECTIONS = ['Spelling', 'Grammar', 'Punctuation', 'Style'];
+
+// Scripts that belong to one supported language (or decide between two below).
+const SCRIPTS = [
+  { pattern: /[\u3040-\u30ff]/g, code: 'ja' }, // kana; checked before Han, which Japanese also uses
+  { pattern: /[\uac00-\ud7af\u1100-\u11ff]/g, code: 'ko' },
+  { pattern: /[\u4e00-\u9fff\u3400-\u4dbf]/g, code: 'zh' },
+  { pattern: /[\u0400-\u04ff]/g, code: 'ru' },
+  { pattern: /[\u0370-\u03ff\u1f00-\u1fff]/g, code: 'el' },
+  { pattern: /[\u0600-\u06ff]/g, code: 'ar' },
+  { pattern: /[\u0590-\u05ff]/g, code: 'he' },
+  { pattern: /[\u0900-\u097f]/g, code: 'hi' },
+];
+const UKRAINIAN_LETTERS = /[ієїґ]/i;
+
+// The most frequent short words of each Latin-script language.
+const COMMON_WORDS = {
+  en: ['the', 'and', 'is', 'of', 'to', 'in', 'that', 'it', 'was', 'for', 'with', 'are', 'this', 'you', 'not'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'una', 'es'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'que', 'pas', 'pour', 'dans', 'il'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'auf', 'ich', 'es'],
+  it: ['il', 'di', 'che', 'la', 'e', 'un', 'per', 'non', 'una', 'sono', 'gli', 'del', 'della', 'con', 'è'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'não', 'uma', 'os', 'com', 'é'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'ik', 'zijn', 'voor', 'met', 'die'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'är', 'på', 'av', 'för', 'med', 'till', 'den', 'har', 'inte', 'jag'],
+  pl: ['i', 'w', 'nie', 'się', 'na', 'że', 'z', 'jest', 'do', 'to', 'jak', 'ale', 'co', 'tak', 'od'],
+  tr: ['bir', 've', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'gibi', 'daha', 'olarak', 'ama', 'var', 'değil'],
+};
+// Letters that (among the languages above) point strongly at one language.
+const TELLTALE_LETTERS = {
+  es: /[ñ¿¡]/g,
+  fr: /[œçèêëû]/g,
+  de: /[ßäöü]/g,
+  pt: /[ãõ]/g,
+  sv: /[å]/g,
+  pl: /[ąćęłńśźż]/g,
+  tr: /[ğış]/g,
+};
+
+/**
+ * Best guess at the language of `text`.
+ *
+ * @param {string} text
+ * @returns {{ code: string | undefined, confidence: number }} code is undefined when nothing matched; confidence 0-1
+ */
+export function detectLanguage(text) {
+  const source = String(text).toLowerCase();
+  const letters = (source.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return { code: undefined, confidence: 0 };
+
+  for (const { pattern, code } of SCRIPTS) {
+    const share = (source.match(pattern) || []).length / letters;
+    if (share >= 0.3) {
+      const resolved = code === 'ru' && UKRAINIAN_LETTERS.test(source) ? 'uk' : code;
+      return { code: resolved, confidence: Math.min(1, share + 0.2) };
+    }
+  }
+
+  const words = source.match(/\p{L}+/gu) || [];
+  const scores = Object.entries(COMMON_WORDS).map(([code, common]) => {
+    const set = new Set(common);
+    let score = words.filter(word => set.has(word)).length;
+    if (TELLTALE_LETTERS[code]) score += (source.match(TELLTALE_LETTERS[code]) || []).length * 0.5;
+    return [code, score];
+  }).sort((a, b) => b[1] - a[1]);
+
+  const [[best, top], [, second]] = scores;
+  if (top === 0) return { code: undefined, confidence: 0 };
+  // Certainty grows with the lead over the runner-up and with the amount of evidence.
+  const confidence = ((top - second) / top) * Math.min(1, top / 5);
+  return { code: best, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * The language a request should be handled in: the one asked for, else the
+ * detected one, else `fallback`.
+ *
+ * @param {string | undefined} requested a code from the validated body
+ * @param {string} sample text to detect from when nothing was requested
+ * @param {object} [options]
+ * @param {string} [options.fallback='en']
+ * @param {string[]} [options.allowed=LANGUAGE_CODES] detected languages outside this list fall back
+ * @param {number} [options.minConfidence=0.2]
+ * @returns {{ code: string, name: string, detected: boolean }} what responses report as `language`
+ */
+export function resolveLanguage(requested, sample, { fallback = 'en', allowed = LANGUAGE_CODES, minConfidence = 0.2 } = {}) {
+  if (requested) return { code: requested, name: LANGUAGES[requested].name, detected: false };
+  const { code, confidence } = detectLanguage(sample);
+  const resolved = code && confidence >= minConfidence && allowed.includes(code) ? code : fallback;
+  return { code: resolved, name: LANGUAGES[resolved].name, detected: true };
+}
+
+// Request schema rule shared by every route that takes `language`.
+export function languageRule(codes = LANGUAGE_CODES) {
+  return { type: 'string', enum: codes, caseInsensitive: true, label: 'Language' };
+}
+
+// Grammar categories offered to the model for this language.
+export function correctionTypes(code) {
+  return [...BASE_CORRECTIONS, ...LANGUAGES[code].corrections];
+}
+
+/**
+ * Letters a word game may use in `code`, both cases, for the client's keyboard
+ * and for checking the model's words. Upper-case forms that are not a single
+ * letter (German ß -> SS) are left out.
+ *
+ * @returns {string[]}
+ */
+export function alphabetOf(code) {
+  const lower = [...LANGUAGES[code].alphabet];
+  const upper = lower.map(letter => letter.toLocaleUpperCase(code)).filter(letter => [...letter].length === 1);
+  return [...new Set([...lower, ...upper])];
+}
+
+// Matches a whole word written in `code`'s alphabet (NFC-normalize it first).
+// `extra` lists characters allowed after the first letter, such as space or hyphen.
+export function wordPattern(code, { extra = '', minLength = 1, maxLength } = {}) {
+  const letters = alphabetOf(code).join('');
+  return new RegExp(`^[${letters}][${letters}${extra}]{${minLength - 1},${maxLength === undefined ? '' : maxLength - 1}}$`, 'u');
+}
@@ -0,0 +1,165 @@
+// Shared LLM Client: /lib/llm.js
+// Every handler under api/ goes through generateContent() so retries, error
+// classification and JSON parsing behave the same on every route. The actual
+// HTTP call is delegated to the provider picked by LLM_PROVIDER.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { LLMError } from './errors.js';
+import * as gemini from './providers/gemini.js';
+import * as openai from './providers/openai.js';
+import * as mock from './providers/mock.js';
+
+export { LLMError };
+
+const PROVIDERS = { gemini, openai, mock };
+
+// --- Retry Configuration ---
+// LLM_MAX_RETRIES / LLM_RETRY_BASE_DELAY_MS override these (the test suite sets them low).
+const MAX_RETRIES = 3; // Total 4 attempts (1 initial + 3 retries)
+const BASE_DELAY = 1000; // 1 second
+const MAX_DELAY = 15000; // Never wait longer than this between attempts
+
+function retryConfig() {
+  const maxRetries = Number.parseInt(process.env.LLM_MAX_RETRIES, 10);
+  const baseDelay = Number.parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10);
+  return {
+    maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : MAX_RETRIES,
+    baseDelay: Number.isInteger(baseDelay) && baseDelay >= 0 ? baseDelay : BASE_DELAY,
+  };
+}
+
+// Helper function for delays
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// LLM_PROVIDER=gemini (default) | openai | mock
+export function getProvider() {
+  const providerName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new LLMError(`Unknown LLM_PROVIDER "${providerName}".`, { code: 'NO_PROVIDER' });
+  }
+  return provider;
+}
+
+// Removes ```json ... ``` fences the model sometimes wraps around its answer.
+export function stripMarkdownFences(text) {
+  const trimmed = String(text).trim();
+  const fenced = trimmed.match(/```(?:json|JSON)?\s*([\s\S]*?)\s*```/);
+  return fenced ? fenced[1].trim() : trimmed;
+}
+
+// Parses the model's structured output, tolerating markdown fences.
+export function parseJsonResponse(text) {
+  try {
+    return JSON.parse(stripMarkdownFences(text));
+  } catch (error) {
+    // Malformed JSON is usually a one-off truncation, so it is worth another attempt.
+    throw new LLMError(`Failed to parse JSON response from AI. ${error.message}`, { code: 'INVALID_JSON', retryable: true });
+  }
+}
+
+// --- Shared Backoff ---
+// Calls made inside withSharedBackoff() share one pause: when any of them is
+// told the model is overloaded, the others wait too instead of piling on.
+const sharedBackoff = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with a backoff shared by every generateContent() call it makes,
+ * however deep (batch jobs run whole handlers this way).
+ */
+export function withSharedBackoff(fn) {
+  return sharedBackoff.run({ pausedUntil: 0 }, fn);
+}
+
+// Exponential backoff with jitter so concurrent requests don't retry in lockstep.
+function backoffDelay(attempt, retryAfter, baseDelay) {
+  if (retryAfter) return Math.min(retryAfter, MAX_DELAY);
+  const ceiling = Math.min(baseDelay * Math.pow(2, attempt), MAX_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Sends one prompt to the configured provider, retrying transient failures.
+ *
+ * @param {object} request
+ * @param {string} request.task route name (grammar, detector, hangman, ...); the mock provider keys fixtures on it
+ * @param {string} request.prompt the user turn
+ * @param {string} [request.system] system instruction, kept apart from user content (see lib/prompt.js)
+ * @param {object} [request.schema] Gemini-style responseSchema; switches the response to JSON mode
+ * @param {boolean} [request.json] parse the reply as JSON (defaults to true when a schema is given)
+ * @param {number} [request.temperature]
+ * @param {Array} [request.tools] e.g. [{ google_search: {} }]; Gemini only
+ * @param {Function} [request.validate] (data, text) => data; throw (see lib/output.js) to reject and retry
+ * @param {Function} [request.onText] (delta) => void; streams the answer as it is generated (see lib/sse.js)
+ * @param {Function} [request.onRetry] (attempt) => void; called before each retry, so streamed text can be discarded
+ * @param {string} [request.label] name used in server logs
+ * @returns {Promise<{ text: string, data: any, candidate?: object, result: object, metadata: object }>}
+ */
+export async function generateContent(request) {
+  const { label = 'LLM', json = Boolean(request.schema) } = request;
+  const provider = getProvider();
+  const { maxRetries, baseDelay } = retryConfig();
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    console.log(`SERVER LOG (${label}): ${provider.name} request attempt ${attempt + 1}/${maxRetries + 1}...`);
+    if (attempt > 0 && request.onRetry) request.onRetry(attempt + 1);
+    const gate = sharedBackoff.getStore();
+    if (gate && gate.pausedUntil > Date.now()) await sleep(gate.pausedUntil - Date.now());
+
+    try {
+      const response = await provider.generate({ ...request, label });
+      let data = json ? parseJsonResponse(response.text) : undefined;
+      if (request.validate) data = request.validate(data, response.text);
+      const metadata = { provider: provider.name, attempts: attempt + 1, durationMs: Date.now() - startedAt };
+      return { ...response, data, metadata };
+
+    } catch (error) {
+      console.error(`SERVER ERROR (${label} Attempt ${attempt + 1}):`, error.message);
+      if (!error.retryable || attempt >= maxRetries) throw error;
+
+      const delay = backoffDelay(attempt, error.retryAfter, baseDelay);
+      if (gate && error.code === 'OVERLOADED') gate.pausedUntil = Math.max(gate.pausedUntil, Date.now() + delay);
+      console.log(`SERVER LOG (${label}): Retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+const ERROR_RESPONSES = {
+  NO_API_KEY: [500, 'ERROR: API Key is not configured on the server.'],
+  NO_PROVIDER: [500, 'ERROR: The AI provider is not configured correctly on the server.'],
+  OVERLOADED: [503, 'ERROR: The model is overloaded. Please try again later.'],
+  NETWORK: [502, 'ERROR: Could not reach the AI service. Please try again later.'],
+  SAFETY: [422, 'ERROR: AI response blocked due to safety settings.'],
+  RECITATION: [422, 'ERROR: AI response blocked due to potential recitation.'],
+  BLOCKED: [422, 'ERROR: AI response was blocked.'],
+  MAX_TOKENS: [502, 'ERROR: The AI response was too long. Please try a shorter text.'],
+  INVALID_JSON: [502, 'ERROR: Received an invalid response format from the AI.'],
+  INVALID_OUTPUT: [502, 'ERROR: The AI returned a result that failed validation. Please try again.'],
+  EMPTY_RESPONSE: [502, 'ERROR: The AI service returned an empty response.'],
+};
+
+/**
+ * The [status, user-facing message] for a failed generateContent() call.
+ * `messages` overrides the text per error code.
+ */
+export function describeLLMError(error, { label = 'LLM', messages = {} } = {}) {
+  console.error(`Vercel Function Error (${label}): ${error.message}`);
+
+  if (!(error instanceof LLMError)) {
+    return [500, 'ERROR: The AI service encountered an issue processing the request.'];
+  }
+  if (error.code === 'UPSTREAM') {
+    return [502, messages.UPSTREAM || `ERROR: ${error.message}`];
+  }
+
+  const [status, message] = ERROR_RESPONSES[error.code] || [500, 'ERROR: The AI service encountered an issue processing the request.'];
+  return [status, messages[error.code] || message];
+}
+
+// Sends the JSON error response for a failed generateContent() call.
+export function sendLLMError(res, error, options) {
+  const [status, message] = describeLLMError(error, options);
+  return res.status(status).json({ success: false, message });
+}
@@ -0,0 +1,106 @@
+// Meaning Preservation: /lib/meaning.js
+// Rewriting tools may change the wording, not the facts. These helpers pull the
+// checkable facts out of a text (numbers, names, quotations, citations,
+// markdown structure) and report which of them a rewrite lost.
+
+export const PRESERVE_OPTIONS = ['numbers', 'entities', 'citations', 'markdown'];
+
+// 1,200 / 3.5 / 42% / -7 / 2024; the thousands separators are dropped when comparing.
+const NUMBER = /(?<![\p{L}\d])[-−]?\d+(?:[.,]\d+)*(?:\s?%)?/gu;
+// Quoted spans of two words or more, in straight or typographic quotes.
+const QUOTE = /"([^"\n]*\s[^"\n]*)"|“([^”\n]*\s[^”\n]*)”|«\s?([^»\n]*\s[^»\n]*?)\s?»/g;
+// (Smith, 2020), (Smith et al., 2020, p. 4), [3], [3, 7], [3-5], DOIs and URLs.
+const CITATION = /\([\p{Lu}][\p{L}'’-]+(?: et al\.| (?:and|&) [\p{Lu}][\p{L}'’-]+)?,? \d{4}[a-z]?(?:, pp?\. ?\d+(?:[-–]\d+)?)?\)|\[\d+(?:\s*[,–-]\s*\d+)*\]|\b10\.\d{4,9}\/\S+\b|https?:\/\/[^\s)\]]+/gu;
+// Capitalized word runs (New York, Marie Curie, the United Nations) and acronyms (NASA).
+const CAPITALIZED_RUN = /\b\p{Lu}[\p{L}'’-]*(?:[ \t]+(?:(?:of|de|da|van|von|der|la|le|del|the)[ \t]+)?\p{Lu}[\p{L}'’-]*)*|\b\p{Lu}{2,}\b/gu;
+const MARKDOWN = {
+  headings: /^#{1,6}\s/gm,
+  listItems: /^\s*(?:[-*+]|\d+\.)\s/gm,
+  links: /\[[^\]\n]+\]\([^)\s]+\)/g,
+  codeSpans: /`[^`\n]+`/g,
+};
+
+// Words that start sentences often; capitalized there for grammar, not because they are names.
+const COMMON_CAPITALIZED = new Set([
+  'a', 'an', 'the', 'this', 'that', 'these', 'those', 'it', 'its', 'i', 'we', 'you', 'he', 'she', 'they',
+  'in', 'on', 'at', 'for', 'from', 'by', 'with', 'and', 'but', 'or', 'so', 'if', 'when', 'while', 'as',
+  'however', 'moreover', 'furthermore', 'therefore', 'also', 'first', 'second', 'finally', 'in conclusion',
+  'there', 'here', 'what', 'why', 'how', 'who', 'our', 'my', 'your', 'their', 'his', 'her', 'some', 'many',
+]);
+
+const unique = (values) => [...new Set(values)];
+const normalizeNumber = (value) => value.replace(/−/g, '-').replace(/\s/g, '').replace(/(\d)[,.](?=\d{3}\b)/g, '$1');
+
+function entitiesOf(text) {
+  const entities = [];
+  for (const match of text.matchAll(CAPITALIZED_RUN)) {
+    // "The United Nations" -> "United Nations": a leading article is not part of the name.
+    const words = match[0].trim().split(/[ \t]+/);
+    while (words.length > 1 && COMMON_CAPITALIZED.has(words[0].toLowerCase())) words.shift();
+    const value = words.join(' ');
+    // Headings and list markers start a sentence too.
+    const before = text.slice(0, match.index).trimEnd().replace(/(^|\n)[ \t]*(?:#{1,6}|[-*+>]|\d+\.)$/, '$1');
+    const sentenceStart = before === '' || /[.!?…:"“\n]$/.test(before);
+    // A lone capitalized word at the start of a sentence is just grammar.
+    if (sentenceStart && !/\s/.test(value) && !/^\p{Lu}{2,}$/u.test(value)) continue;
+    if (COMMON_CAPITALIZED.has(value.toLowerCase())) continue;
+    entities.push(value);
+  }
+  return unique(entities);
+}
+
+/**
+ * @param {string} text
+ * @returns {{ numbers: string[], entities: string[], quotes: string[], citations: string[], markdown: object }}
+ */
+export function extractFacts(text) {
+  return {
+    numbers: unique([...text.matchAll(NUMBER)].map(match => normalizeNumber(match[0]))),
+    entities: entitiesOf(text),
+    quotes: unique([...text.matchAll(QUOTE)].map(match => (match[1] ?? match[2] ?? match[3]).trim())),
+    citations: unique(text.match(CITATION) || []),
+    markdown: Object.fromEntries(Object.entries(MARKDOWN).map(([name, pattern]) => [name, (text.match(pattern) || []).length])),
+  };
+}
+
+/**
+ * What `output` lost from `input`. Quoted spans are always checked; the other
+ * kinds only when listed in `preserve`.
+ *
+ * @param {string} input
+ * @param {string} output
+ * @param {string[]} preserve subset of PRESERVE_OPTIONS
+ * @returns {{ passed: boolean, missing: { numbers?: string[], entities?: string[], quotes: string[], citations?: string[], markdown?: string[] } }}
+ */
+export function checkMeaning(input, output, preserve) {
+  const before = extractFacts(input);
+  const after = extractFacts(output);
+  const outputNumbers = new Set(after.numbers);
+
+  const missing = {
+    quotes: before.quotes.filter(quote => !output.includes(quote)),
+  };
+  if (preserve.includes('numbers')) missing.numbers = before.numbers.filter(number => !outputNumbers.has(number));
+  if (preserve.includes('entities')) missing.entities = before.entities.filter(entity => !output.includes(entity));
+  if (preserve.includes('citations')) missing.citations = before.citations.filter(citation => !output.includes(citation));
+  if (preserve.includes('markdown')) {
+    missing.markdown = Object.keys(MARKDOWN).filter(name => after.markdown[name] < before.markdown[name]);
+  }
+
+  const passed = Object.values(missing).every(list => list.length === 0);
+  return { passed, missing };
+}
+
+/**
+ * The items a rewrite must carry over verbatim, for the prompt.
+ * @returns {string[]}
+ */
+export function protectedItems(text, preserve) {
+  const facts = extractFacts(text);
+  return unique([
+    ...facts.quotes.map(quote => `"${quote}"`),
+    ...(preserve.includes('numbers') ? (text.match(NUMBER) || []).map(number => number.trim()) : []),
+    ...(preserve.includes('entities') ? facts.entities : []),
+    ...(preserve.includes('citations') ? facts.citations : []),
+  ]);
+}
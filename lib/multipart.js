@@ -0,0 +1,88 @@
+// Multipart Bodies: /lib/multipart.js
+// Reads multipart/form-data uploads. Vercel only parses JSON, form and text
+// bodies itself, so for multipart the handler reads the raw request.
+
+import { UploadError } from './errors.js';
+
+export function isMultipart(req) {
+  return /^multipart\/form-data\b/i.test(req.headers?.['content-type'] || '');
+}
+
+/**
+ * Buffers the request body, refusing it with a 413 as soon as it passes
+ * `maxBytes` (without waiting for the rest of the upload).
+ */
+export async function readRawBody(req, maxBytes) {
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > maxBytes) throw new UploadError(`Upload is too large (the limit is ${formatBytes(maxBytes)}).`, 413);
+    return req.body;
+  }
+  const declared = Number(req.headers?.['content-length']);
+  if (declared > maxBytes) throw new UploadError(`Upload is too large (the limit is ${formatBytes(maxBytes)}).`, 413);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw new UploadError(`Upload is too large (the limit is ${formatBytes(maxBytes)}).`, 413);
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+export function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// name="value" pairs from a header such as Content-Disposition.
+function headerParams(value) {
+  const params = {};
+  for (const match of value.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+  }
+  return params;
+}
+
+/**
+ * @param {Buffer} body
+ * @param {string} contentType the request's Content-Type, with its boundary
+ * @returns {{ fields: Record<string, string>, files: Array<{ field: string, filename: string, contentType: string, data: Buffer }> }}
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = headerParams(contentType || '').boundary;
+  if (!boundary) throw new UploadError('Multipart body has no boundary.');
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) throw new UploadError('Multipart body is malformed.');
+  while (true) {
+    position += delimiter.length;
+    // "--" after a delimiter closes the body.
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    const headerEnd = body.indexOf('\r\n\r\n', position);
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), position);
+    if (headerEnd === -1 || next === -1 || headerEnd > next) throw new UploadError('Multipart body is malformed.');
+
+    const headers = {};
+    for (const line of body.toString('utf8', position, headerEnd).split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const disposition = headerParams(headers['content-disposition'] || '');
+    const data = body.subarray(headerEnd + 4, next);
+
+    if (disposition.name !== undefined) {
+      if (disposition.filename !== undefined) {
+        files.push({ field: disposition.name, filename: disposition.filename, contentType: headers['content-type'] || 'application/octet-stream', data });
+      } else {
+        fields[disposition.name] = data.toString('utf8');
+      }
+    }
+    position = next + 2;
+  }
+
+  return { fields, files };
+}
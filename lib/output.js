@@ -0,0 +1,37 @@
+// Model Output Checks: /lib/output.js
+// Helpers for the `validate` hook of generateContent(). A failed check throws a
+// retryable INVALID_OUTPUT error, so a hijacked or sloppy answer gets one more
+// try and never reaches the browser as-is.
+
+import { LLMError } from './errors.js';
+
+export function invalidOutput(message) {
+  return new LLMError(`AI output failed validation: ${message}`, { code: 'INVALID_OUTPUT', retryable: true });
+}
+
+export function expectObject(value, field = 'response') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalidOutput(`${field} is not an object.`);
+  return value;
+}
+
+export function expectNumberInRange(value, min, max, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw invalidOutput(`${field} must be a number between ${min} and ${max} (got ${JSON.stringify(value)}).`);
+  }
+  return value;
+}
+
+export function expectString(value, field, { maxLength = Infinity, pattern } = {}) {
+  if (typeof value !== 'string' || value.trim() === '') throw invalidOutput(`${field} must be a non-empty string.`);
+  if (value.length > maxLength) throw invalidOutput(`${field} is longer than ${maxLength} characters.`);
+  if (pattern && !pattern.test(value)) throw invalidOutput(`${field} has an unexpected format.`);
+  return value;
+}
+
+export function expectArray(value, field, { minItems = 0, maxItems = Infinity } = {}) {
+  if (!Array.isArray(value)) throw invalidOutput(`${field} must be an array.`);
+  if (value.length < minItems || value.length > maxItems) {
+    throw invalidOutput(`${field} must have between ${minItems} and ${maxItems} items (got ${value.length}).`);
+  }
+  return value;
+}
@@ -0,0 +1,183 @@
+// Plagiarism Matching: /lib/plagiarism.js
+// Scores come from the text itself, not from the model. The user text is cut
+// into overlapping word n-grams ("shingles") and compared against the passages
+// Google Search grounding attributed to each web page. Only pages listed in the
+// grounding metadata can ever be reported as sources.
+//
+// A passage is either the page's own text (retrievedContext.text, when the API
+// sends it) or a segment of the model's answer that grounding attributes to the
+// page. The latter is written by the model, so it never counts as plagiarism:
+// matches through it alone are reported separately (matchAgainstSources()).
+
+import { tokenizeWords, splitSentences } from './text.js';
+
+// Five words in a row is rarely a coincidence, and short enough to survive light edits nearby.
+export const SHINGLE_SIZE = 5;
+const MAX_SNIPPET_LENGTH = 200;
+
+/**
+ * Reads the sources and attributed passages out of a Gemini candidate's
+ * groundingMetadata. Non-web chunks and duplicate URLs are dropped.
+ *
+ * @param {object} [candidate]
+ * @returns {{
+ *   sources: Array<{ url: string, title: string }>,
+ *   passages: Array<{ text: string, sources: number[], textFrom: 'page' | 'model' }>,
+ *   queries: string[]
+ * }}
+ */
+export function readGrounding(candidate) {
+  const metadata = candidate?.groundingMetadata || {};
+  const sources = [];
+  const sourceByUrl = new Map();
+  const chunkSource = new Map(); // grounding chunk index -> index in `sources`
+  const passages = [];
+
+  (metadata.groundingChunks || []).forEach((chunk, index) => {
+    const url = chunk?.web?.uri || chunk?.retrievedContext?.uri;
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return;
+    if (!sourceByUrl.has(url)) {
+      sourceByUrl.set(url, sources.length);
+      sources.push({ url, title: String(chunk.web?.title || chunk.retrievedContext?.title || url) });
+    }
+    chunkSource.set(index, sourceByUrl.get(url));
+    // Some deployments return the retrieved page text with the chunk itself.
+    if (typeof chunk.retrievedContext?.text === 'string') {
+      passages.push({ text: chunk.retrievedContext.text, sources: [sourceByUrl.get(url)], textFrom: 'page' });
+    }
+  });
+
+  for (const support of metadata.groundingSupports || []) {
+    const text = support?.segment?.text;
+    const supportSources = [...new Set((support?.groundingChunkIndices || []).filter(index => chunkSource.has(index)).map(index => chunkSource.get(index)))];
+    if (typeof text === 'string' && text && supportSources.length > 0) passages.push({ text, sources: supportSources, textFrom: 'model' });
+  }
+
+  const queries = (metadata.webSearchQueries || []).filter(query => typeof query === 'string');
+  return { sources, passages, queries };
+}
+
+const shingleAt = (tokens, index, size) => tokens.slice(index, index + size).map(token => token.word).join(' ');
+
+// For every word of the user text, the set of sources sharing a shingle that covers it.
+function coverWords(tokens, passages, size) {
+  const index = new Map();
+  for (const passage of passages) {
+    const passageTokens = tokenizeWords(passage.text);
+    for (let i = 0; i + size <= passageTokens.length; i++) {
+      const key = shingleAt(passageTokens, i, size);
+      if (!index.has(key)) index.set(key, new Set());
+      for (const source of passage.sources) index.get(key).add(source);
+    }
+  }
+
+  const covered = tokens.map(() => new Set());
+  for (let i = 0; i + size <= tokens.length; i++) {
+    const sources = index.get(shingleAt(tokens, i, size));
+    if (!sources) continue;
+    for (let j = i; j < i + size; j++) for (const source of sources) covered[j].add(source);
+  }
+  return covered;
+}
+
+const percent = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 100));
+
+// Runs of consecutive covered words among `indexes` (one sentence's tokens).
+function spansOf(tokens, covered, indexes) {
+  const spans = [];
+  for (const index of indexes) {
+    if (covered[index].size === 0) continue;
+    const last = spans.at(-1);
+    if (last && last.lastToken === index - 1) {
+      last.to = tokens[index].to;
+      last.lastToken = index;
+      for (const source of covered[index]) last.sources.add(source);
+    } else {
+      spans.push({ from: tokens[index].from, to: tokens[index].to, lastToken: index, sources: new Set(covered[index]) });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Only page text counts towards the percentages and `spans`. Wording matched
+ * by nothing but the model's quotes of a page is reported apart, as
+ * modelQuotedPercentage and `modelQuotedSpans`, and its sources carry
+ * textFrom: "model".
+ *
+ * @param {string} text the user's text
+ * @param {ReturnType<typeof readGrounding>} grounding
+ * @param {object} [options]
+ * @param {number} [options.shingleSize=SHINGLE_SIZE]
+ * @returns {{
+ *   plagiarismPercentage: number,
+ *   uniquePercentage: number,
+ *   modelQuotedPercentage: number,
+ *   matchedSources: Array<{ url: string, title: string, snippet: string, matchedPercentage: number, textFrom: 'page' | 'model' }>,
+ *   sentences: Array<{
+ *     from: number, to: number, matchedPercentage: number,
+ *     spans: Array<{ from: number, to: number, sources: number[] }>,
+ *     modelQuotedSpans: Array<{ from: number, to: number, sources: number[] }>
+ *   }>
+ * }} offsets index into `text`; span `sources` index into matchedSources
+ */
+export function matchAgainstSources(text, grounding, { shingleSize = SHINGLE_SIZE } = {}) {
+  const tokens = tokenizeWords(text);
+  const coverFrom = (textFrom) => coverWords(tokens, grounding.passages.filter(passage => passage.textFrom === textFrom), shingleSize);
+  const covered = coverFrom('page');
+  const quoted = coverFrom('model').map((sources, index) => (covered[index].size > 0 ? new Set() : sources));
+
+  // Contiguous covered words inside one sentence form a span.
+  const sentences = splitSentences(text).map((sentence) => {
+    const indexes = tokens.map((_, index) => index).filter(index => tokens[index].from >= sentence.from && tokens[index].to <= sentence.to);
+    return {
+      from: sentence.from,
+      to: sentence.to,
+      matchedPercentage: percent(indexes.filter(index => covered[index].size > 0).length, indexes.length),
+      spans: spansOf(tokens, covered, indexes),
+      modelQuotedSpans: spansOf(tokens, quoted, indexes),
+    };
+  });
+
+  // Sources that matched nothing are not reported; page matches come first,
+  // each group ordered by coverage.
+  const wordsIn = (cover, source) => cover.filter(set => set.has(source)).length;
+  const pageWords = grounding.sources.map((_, source) => wordsIn(covered, source));
+  const quotedWords = grounding.sources.map((_, source) => wordsIn(quoted, source));
+  const order = grounding.sources.map((_, source) => source)
+    .filter(source => pageWords[source] > 0 || quotedWords[source] > 0)
+    .sort((a, b) => pageWords[b] - pageWords[a] || quotedWords[b] - quotedWords[a]);
+  const position = new Map(order.map((source, index) => [source, index]));
+
+  const matchedSources = order.map((source) => {
+    const fromPage = pageWords[source] > 0;
+    const longest = sentences
+      .flatMap(sentence => (fromPage ? sentence.spans : sentence.modelQuotedSpans))
+      .filter(span => span.sources.has(source))
+      .sort((a, b) => (b.to - b.from) - (a.to - a.from))[0];
+    return {
+      ...grounding.sources[source],
+      snippet: text.slice(longest.from, longest.to).slice(0, MAX_SNIPPET_LENGTH),
+      matchedPercentage: percent(fromPage ? pageWords[source] : quotedWords[source], tokens.length),
+      textFrom: fromPage ? 'page' : 'model',
+    };
+  });
+
+  const publicSpans = spans => spans.map(({ from, to, sources }) => ({
+    from,
+    to,
+    sources: [...sources].map(source => position.get(source)).sort((a, b) => a - b),
+  }));
+  const plagiarismPercentage = percent(covered.filter(set => set.size > 0).length, tokens.length);
+  return {
+    plagiarismPercentage,
+    uniquePercentage: 100 - plagiarismPercentage,
+    modelQuotedPercentage: percent(quoted.filter(set => set.size > 0).length, tokens.length),
+    matchedSources,
+    sentences: sentences.map(sentence => ({
+      ...sentence,
+      spans: publicSpans(sentence.spans),
+      modelQuotedSpans: publicSpans(sentence.modelQuotedSpans),
+    })),
+  };
+}
@@ -0,0 +1,50 @@
+// Bounded Concurrency: /lib/pool.js
+
+/**
+ * Runs `fn(item, index)` over `items` with at most `limit` calls in flight and
+ * resolves with the results in input order. The first rejection rejects the
+ * whole call and stops new items from starting.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Returns run(fn), which calls `fn` once fewer than `limit` earlier calls are
+ * still in flight, in the order they arrived, and resolves with its result.
+ * Shared by every caller of the same run(), unlike mapWithConcurrency().
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  return async function run(fn) {
+    if (active < limit) active++;
+    else await new Promise(resolve => waiting.push(resolve)); // handed a slot by a finished call
+    try {
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+}
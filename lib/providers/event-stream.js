@@ -0,0 +1,34 @@
+// Upstream Event Streams: /lib/providers/event-stream.js
+// Reads the server-sent events that Gemini (?alt=sse) and OpenAI-compatible
+// APIs (stream: true) use to deliver a completion piece by piece.
+
+/**
+ * Yields the `data` payload of each event in an upstream SSE body (a fetch()
+ * ReadableStream). Multi-line data fields are joined with newlines.
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let data = [];
+
+  const lineEvents = function* (lines) {
+    for (const line of lines) {
+      if (line === '') {
+        if (data.length > 0) yield data.join('\n');
+        data = [];
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+      // Comments, event names and ids are not used by any provider we talk to.
+    }
+  };
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    yield* lineEvents(lines);
+  }
+  buffer += decoder.decode();
+  yield* lineEvents([buffer, '']);
+}
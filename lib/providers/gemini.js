@@ -0,0 +1,141 @@
+// Gemini Provider: /lib/providers/gemini.js
+// Default provider. Talks to the Google Generative Language REST API.
+
+import { LLMError } from '../errors.js';
+import { readEventStream } from './event-stream.js';
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// HTTP statuses that mean "try again later" rather than "your request is wrong"
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// finishReasons that will not change no matter how often we ask
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY']);
+
+function parseRetryAfter(header) {
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+function buildPayload({ prompt, system, schema, temperature, tools }) {
+  const payload = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+  if (system) payload.systemInstruction = { parts: [{ text: system }] };
+  const generationConfig = {};
+  if (schema) {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = schema;
+  }
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (Object.keys(generationConfig).length > 0) payload.generationConfig = generationConfig;
+  if (tools) payload.tools = tools;
+  return payload;
+}
+
+// Turns a non-OK HTTP response into a classified LLMError.
+async function errorFromResponse(apiResponse) {
+  let message = `Gemini API Error: ${apiResponse.status} ${apiResponse.statusText}`;
+  try {
+    const errorJson = await apiResponse.json();
+    message = errorJson?.error?.message ? `Gemini API Error: ${errorJson.error.message}` : message;
+  } catch (e) {
+    // Non-JSON error body; keep the status line.
+  }
+  const retryable = RETRYABLE_STATUSES.has(apiResponse.status);
+  return new LLMError(message, {
+    code: apiResponse.status === 503 || apiResponse.status === 429 ? 'OVERLOADED' : 'UPSTREAM',
+    status: apiResponse.status,
+    retryable,
+    retryAfter: retryable ? parseRetryAfter(apiResponse.headers.get('retry-after')) : undefined,
+  });
+}
+
+// Pulls the text out of a successful response, or explains why there is none.
+function extractText(result) {
+  const blockReason = result?.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new LLMError(`AI request blocked (${blockReason}).`, { code: blockReason === 'SAFETY' ? 'SAFETY' : 'BLOCKED', finishReason: blockReason });
+  }
+
+  const candidate = result?.candidates?.[0];
+  const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+  const finishReason = candidate?.finishReason;
+
+  if (BLOCKED_FINISH_REASONS.has(finishReason)) {
+    const code = finishReason === 'SAFETY' || finishReason === 'RECITATION' ? finishReason : 'BLOCKED';
+    throw new LLMError(`AI response blocked (${finishReason}).`, { code, finishReason });
+  }
+  if (finishReason === 'MAX_TOKENS') {
+    throw new LLMError('AI response was cut off before it finished.', { code: 'MAX_TOKENS', finishReason });
+  }
+  if (!text) {
+    throw new LLMError('Unexpected or empty response structure from AI.', { code: 'EMPTY_RESPONSE', finishReason, retryable: true });
+  }
+  return { text, candidate };
+}
+
+// Reads a streamGenerateContent?alt=sse body, passing text to onText as it
+// arrives, and folds the chunks back into one generateContent-shaped result.
+async function readStream(body, onText) {
+  let text = '';
+  let last = {};
+  try {
+    for await (const data of readEventStream(body)) {
+      const chunk = JSON.parse(data);
+      const blocked = chunk?.promptFeedback?.blockReason || chunk?.candidates?.[0]?.finishReason;
+      const delta = (chunk?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+      // Text arriving together with a block is not forwarded; it is about to be withdrawn.
+      if (delta && !BLOCKED_FINISH_REASONS.has(blocked)) {
+        text += delta;
+        onText(delta);
+      }
+      last = chunk;
+    }
+  } catch (streamError) {
+    throw new LLMError(`Stream interrupted: ${streamError.message}`, { code: 'NETWORK', retryable: true });
+  }
+
+  const candidate = last?.candidates?.[0];
+  return {
+    ...last,
+    candidates: candidate ? [{ ...candidate, content: { role: 'model', parts: text ? [{ text }] : [] } }] : undefined,
+  };
+}
+
+export const name = 'gemini';
+
+/**
+ * One request to Gemini, no retries (lib/llm.js owns those). With
+ * `request.onText` it uses streamGenerateContent and reports text as it comes.
+ * @returns {Promise<{ text: string, candidate: object, result: object }>}
+ */
+export async function generate(request) {
+  // --- Secure API Key Retrieval ---
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new LLMError('Gemini API key not configured.', { code: 'NO_API_KEY' });
+  }
+
+  const baseUrl = process.env.GEMINI_API_BASE_URL || DEFAULT_BASE_URL;
+  const model = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+  const geminiApiUrl = request.onText
+    ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+
+  let apiResponse;
+  try {
+    apiResponse = await fetch(geminiApiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildPayload(request)),
+    });
+  } catch (networkError) {
+    throw new LLMError(`Network error: ${networkError.message}`, { code: 'NETWORK', retryable: true });
+  }
+
+  console.log(`SERVER LOG (${request.label}): Gemini status:`, apiResponse.status);
+  if (!apiResponse.ok) throw await errorFromResponse(apiResponse);
+
+  const result = request.onText ? await readStream(apiResponse.body, request.onText) : await apiResponse.json();
+  return { ...extractText(result), result };
+}
@@ -0,0 +1,95 @@
+// Mock Provider: /lib/providers/mock.js
+// Deterministic offline fixtures so the backend runs without any API key.
+// Same prompt in, same answer out; every fixture matches its route's schema.
+
+import { createHash } from 'node:crypto';
+
+// Picks a stable entry from `list` for a given prompt. The random block tags from
+// lib/prompt.js are ignored so the same input always maps to the same fixture.
+function pick(list, prompt) {
+  const stable = prompt.replace(/ [0-9a-f]{12}\]/g, ']');
+  const index = createHash('sha1').update(stable).digest().readUInt32BE(0) % list.length;
+  return list[index];
+}
+
+const FIXTURES = {
+  grammar: () => ({
+    analysis: { tone: 'Neutral', clarityScore: 82 },
+    corrections: [],
+  }),
+  detector: (prompt) => ({
+    aiScore: pick([12, 27, 48, 63, 81], prompt),
+    explanation: 'Mock result: sentence length and vocabulary were compared against typical AI output.',
+  }),
+  humanizer: () => ({
+    humanizedText: 'This is a mock rewrite. It reads a little more like a person wrote it, and that is the point.',
+  }),
+  // One mock sentence per numbered original sentence, in as many versions as the system instruction asks for.
+  paraphrase: (prompt, system) => {
+    const count = Number(system.match(/Write exactly (\d+)/)?.[1] || 1);
+    const sentences = prompt.match(/^\d+\. /gm) || ['1. '];
+    return {
+      variants: Array.from({ length: count }, (_, v) => ({
+        sentences: sentences.map((_, i) => ({ text: `This is mock paraphrase ${v + 1} of sentence ${i + 1}.`, sources: [i + 1] })),
+      })),
+    };
+  },
+  // No search offline, so no grounding metadata and therefore no matches.
+  plagiarism: () => 'NONE',
+  hangman: (prompt) => pick([
+    { word: 'LIGHTHOUSE', hint: 'It keeps ships off the rocks at night.' },
+    { word: 'VOLCANO', hint: 'A mountain with a hot temper.' },
+    { word: 'PENGUIN', hint: 'A bird in a permanent tuxedo that cannot fly.' },
+  ], prompt),
+  'word-scramble': (prompt) => pick([
+    { word: 'GALAXY', hint: 'Billions of stars sharing one address.' },
+    { word: 'LANTERN', hint: 'Carry it to light your way.' },
+    { word: 'HARVEST', hint: 'What farmers celebrate in autumn.' },
+  ], prompt),
+  'riddle-joke': (prompt) => pick([
+    { question: 'What has keys but cannot open locks?', answer: 'A piano.' },
+    { question: 'Why did the scarecrow win an award?', answer: 'Because he was outstanding in his field.' },
+  ], prompt),
+  'name-combiner': () => [
+    'Mocktopia', 'Blendly', 'Fusionary', 'Nameworks', 'Twinlo',
+    'Mergeon', 'Duolux', 'Pairvana', 'Combiq', 'Joinery',
+  ],
+  'typing-test': () => 'The quick brown fox jumps over the lazy dog while the mock provider supplies a steady stream of practice text. '.repeat(12).trim(),
+};
+
+// Fallback for tasks without a hand-written fixture: fill the schema with placeholder values.
+function fromSchema(schema) {
+  switch (schema?.type) {
+    case 'OBJECT':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, sub]) => [key, fromSchema(sub)]));
+    case 'ARRAY':
+      return [fromSchema(schema.items)];
+    case 'NUMBER':
+    case 'INTEGER':
+      return 0;
+    case 'BOOLEAN':
+      return false;
+    case 'STRING':
+      return schema.enum ? schema.enum[0] : 'mock';
+    default:
+      return null;
+  }
+}
+
+export const name = 'mock';
+
+/**
+ * Returns the fixture for `request.task` as the model's raw text. With
+ * `onText` the text is also handed over word by word, like a real stream.
+ * @returns {Promise<{ text: string, result: object }>}
+ */
+export async function generate({ task, prompt, system = '', schema, label, onText }) {
+  console.log(`SERVER LOG (${label}): Using mock LLM provider for task "${task}".`);
+  const fixture = FIXTURES[task];
+  const value = fixture ? fixture(prompt, system) : fromSchema(schema);
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (onText) {
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) onText(piece);
+  }
+  return { text, result: { mock: true, task } };
+}
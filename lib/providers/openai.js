@@ -0,0 +1,159 @@
+// OpenAI-Compatible Provider: /lib/providers/openai.js
+// Works with api.openai.com and any server exposing /chat/completions
+// (Azure, OpenRouter, vLLM, Ollama, llama.cpp, ...).
+
+import { LLMError } from '../errors.js';
+import { readEventStream } from './event-stream.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Gemini schemas use upper-case type names ("OBJECT"); JSON Schema wants lower-case.
+export function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(value).map(([prop, sub]) => [prop, toJsonSchema(sub)]));
+    } else if (key === 'items') {
+      converted.items = toJsonSchema(value);
+    } else if (key === 'propertyOrdering') {
+      // Gemini-only; JSON Schema keeps properties in the order they are listed.
+      continue;
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
+// response_format only accepts object roots, so arrays etc. are wrapped in { result }.
+function buildResponseFormat(schema) {
+  const jsonSchema = toJsonSchema(schema);
+  const wrapped = jsonSchema.type !== 'object';
+  const root = wrapped
+    ? { type: 'object', properties: { result: jsonSchema }, required: ['result'] }
+    : jsonSchema;
+  return { wrapped, responseFormat: { type: 'json_schema', json_schema: { name: 'response', schema: root } } };
+}
+
+function parseRetryAfter(header) {
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+// Reads a stream: true body, passing text to onText as it arrives, and folds the
+// chunks back into one chat-completion-shaped result.
+async function readStream(body, onText) {
+  let content = '';
+  let finishReason;
+  let last = {};
+  try {
+    for await (const data of readEventStream(body)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      const choice = chunk?.choices?.[0];
+      const delta = choice?.delta?.content || '';
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+      finishReason = choice?.finish_reason || finishReason;
+      last = chunk;
+    }
+  } catch (streamError) {
+    throw new LLMError(`Stream interrupted: ${streamError.message}`, { code: 'NETWORK', retryable: true });
+  }
+  return { ...last, choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }] };
+}
+
+export const name = 'openai';
+
+/**
+ * One chat-completions request. `tools` (Google Search grounding) has no
+ * equivalent here and is ignored. With `onText` the completion is streamed.
+ * @returns {Promise<{ text: string, result: object }>}
+ */
+export async function generate({ prompt, system, schema, temperature, label, onText }) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+  // Self-hosted compatible servers often run without a key; the real API never does.
+  if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+    throw new LLMError('OpenAI API key not configured.', { code: 'NO_API_KEY' });
+  }
+
+  const body = {
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    messages: system
+      ? [{ role: 'system', content: system }, { role: 'user', content: prompt }]
+      : [{ role: 'user', content: prompt }],
+  };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (onText) body.stream = true;
+
+  let wrapped = false;
+  if (schema) {
+    const format = buildResponseFormat(schema);
+    wrapped = format.wrapped;
+    body.response_format = format.responseFormat;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  let apiResponse;
+  try {
+    apiResponse = await fetch(`${baseUrl}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(body) });
+  } catch (networkError) {
+    throw new LLMError(`Network error: ${networkError.message}`, { code: 'NETWORK', retryable: true });
+  }
+
+  console.log(`SERVER LOG (${label}): OpenAI-compatible status:`, apiResponse.status);
+
+  if (!apiResponse.ok) {
+    let message = `OpenAI API Error: ${apiResponse.status} ${apiResponse.statusText}`;
+    try {
+      const errorJson = await apiResponse.json();
+      message = errorJson?.error?.message ? `OpenAI API Error: ${errorJson.error.message}` : message;
+    } catch (e) {
+      // Non-JSON error body; keep the status line.
+    }
+    const retryable = RETRYABLE_STATUSES.has(apiResponse.status);
+    throw new LLMError(message, {
+      code: apiResponse.status === 503 || apiResponse.status === 429 ? 'OVERLOADED' : 'UPSTREAM',
+      status: apiResponse.status,
+      retryable,
+      retryAfter: retryable ? parseRetryAfter(apiResponse.headers.get('retry-after')) : undefined,
+    });
+  }
+
+  const result = onText ? await readStream(apiResponse.body, onText) : await apiResponse.json();
+  const choice = result?.choices?.[0];
+  const finishReason = choice?.finish_reason;
+
+  if (finishReason === 'content_filter') {
+    throw new LLMError('AI response blocked (content_filter).', { code: 'SAFETY', finishReason });
+  }
+  if (finishReason === 'length') {
+    throw new LLMError('AI response was cut off before it finished.', { code: 'MAX_TOKENS', finishReason });
+  }
+
+  let text = choice?.message?.content || '';
+  if (!text) {
+    throw new LLMError('Unexpected or empty response structure from AI.', { code: 'EMPTY_RESPONSE', finishReason, retryable: true });
+  }
+  if (wrapped) {
+    try {
+      text = JSON.stringify(JSON.parse(text).result);
+    } catch (e) {
+      // Leave it for lib/llm.js to report as INVALID_JSON.
+    }
+  }
+  return { text, result };
+}
@@ -0,0 +1,197 @@
+// Rate Limiter: /lib/rate-limit.js
+// Token buckets per client IP and per upstream API key, so one script can
+// neither hog a route nor drain our Gemini/ClipDrop quota.
+
+import { createHash } from 'node:crypto';
+import { getStore } from './stores/index.js';
+
+// --- Per-Route Limits ---
+// capacity = burst size, refillPerMinute = sustained rate.
+// The long-running text tools (maxDuration 300 in vercel.json) get the tightest budgets.
+const TEXT_TOOL_LIMITS = {
+  ip: { capacity: 5, refillPerMinute: 5 },
+  key: { capacity: 60, refillPerMinute: 60 },
+};
+const GAME_LIMITS = {
+  ip: { capacity: 30, refillPerMinute: 20 },
+  key: { capacity: 300, refillPerMinute: 300 },
+};
+
+export const ROUTE_LIMITS = {
+  'grammar': TEXT_TOOL_LIMITS,
+  'detector': TEXT_TOOL_LIMITS,
+  'humanizer': TEXT_TOOL_LIMITS,
+  'paraphrase': TEXT_TOOL_LIMITS,
+  // Search grounding makes every plagiarism call the most expensive one we have.
+  'plagiarism': {
+    ip: { capacity: 3, refillPerMinute: 3 },
+    key: { capacity: 30, refillPerMinute: 30 },
+  },
+  'remove-background': {
+    ip: { capacity: 5, refillPerMinute: 3 },
+    key: { capacity: 30, refillPerMinute: 30 },
+  },
+  // Local disk only, but callers are bulk-loading archives.
+  'corpus': {
+    ip: { capacity: 60, refillPerMinute: 60 },
+    key: { capacity: 600, refillPerMinute: 600 },
+  },
+  // Local work only (no model call), but a DOCX can be large.
+  'grammar-export': {
+    ip: { capacity: 30, refillPerMinute: 30 },
+    key: { capacity: 300, refillPerMinute: 300 },
+  },
+  // One submission can carry 50 documents; polls for job status count too.
+  'batch': {
+    ip: { capacity: 10, refillPerMinute: 6 },
+    key: { capacity: 60, refillPerMinute: 60 },
+  },
+  // Every submission is one long model call; polls count too.
+  'jobs': {
+    ip: { capacity: 20, refillPerMinute: 12 },
+    key: { capacity: 120, refillPerMinute: 120 },
+  },
+  'hangman-ai': GAME_LIMITS,
+  'word-scramble-ai': GAME_LIMITS,
+  'riddle-joke': GAME_LIMITS,
+  'name-combiner-ai': GAME_LIMITS,
+  'typing-test-text': GAME_LIMITS,
+};
+
+// Which secret a route spends; the bucket is keyed on a hash of its value.
+const ROUTE_UPSTREAM_KEYS = {
+  'remove-background': 'CLIPDROP_API_KEY',
+  'corpus': 'CORPUS_API_KEY',
+};
+const DEFAULT_UPSTREAM_KEY = 'GEMINI_API_KEY';
+
+// The address our own edge saw. Vercel sets x-real-ip itself; otherwise the
+// last X-Forwarded-For hop is the one the nearest proxy appended. Earlier hops
+// come from the client and can be anything, so they never pick a bucket.
+export function getClientIp(req) {
+  const realIp = req.headers?.['x-real-ip'];
+  if (realIp) return String(realIp).trim();
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',').at(-1).trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+function upstreamKeyId(route) {
+  const secret = process.env[ROUTE_UPSTREAM_KEYS[route] || DEFAULT_UPSTREAM_KEY] || 'none';
+  return createHash('sha256').update(secret).digest('hex').slice(0, 16);
+}
+
+// Refills a bucket for the time elapsed since it was last touched.
+function refill(bucket, limit, now) {
+  const ratePerMs = limit.refillPerMinute / 60000;
+  if (!bucket) return { tokens: limit.capacity, updatedAt: now };
+  const tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+  return { tokens, updatedAt: now };
+}
+
+const msUntilTokens = (bucket, limit, cost) => Math.ceil((cost - bucket.tokens) / (limit.refillPerMinute / 60000));
+const msUntilFull = (bucket, limit) => Math.ceil((limit.capacity - bucket.tokens) / (limit.refillPerMinute / 60000));
+
+/**
+ * Takes `cost` tokens from every bucket, or none if any bucket is short.
+ * Not atomic across instances; a few requests may slip through a race on
+ * Redis, which is acceptable for abuse protection.
+ *
+ * @param {Array<{ key: string, limit: { capacity: number, refillPerMinute: number } }>} buckets
+ * @param {number} [cost=1] must not exceed any bucket's capacity
+ * @returns {Promise<{ allowed: boolean, retryAfterMs: number, remaining: number, limit: number }>}
+ */
+export async function consume(store, buckets, now = Date.now(), cost = 1) {
+  const states = await Promise.all(buckets.map(async ({ key, limit }) => refill(await store.get(key), limit, now)));
+
+  const blocked = buckets
+    .map(({ limit }, index) => (states[index].tokens < cost ? msUntilTokens(states[index], limit, cost) : 0))
+    .filter(wait => wait > 0);
+
+  if (blocked.length > 0) {
+    return { allowed: false, retryAfterMs: Math.max(...blocked), remaining: 0, limit: buckets[0].limit.capacity };
+  }
+
+  await Promise.all(buckets.map(({ key, limit }, index) => {
+    const next = { tokens: states[index].tokens - cost, updatedAt: now };
+    return store.set(key, next, Math.max(msUntilFull(next, limit), 1000));
+  }));
+
+  return { allowed: true, retryAfterMs: 0, remaining: Math.floor(states[0].tokens - cost), limit: buckets[0].limit.capacity };
+}
+
+const routeBuckets = (route, req) => [
+  { key: `${route}:ip:${getClientIp(req)}`, limit: ROUTE_LIMITS[route].ip },
+  { key: `${route}:key:${upstreamKeyId(route)}`, limit: ROUTE_LIMITS[route].key },
+];
+
+function sendThrottled(req, res, route, retryAfterMs) {
+  const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  console.log(`SERVER LOG (Rate Limit ${route}): Throttled ${getClientIp(req)} for ${retryAfterSeconds}s.`);
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `ERROR: Too many requests. Please try again in ${retryAfterSeconds} seconds.`,
+  });
+}
+
+/**
+ * Wraps a handler with the limits for `route`. Preflight requests are never
+ * counted. Set RATE_LIMIT_DISABLED=true to switch limiting off (local dev, tests).
+ */
+export const withRateLimit = (route, fn) => async (req, res) => {
+  if (req.method === 'OPTIONS' || process.env.RATE_LIMIT_DISABLED === 'true') {
+    return await fn(req, res);
+  }
+
+  let result;
+  try {
+    result = await consume(getStore('rate-limit'), routeBuckets(route, req));
+  } catch (error) {
+    // A broken limiter store must not take the whole site down with it.
+    console.error(`SERVER ERROR (Rate Limit ${route}): ${error.message}. Allowing request.`);
+    return await fn(req, res);
+  }
+
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) return sendThrottled(req, res, route, result.retryAfterMs);
+
+  return await fn(req, res);
+};
+
+/**
+ * Charges `count` requests to `route`'s own buckets for work another route
+ * runs in-process: /api/batch and /api/jobs call the tool workers directly,
+ * which skip the tools' withRateLimit(). All or nothing; answers 429 itself
+ * (and returns false) when the buckets cannot cover `count` now, or ever.
+ *
+ * @param {string} route the tool whose budget pays, e.g. 'grammar'
+ * @returns {Promise<boolean>} true when the work may go ahead
+ */
+export async function chargeRoute(route, req, res, count = 1) {
+  if (process.env.RATE_LIMIT_DISABLED === 'true') return true;
+
+  const buckets = routeBuckets(route, req);
+  const capacity = Math.min(...buckets.map(({ limit }) => limit.capacity));
+  if (count > capacity) {
+    console.log(`SERVER LOG (Rate Limit ${route}): Refused ${count} requests at once from ${getClientIp(req)}.`);
+    res.status(429).json({
+      success: false,
+      message: `ERROR: ${count} ${route} documents is more than can run at once (at most ${capacity}). Please send fewer documents.`,
+    });
+    return false;
+  }
+
+  let result;
+  try {
+    result = await consume(getStore('rate-limit'), buckets, Date.now(), count);
+  } catch (error) {
+    console.error(`SERVER ERROR (Rate Limit ${route}): ${error.message}. Allowing request.`);
+    return true;
+  }
+  if (result.allowed) return true;
+  sendThrottled(req, res, route, result.retryAfterMs);
+  return false;
+}
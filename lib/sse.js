@@ -0,0 +1,157 @@
+// Server-Sent Events: /lib/sse.js
+// Opt-in streaming for text routes: the browser sends `Accept: text/event-stream`
+// and gets the answer as it is generated instead of one JSON body at the end.
+
+import { describeLLMError } from './llm.js';
+
+// True when the client asked for an event stream instead of one JSON body.
+export function wantsEventStream(req) {
+  return /\btext\/event-stream\b/i.test(req.headers?.accept || '');
+}
+
+/**
+ * Switches the response to text/event-stream. Headers set earlier (CORS,
+ * rate limit) are kept.
+ * @returns {{ send(event: string, data: any): void, close(): void }}
+ */
+export function openEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // keep proxies from holding events back
+  res.status(200);
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      res.end();
+    },
+  };
+}
+
+/**
+ * Runs one streamed LLM call and reports it as events:
+ *   delta {text}             a piece of the answer, in order
+ *   reset {attempt}          an attempt failed after sending deltas; discard them
+ *   done  {success, ...}     the full result, same fields as the JSON response, plus metadata
+ *   error {success, status, message}
+ *
+ * `run(stream)` receives { onText, onRetry } to pass to generateContent() and
+ * resolves with the result fields for the done event.
+ */
+export async function sendEventStream(res, { label = 'LLM', messages } = {}, run) {
+  const events = openEventStream(res);
+  let sentText = false;
+  const stream = {
+    onText(text) {
+      sentText = true;
+      events.send('delta', { text });
+    },
+    onRetry(attempt) {
+      if (sentText) events.send('reset', { attempt });
+      sentText = false;
+    },
+  };
+
+  try {
+    const result = await run(stream);
+    events.send('done', { success: true, ...result });
+  } catch (error) {
+    const [status, message] = describeLLMError(error, { label, messages });
+    events.send('error', { success: false, status, message });
+  }
+  events.close();
+}
+
+// JSON escapes that may be split across two deltas.
+const SIMPLE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Forwards the value of one string field of a JSON answer as it streams in,
+ * so JSON-mode routes can still stream plain text to the browser. Returns a
+ * function to feed raw model deltas into.
+ *
+ * By default only the first occurrence of the field is forwarded. With
+ * `repeat`, later occurrences follow, joined by `separator`, until `stopAt`
+ * matches somewhere after a finished value (e.g. the key that opens the next
+ * array entry you do not want).
+ *
+ * @param {string} field e.g. 'humanizedText'
+ * @param {(text: string) => void} onText
+ * @param {object} [options]
+ * @param {boolean} [options.repeat=false]
+ * @param {string} [options.separator='']
+ * @param {RegExp} [options.stopAt]
+ */
+export function createJsonFieldStream(field, onText, { repeat = false, separator = '', stopAt } = {}) {
+  const opener = new RegExp(`"${field}"\\s*:\\s*"`, 'g');
+  let raw = '';
+  let position = -1; // index in `raw` just after the opening quote, while inside a value
+  let searchFrom = 0; // where to look for the next opening quote
+  let values = 0;
+  let done = false;
+
+  return (delta) => {
+    if (done) return;
+    raw += delta;
+    let text = '';
+
+    while (!done) {
+      if (position === -1) {
+        opener.lastIndex = searchFrom;
+        const match = opener.exec(raw);
+        if (values > 0 && stopAt) {
+          const rest = raw.slice(searchFrom, match ? match.index : raw.length);
+          if (stopAt.test(rest)) {
+            done = true;
+            break;
+          }
+        }
+        if (!match) break;
+        position = match.index + match[0].length;
+        if (values > 0) text += separator;
+      }
+
+      const value = decodeString(raw, position);
+      text += value.text;
+      position = value.position;
+      if (!value.closed) break;
+      values++;
+      if (!repeat) done = true;
+      searchFrom = position + 1;
+      position = -1;
+    }
+    if (text) onText(text);
+  };
+}
+
+// Decodes JSON string content from `position` up to the closing quote or the
+// end of what has arrived so far.
+function decodeString(raw, position) {
+  let text = '';
+  while (position < raw.length) {
+    const char = raw[position];
+    if (char === '"') return { text, position, closed: true };
+    if (char !== '\\') {
+      text += char;
+      position++;
+      continue;
+    }
+    // Wait for the rest of an escape sequence before decoding it.
+    const next = raw[position + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = raw.slice(position + 2, position + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(Number.parseInt(hex, 16));
+      position += 6;
+    } else {
+      text += SIMPLE_ESCAPES[next] ?? next;
+      position += 2;
+    }
+  }
+  return { text, position, closed: false };
+}
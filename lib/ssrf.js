@@ -0,0 +1,122 @@
+// Outbound URL Checks: /lib/ssrf.js
+// Any URL a client hands us (webhooks, image URLs) must point at the public
+// internet, never at our own network, the cloud metadata service or localhost.
+// Hosts are checked both as written and after DNS resolution.
+
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+
+// Names that only resolve inside a private network.
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part folded in.
+function ipv6Groups(address) {
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = `${text.slice(0, -dotted[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+  return tail === undefined ? start : [...start, ...Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+const ipv4From = (high, low) => `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+
+// The IPv4 address carried inside an IPv6 one: IPv4-mapped (::ffff:0:0/96),
+// IPv4-translated (::ffff:0:0:0/96), IPv4-compatible (::/96), NAT64
+// (64:ff9b::/96) and 6to4 (2002::/16).
+function embeddedIpv4(groups) {
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return ipv4From(groups[6], groups[7]);
+  if (zeros(0, 4) && groups[4] === 0xffff && groups[5] === 0) return ipv4From(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return ipv4From(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return ipv4From(groups[1], groups[2]);
+  return undefined;
+}
+
+/**
+ * True for loopback, private, link-local, carrier-grade NAT, documentation,
+ * multicast and unspecified addresses, including IPv4 addresses carried in
+ * IPv6 in any spelling (::ffff:127.0.0.1, ::ffff:7f00:1, ::127.0.0.1, 64:ff9b::7f00:1).
+ */
+export function isPrivateAddress(address) {
+  const host = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+  const version = isIP(host);
+  if (version === 4) return PRIVATE_RANGES.check(host, 'ipv4');
+  if (version !== 6) return false;
+
+  const ipv4 = embeddedIpv4(ipv6Groups(host));
+  if (ipv4) return PRIVATE_RANGES.check(ipv4, 'ipv4');
+  return PRIVATE_RANGES.check(host, 'ipv6');
+}
+
+const allowListed = (hostname, allowedHosts) => allowedHosts.some(allowed => allowed.toLowerCase() === hostname.toLowerCase());
+
+/**
+ * Checks a URL before anything is fetched from it.
+ *
+ * @param {string} value
+ * @param {object} [options]
+ * @param {string[]} [options.allowedHosts] hosts exempt from the private-network
+ *   checks and allowed over plain http (local development)
+ * @returns {string | undefined} why the URL is refused, or undefined if it is fine
+ */
+export function checkPublicUrl(value, { allowedHosts = [] } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'is not a valid URL';
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (allowListed(hostname, allowedHosts)) return ['http:', 'https:'].includes(url.protocol) ? undefined : 'must use http or https';
+  if (url.protocol !== 'https:') return 'must use https';
+  if (url.username || url.password) return 'must not contain credentials';
+  if (PRIVATE_HOSTNAMES.test(hostname) || isPrivateAddress(hostname)) return 'must point at a public host';
+  return undefined;
+}
+
+/**
+ * Resolves the URL's host and refuses it if any address is private, so a
+ * public-looking name cannot point at the internal network.
+ *
+ * @returns {Promise<string | undefined>} same contract as checkPublicUrl()
+ */
+export async function checkResolvedUrl(value, { allowedHosts = [] } = {}) {
+  const problem = checkPublicUrl(value, { allowedHosts });
+  if (problem) return problem;
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (allowListed(hostname, allowedHosts) || isIP(hostname)) return undefined;
+
+  try {
+    const addresses = await lookup(hostname, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) return 'must point at a public host';
+  } catch (error) {
+    return 'could not be resolved';
+  }
+  return undefined;
+}
+
+// Hosts from a comma-separated env variable, e.g. WEBHOOK_ALLOWED_HOSTS.
+export function allowedHostsFrom(envName) {
+  return (process.env[envName] || '').split(',').map(host => host.trim()).filter(Boolean);
+}
@@ -0,0 +1,122 @@
+// File Store: /lib/stores/file.js
+// One JSON file per key, for local development and single-machine deployments
+// that need state to survive a restart without running Redis. Not shared across
+// instances; on Vercel the default directory under /tmp lasts only as long as
+// the instance.
+
+import { mkdir, readFile, rename, stat, unlink, writeFile } from 'node:fs/promises';
+import { createHash, randomUUID } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { StoreError } from '../errors.js';
+
+// withFileLock() holds <file>.lock; a lock older than LOCK_STALE_MS was left
+// by a process that died holding it.
+const LOCK_RETRY_MS = 10;
+const LOCK_ATTEMPTS = 200;
+const LOCK_STALE_MS = 10 * 1000;
+
+export function getFileStoreDir() {
+  return process.env.FILE_STORE_DIR || path.join(tmpdir(), 'easyutilityhub-store');
+}
+
+async function remove(file) {
+  try {
+    await unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new StoreError(`File store could not delete ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Runs fn holding an exclusive lock file next to `file`, so other calls and
+ * other processes on this machine wait their turn.
+ * @template T
+ * @param {string} file
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(lock, '', { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw new StoreError(`File store could not lock ${file}: ${error.message}`);
+      const held = await stat(lock).then(({ mtimeMs }) => Date.now() - mtimeMs, () => 0);
+      if (held > LOCK_STALE_MS) await remove(lock);
+      else if (attempt >= LOCK_ATTEMPTS) throw new StoreError(`File store could not lock ${file}: still locked.`);
+      else await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await remove(lock);
+  }
+}
+
+/**
+ * Same interface as the memory store. Keys are hashed into file names, so any
+ * key is safe to use.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] defaults to getFileStoreDir()
+ * @param {Function} [options.now]
+ */
+export function createFileStore({ dir = getFileStoreDir(), now = Date.now } = {}) {
+  const fileFor = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+    dir,
+
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw new StoreError(`File store entry ${file} is unreadable: ${error.message}`);
+      }
+      if (entry.expiresAt !== undefined && entry.expiresAt <= now()) {
+        await remove(file);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      const file = fileFor(key);
+      const entry = { key, value, expiresAt: ttlMs ? now() + ttlMs : undefined };
+      try {
+        await mkdir(dir, { recursive: true });
+        // Write then rename, so a concurrent reader never sees half a file.
+        const temporary = `${file}.${randomUUID()}.tmp`;
+        await writeFile(temporary, JSON.stringify(entry), 'utf8');
+        await rename(temporary, file);
+      } catch (error) {
+        throw new StoreError(`File store could not write ${file}: ${error.message}`);
+      }
+    },
+
+    // Same contract as the memory store's.
+    compareAndSet(key, expected, value, ttlMs) {
+      return withFileLock(fileFor(key), async () => {
+        const current = await this.get(key);
+        const matches = current === undefined ? expected === undefined : expected !== undefined && current?.version === expected;
+        if (matches) await this.set(key, value, ttlMs);
+        return matches;
+      });
+    },
+
+    async delete(key) {
+      await remove(fileFor(key));
+    },
+  };
+}
@@ -0,0 +1,42 @@
+// Store Selection: /lib/stores/index.js
+// Each feature asks for a store by namespace; <NAMESPACE>_STORE (e.g.
+// RATE_LIMIT_STORE=redis) picks the adapter, falling back to STORE, then memory.
+// Adapters: memory, redis (Upstash REST), file (one JSON file per key, local use).
+
+import path from 'node:path';
+
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+import { createFileStore, getFileStoreDir } from './file.js';
+import { StoreError } from '../errors.js';
+
+export { createMemoryStore, createRedisStore, createFileStore, StoreError };
+
+// One instance per namespace so warm invocations share state.
+const stores = new Map();
+
+export function getStore(namespace, options = {}) {
+  if (stores.has(namespace)) return stores.get(namespace);
+
+  const envName = `${namespace.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_STORE`;
+  const kind = (process.env[envName] || process.env.STORE || 'memory').toLowerCase();
+
+  let store;
+  if (kind === 'memory') {
+    store = createMemoryStore(options);
+  } else if (kind === 'redis') {
+    store = createRedisStore({ prefix: `euh:${namespace}:` });
+  } else if (kind === 'file') {
+    store = createFileStore({ dir: path.join(getFileStoreDir(), namespace) });
+  } else {
+    throw new StoreError(`Unknown store "${kind}" for ${envName}.`);
+  }
+
+  stores.set(namespace, store);
+  return store;
+}
+
+// Test hook: forget cached instances so the next getStore() re-reads env.
+export function resetStores() {
+  stores.clear();
+}
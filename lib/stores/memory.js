@@ -0,0 +1,69 @@
+// In-Memory Store: /lib/stores/memory.js
+// Lives as long as the warm function instance. Good enough for a single
+// region; use the Redis adapter when limits must hold across instances.
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Key/value store with per-entry TTL. Oldest entries are evicted first once
+ * `maxEntries` is reached (a Map keeps insertion order, and get() re-inserts,
+ * so this is least-recently-used).
+ */
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt !== undefined && entry.expiresAt <= now();
+
+  // Synchronous, so compareAndSet() cannot interleave with another call.
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : undefined });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+
+    /**
+     * Sets `key` only while the stored value's `version` is still `expected`;
+     * an `expected` of undefined means only while the key is absent.
+     * @returns {Promise<boolean>} whether it was set
+     */
+    async compareAndSet(key, expected, value, ttlMs) {
+      const current = read(key);
+      const matches = current === undefined ? expected === undefined : expected !== undefined && current?.version === expected;
+      if (matches) write(key, value, ttlMs);
+      return matches;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// Redis Store: /lib/stores/redis.js
+// Talks to any Redis behind the Upstash-style REST protocol (Upstash, Vercel KV,
+// or a self-hosted proxy) so no TCP client or extra dependency is needed.
+
+import { StoreError } from '../errors.js';
+
+// compareAndSet() in one server-side step. ARGV: expected version ('' for
+// "key absent"), the new JSON value, then the TTL in ms ('' for none).
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+local version = ''
+if current then version = tostring(cjson.decode(current).version) end
+if version ~= ARGV[1] then return 0 end
+if ARGV[3] == '' then redis.call('SET', KEYS[1], ARGV[2]) else redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) end
+return 1`;
+
+/**
+ * Same interface as the memory store. Values are JSON-encoded.
+ * @param {object} [options]
+ * @param {string} [options.url] defaults to REDIS_REST_URL / UPSTASH_REDIS_REST_URL
+ * @param {string} [options.token] defaults to REDIS_REST_TOKEN / UPSTASH_REDIS_REST_TOKEN
+ * @param {string} [options.prefix] prepended to every key
+ */
+export function createRedisStore({
+  url = process.env.REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_URL,
+  token = process.env.REDIS_REST_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+  prefix = 'euh:',
+} = {}) {
+  if (!url) {
+    throw new StoreError('Redis store selected but REDIS_REST_URL is not configured.');
+  }
+  const baseUrl = url.replace(/\/$/, '');
+
+  async function command(...args) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let response;
+    try {
+      response = await fetch(baseUrl, { method: 'POST', headers, body: JSON.stringify(args) });
+    } catch (error) {
+      // DNS failure, refused connection, reset: Redis is unreachable.
+      throw new StoreError(`Redis ${args[0]} failed: ${error.message}`, { cause: error });
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new StoreError(`Redis ${args[0]} failed: ${body.error || response.status}`);
+    }
+    return body.result;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await command('GET', prefix + key);
+      return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      const args = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttlMs) args.push('PX', String(Math.ceil(ttlMs)));
+      await command(...args);
+    },
+
+    async compareAndSet(key, expected, value, ttlMs) {
+      const args = [expected === undefined ? '' : String(expected), JSON.stringify(value), ttlMs ? String(Math.ceil(ttlMs)) : ''];
+      return (await command('EVAL', COMPARE_AND_SET, '1', prefix + key, ...args)) === 1;
+    },
+
+    async delete(key) {
+      await command('DEL', prefix + key);
+    },
+  };
+}
@@ -0,0 +1,226 @@
+// Stylometric Signals: /lib/stylometry.js
+// Deterministic features of the text itself, so the detector is not at the
+// mercy of one model verdict that swings between runs. Each feature is turned
+// into a 0-100 "AI-likeness" signal; the weights and midpoints below are
+// hand-tuned starting values, kept together so they can be refitted on
+// labelled samples without touching the maths.
+
+import { tokenizeWords, splitSentences } from './text.js';
+import { LANGUAGES } from './language.js';
+
+// --- Calibration ---
+// midpoint = feature value scoring 50; scale = how quickly it moves away from 50
+// (negative scale: lower values look more AI-like).
+const SIGNALS = {
+  // Coefficient of variation of sentence length. People mix short and long sentences.
+  burstiness: { weight: 0.35, midpoint: 0.45, scale: -0.1 },
+  // Moving-average type-token ratio. Models settle on a safe, mid-diversity vocabulary.
+  lexicalDiversity: { weight: 0.15, midpoint: 0.72, scale: -0.05 },
+  // Share of word trigrams used more than once ("it is important", "in order to").
+  repetition: { weight: 0.2, midpoint: 0.06, scale: 0.03 },
+  // Normalized entropy of punctuation marks. Models lean on commas and full stops.
+  punctuationVariety: { weight: 0.2, midpoint: 0.45, scale: -0.12 },
+  // Distance of Flesch reading ease from the "plain English" band models aim for.
+  readabilityDistance: { weight: 0.1, midpoint: 18, scale: -8 },
+};
+
+// How the style score and the model score are fused (in log-odds), and how
+// many words it takes before style evidence counts fully.
+const MODEL_WEIGHT = 0.6;
+const STYLE_WEIGHT = 0.4;
+const FULL_EVIDENCE_WORDS = 300;
+const TTR_WINDOW = 50;
+const PLAIN_ENGLISH_FLESCH = 55;
+
+const clampProbability = (p) => Math.min(0.99, Math.max(0.01, p));
+const logit = (p) => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function mean(values) {
+  return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function coefficientOfVariation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  if (average === 0) return 0;
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2))) / average;
+}
+
+// Plain TTR falls as texts get longer; averaging over fixed windows removes that.
+function movingTypeTokenRatio(words, window = TTR_WINDOW) {
+  if (words.length === 0) return 0;
+  if (words.length <= window) return new Set(words).size / words.length;
+  const ratios = [];
+  for (let start = 0; start + window <= words.length; start++) {
+    ratios.push(new Set(words.slice(start, start + window)).size / window);
+  }
+  return mean(ratios);
+}
+
+const trigramsOf = (words) => words.slice(0, -2).map((word, i) => `${word} ${words[i + 1]} ${words[i + 2]}`);
+
+function trigramCounts(words) {
+  const counts = new Map();
+  for (const trigram of trigramsOf(words)) counts.set(trigram, (counts.get(trigram) || 0) + 1);
+  return counts;
+}
+
+function repetitionRate(words, counts = trigramCounts(words)) {
+  const trigrams = trigramsOf(words);
+  if (trigrams.length === 0) return 0;
+  return trigrams.filter(trigram => counts.get(trigram) > 1).length / trigrams.length;
+}
+
+const PUNCTUATION = /[,.;:!?'"()\-–—…]/g;
+const PUNCTUATION_TYPES = 14; // distinct marks PUNCTUATION can match
+
+function punctuationProfile(text, wordCount) {
+  const counts = {};
+  for (const [mark] of text.matchAll(PUNCTUATION)) counts[mark] = (counts[mark] || 0) + 1;
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  // Shannon entropy over the marks used, normalized by the number of mark types we track.
+  const entropy = total === 0 ? 0 : -Object.values(counts)
+    .map(count => count / total)
+    .reduce((sum, p) => sum + p * Math.log2(p), 0);
+  return {
+    perHundredWords: wordCount === 0 ? 0 : round((total / wordCount) * 100, 1),
+    variety: round(entropy / Math.log2(PUNCTUATION_TYPES)),
+    counts,
+  };
+}
+
+// Vowel-group count; a rough English syllable estimate, good enough for Flesch.
+function syllables(word) {
+  const groups = word.toLowerCase().replace(/e$/, '').match(/[aeiouyàâäéèêëîïôöûüù]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function fleschReadingEase(words, sentenceCount) {
+  if (words.length === 0 || sentenceCount === 0) return 0;
+  const syllablesPerWord = mean(words.map(syllables));
+  return 206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * syllablesPerWord;
+}
+
+// Feature value -> 0..1 AI-likeness.
+const signalFor = (name, value) => sigmoid((value - SIGNALS[name].midpoint) / SIGNALS[name].scale);
+
+function combineSignals(signals) {
+  let total = 0;
+  let weights = 0;
+  for (const [name, value] of Object.entries(signals)) {
+    if (value === undefined) continue;
+    total += SIGNALS[name].weight * value;
+    weights += SIGNALS[name].weight;
+  }
+  return weights === 0 ? 0.5 : total / weights;
+}
+
+/**
+ * Document-level features and the style score they add up to.
+ *
+ * Readability is calibrated on English only, and scripts written without
+ * spaces between words have no word-level features to measure, so style
+ * evidence counts for nothing there.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.language='en'] code from lib/language.js
+ * @returns {{ styleScore: number, evidence: number, features: object, signals: object, sentences: Array<object> }}
+ *   styleScore 0-100; evidence 0-1 (how much the text length lets style count)
+ */
+export function analyzeStyle(text, { language = 'en' } = {}) {
+  const tokens = tokenizeWords(text);
+  const words = tokens.map(token => token.word);
+  const sentences = splitSentences(text).map((sentence) => {
+    const sentenceWords = tokens.filter(token => token.from >= sentence.from && token.to <= sentence.to).map(token => token.word);
+    return { ...sentence, words: sentenceWords };
+  }).filter(sentence => sentence.words.length > 0);
+
+  const lengths = sentences.map(sentence => sentence.words.length);
+  const counts = trigramCounts(words);
+  const punctuation = punctuationProfile(text, words.length);
+  const flesch = fleschReadingEase(words, sentences.length);
+
+  const features = {
+    wordCount: words.length,
+    sentenceCount: sentences.length,
+    averageSentenceLength: round(mean(lengths), 1),
+    burstiness: round(coefficientOfVariation(lengths)),
+    lexicalDiversity: round(movingTypeTokenRatio(words)),
+    repetition: round(repetitionRate(words, counts)),
+    punctuation,
+    readability: { fleschReadingEase: round(flesch, 1) },
+  };
+
+  // Burstiness needs a few sentences to mean anything.
+  const signals = {
+    burstiness: sentences.length >= 3 ? signalFor('burstiness', features.burstiness) : undefined,
+    lexicalDiversity: words.length >= 20 ? signalFor('lexicalDiversity', features.lexicalDiversity) : undefined,
+    repetition: words.length >= 20 ? signalFor('repetition', features.repetition) : undefined,
+    punctuationVariety: signalFor('punctuationVariety', punctuation.variety),
+    readabilityDistance: language === 'en' ? signalFor('readabilityDistance', Math.abs(flesch - PLAIN_ENGLISH_FLESCH)) : undefined,
+  };
+  const style = combineSignals(signals);
+
+  return {
+    styleScore: Math.round(style * 100),
+    evidence: LANGUAGES[language].spaced === false ? 0 : Math.min(1, words.length / FULL_EVIDENCE_WORDS),
+    features,
+    signals: Object.fromEntries(Object.entries(signals)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => [name, Math.round(value * 100)])),
+    sentences: sentences.map((sentence, index) => ({ ...sentence, localStyle: sentenceStyle(sentences, index, counts, text, language) })),
+  };
+}
+
+// The same signals, measured on one sentence and its neighbours.
+function sentenceStyle(sentences, index, counts, text, language) {
+  const sentence = sentences[index];
+  const neighbourhood = sentences.slice(Math.max(0, index - 2), index + 3).map(s => s.words.length);
+  const trigrams = trigramsOf(sentence.words);
+  const repeated = trigrams.length === 0 ? 0 : trigrams.filter(trigram => counts.get(trigram) > 1).length / trigrams.length;
+  const punctuation = punctuationProfile(text.slice(sentence.from, sentence.to), sentence.words.length);
+  const flesch = fleschReadingEase(sentence.words, 1);
+
+  return combineSignals({
+    burstiness: neighbourhood.length >= 3 ? signalFor('burstiness', coefficientOfVariation(neighbourhood)) : undefined,
+    repetition: trigrams.length > 0 ? signalFor('repetition', repeated) : undefined,
+    punctuationVariety: signalFor('punctuationVariety', punctuation.variety),
+    readabilityDistance: language === 'en' ? signalFor('readabilityDistance', Math.abs(flesch - PLAIN_ENGLISH_FLESCH)) : undefined,
+  });
+}
+
+/**
+ * Fuses the model's score with the style analysis in log-odds space. Style
+ * counts less on short texts, where its features are noisy.
+ *
+ * @param {number} modelScore 0-100 from the LLM
+ * @param {ReturnType<typeof analyzeStyle>} style
+ * @returns {{ aiScore: number, confidence: 'low' | 'medium' | 'high', sentences: Array<{ from: number, to: number, aiScore: number }> }}
+ */
+export function calibrate(modelScore, style) {
+  const styleWeight = STYLE_WEIGHT * style.evidence;
+  const model = logit(modelScore / 100);
+  const styleLogit = logit(style.styleScore / 100);
+  const combined = (MODEL_WEIGHT * model + styleWeight * styleLogit) / (MODEL_WEIGHT + styleWeight);
+
+  // Agreement between two independent views, on enough text, is what earns confidence.
+  const agreement = 1 - Math.abs(modelScore - style.styleScore) / 100;
+  const strength = agreement * (0.5 + 0.5 * style.evidence);
+  const confidence = strength >= 0.75 ? 'high' : strength >= 0.5 ? 'medium' : 'low';
+
+  // Each sentence moves away from the document score by how far its own style
+  // departs from the average sentence. (Sentence-level features run on a
+  // different scale from document-level ones, so they are only compared to each other.)
+  const local = style.sentences.map(sentence => logit(sentence.localStyle));
+  const localMean = mean(local);
+  const sentences = style.sentences.map((sentence, index) => ({
+    from: sentence.from,
+    to: sentence.to,
+    aiScore: Math.round(sigmoid(combined + local[index] - localMean) * 100),
+  }));
+
+  return { aiScore: Math.round(sigmoid(combined) * 100), confidence, sentences };
+}
@@ -0,0 +1,48 @@
+// Text Segmentation: /lib/text.js
+// Words and sentences with their character offsets into the original string,
+// for features that point back into the user's text.
+
+// A word is a run of letters/digits, with inner apostrophes (don't, l'eau).
+const WORD = /[\p{L}\p{N}\p{M}]+(?:['’][\p{L}\p{N}\p{M}]+)*/gu;
+// Sentence end: terminal punctuation, optional closing quotes/brackets.
+const SENTENCE_END = /[.!?…。！？]+["'”’)\]]*(?=\s|$)|\n\s*\n/g;
+
+/**
+ * @param {string} text
+ * @returns {Array<{ word: string, from: number, to: number }>} `word` is lower-cased and NFKC-normalized
+ */
+export function tokenizeWords(text) {
+  return [...String(text).matchAll(WORD)].map(match => ({
+    word: match[0].normalize('NFKC').toLowerCase().replace(/’/g, "'"),
+    from: match.index,
+    to: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Splits on terminal punctuation and blank lines. Offsets exclude the
+ * whitespace between sentences; empty pieces are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{ text: string, from: number, to: number }>}
+ */
+export function splitSentences(text) {
+  const source = String(text);
+  const sentences = [];
+  let start = 0;
+
+  const push = (end) => {
+    const raw = source.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) sentences.push({ text: trimmed, from: start + leading, to: start + leading + trimmed.length });
+  };
+
+  for (const match of source.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    push(end);
+    start = end;
+  }
+  push(source.length);
+  return sentences;
+}
@@ -0,0 +1,63 @@
+// Tool Workers: /lib/tools.js
+// Runs the text tools in-process, without HTTP. Each api/ module exports its
+// handler as `worker` (validation and caching, no CORS or rate limiting), so a
+// batch job goes through exactly the same checks as a single request.
+
+// Loaded on first use, so one tool's route does not pull in all the others.
+const TOOL_MODULES = {
+  grammar: () => import('../api/grammar.js'),
+  detector: () => import('../api/detector.js'),
+  plagiarism: () => import('../api/plagiarism.js'),
+  paraphrase: () => import('../api/paraphrase.js'),
+  humanizer: () => import('../api/humanizer.js'),
+};
+
+export const TOOL_NAMES = Object.keys(TOOL_MODULES);
+
+// Collects what a handler sends, in place of a Vercel response.
+function createCapture() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Runs one tool on one request body.
+ *
+ * @param {string} tool one of TOOL_NAMES
+ * @param {object} body the same body the tool's route accepts
+ * @param {object} [options]
+ * @param {object} [options.headers] request headers to pass on (e.g. x-api-key)
+ * @returns {Promise<{ status: number, body: object }>} the tool's own status and JSON body
+ */
+export async function runTool(tool, body, { headers = {} } = {}) {
+  const { worker } = await TOOL_MODULES[tool]();
+  const req = { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body, query: {} };
+  const res = createCapture();
+  await worker(req, res);
+  return { status: res.statusCode, body: res.body };
+}
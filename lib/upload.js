@@ -0,0 +1,86 @@
+// Document Uploads: /lib/upload.js
+// Lets the text tools take a file instead of pasted text. A multipart/form-data
+// request with a `file` part (PDF, DOCX, ODT, RTF, Markdown, HTML or TXT) has
+// its text extracted into `text`; the other form fields become the rest of the
+// body, exactly as if they had been sent as JSON. JSON requests pass through
+// untouched.
+//
+// The response gains a `document` summary, and every result the route lists
+// in `locate` gains `location: { paragraph, page? }` in the original file.
+// The file itself stays on `req.upload` for routes that rewrite it.
+
+import { UploadError } from './errors.js';
+import { extractDocument, locate } from './extract/index.js';
+import { formatBytes, isMultipart, parseMultipart, readRawBody } from './multipart.js';
+
+// Vercel refuses request bodies over 4.5 MB before the function runs.
+export const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+
+// Form fields are strings; numbers, booleans and JSON arrays/objects are read as such
+// so they pass the same validation as a JSON body (e.g. variants=3, protectedWords=["AI"]).
+export function parseField(value) {
+  if (/^(?:true|false|-?\d+(?:\.\d+)?|\[[\s\S]*\]|\{[\s\S]*\})$/.test(value.trim())) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Adds a location to every object at `path` (arrays are walked, e.g.
+// ['variants', 'sentences', 'original']) that has a `from` offset.
+function annotate(value, path, paragraphs) {
+  if (Array.isArray(value)) return value.map(item => annotate(item, path, paragraphs));
+  if (!value || typeof value !== 'object') return value;
+  if (path.length === 0) {
+    const location = typeof value.from === 'number' ? locate(paragraphs, value.from) : undefined;
+    return location ? { ...value, location } : value;
+  }
+  const [key, ...rest] = path;
+  return key in value ? { ...value, [key]: annotate(value[key], rest, paragraphs) } : value;
+}
+
+/**
+ * @param {Function} handler a route's worker (validation, cache, handler)
+ * @param {object} [options]
+ * @param {string[]} [options.locate] dotted paths to results whose `from`
+ *   offsets index into the submitted text, e.g. ['corrections']
+ */
+export const withUpload = (handler, { locate: paths = [] } = {}) => async (req, res) => {
+  if (!isMultipart(req)) return await handler(req, res);
+
+  let document;
+  let filename;
+  try {
+    const { fields, files } = parseMultipart(await readRawBody(req, MAX_UPLOAD_BYTES), req.headers['content-type']);
+    const file = files.find(part => part.field === 'file');
+    if (!file) throw new UploadError('Attach the document as a "file" form field.');
+    filename = file.filename;
+    document = extractDocument(file);
+    const body = Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, parseField(value)]));
+    req.body = { ...body, text: document.text };
+    req.upload = file;
+  } catch (error) {
+    if (!(error instanceof UploadError)) throw error;
+    console.log(`SERVER LOG (Upload): Refused ${filename || 'upload'}: ${error.message}`);
+    return res.status(error.status).json({ success: false, message: `ERROR: ${error.message}` });
+  }
+
+  console.log(`SERVER LOG (Upload): Extracted ${document.text.length} characters from a ${document.format} file (${formatBytes(req.headers['content-length'] || 0)}).`);
+  const summary = {
+    filename,
+    format: document.format,
+    characters: document.text.length,
+    paragraphs: document.paragraphs.length,
+    ...(document.pages && { pages: document.pages }),
+  };
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (data?.success === false) return json(data);
+    const located = paths.reduce((result, path) => annotate(result, path.split('.'), document.paragraphs), data);
+    return json({ ...located, document: summary });
+  };
+  return await handler(req, res);
+};
@@ -0,0 +1,128 @@
+// Request Validation: /lib/validate.js
+// Declarative body schemas, checked before a handler runs so bad input never
+// reaches (or pays for) an upstream call.
+//
+// A schema maps field names to rules:
+//   { text: { type: 'string', required: true, maxLength: 20000, label: 'Input text' } }
+//
+// Rules: type ('string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'),
+// required, label (used in messages), minLength, maxLength, enum, caseInsensitive
+// (enum match ignoring case; the value is normalized to the listed spelling),
+// pattern (RegExp), patternMessage, min, max, minItems, maxItems, items (rule for array entries).
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+function checkType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+// Returns [normalizedValue, error | undefined] for a single value.
+function checkValue(value, rule, field) {
+  const label = rule.label || field;
+
+  if (rule.type && !checkType(value, rule.type)) {
+    return [value, { field, status: 400, message: `${label} must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}.` }];
+  }
+
+  if (typeof value === 'string') {
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return [value, { field, status: 413, message: `${label} is too long (${value.length} characters; the limit is ${rule.maxLength}).` }];
+    }
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return [value, { field, status: 400, message: `${label} must be at least ${rule.minLength} characters.` }];
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return [value, { field, status: 400, message: rule.patternMessage || `${label} has an invalid format.` }];
+    }
+  }
+
+  if (rule.enum) {
+    const match = rule.enum.find(option => (
+      rule.caseInsensitive && typeof value === 'string' && typeof option === 'string'
+        ? option.toLowerCase() === value.trim().toLowerCase()
+        : option === value
+    ));
+    if (match === undefined) {
+      return [value, { field, status: 400, message: `${label} must be one of: ${rule.enum.join(', ')}.` }];
+    }
+    value = match;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      return [value, { field, status: 400, message: `${label} must be at least ${rule.min}.` }];
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return [value, { field, status: 400, message: `${label} must be at most ${rule.max}.` }];
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return [value, { field, status: 400, message: `${label} must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}.` }];
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return [value, { field, status: 413, message: `${label} has too many items (${value.length}; the limit is ${rule.maxItems}).` }];
+    }
+    if (rule.items) {
+      const normalized = [];
+      for (let index = 0; index < value.length; index++) {
+        const [item, error] = checkValue(value[index], rule.items, `${field}[${index}]`);
+        if (error) return [value, error];
+        normalized.push(item);
+      }
+      value = normalized;
+    }
+  }
+
+  return [value, undefined];
+}
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * @returns {{ value: object, errors: Array<{ field: string, status: number, message: string }> }}
+ */
+export function validateBody(body, schema) {
+  if (typeOf(body) !== 'object') {
+    return { value: body, errors: [{ field: 'body', status: 400, message: 'Request body must be a JSON object.' }] };
+  }
+
+  const value = { ...body };
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (isMissing(body[field])) {
+      if (rule.required) errors.push({ field, status: 400, message: `${rule.label || field} is required.` });
+      else delete value[field];
+      continue;
+    }
+    const [normalized, error] = checkValue(body[field], rule, field);
+    if (error) errors.push(error);
+    else value[field] = normalized;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Wraps a handler so it only runs with a body that satisfies `schema`.
+ * Oversized fields answer 413, everything else 400; `errors` lists each field.
+ */
+export const withValidation = (schema, fn) => async (req, res) => {
+  const { value, errors } = validateBody(req.body, schema);
+
+  if (errors.length > 0) {
+    const status = errors.some(error => error.status === 413) ? 413 : 400;
+    return res.status(status).json({
+      success: false,
+      message: `ERROR: ${errors[0].message}`,
+      errors: errors.map(({ field, message }) => ({ field, message })),
+    });
+  }
+
+  req.body = value;
+  return await fn(req, res);
+};
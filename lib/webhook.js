@@ -0,0 +1,72 @@
+// Webhooks: /lib/webhook.js
+// Tells a client its job is done by POSTing to a URL it gave us. The URL must
+// be public (lib/ssrf.js) so jobs cannot be used to reach internal services.
+// With JOBS_WEBHOOK_SECRET set, each body is signed (HMAC-SHA256, hex) in
+// X-EasyUtilityHub-Signature: sha256=<digest> so the receiver can verify it.
+// WEBHOOK_ALLOWED_HOSTS lists hosts exempt from the public-URL rule (local development).
+
+import { createHmac } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { allowedHostsFrom, checkPublicUrl, checkResolvedUrl } from './ssrf.js';
+
+export const WEBHOOK_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export const SIGNATURE_HEADER = 'X-EasyUtilityHub-Signature';
+
+/**
+ * Checks a webhook URL at submission time.
+ * @returns {string | undefined} why the URL is refused, or undefined if it is fine
+ */
+export function checkWebhookUrl(url) {
+  return checkPublicUrl(url, { allowedHosts: allowedHostsFrom('WEBHOOK_ALLOWED_HOSTS') });
+}
+
+export function signWebhook(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * POSTs `payload` as JSON, retrying network errors and non-2xx answers with
+ * exponential backoff. Redirects are not followed, since they could lead to a
+ * private address. Never throws.
+ *
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {string} [options.event] sent as X-EasyUtilityHub-Event
+ * @param {number} [options.attempts=WEBHOOK_ATTEMPTS]
+ * @param {number} [options.baseDelayMs]
+ * @returns {Promise<{ delivered: boolean, attempts: number, status?: number, error?: string }>}
+ */
+export async function deliverWebhook(url, payload, { event, attempts = WEBHOOK_ATTEMPTS, baseDelayMs = RETRY_BASE_DELAY_MS } = {}) {
+  // Checked again on delivery: DNS may have changed since the job was submitted.
+  const problem = await checkResolvedUrl(url, { allowedHosts: allowedHostsFrom('WEBHOOK_ALLOWED_HOSTS') });
+  if (problem) return { delivered: false, attempts: 0, error: `Webhook URL ${problem}.` };
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'EasyUtilityHub-Webhook/1.0' };
+  if (event) headers['X-EasyUtilityHub-Event'] = event;
+  if (process.env.JOBS_WEBHOOK_SECRET) headers[SIGNATURE_HEADER] = signWebhook(body, process.env.JOBS_WEBHOOK_SECRET);
+
+  let outcome;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (response.ok) return { delivered: true, attempts: attempt, status: response.status };
+      outcome = { delivered: false, attempts: attempt, status: response.status, error: `Receiver answered ${response.status}.` };
+    } catch (error) {
+      outcome = { delivered: false, attempts: attempt, error: error.message };
+    }
+    console.warn(`SERVER WARN (Webhook): Attempt ${attempt}/${attempts} to ${new URL(url).host} failed: ${outcome.error}`);
+    if (attempt < attempts) await sleep(baseDelayMs * 2 ** (attempt - 1));
+  }
+  return outcome;
+}
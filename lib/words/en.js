@@ -0,0 +1,264 @@
+// English Anagrams: /lib/words/en.js
+// Common English words that share their letters with another word, one
+// anagram group per line. A word with no anagram can never be the scramble
+// of another or an alternative answer, so only these need to be listed.
+// Family-friendly words of 4 to 12 letters; add groups here as players find them.
+
+export default `
+ache each
+acme came mace
+acre care race
+acts cast cats scat
+ales sale seal
+amen mane mean name
+arcs cars scar
+arts rats star tars tsar
+bake beak
+balm lamb
+bare bear
+bats stab tabs
+bury ruby
+chin inch
+dale deal lead
+dare dear read
+deer reed
+dens ends send
+dial laid
+diet edit tide
+dogs gods
+dome mode
+doom mood
+draw ward
+drop prod
+dust stud
+earn near
+ears eras sear
+east eats sate seat teas
+emit item mite time
+eons nose ones
+evil live veil vile
+file life
+fire rife
+flog golf
+flow fowl wolf
+foal loaf
+gear rage
+gnat tang
+grin ring
+hare hear
+hate heat
+hips ship
+hoes hose shoe
+host shot
+inks sink skin
+kale lake leak
+keen knee
+lair liar rail
+lamp palm
+lane lean
+late tale teal
+leap pale peal plea
+lion loin
+lips lisp slip
+list silt slit
+loop polo pool
+lump plum
+maps spam
+mare ream
+mart tram
+mate meat tame team
+naps pans snap span
+nerd rend
+nips pins snip spin
+note tone
+oils silo soil
+opts post pots spot stop tops
+ores rose sore
+owls slow
+owns snow sown
+pare pear reap
+part rapt tarp trap
+past pats spat taps
+paws swap wasp
+pest pets step
+pits spit tips
+pore rope
+save vase
+stew west wets
+thaw what
+veto vote
+warp wrap
+acres cares races scare
+adder dread
+aides aside ideas
+ailed ideal
+alert alter later
+among mango
+angel angle glean
+baker brake break
+bared beard bread
+below bowel elbow
+bleat table
+blots bolts
+bored robed
+brush shrub
+canoe ocean
+cater crate react trace
+cause sauce
+charm march
+cheap peach
+cheat teach
+cider cried dicer
+clade decal laced
+cloud could
+coder cored credo decor
+coins icons sonic
+cruel lucre ulcer
+dairy diary
+dusty study
+earth hater heart
+evils lives veils
+fiend fined
+fired fried
+heals leash shale
+heaps phase shape
+horse shore
+knits skint stink
+lairs liars rails
+lapse leaps pales peals sepal
+leapt petal plate pleat
+least slate stale steal tales
+lemon melon
+lever revel
+limes miles slime smile
+loops pools sloop spool
+loser roles
+mates meats steam tames teams
+nails slain snail
+night thing
+north thorn
+notes onset stone tones
+panel penal plane
+parse pears reaps spare spear
+parts sprat strap traps
+paste spate tapes
+pores poser prose ropes spore
+posts spots stops
+rated trade tread
+reins resin rinse risen siren
+rowdy wordy
+saint satin stain
+sheet these
+skate stake steak takes
+strew wrest
+sword words
+tenor toner
+throw worth
+unite untie
+weird wider wired
+aisled ideals ladies sailed
+anemic cinema iceman
+arrest rarest
+ascent enacts stance
+asleep elapse please
+bowels elbows
+bruise buries busier
+canter nectar recant trance
+capers pacers parsec recaps scrape spacer
+caster caters crates reacts recast traces
+chaste cheats sachet
+danger gander garden ranged
+dealer leader
+dearth hatred thread
+deltas lasted salted slated
+detour routed
+diaper paired repaid
+drawer redraw reward warder
+earths haters hearts
+enlist inlets listen silent tinsel
+esprit priest ripest sprite stripe
+finder friend
+finger fringe
+forest foster softer
+hornet throne
+hostel hotels
+insert inters
+lament mantle mental
+lamest metals
+layers relays slayer
+lemons solemn
+livers silver sliver
+master stream tamers
+merits mister remits timers
+meteor remote
+palest pastel petals plates pleats staple
+recuse rescue secure
+reigns resign signer singer
+resist sister
+retain retina
+seated sedate teased
+united untied
+wander warden
+admirer married
+alerted altered related
+allergy gallery largely regally
+angered enraged grandee grenade
+antlers rentals
+article recital
+builder rebuild
+cheater hectare teacher
+citadel dialect
+claimed decimal declaim medical
+counter recount trounce
+dangers ganders gardens
+deposit posited topside
+detains instead sainted stained
+discern rescind
+enlarge general gleaner
+flowing wolfing
+fluster restful
+hardest threads trashed
+hornets shorten thrones
+kitchen thicken
+license silence
+marines remains seminar
+marital martial
+miracle reclaim
+nastier retains retinas stainer
+nectars recants trances
+observe verbose
+painter pertain repaint
+parsley players replays sparely
+parties pirates traipse
+pointer protein
+realist retails saltier
+rescued secured seducer
+reserve reverse
+respect scepter spectre
+ripples slipper
+senator treason
+wanders wardens
+alerting altering integral relating triangle
+ancients instance
+angriest granites ingrates
+auctions cautions
+cheating teaching
+creation reaction
+desserts stressed
+estrange sergeant
+kitchens thickens
+nameless salesmen
+organist roasting
+oriental relation
+painters pantries pertains repaints
+parental paternal prenatal
+predator teardrop
+presents serpents
+restrain strainer terrains trainers
+auctioned cautioned education
+carthorse orchestra
+emigrants mastering streaming
+ancestries resistance
+discounter introduces reductions
+excitation intoxicate
+conservation conversation`;
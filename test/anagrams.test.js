@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import english from '../lib/words/en.js';
+import { anagramsOf, letterKey, scrambleWord } from '../lib/anagrams.js';
+
+describe('lib/anagrams', () => {
+  it('lists only groups of real anagrams, each once', () => {
+    const seen = new Set();
+    for (const line of english.trim().split(/\r?\n/)) {
+      const words = line.split(' ');
+      assert.ok(words.length > 1, line);
+      assert.equal(new Set(words.map(word => letterKey(word, 'en'))).size, 1, line);
+      assert.equal(seen.has(letterKey(words[0], 'en')), false, line);
+      seen.add(letterKey(words[0], 'en'));
+    }
+  });
+
+  it('finds the other words with the same letters, in any case', () => {
+    assert.deepEqual(anagramsOf('LISTEN', 'en').sort(), ['enlist', 'inlets', 'silent', 'tinsel']);
+    assert.deepEqual(anagramsOf('GALAXY', 'en'), []);
+    // No list for Spanish yet.
+    assert.deepEqual(anagramsOf('AMOR', 'es'), []);
+  });
+
+  it('scrambles into neither the word nor one of its anagrams', () => {
+    // A "random" source that always picks the first index walks through the
+    // same few arrangements; they must all be skipped when they spell a word.
+    let calls = 0;
+    const scrambled = scrambleWord('Evil', 'en', { random: (max) => (calls++ % 3) % max });
+    assert.ok(scrambled);
+    assert.equal(['evil', 'live', 'veil', 'vile'].includes(scrambled.toLowerCase()), false);
+    assert.equal(letterKey(scrambled, 'en'), letterKey('evil', 'en'));
+    assert.match(scrambled, /E/);
+
+    assert.equal(scrambleWord('AAAA', 'en'), undefined);
+    assert.equal(scrambleWord('ÑAÑA', 'es').length, 4);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import handler from '../api/batch.js';
+import detector from '../api/detector.js';
+import { generateContent, withSharedBackoff } from '../lib/llm.js';
+import { ROUTE_LIMITS } from '../lib/rate-limit.js';
+import { resetStores } from '../lib/stores/index.js';
+import { useFakeGemini } from './helpers/llm-handler-suite.js';
+import { geminiJson, geminiText, geminiError } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+const RESULT = { aiScore: 40, explanation: 'Mixed signals.' };
+const ORIGIN = { origin: 'https://easyutilityhub.com' };
+
+// Polls a job until it completes (each poll also runs part of it).
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const res = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: jobId } });
+    if (res.body.status === 'completed') return res;
+    await sleep(10);
+  }
+  throw new Error(`Job ${jobId} did not complete.`);
+}
+
+describe('api/batch', () => {
+  const fake = useFakeGemini();
+  before(() => resetStores());
+  after(() => resetStores());
+
+  it('runs every document and reports errors per document', async () => {
+    fake().reply(geminiJson(RESULT), geminiJson(RESULT));
+    const res = await invoke(handler, {
+      headers: ORIGIN,
+      body: { tool: 'detector', documents: [{ id: 'essay-1', text: 'First essay.' }, { id: 'essay-2', text: '' }, { text: 'Third essay.' }] },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.succeeded, 2);
+    assert.equal(res.body.failed, 1);
+
+    const [first, second, third] = res.body.results;
+    assert.equal(first.id, 'essay-1');
+    assert.equal(first.success, true);
+    assert.equal(first.result.modelScore, 40);
+    assert.equal(first.result.success, undefined);
+    assert.deepEqual(second, { index: 1, id: 'essay-2', status: 400, success: false, message: 'ERROR: Input text is required.' });
+    assert.equal(third.index, 2);
+    assert.equal(fake().requests.length, 2);
+  });
+
+  it('applies shared options under each document\'s own fields', async () => {
+    const modes = [];
+    const reply = (body) => {
+      modes.push(body.generationConfig.temperature);
+      return geminiJson({ variants: [{ sentences: [{ text: 'Rewritten.', sources: [1] }] }] });
+    };
+    fake().reply(reply, reply);
+    const res = await invoke(handler, {
+      headers: ORIGIN,
+      body: { tool: 'paraphrase', options: { mode: 'academic' }, documents: [{ text: 'One.' }, { text: 'Two.', mode: 'creative' }] },
+    });
+    assert.equal(res.body.succeeded, 2);
+    assert.deepEqual(res.body.results.map(result => result.result.mode), ['academic', 'creative']);
+    assert.deepEqual(modes.sort(), [0.3, 1.0]);
+  });
+
+  it('rejects unknown tools and empty batches', async () => {
+    for (const body of [{ tool: 'translate', documents: [{ text: 'x' }] }, { tool: 'grammar', documents: [] }, { tool: 'grammar', documents: ['x'] }]) {
+      const res = await invoke(handler, { headers: ORIGIN, body });
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+    }
+    assert.equal(fake().requests.length, 0);
+  });
+
+  it('queues large batches as a job and finishes it through polling', async () => {
+    const documents = Array.from({ length: 12 }, (_, index) => ({ id: index, text: `Essay number ${index}.` }));
+    fake().reply(...documents.map(() => geminiJson(RESULT)));
+    const res = await invoke(handler, { headers: ORIGIN, body: { tool: 'detector', documents } });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.status, 'queued');
+    assert.equal(res.body.total, 12);
+    assert.equal(res.body.statusUrl, `/api/batch?id=${res.body.jobId}`);
+
+    const done = await waitForJob(res.body.jobId);
+    assert.equal(done.body.completed, 12);
+    assert.equal(done.body.succeeded, 12);
+    assert.deepEqual(done.body.results.map(result => result.id), documents.map(document => document.id));
+    assert.equal(fake().requests.length, 12);
+  });
+
+  it('runs small batches as a job when asked to', async () => {
+    fake().reply(geminiJson(RESULT));
+    const res = await invoke(handler, { headers: ORIGIN, body: { tool: 'detector', documents: [{ text: 'Only one.' }], async: true } });
+    assert.equal(res.statusCode, 202);
+    const done = await waitForJob(res.body.jobId);
+    assert.equal(done.body.results[0].success, true);
+  });
+
+  it('answers 404 for unknown jobs and 400 for malformed ids', async () => {
+    const missing = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: '00000000-0000-4000-8000-000000000000' } });
+    assert.equal(missing.statusCode, 404);
+    const malformed = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: '../etc/passwd' } });
+    assert.equal(malformed.statusCode, 400);
+  });
+
+  it('charges every document to the tool\'s own rate limit', async () => {
+    const client = { ...ORIGIN, 'x-real-ip': '203.0.113.50' };
+    const capacity = ROUTE_LIMITS.detector.ip.capacity;
+    const documents = (count) => Array.from({ length: count }, (_, index) => ({ text: `Essay number ${index}.` }));
+    delete process.env.RATE_LIMIT_DISABLED;
+    resetStores();
+    try {
+      let res = await invoke(handler, { headers: client, body: { tool: 'detector', documents: documents(capacity + 1) } });
+      assert.equal(res.statusCode, 429);
+      assert.match(res.body.message, new RegExp(`at most ${capacity}`));
+      assert.equal(fake().requests.length, 0);
+
+      fake().reply(...documents(capacity).map(() => geminiJson(RESULT)));
+      res = await invoke(handler, { headers: client, body: { tool: 'detector', documents: documents(capacity) } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.succeeded, capacity);
+
+      // The detector's budget is spent, whichever way the next document comes in.
+      res = await invoke(handler, { headers: client, body: { tool: 'detector', documents: documents(1) } });
+      assert.equal(res.statusCode, 429);
+      assert.ok(Number(res.headers['retry-after']) >= 1);
+      res = await invoke(detector, { headers: client, body: { text: 'One more essay.' } });
+      assert.equal(res.statusCode, 429);
+      assert.equal(fake().requests.length, capacity);
+    } finally {
+      process.env.RATE_LIMIT_DISABLED = 'true';
+      resetStores();
+    }
+  });
+
+  it('makes concurrent calls wait out another call\'s overload backoff', async () => {
+    process.env.LLM_RETRY_BASE_DELAY_MS = '300';
+    const arrivals = [];
+    const stamp = (reply) => () => {
+      arrivals.push(Date.now());
+      return reply;
+    };
+    fake().reply(stamp(geminiError(503)), stamp(geminiText('late')), stamp(geminiText('retried')));
+
+    const startedAt = Date.now();
+    try {
+      await withSharedBackoff(() => Promise.all([
+        generateContent({ task: 'paraphrase', prompt: 'a' }),
+        sleep(30).then(() => generateContent({ task: 'paraphrase', prompt: 'b' })),
+      ]));
+    } finally {
+      process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+    }
+
+    // The second call starts after the 503 and is held back by it (jitter keeps the pause >= 150ms).
+    assert.equal(arrivals.length, 3);
+    assert.ok(arrivals[1] - startedAt >= 140, `second call arrived after ${arrivals[1] - startedAt}ms`);
+  });
+});
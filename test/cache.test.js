@@ -0,0 +1,173 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cacheKey, normalizeText, getCacheTtl, withCache } from '../lib/cache.js';
+import { resetStores } from '../lib/stores/index.js';
+import detector from '../api/detector.js';
+import paraphrase from '../api/paraphrase.js';
+import { useFakeGemini } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+describe('lib/cache keys', () => {
+  it('normalizes whitespace, line endings and Unicode form', () => {
+    assert.equal(normalizeText('  Café  au\tlait\r\nsecond   line \n'), 'Café au lait\nsecond line');
+    assert.equal(
+      cacheKey('detector', 1, { text: 'Hello  world.\r\n' }),
+      cacheKey('detector', 1, { text: 'Hello world.' }),
+    );
+  });
+
+  it('separates routes, prompt versions and options', () => {
+    const base = cacheKey('paraphrase', 1, { text: 'Hi.', mode: 'Formal' });
+    assert.notEqual(base, cacheKey('humanizer', 1, { text: 'Hi.', mode: 'Formal' }));
+    assert.notEqual(base, cacheKey('paraphrase', 2, { text: 'Hi.', mode: 'Formal' }));
+    assert.notEqual(base, cacheKey('paraphrase', 1, { text: 'Hi.', mode: 'Simple' }));
+    assert.equal(base, cacheKey('paraphrase', 1, { mode: 'Formal', text: 'Hi.' }));
+  });
+
+  it('keeps text exact for routes whose answers carry offsets', () => {
+    assert.notEqual(
+      cacheKey('grammar', 1, { text: 'Hello  world.' }, { exact: true }),
+      cacheKey('grammar', 1, { text: 'Hello world.' }, { exact: true }),
+    );
+  });
+
+  it('leaves generators uncached unless a TTL is configured', () => {
+    assert.equal(getCacheTtl('riddle-joke'), 0);
+    assert.equal(getCacheTtl('hangman-ai'), 0);
+    assert.ok(getCacheTtl('grammar') > 0);
+    process.env.CACHE_TTL_RIDDLE_JOKE = '60';
+    try {
+      assert.equal(getCacheTtl('riddle-joke'), 60);
+    } finally {
+      delete process.env.CACHE_TTL_RIDDLE_JOKE;
+    }
+  });
+});
+
+describe('lib/cache withCache()', () => {
+  let calls;
+  const handler = withCache('detector', { version: 1 }, async (req, res) => {
+    calls++;
+    if (req.body.text === 'fail') return res.status(502).json({ success: false, message: 'ERROR: nope' });
+    return res.status(200).json({ success: true, aiScore: calls });
+  });
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  beforeEach(() => {
+    calls = 0;
+    delete process.env.CACHE_DISABLED;
+    delete process.env.CACHE_STORE;
+    resetStores();
+  });
+
+  after(() => {
+    mock.restoreAll();
+    delete process.env.CACHE_STORE;
+    resetStores();
+  });
+
+  it('serves a repeat request from the cache', async () => {
+    const first = await invoke(handler, { body: { text: 'Same text.' } });
+    const second = await invoke(handler, { body: { text: '  Same   text. ' } });
+    assert.equal(first.headers['x-cache-status'], 'MISS');
+    assert.equal(second.headers['x-cache-status'], 'HIT');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(calls, 1);
+  });
+
+  it('does not cache errors', async () => {
+    await invoke(handler, { body: { text: 'fail' } });
+    const again = await invoke(handler, { body: { text: 'fail' } });
+    assert.equal(again.headers['x-cache-status'], 'MISS');
+    assert.equal(calls, 2);
+  });
+
+  it('refreshes the entry on Cache-Control: no-cache', async () => {
+    await invoke(handler, { body: { text: 'Same text.' } });
+    const refreshed = await invoke(handler, { headers: { 'cache-control': 'no-cache' }, body: { text: 'Same text.' } });
+    assert.equal(refreshed.headers['x-cache-status'], 'BYPASS');
+    assert.equal(refreshed.body.aiScore, 2);
+    const after = await invoke(handler, { body: { text: 'Same text.' } });
+    assert.equal(after.body.aiScore, 2);
+  });
+
+  it('bypasses streaming requests and CACHE_DISABLED', async () => {
+    await invoke(handler, { body: { text: 'Same text.' } });
+    const streamed = await invoke(handler, { headers: { accept: 'text/event-stream' }, body: { text: 'Same text.' } });
+    assert.equal(streamed.headers['x-cache-status'], 'BYPASS');
+    process.env.CACHE_DISABLED = 'true';
+    const disabled = await invoke(handler, { body: { text: 'Same text.' } });
+    assert.equal(disabled.headers['x-cache-status'], 'BYPASS');
+    assert.equal(calls, 3);
+  });
+
+  it('keeps answering when the store is broken', async () => {
+    process.env.CACHE_STORE = 'redis'; // no REDIS_REST_URL, so every call fails
+    const res = await invoke(handler, { body: { text: 'Same text.' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(calls, 1);
+  });
+});
+
+describe('api/detector with caching on', () => {
+  const fake = useFakeGemini();
+
+  beforeEach(() => {
+    delete process.env.CACHE_DISABLED;
+    resetStores();
+  });
+
+  after(() => {
+    resetStores();
+  });
+
+  it('calls the model once for repeated checks of the same text', async () => {
+    fake().reply(geminiJson({ aiScore: 40, explanation: 'Mixed signals.' }));
+    const body = { text: 'A text worth checking twice.' };
+    const first = await invoke(detector, { body });
+    const second = await invoke(detector, { body });
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.headers['x-cache-status'], 'HIT');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(fake().requests.length, 1);
+  });
+
+  it('never serves one text\'s sentence offsets for a differently spaced copy', async () => {
+    fake().reply(geminiJson({ aiScore: 40, explanation: 'Mixed.' }), geminiJson({ aiScore: 40, explanation: 'Mixed.' }));
+    await invoke(detector, { body: { text: 'The cat sat down. It was tired. Then it slept.' } });
+    const text = 'The  cat   sat down.  It was   tired.   Then it slept.';
+    const res = await invoke(detector, { body: { text } });
+    assert.equal(res.headers['x-cache-status'], 'MISS');
+    assert.deepEqual(res.body.sentences.map(({ from, to }) => text.slice(from, to)), ['The  cat   sat down.', 'It was   tired.', 'Then it slept.']);
+  });
+});
+
+describe('api/paraphrase with caching on', () => {
+  const fake = useFakeGemini();
+
+  beforeEach(() => {
+    delete process.env.CACHE_DISABLED;
+    resetStores();
+  });
+
+  after(() => {
+    resetStores();
+  });
+
+  it('never serves one text\'s original offsets for a differently spaced copy', async () => {
+    const reply = geminiJson({ variants: [{ sentences: [{ text: 'A cat sat.', sources: [1] }, { text: 'It slept.', sources: [2] }] }] });
+    fake().reply(reply, reply);
+    await invoke(paraphrase, { body: { text: 'The cat sat down. Then it slept.', mode: 'standard' } });
+    const text = 'The   cat sat  down.    Then it slept.';
+    const res = await invoke(paraphrase, { body: { text, mode: 'standard' } });
+    assert.equal(res.headers['x-cache-status'], 'MISS');
+    const originals = res.body.variants[0].sentences.flatMap(sentence => sentence.original);
+    assert.deepEqual(originals.map(({ from, to }) => text.slice(from, to)), ['The   cat sat  down.', 'Then it slept.']);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitIntoChunks } from '../lib/chunk.js';
+import { mapWithConcurrency } from '../lib/pool.js';
+import { anchorCorrections, mergeAnalyses } from '../lib/grammar.js';
+
+function assertLossless(text, chunks, maxChars) {
+  assert.equal(chunks.map(chunk => chunk.text).join(''), text);
+  let offset = 0;
+  for (const chunk of chunks) {
+    assert.equal(chunk.offset, offset);
+    assert.ok(chunk.text.length <= maxChars, `chunk of ${chunk.text.length} exceeds ${maxChars}`);
+    offset += chunk.text.length;
+  }
+}
+
+describe('lib/chunk', () => {
+  it('returns short text as a single chunk', () => {
+    assert.deepEqual(splitIntoChunks('Hello there.', { maxChars: 100 }), [{ text: 'Hello there.', offset: 0 }]);
+  });
+
+  it('prefers paragraph boundaries', () => {
+    const text = `${'a'.repeat(40)}\n\n${'b'.repeat(40)}\n\n${'c'.repeat(40)}`;
+    const chunks = splitIntoChunks(text, { maxChars: 90 });
+    assertLossless(text, chunks, 90);
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].text.endsWith('\n\n'));
+  });
+
+  it('falls back to sentence boundaries inside a long paragraph', () => {
+    const text = 'One short sentence. '.repeat(20).trim();
+    const chunks = splitIntoChunks(text, { maxChars: 100 });
+    assertLossless(text, chunks, 100);
+    for (const chunk of chunks.slice(0, -1)) assert.match(chunk.text, /\. $/);
+  });
+
+  it('cuts a single over-long sentence at whitespace', () => {
+    const text = 'word '.repeat(100).trim();
+    const chunks = splitIntoChunks(text, { maxChars: 64 });
+    assertLossless(text, chunks, 64);
+    for (const chunk of chunks.slice(0, -1)) assert.match(chunk.text, / $/);
+  });
+});
+
+describe('lib/pool', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (delay, index) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return index * 10;
+    });
+    assert.deepEqual(results, [0, 10, 20, 30, 40]);
+    assert.equal(peak, 2);
+  });
+
+  it('rejects with the first failure and starts nothing after it', async () => {
+    const started = [];
+    await assert.rejects(mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(started, [1, 2]);
+  });
+});
+
+describe('lib/grammar', () => {
+  it('anchors repeated mistakes to distinct occurrences nearest their hints', () => {
+    const chunk = { text: 'teh cat and teh dog', offset: 100 };
+    const corrections = [
+      { from: 13, to: 16, mistake: 'teh', correction: 'the' },
+      { from: 13, to: 16, mistake: 'teh', correction: 'the' },
+      { from: 0, to: 3, mistake: 'cow', correction: 'cat' },
+    ];
+    assert.deepEqual(anchorCorrections(corrections, chunk).map(c => [c.from, c.to]), [[112, 115], [100, 103]]);
+  });
+
+  it('weights clarity by chunk length and picks the dominant tone', () => {
+    const merged = mergeAnalyses([
+      { analysis: { tone: 'Formal', clarityScore: 90 }, length: 300 },
+      { analysis: { tone: 'Casual', clarityScore: 60 }, length: 100 },
+      { analysis: { tone: 'Casual', clarityScore: 30 }, length: 100 },
+    ]);
+    assert.deepEqual(merged, { tone: 'Formal', clarityScore: 72 });
+  });
+});
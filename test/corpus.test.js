@@ -0,0 +1,147 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, unlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import corpusHandler from '../api/corpus.js';
+import plagiarism from '../api/plagiarism.js';
+import { fingerprint, SHINGLE_WORDS, WINDOW } from '../lib/fingerprint.js';
+import { createFileCorpus } from '../lib/corpus.js';
+import { invoke } from './helpers/http.js';
+
+const ESSAY = 'The industrial revolution transformed the economies of Europe by replacing manual labour with machines powered by coal and steam.';
+const COPY = `In my essay I argue that the industrial revolution transformed the economies of Europe by replacing manual labour with machines, which changed everything.`;
+const KEY = { 'x-api-key': 'corpus-secret' };
+
+describe('lib/fingerprint', () => {
+  it('shares a fingerprint for any common run of k + window - 1 words', () => {
+    const run = 'alpha bravo charlie delta echo foxtrot golf hotel';
+    assert.equal(run.split(' ').length, SHINGLE_WORDS + WINDOW - 1);
+    const one = new Set(fingerprint(`completely different opening words ${run} and then more`).map(([hash]) => hash));
+    const two = fingerprint(`${run} followed by another unrelated ending here`).map(([hash]) => hash);
+    assert.ok(two.some(hash => one.has(hash)));
+  });
+
+  it('keeps fewer fingerprints than shingles and none for short text', () => {
+    const text = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+    const prints = fingerprint(text);
+    assert.ok(prints.length < 200 - SHINGLE_WORDS + 1);
+    assert.deepEqual(fingerprint('too short'), []);
+  });
+});
+
+describe('lib/corpus', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'corpus-test-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('adds, lists and removes documents on disk', async () => {
+    const corpus = createFileCorpus({ dir });
+    const added = await corpus.add({ title: 'Essay', text: ESSAY });
+    assert.equal(added.words, 19);
+    assert.deepEqual((await corpus.list()).map(doc => doc.id), [added.id]);
+    assert.deepEqual((await readdir(dir)).sort(), [`${added.id}.json`, 'index.json'].sort());
+
+    assert.equal(await corpus.remove(added.id), true);
+    assert.equal(await corpus.remove(added.id), false);
+    assert.equal(await corpus.remove('../../etc/passwd'), false);
+    assert.deepEqual(await corpus.list(), []);
+  });
+
+  it('aligns the copied passage in both texts', async () => {
+    const corpus = createFileCorpus({ dir });
+    await corpus.add({ title: 'Essay', text: ESSAY });
+    await corpus.add({ title: 'Unrelated', text: 'Bees communicate the location of flowers through a waggle dance inside the hive.' });
+
+    const { coverage, matches } = await corpus.match(COPY);
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].title, 'Essay');
+    const [passage] = matches[0].passages;
+    assert.equal(passage.submission.text, 'the industrial revolution transformed the economies of Europe by replacing manual labour with machines');
+    assert.equal(passage.document.text, 'The industrial revolution transformed the economies of Europe by replacing manual labour with machines');
+    assert.equal(ESSAY.slice(passage.document.from, passage.document.to), passage.document.text);
+    assert.equal(matches[0].overlapPercentage, 61);
+    assert.equal(coverage, 61);
+  });
+
+  it('reads only the documents sharing a fingerprint with the submission', async () => {
+    const corpus = createFileCorpus({ dir });
+    const essay = await corpus.add({ title: 'Essay', text: ESSAY });
+    const unrelated = await corpus.add({ title: 'Unrelated', text: 'Bees communicate the location of flowers through a waggle dance inside the hive.' });
+    // Unreadable, so reading it at all would fail the check.
+    await writeFile(path.join(dir, `${unrelated.id}.json`), 'not json');
+
+    assert.deepEqual((await corpus.match(COPY)).matches.map(match => match.id), [essay.id]);
+    assert.equal(await corpus.remove(essay.id), true);
+    assert.deepEqual(await corpus.match(COPY), { coverage: 0, matches: [] });
+  });
+
+  it('builds the index for documents stored before it existed', async () => {
+    const corpus = createFileCorpus({ dir });
+    const essay = await corpus.add({ title: 'Essay', text: ESSAY });
+    await unlink(path.join(dir, 'index.json'));
+
+    assert.deepEqual((await corpus.match(COPY)).matches.map(match => match.id), [essay.id]);
+    assert.ok((await readdir(dir)).includes('index.json'));
+  });
+});
+
+describe('api/corpus and plagiarism corpus mode', () => {
+  let dir;
+  const saved = {};
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'corpus-api-test-'));
+    for (const key of ['CORPUS_DIR', 'CORPUS_API_KEY', 'RATE_LIMIT_DISABLED', 'CACHE_DISABLED']) saved[key] = process.env[key];
+    Object.assign(process.env, { CORPUS_DIR: dir, CORPUS_API_KEY: 'corpus-secret', RATE_LIMIT_DISABLED: 'true', CACHE_DISABLED: 'true' });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('refuses requests without the corpus key', async () => {
+    const res = await invoke(corpusHandler, { method: 'GET' });
+    assert.equal(res.statusCode, 401);
+    const wrong = await invoke(plagiarism, { headers: { 'x-api-key': 'nope' }, body: { text: COPY, mode: 'corpus' } });
+    assert.equal(wrong.statusCode, 401);
+  });
+
+  it('manages documents and checks submissions against them', async () => {
+    const created = await invoke(corpusHandler, { headers: KEY, body: { title: 'Essay', text: ESSAY } });
+    assert.equal(created.statusCode, 201);
+    const { id } = created.body.document;
+
+    const listed = await invoke(corpusHandler, { method: 'GET', headers: KEY });
+    assert.deepEqual(listed.body.documents.map(doc => doc.id), [id]);
+    assert.equal(listed.body.documents[0].text, undefined);
+
+    const checked = await invoke(plagiarism, { headers: KEY, body: { text: COPY, mode: 'Corpus', addToCorpus: true, title: 'Student B' } });
+    assert.equal(checked.statusCode, 200);
+    assert.equal(checked.body.mode, 'corpus');
+    assert.equal(checked.body.plagiarismPercentage, 61);
+    assert.equal(checked.body.matchedDocuments[0].id, id);
+    assert.equal(checked.body.addedDocument.title, 'Student B');
+
+    const removed = await invoke(corpusHandler, { method: 'DELETE', headers: KEY, query: { id } });
+    assert.equal(removed.statusCode, 200);
+    const again = await invoke(corpusHandler, { method: 'DELETE', headers: KEY, body: { id } });
+    assert.equal(again.statusCode, 404);
+    const invalid = await invoke(corpusHandler, { method: 'DELETE', headers: KEY, body: { id: 'x' } });
+    assert.equal(invalid.statusCode, 400);
+  });
+});
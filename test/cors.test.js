@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { withCors, isOriginAllowed, getCorsConfig } from '../lib/cors.js';
+import { invoke } from './helpers/http.js';
+
+const ENV_KEYS = ['CORS_ALLOWED_ORIGINS', 'CORS_ALLOW_CREDENTIALS', 'CORS_MAX_AGE'];
+
+describe('lib/cors', () => {
+  const saved = {};
+  const inner = mock.fn(async (req, res) => res.status(200).json({ success: true }));
+  const handler = withCors(inner, { methods: ['POST'], headers: ['x-api-key'] });
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    inner.mock.resetCalls();
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('allows production, its subdomains and localhost by default', () => {
+    const config = getCorsConfig();
+    assert.equal(isOriginAllowed('https://easyutilityhub.com', config), true);
+    assert.equal(isOriginAllowed('https://staging.easyutilityhub.com', config), true);
+    assert.equal(isOriginAllowed('https://a.b.easyutilityhub.com', config), true);
+    assert.equal(isOriginAllowed('http://localhost:5173', config), true);
+    assert.equal(isOriginAllowed('http://easyutilityhub.com', config), false);
+    assert.equal(isOriginAllowed('https://easyutilityhub.com.evil.example', config), false);
+    assert.equal(isOriginAllowed('https://evileasyutilityhub.com', config), false);
+  });
+
+  it('reads the allow-list from CORS_ALLOWED_ORIGINS', () => {
+    process.env.CORS_ALLOWED_ORIGINS = 'https://preview.example.dev, https://*.vercel.app';
+    const config = getCorsConfig();
+    assert.equal(isOriginAllowed('https://preview.example.dev', config), true);
+    assert.equal(isOriginAllowed('https://my-branch-abc.vercel.app', config), true);
+    assert.equal(isOriginAllowed('https://easyutilityhub.com', config), false);
+  });
+
+  it('answers preflight with methods, headers and a cache lifetime', async () => {
+    process.env.CORS_MAX_AGE = '600';
+    const res = await invoke(handler, { method: 'OPTIONS', headers: { origin: 'http://localhost:3000' } });
+    assert.equal(res.statusCode, 204);
+    assert.equal(res.headers['access-control-allow-origin'], 'http://localhost:3000');
+    assert.equal(res.headers['access-control-allow-methods'], 'POST, OPTIONS');
+    assert.equal(res.headers['access-control-allow-headers'], 'Content-Type, x-api-key');
+    assert.equal(res.headers['access-control-max-age'], '600');
+    assert.equal(res.headers.vary, 'Origin');
+    assert.equal(inner.mock.callCount(), 0);
+  });
+
+  it('rejects a disallowed origin with 403', async () => {
+    const res = await invoke(handler, { headers: { origin: 'https://evil.example' } });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.headers['access-control-allow-origin'], undefined);
+    assert.equal(inner.mock.callCount(), 0);
+  });
+
+  it('lets requests without an Origin through (server-to-server)', async () => {
+    const res = await invoke(handler, {});
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('rejects methods outside the route list with 405', async () => {
+    const res = await invoke(handler, { method: 'DELETE', headers: { origin: 'https://easyutilityhub.com' } });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers.allow, 'POST, OPTIONS');
+  });
+
+  it('echoes the origin instead of "*" when credentials are enabled', async () => {
+    process.env.CORS_ALLOWED_ORIGINS = '*';
+    let res = await invoke(handler, { headers: { origin: 'https://anyone.example' } });
+    assert.equal(res.headers['access-control-allow-origin'], '*');
+
+    process.env.CORS_ALLOW_CREDENTIALS = 'true';
+    res = await invoke(handler, { headers: { origin: 'https://anyone.example' } });
+    assert.equal(res.headers['access-control-allow-origin'], 'https://anyone.example');
+    assert.equal(res.headers['access-control-allow-credentials'], 'true');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import handler from '../api/detector.js';
+import { analyzeStyle, calibrate } from '../lib/stylometry.js';
+import { describeLLMHandler, MAX_RETRIES } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+const INJECTIONS = JSON.parse(readFileSync(new URL('./fixtures/prompt-injections.json', import.meta.url), 'utf8'));
+const RESULT = { aiScore: 35, explanation: 'Varied sentence length.' };
+
+const UNIFORM = [
+  'Artificial intelligence is transforming the way businesses operate.',
+  'It is important to note that these changes bring both opportunities and challenges.',
+  'Companies must adapt to remain competitive in the evolving landscape.',
+  'Furthermore, it is important to consider the ethical implications of these technologies.',
+  'In conclusion, artificial intelligence offers significant potential for growth and innovation.',
+].join(' ');
+const BURSTY = [
+  'I missed the bus again. Third time this week!',
+  "Honestly, I don't know why I bother setting an alarm — it goes off, I hit snooze, and suddenly it's 8:40 and I'm sprinting down Elm Street with toast in my mouth.",
+  "My boss didn't say anything (thank god); she just raised an eyebrow. Tomorrow I'm walking.",
+].join(' ');
+
+describeLLMHandler({
+  name: 'api/detector',
+  handler,
+  body: { text: 'This text was definitely typed by a person.' },
+  reply: geminiJson(RESULT),
+  assertSuccess: (body) => {
+    assert.equal(body.modelScore, 35);
+    assert.equal(body.explanation, 'Varied sentence length.');
+    assert.ok(body.aiScore >= 0 && body.aiScore <= 100);
+    assert.ok(['low', 'medium', 'high'].includes(body.confidence));
+  },
+  invalidBodies: [{}, { text: '' }, { text: ['a'] }, { text: 'Hi.', language: 'xx' }],
+  oversizedBody: { text: 'a'.repeat(20001) },
+  extra: (fake) => {
+    it('reports the detected language and tells the model about it', async () => {
+      fake().reply(geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'Der Hund ist nicht auf der Straße, und die Katze ist im Haus.' } });
+      assert.equal(res.body.language.code, 'de');
+      assert.match(fake().requests[0].body.systemInstruction.parts[0].text, /written in German/);
+      // Readability is calibrated on English only.
+      assert.equal(res.body.signals.readabilityDistance, undefined);
+    });
+
+    it('sends injection attempts only inside the delimited user turn', async () => {
+      for (const injection of INJECTIONS) {
+        fake().reset();
+        fake().reply(geminiJson(RESULT));
+        const res = await invoke(handler, { body: { text: injection } });
+        assert.equal(res.statusCode, 200);
+
+        const payload = fake().requests[0].body;
+        const system = payload.systemInstruction.parts[0].text;
+        assert.match(system, /probability that it was written by an AI/);
+        assert.equal(system.includes(injection.trim()), false);
+        assert.match(fake().promptOf(), /^\[BEGIN TEXT [0-9a-f]{12}\]\n[\s\S]*\n\[END TEXT [0-9a-f]{12}\]$/);
+      }
+    });
+
+    it('retries an out-of-range aiScore and never returns it', async () => {
+      fake().reply(geminiJson({ aiScore: 150, explanation: 'x' }), geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'Some text.' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.modelScore, 35);
+      assert.equal(fake().requests.length, 2);
+    });
+
+    it('fails with 502 when every answer is out of range', async () => {
+      fake().reply(...Array.from({ length: MAX_RETRIES + 1 }, () => geminiJson({ aiScore: -1, explanation: 'x' })));
+      const res = await invoke(handler, { body: { text: 'Some text.' } });
+      assert.equal(res.statusCode, 502);
+      assert.match(res.body.message, /failed validation/);
+    });
+  },
+});
+
+describe('lib/stylometry', () => {
+  it('is deterministic', () => {
+    assert.deepEqual(analyzeStyle(UNIFORM), analyzeStyle(UNIFORM));
+  });
+
+  it('scores uniform, formulaic prose as more AI-like than bursty prose', () => {
+    const uniform = analyzeStyle(UNIFORM);
+    const bursty = analyzeStyle(BURSTY);
+    assert.ok(uniform.styleScore > 50, `uniform scored ${uniform.styleScore}`);
+    assert.ok(bursty.styleScore < 50, `bursty scored ${bursty.styleScore}`);
+    assert.ok(uniform.signals.burstiness > bursty.signals.burstiness);
+    assert.ok(uniform.features.repetition > bursty.features.repetition);
+  });
+
+  it('moves the model score toward the style evidence', () => {
+    const uniform = analyzeStyle(UNIFORM);
+    const bursty = analyzeStyle(BURSTY);
+    assert.ok(calibrate(50, uniform).aiScore > 50);
+    assert.ok(calibrate(50, bursty).aiScore < 50);
+    // Strong disagreement between the two views is never reported as high confidence.
+    assert.notEqual(calibrate(99, bursty).confidence, 'high');
+  });
+
+  it('scores every sentence with offsets into the text', () => {
+    const { sentences } = calibrate(60, analyzeStyle(UNIFORM));
+    assert.equal(sentences.length, 5);
+    assert.equal(UNIFORM.slice(sentences[1].from, sentences[1].to), 'It is important to note that these changes bring both opportunities and challenges.');
+    for (const sentence of sentences) assert.ok(sentence.aiScore >= 0 && sentence.aiScore <= 100);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import grammarExport from '../api/grammar-export.js';
+import { planCorrections } from '../lib/corrections.js';
+import { exportCorrections } from '../lib/export/index.js';
+import { extractDocument } from '../lib/extract/index.js';
+import { readZipEntry } from '../lib/extract/zip.js';
+import { invoke } from './helpers/http.js';
+import { buildDocx, multipart } from './helpers/documents.js';
+
+const ORIGIN = { origin: 'https://easyutilityhub.com' };
+const DATE = new Date('2026-01-02T03:04:05.678Z');
+const documentXml = (data) => readZipEntry(data, 'word/document.xml').toString('utf8');
+
+// A correction as grammar.js returns it, found by its mistake.
+const correct = (text, mistake, correction, type = 'Spelling') => {
+  const from = text.indexOf(mistake);
+  return { from, to: from + mistake.length, mistake, correction, type };
+};
+
+describe('lib/corrections', () => {
+  it('orders edits by offset and reports stale, broken and overlapping corrections', () => {
+    const text = 'Their is a mistake hear.';
+    const { edits, conflicts } = planCorrections(text, [
+      correct(text, 'hear', 'here'),
+      correct(text, 'Their', 'There'),
+      { from: 6, to: 8, mistake: 'was', correction: 'is' },
+      { from: 0, to: 99, mistake: 'Their', correction: 'There' },
+      { from: 2, to: 4, mistake: 'ei', correction: 'ie' },
+      { from: 3, to: 3 },
+    ]);
+    assert.deepEqual(edits.map(edit => [edit.index, edit.correction]), [[1, 'There'], [0, 'here']]);
+    assert.deepEqual(conflicts, [
+      { index: 2, reason: 'The text at these offsets no longer matches the mistake.' },
+      { index: 3, reason: 'Offsets are outside the text.' },
+      { index: 4, reason: 'Overlaps correction 1.' },
+      { index: 5, reason: 'Correction text is missing.' },
+    ]);
+  });
+});
+
+describe('lib/export', () => {
+  const text = 'Their is a mistake hear.\n\nA <second> paragraph\nwith a line break.';
+  const corrections = [correct(text, 'Their', 'There', 'Grammar'), correct(text, 'hear', 'here'), correct(text, 'paragraph', 'paragraph,', 'Punctuation')];
+
+  it('highlights corrections inline in Markdown and HTML', () => {
+    const markdown = exportCorrections({ format: 'markdown', text, corrections }).data.toString();
+    assert.equal(markdown, '~~Their~~<mark>There</mark> is a mistake ~~hear~~<mark>here</mark>.\n\nA <second> ~~paragraph~~<mark>paragraph,</mark>\nwith a line break.\n');
+
+    const html = exportCorrections({ format: 'html', text, corrections, filename: 'essay.txt' }).data.toString();
+    assert.match(html, /<title>essay<\/title>/);
+    assert.match(html, /<p><mark class="correction" data-type="Grammar" title="Grammar"><del>Their<\/del><ins>There<\/ins><\/mark> is a mistake/);
+    assert.match(html, /<\/p>\n<p>A &lt;second&gt; <mark[^>]*><del>paragraph<\/del><ins>paragraph,<\/ins><\/mark><br>\nwith a line break\.<\/p>/);
+  });
+
+  it('writes a unified diff with one hunk per nearby group of changes', () => {
+    const lines = Array.from({ length: 20 }, (_, index) => `Line ${index + 1} is fine.`);
+    lines[1] = 'Line 2 has a typo: teh.';
+    lines[2] = 'Line 3 has another: adn.';
+    lines[16] = 'Line 17 has a typo: recieve.';
+    const source = lines.join('\n');
+    const patch = exportCorrections({
+      format: 'patch',
+      text: source,
+      corrections: [correct(source, 'teh', 'the'), correct(source, 'adn', 'and'), correct(source, 'recieve', 'receive\nit')],
+      filename: 'notes.md',
+    }).data.toString();
+    assert.equal(patch, [
+      '--- a/notes.txt',
+      '+++ b/notes.txt',
+      '@@ -1,6 +1,6 @@',
+      ' Line 1 is fine.',
+      '-Line 2 has a typo: teh.',
+      '-Line 3 has another: adn.',
+      '+Line 2 has a typo: the.',
+      '+Line 3 has another: and.',
+      ' Line 4 is fine.',
+      ' Line 5 is fine.',
+      ' Line 6 is fine.',
+      '@@ -14,7 +14,8 @@',
+      ' Line 14 is fine.',
+      ' Line 15 is fine.',
+      ' Line 16 is fine.',
+      '-Line 17 has a typo: recieve.',
+      '+Line 17 has a typo: receive',
+      '+it.',
+      ' Line 18 is fine.',
+      ' Line 19 is fine.',
+      ' Line 20 is fine.',
+      '\\ No newline at end of file',
+      '',
+    ].join('\n'));
+  });
+
+  it('builds a new DOCX with tracked changes from plain text', () => {
+    const result = exportCorrections({ format: 'docx', text, corrections, date: DATE });
+    assert.equal(result.filename, 'document-corrected.docx');
+    assert.equal(result.applied, 3);
+    const xml = documentXml(result.data);
+    assert.match(xml, /<w:p><w:del w:id="1" w:author="EasyUtilityHub" w:date="2026-01-02T03:04:05Z"><w:r><w:delText xml:space="preserve">Their<\/w:delText><\/w:r><\/w:del><w:ins w:id="2" [^>]*><w:r><w:t xml:space="preserve">There<\/w:t><\/w:r><\/w:ins>/);
+    assert.match(xml, /<w:t xml:space="preserve">A &lt;second&gt; <\/w:t>/);
+    assert.match(xml, /<w:br\/><w:t xml:space="preserve">with a line break\.<\/w:t>/);
+
+    // Word reads it back as the original text: deleted runs are not text.
+    const reread = extractDocument({ filename: 'out.docx', data: result.data });
+    assert.equal(reread.text, text.replace(/hear/, 'here').replace('Their', 'There').replace('paragraph\n', 'paragraph,\n'));
+  });
+
+  it('edits an uploaded DOCX in place, keeping run formatting and existing revisions', () => {
+    const upload = {
+      filename: 'Essay draft.docx',
+      data: buildDocx([
+        '<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:rPr><w:b/></w:rPr><w:t>Their is</w:t></w:r><w:r><w:t xml:space="preserve"> a mistake hear.</w:t></w:r></w:p>',
+        '<w:p><w:ins w:id="7" w:author="Ann"><w:r><w:t>Added</w:t></w:r></w:ins><w:r><w:t xml:space="preserve"> befor</w:t></w:r><w:r><w:tab/><w:t>end</w:t></w:r></w:p>',
+      ].join('')),
+    };
+    const source = extractDocument(upload).text;
+    assert.equal(source, 'Their is a mistake hear.\n\nAdded befor\tend');
+
+    const result = exportCorrections({
+      format: 'docx',
+      text: source,
+      upload,
+      date: DATE,
+      corrections: [
+        correct(source, 'Their', 'There'),
+        correct(source, 'hear', 'here'),
+        correct(source, 'befor', 'before'),
+        correct(source, 'Added', 'Add'),
+        correct(source, 'befor\tend', 'before the end'),
+      ],
+    });
+    assert.equal(result.filename, 'Essay draft-corrected.docx');
+    assert.equal(result.applied, 3);
+    assert.deepEqual(result.conflicts.map(conflict => conflict.index), [3, 4]);
+
+    const xml = documentXml(result.data);
+    assert.match(xml, /<w:pPr><w:jc w:val="center"\/><\/w:pPr><w:del w:id="8" [^>]*><w:r><w:rPr><w:b\/><\/w:rPr><w:delText xml:space="preserve">Their<\/w:delText><\/w:r><\/w:del><w:ins w:id="9" [^>]*><w:r><w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">There<\/w:t><\/w:r><\/w:ins><w:r><w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve"> is<\/w:t><\/w:r>/);
+    assert.match(xml, /<w:ins w:id="7" w:author="Ann"><w:r><w:t>Added<\/w:t><\/w:r><\/w:ins>/);
+    assert.match(xml, /<w:r><w:tab\/><w:t>end<\/w:t><\/w:r>/);
+    assert.equal(extractDocument({ filename: 'out.docx', data: result.data }).text, 'There is a mistake here.\n\nAdded before\tend');
+  });
+});
+
+describe('api/grammar-export', () => {
+  const text = 'Their is a mistake hear.';
+
+  it('sends the file as a download', async () => {
+    const res = await invoke(grammarExport, {
+      headers: ORIGIN,
+      body: { text, corrections: [correct(text, 'hear', 'here')], format: 'Markdown', filename: 'Résumé.txt' },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'text/markdown; charset=utf-8');
+    assert.equal(res.headers['content-disposition'], `attachment; filename="R_sum_-corrected.md"; filename*=UTF-8''R%C3%A9sum%C3%A9-corrected.md`);
+    assert.equal(res.headers['x-corrections-applied'], '1');
+    assert.match(res.headers['access-control-expose-headers'], /Content-Disposition/);
+    assert.equal(res.body.toString(), 'Their is a mistake ~~hear~~<mark>here</mark>.\n');
+  });
+
+  it('answers 409 with the conflicts unless they are skipped', async () => {
+    const body = { text, corrections: [correct(text, 'Their', 'There'), { from: 0, to: 5, mistake: 'There', correction: 'They' }], format: 'patch' };
+    const refused = await invoke(grammarExport, { headers: ORIGIN, body });
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.body.success, false);
+    assert.deepEqual(refused.body.conflicts, [{ index: 1, reason: 'The text at these offsets no longer matches the mistake.' }]);
+
+    const skipped = await invoke(grammarExport, { headers: ORIGIN, body: { ...body, skipConflicts: true } });
+    assert.equal(skipped.statusCode, 200);
+    assert.equal(skipped.headers['x-corrections-skipped'], '1');
+    assert.match(skipped.body.toString(), /^-Their is a mistake hear\.\n\\ No newline at end of file\n\+There is/m);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await invoke(grammarExport, { headers: ORIGIN, body: { text, corrections: [], format: 'pdf' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Format must be one of: docx, markdown, html, patch/);
+  });
+
+  it('takes the original DOCX as an upload and returns it with tracked changes', async () => {
+    const docx = buildDocx('<w:p><w:r><w:rPr><w:i/></w:rPr><w:t>Their is a mistake hear.</w:t></w:r></w:p>');
+    const { headers, rawBody } = multipart(
+      { format: 'docx', corrections: JSON.stringify([correct(text, 'hear', 'here')]) },
+      { filename: 'essay.docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', data: docx },
+    );
+    const res = await invoke(grammarExport, { headers: { ...ORIGIN, ...headers }, rawBody });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-disposition'], /filename="essay-corrected\.docx"/);
+    const xml = documentXml(res.body);
+    assert.match(xml, /<w:del [^>]*><w:r><w:rPr><w:i\/><\/w:rPr><w:delText xml:space="preserve">hear<\/w:delText><\/w:r><\/w:del><w:ins [^>]*><w:r><w:rPr><w:i\/><\/w:rPr><w:t xml:space="preserve">here<\/w:t>/);
+  });
+});
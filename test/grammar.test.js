@@ -0,0 +1,116 @@
+import { it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/grammar.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiJson, geminiError } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+const RESULT = {
+  analysis: { tone: 'Informal', clarityScore: 74 },
+  corrections: [{ from: 2, to: 6, mistake: 'dont', correction: "don't", type: 'Spelling' }],
+};
+
+describeLLMHandler({
+  name: 'api/grammar',
+  handler,
+  body: { text: 'I dont know.' },
+  reply: geminiJson(RESULT),
+  assertSuccess: (body) => {
+    assert.deepEqual(body.analysis, RESULT.analysis);
+    assert.deepEqual(body.corrections, RESULT.corrections);
+  },
+  invalidBodies: [{}, { text: '' }, { text: '   ' }, { text: 42 }, { text: 'Hi.', language: 'klingon' }],
+  oversizedBody: { text: 'a'.repeat(100001) },
+  extra: (fake) => {
+    it('checks in the detected language with its correction types', async () => {
+      fake().reply(geminiJson({ analysis: { tone: 'Formal', clarityScore: 80 }, corrections: [] }));
+      const res = await invoke(handler, { body: { text: 'Le chat est sur le tapis et il est content.' } });
+      assert.deepEqual(res.body.language, { code: 'fr', name: 'French', detected: true });
+      const { systemInstruction, generationConfig } = fake().requests[0].body;
+      assert.match(systemInstruction.parts[0].text, /written in French/);
+      assert.ok(generationConfig.responseSchema.properties.corrections.items.properties.type.enum.includes('Typography'));
+    });
+
+    it('uses the requested language over detection', async () => {
+      fake().reply(geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'I dont know.', language: 'ES' } });
+      assert.deepEqual(res.body.language, { code: 'es', name: 'Spanish', detected: false });
+    });
+
+    it('asks for JSON output against the grammar schema', async () => {
+      fake().reply(geminiJson(RESULT));
+      await invoke(handler, { body: { text: 'I dont know.' } });
+      const { generationConfig } = fake().requests[0].body;
+      assert.equal(generationConfig.responseMimeType, 'application/json');
+      assert.deepEqual(generationConfig.responseSchema.required, ['analysis', 'corrections']);
+      assert.match(fake().promptOf(), /I dont know\./);
+    });
+
+    // The old loop string-matched '503' in error messages to decide on retries.
+    it('retries a 503 even when its message mentions nothing about overload', async () => {
+      fake().reply(geminiError(503, 'Service unavailable'), geminiError(502, 'Bad gateway'), geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'I dont know.' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 3);
+    });
+
+    it('drops corrections whose mistake does not appear in the text', async () => {
+      const corrections = [
+        RESULT.corrections[0],
+        { from: 5, to: 500, mistake: 'x', correction: 'y', type: 'Grammar' },
+        { from: 6, to: 2, mistake: 'x', correction: 'y', type: 'Grammar' },
+        { from: 1.5, to: 3, mistake: 'x', correction: 'y', type: 'Style' },
+      ];
+      fake().reply(geminiJson({ ...RESULT, corrections }));
+      const res = await invoke(handler, { body: { text: 'I dont know.' } });
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body.corrections, RESULT.corrections);
+    });
+
+    it('re-anchors corrections whose offsets drifted onto the actual mistake', async () => {
+      const drifted = { from: 0, to: 4, mistake: 'dont', correction: "don't", type: 'Spelling' };
+      fake().reply(geminiJson({ ...RESULT, corrections: [drifted] }));
+      const res = await invoke(handler, { body: { text: 'I dont know.' } });
+      assert.deepEqual(res.body.corrections, RESULT.corrections);
+    });
+
+    it('checks long documents chunk by chunk with offsets into the whole text', async () => {
+      const paragraph = `${'Filler sentence here. '.repeat(150)}I dont know.`;
+      const text = [paragraph, paragraph, paragraph].join('\n\n');
+      // Each chunk reports the mistake near its own end, like a model would.
+      fake().reply(...Array.from({ length: 3 }, () => (body) => {
+        const chunk = body.contents[0].parts[0].text;
+        const from = chunk.lastIndexOf('dont');
+        return geminiJson({
+          analysis: { tone: 'Informal', clarityScore: 60 },
+          corrections: [{ from, to: from + 4, mistake: 'dont', correction: "don't", type: 'Spelling' }],
+        });
+      }));
+
+      const res = await invoke(handler, { body: { text } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 3);
+      assert.deepEqual(res.body.analysis, { tone: 'Informal', clarityScore: 60 });
+      assert.equal(res.body.corrections.length, 3);
+      for (const correction of res.body.corrections) {
+        assert.equal(text.slice(correction.from, correction.to), 'dont');
+      }
+      assert.deepEqual(res.body.corrections.map(c => c.from), [...text.matchAll(/dont/g)].map(m => m.index));
+    });
+
+    it('retries a clarity score outside 0-100', async () => {
+      fake().reply(geminiJson({ ...RESULT, analysis: { tone: 'Formal', clarityScore: 1000 } }), geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'I dont know.' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.analysis.clarityScore, 74);
+    });
+
+    it('honours Retry-After on 429', async () => {
+      fake().reply({ ...geminiError(429, 'Quota'), headers: { 'Retry-After': '0' } }, geminiJson(RESULT));
+      const res = await invoke(handler, { body: { text: 'I dont know.' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 2);
+    });
+  },
+});
@@ -0,0 +1,127 @@
+// Test Documents: /test/helpers/documents.js
+// Small but structurally real DOCX, ODT and PDF files, built in memory, and
+// multipart bodies to upload them with.
+
+import { crc32, deflateRawSync, deflateSync } from 'node:zlib';
+
+// A ZIP archive with deflated entries.
+export function buildZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    locals.push(header, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc32(data), 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBytes);
+    offset += header.length + nameBytes.length + compressed.length;
+  }
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length / 2, 8);
+  end.writeUInt16LE(directory.length / 2, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+// bodyXml: the w:p elements of the document body.
+export function buildDocx(bodyXml) {
+  return buildZip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${bodyXml}</w:body></w:document>`,
+  });
+}
+
+// bodyXml: the text:p / text:h elements of the document body.
+export function buildOdt(bodyXml) {
+  return buildZip({
+    mimetype: 'application/vnd.oasis.opendocument.text',
+    'content.xml': `<?xml version="1.0" encoding="UTF-8"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>${bodyXml}</office:text></office:body></office:document-content>`,
+  });
+}
+
+/**
+ * A PDF with one page per entry of `pages` (content stream operators, deflated).
+ * Font F1 is Helvetica (WinAnsi); F2 is a composite font whose two-byte codes
+ * are mapped by a ToUnicode CMap (0001 -> H, 0002 -> i). The page objects live
+ * in a compressed object stream, as modern writers produce them.
+ */
+export function buildPdf(pages) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (dictionary, data) => {
+    const compressed = deflateSync(Buffer.from(data, 'latin1'));
+    return Buffer.concat([Buffer.from(`<< ${dictionary} /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`), compressed, Buffer.from('\nendstream')]);
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const helvetica = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const cmap = add(stream('', '/CIDInit /ProcSet findresource begin 12 dict begin begincmap 1 begincodespacerange <0000> <FFFF> endcodespacerange 2 beginbfchar <0001> <0048> <0002> <0069> endbfchar endcmap end end'));
+  const composite = add(`<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /ToUnicode ${cmap} 0 R >>`);
+  const contents = pages.map(content => add(stream('', content)));
+  const pageNumbers = pages.map((content, index) => objects.length + 2 + index);
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${pages.length} /Resources << /Font << /F1 ${helvetica} 0 R /F2 ${composite} 0 R >> >> >>`;
+
+  // Page dictionaries packed into an object stream.
+  const packed = pages.map((content, index) => `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] /Contents ${contents[index]} 0 R >>`);
+  let header = '';
+  let body = '';
+  packed.forEach((dictionary, index) => {
+    header += `${pageNumbers[index]} ${body.length} `;
+    body += `${dictionary}\n`;
+  });
+  add(stream(`/Type /ObjStm /N ${packed.length} /First ${header.length}`, header + body));
+
+  const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  objects.forEach((object, index) => {
+    parts.push(Buffer.from(`${index + 1} 0 obj\n`), Buffer.isBuffer(object) ? object : Buffer.from(object), Buffer.from('\nendobj\n'));
+  });
+  parts.push(Buffer.from(`trailer\n<< /Root ${catalog} 0 R /Size ${objects.length + 1 + pages.length} >>\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+/**
+ * @param {Record<string, string>} fields
+ * @param {{ name?: string, filename: string, contentType?: string, data: Buffer | string }} [file]
+ * @returns {{ headers: object, rawBody: Buffer }} to spread into invoke()
+ */
+export function multipart(fields, file) {
+  const boundary = '----test-boundary-7MA4YWxkTrZu0gW';
+  const parts = Object.entries(fields).map(([name, value]) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  if (file) {
+    parts.push(
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.name || 'file'}"; filename="${file.filename}"\r\nContent-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`),
+      Buffer.from(file.data),
+      Buffer.from('\r\n'),
+    );
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return { headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }, rawBody: Buffer.concat(parts) };
+}
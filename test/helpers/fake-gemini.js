@@ -0,0 +1,98 @@
+// Fake Gemini Server: /test/helpers/fake-gemini.js
+// A local HTTP server that speaks just enough of the generateContent API.
+// Queue replies with reply(); anything unqueued gets a 500. A reply may also be
+// a function of the parsed request body, for answers that depend on the prompt.
+
+import http from 'node:http';
+
+// --- Reply Builders ---
+export const geminiText = (text, finishReason = 'STOP') => ({
+  status: 200,
+  body: { candidates: [{ finishReason, content: { role: 'model', parts: [{ text }] } }] },
+});
+
+export const geminiJson = (data) => geminiText(JSON.stringify(data));
+
+// A google_search-grounded answer carrying the given groundingMetadata.
+export const geminiGrounded = (text, groundingMetadata) => {
+  const reply = geminiText(text);
+  reply.body.candidates[0].groundingMetadata = groundingMetadata;
+  return reply;
+};
+
+export const geminiBlocked = (finishReason) => ({
+  status: 200,
+  body: { candidates: [{ finishReason }] },
+});
+
+export const geminiError = (status, message = `Fake error ${status}`) => ({
+  status,
+  body: { error: { code: status, message } },
+});
+
+// A streamGenerateContent?alt=sse answer: one event per text piece, the last one
+// carrying the finishReason.
+export const geminiStream = (pieces, finishReason = 'STOP') => ({
+  status: 200,
+  events: pieces.map((text, index) => ({
+    candidates: [{
+      content: { role: 'model', parts: [{ text }] },
+      ...(index === pieces.length - 1 ? { finishReason } : {}),
+    }],
+  })),
+});
+
+// Drops the connection without answering, which fetch() reports as a network error.
+export const hangUp = () => ({ hangUp: true });
+
+export async function startFakeGemini() {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ method: req.method, url: req.url, body });
+      let next = queue.shift() || geminiError(500, 'No fake reply queued');
+      if (typeof next === 'function') next = next(body);
+
+      if (next.hangUp) {
+        req.socket.destroy();
+        return;
+      }
+      if (next.events) {
+        res.writeHead(next.status, { 'Content-Type': 'text/event-stream', ...next.headers });
+        for (const event of next.events) res.write(`data: ${JSON.stringify(event)}\r\n\r\n`);
+        res.end();
+        return;
+      }
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+      res.end(JSON.stringify(next.body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    reply(...replies) {
+      queue.push(...replies);
+    },
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    // The prompt text of the nth captured request.
+    promptOf(index = 0) {
+      return requests[index]?.body?.contents?.[0]?.parts?.[0]?.text;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
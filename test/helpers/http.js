@@ -0,0 +1,74 @@
+// Mock req/res: /test/helpers/http.js
+// Minimal stand-ins for the Vercel request/response helpers the handlers use.
+
+import { Readable } from 'node:stream';
+
+export function createRequest({ method = 'POST', headers = {}, body, rawBody, query = {} } = {}) {
+  // rawBody makes the request a readable stream, for handlers that read it themselves.
+  const req = rawBody !== undefined ? Readable.from([Buffer.from(rawBody)]) : {};
+  req.method = method;
+  req.headers = { 'content-type': 'application/json', ...headers };
+  req.body = body;
+  req.query = query;
+  return req;
+}
+
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    written: '',
+    chunks: [],
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      this.ended = true;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      this.ended = true;
+      return this;
+    },
+    write(chunk) {
+      // Text for event streams; the raw chunks for binary ones.
+      this.written += chunk;
+      this.chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    end(data) {
+      if (data !== undefined) this.body = data;
+      this.ended = true;
+      return this;
+    },
+  };
+  return res;
+}
+
+// Splits a text/event-stream body into [{ event, data }] with data parsed as JSON.
+export function parseEvents(stream) {
+  return stream.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data === undefined ? undefined : JSON.parse(data) };
+  });
+}
+
+// Runs a handler against a mock request and resolves with the finished response.
+export async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
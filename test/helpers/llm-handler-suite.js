@@ -0,0 +1,184 @@
+// Shared Handler Suite: /test/helpers/llm-handler-suite.js
+// The cases every LLM-backed handler must get right: success, retry on 503,
+// SAFETY/RECITATION blocks, malformed JSON, missing key and missing input.
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startFakeGemini, geminiText, geminiBlocked, geminiError, hangUp } from './fake-gemini.js';
+import { invoke } from './http.js';
+
+export const MAX_RETRIES = 2;
+
+/**
+ * Points the LLM layer at a fresh fake Gemini server for the enclosing
+ * describe() block and silences handler logging. Returns a getter for the server.
+ */
+export function useFakeGemini() {
+  let fake;
+  const saved = {};
+  const env = {
+    LLM_PROVIDER: 'gemini',
+    GEMINI_API_KEY: 'test-key',
+    LLM_MAX_RETRIES: String(MAX_RETRIES),
+    LLM_RETRY_BASE_DELAY_MS: '1',
+    // Each case is one request; the limiter and the cache have their own tests.
+    RATE_LIMIT_DISABLED: 'true',
+    CACHE_DISABLED: 'true',
+  };
+
+  before(async () => {
+    fake = await startFakeGemini();
+    for (const key of [...Object.keys(env), 'GEMINI_API_BASE_URL']) saved[key] = process.env[key];
+    Object.assign(process.env, env, { GEMINI_API_BASE_URL: fake.url });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  beforeEach(() => {
+    fake.reset();
+    process.env.GEMINI_API_KEY = env.GEMINI_API_KEY;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fake.close();
+  });
+
+  return () => fake;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name describe() title
+ * @param {Function} options.handler the module's default export
+ * @param {object} options.body a valid request body
+ * @param {object} options.reply fake Gemini reply for the success path
+ * @param {Function} options.assertSuccess receives the 200 response body
+ * @param {object[]} options.invalidBodies bodies that must be rejected with 400
+ * @param {object} [options.oversizedBody] a body with a field over its size limit (413)
+ * @param {boolean} [options.json=true] whether the handler parses JSON from the model
+ * @param {Function} [options.extra] registers route-specific it() cases; receives the server getter
+ */
+export function describeLLMHandler({ name, handler, body, reply, assertSuccess, invalidBodies, oversizedBody, json = true, extra }) {
+  describe(name, () => {
+    const fake = useFakeGemini();
+
+    it('answers CORS preflight without calling the model', async () => {
+      const res = await invoke(handler, { method: 'OPTIONS', headers: { origin: 'https://easyutilityhub.com' } });
+      assert.equal(res.statusCode, 204);
+      assert.equal(res.headers['access-control-allow-origin'], 'https://easyutilityhub.com');
+      assert.match(res.headers['access-control-allow-methods'], /POST/);
+      assert.equal(fake().requests.length, 0);
+    });
+
+    it('refuses origins outside the allow-list before calling the model', async () => {
+      const res = await invoke(handler, { headers: { origin: 'https://evil.example' }, body });
+      assert.equal(res.statusCode, 403);
+      assert.equal(fake().requests.length, 0);
+    });
+
+    it('returns the model result on success', async () => {
+      fake().reply(reply);
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.success, true);
+      assertSuccess(res.body);
+      assert.equal(fake().requests.length, 1);
+      assert.match(fake().requests[0].url, /:generateContent\?key=test-key$/);
+    });
+
+    it('retries a 503 and then succeeds', async () => {
+      fake().reply(geminiError(503, 'The model is overloaded.'), reply);
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 200);
+      assertSuccess(res.body);
+      assert.equal(fake().requests.length, 2);
+    });
+
+    it('retries a dropped connection', async () => {
+      fake().reply(hangUp(), reply);
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 2);
+    });
+
+    it('gives up with 503 once retries are exhausted', async () => {
+      fake().reply(...Array.from({ length: MAX_RETRIES + 1 }, () => geminiError(503)));
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 503);
+      assert.equal(res.body.success, false);
+      assert.match(res.body.message, /overloaded/);
+      assert.equal(fake().requests.length, MAX_RETRIES + 1);
+    });
+
+    it('does not retry a 400 from the API', async () => {
+      fake().reply(geminiError(400, 'Request contains an invalid argument.'));
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 502);
+      assert.match(res.body.message, /invalid argument/);
+      assert.equal(fake().requests.length, 1);
+    });
+
+    for (const finishReason of ['SAFETY', 'RECITATION']) {
+      it(`reports a ${finishReason} block without retrying`, async () => {
+        fake().reply(geminiBlocked(finishReason));
+        const res = await invoke(handler, { body });
+        assert.equal(res.statusCode, 422);
+        assert.equal(res.body.success, false);
+        assert.match(res.body.message, /^ERROR: /);
+        assert.equal(fake().requests.length, 1);
+      });
+    }
+
+    if (json) {
+      it('retries malformed JSON and reports it when it persists', async () => {
+        fake().reply(...Array.from({ length: MAX_RETRIES + 1 }, () => geminiText('{"oops": ')));
+        const res = await invoke(handler, { body });
+        assert.equal(res.statusCode, 502);
+        assert.match(res.body.message, /invalid response format/);
+        assert.equal(fake().requests.length, MAX_RETRIES + 1);
+      });
+
+      it('recovers when a retry returns valid JSON', async () => {
+        fake().reply(geminiText('not json at all'), reply);
+        const res = await invoke(handler, { body });
+        assert.equal(res.statusCode, 200);
+        assertSuccess(res.body);
+      });
+    }
+
+    it('returns 500 when the API key is missing', async () => {
+      delete process.env.GEMINI_API_KEY;
+      const res = await invoke(handler, { body });
+      assert.equal(res.statusCode, 500);
+      assert.match(res.body.message, /API Key is not configured/);
+      assert.equal(fake().requests.length, 0);
+    });
+
+    for (const invalidBody of invalidBodies) {
+      it(`rejects ${JSON.stringify(invalidBody)} with 400`, async () => {
+        const res = await invoke(handler, { body: invalidBody });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.success, false);
+        assert.ok(res.body.errors.length > 0);
+        assert.equal(fake().requests.length, 0);
+      });
+    }
+
+    if (oversizedBody) {
+      it('rejects an oversized field with 413 before calling the model', async () => {
+        const res = await invoke(handler, { body: oversizedBody });
+        assert.equal(res.statusCode, 413);
+        assert.ok(res.body.errors[0].field);
+        assert.equal(fake().requests.length, 0);
+      });
+    }
+
+    if (extra) extra(fake);
+  });
+}
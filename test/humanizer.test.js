@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/humanizer.js';
+import { extractFacts, checkMeaning } from '../lib/meaning.js';
+import { diffWords, summarizeChanges } from '../lib/diff.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiJson, geminiStream } from './helpers/fake-gemini.js';
+import { invoke, parseEvents } from './helpers/http.js';
+
+describeLLMHandler({
+  name: 'api/humanizer',
+  handler,
+  body: { text: 'In conclusion, it is important to note that results may vary.' },
+  reply: geminiJson({ humanizedText: 'Results may vary, honestly.' }),
+  assertSuccess: (body) => {
+    assert.equal(body.humanizedText, 'Results may vary, honestly.');
+  },
+  oversizedBody: { text: 'a'.repeat(10001) },
+  invalidBodies: [{}, { text: '' }, { text: 'Hi.', tone: 'pirate' }, { text: 'Hi.', intensity: 11 }, { text: 'Hi.', preserve: ['everything'] }, { text: 'Hi.', language: 'english' }],
+  extra: (fake) => {
+    it('rewrites German without treating every noun as a name', async () => {
+      const text = 'Der Hund ist nicht im Garten, und die Katze schläft auf dem Sofa.';
+      fake().reply(geminiJson({ humanizedText: 'Die Katze pennt auf dem Sofa, der Hund ist weg.' }));
+      const res = await invoke(handler, { body: { text } });
+      assert.equal(res.body.language.code, 'de');
+      assert.match(fake().requests[0].body.systemInstruction.parts[0].text, /rewrite in German/);
+      assert.equal(res.body.meaningCheck.passed, true);
+      assert.equal(fake().requests.length, 1);
+    });
+
+    const FACTUAL = 'In 2023, Acme Corp reported revenue of $1,200 million (Smith, 2024). The CEO said "we are only getting started" at the meeting.';
+    const FAITHFUL = 'Acme Corp made $1200 million in 2023 (Smith, 2024), and the CEO told everyone "we are only getting started".';
+    const DRIFTED = 'Acme made about a billion last year, and the boss sounded upbeat.';
+
+    it('puts tone, intensity and protected items into the prompt', async () => {
+      fake().reply(geminiJson({ humanizedText: FAITHFUL }));
+      const res = await invoke(handler, { body: { text: FACTUAL, tone: 'Academic', intensity: 'light' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.tone, 'academic');
+      assert.equal(res.body.intensity, 'light');
+      const system = fake().requests[0].body.systemInstruction.parts[0].text;
+      assert.match(system, /scholarly register/);
+      assert.match(system, /light edits only/);
+      assert.match(fake().promptOf(), /\[BEGIN MUST_KEEP [0-9a-f]{12}\]\n[\s\S]*Acme Corp[\s\S]*\(Smith, 2024\)/);
+      assert.equal(res.body.meaningCheck.passed, true);
+      assert.equal(res.body.meaningCheck.attempts, 1);
+    });
+
+    it('retries once when facts go missing, then flags the result', async () => {
+      fake().reply(geminiJson({ humanizedText: DRIFTED }), geminiJson({ humanizedText: DRIFTED }));
+      const res = await invoke(handler, { body: { text: FACTUAL } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 2);
+      assert.match(fake().promptOf(1), /DROPPED_LAST_TIME/);
+      const { meaningCheck } = res.body;
+      assert.equal(meaningCheck.passed, false);
+      assert.equal(meaningCheck.attempts, 2);
+      assert.deepEqual(meaningCheck.missing.numbers, ['2023', '1200', '2024']);
+      assert.deepEqual(meaningCheck.missing.quotes, ['we are only getting started']);
+      assert.deepEqual(meaningCheck.missing.citations, ['(Smith, 2024)']);
+    });
+
+    it('accepts the retry when it restores the facts', async () => {
+      fake().reply(geminiJson({ humanizedText: DRIFTED }), geminiJson({ humanizedText: FAITHFUL }));
+      const res = await invoke(handler, { body: { text: FACTUAL } });
+      assert.equal(res.body.humanizedText, FAITHFUL);
+      assert.equal(res.body.meaningCheck.passed, true);
+      assert.equal(res.body.meaningCheck.attempts, 2);
+    });
+
+    it('summarizes the changes as a word diff', async () => {
+      fake().reply(geminiJson({ humanizedText: 'Results may vary, honestly.' }));
+      const res = await invoke(handler, { body: { text: 'In conclusion, results may vary.' } });
+      const { changeSummary } = res.body;
+      assert.equal(changeSummary.wordsBefore, 5);
+      assert.equal(changeSummary.wordsAfter, 4);
+      assert.equal(changeSummary.changes.filter(op => op.type !== 'delete').map(op => op.text).join(''), 'Results may vary, honestly.');
+    });
+
+    it('streams the humanized text out of the JSON answer', async () => {
+      fake().reply(geminiStream(['{"humanizedText": "Results ', 'may vary,\\n', 'honestly."}']));
+      const res = await invoke(handler, {
+        headers: { accept: 'text/event-stream' },
+        body: { text: 'In conclusion, it is important to note that results may vary.' },
+      });
+      const events = parseEvents(res.written);
+      assert.equal(events.filter(e => e.event === 'delta').map(e => e.data.text).join(''), 'Results may vary,\nhonestly.');
+      assert.equal(events.at(-1).event, 'done');
+      assert.equal(events.at(-1).data.humanizedText, 'Results may vary,\nhonestly.');
+      assert.equal(events.at(-1).data.metadata.provider, 'gemini');
+    });
+  },
+});
+
+describe('lib/meaning', () => {
+  it('extracts numbers, entities, quotes, citations and markdown counts', () => {
+    const facts = extractFacts('# Notes\n\nMarie Curie won 2 Nobel Prizes [1]. She said "nothing in life is to be feared". See https://example.com/curie.');
+    assert.deepEqual(facts.numbers, ['2', '1']);
+    assert.deepEqual(facts.entities, ['Marie Curie', 'Nobel Prizes']);
+    assert.deepEqual(facts.quotes, ['nothing in life is to be feared']);
+    assert.deepEqual(facts.citations, ['[1]', 'https://example.com/curie.']);
+    assert.equal(facts.markdown.headings, 1);
+  });
+
+  it('treats 1,200 and 1200 as the same number and ignores unprotected kinds', () => {
+    const result = checkMeaning('It cost 1,200 dollars in Paris.', 'It cost 1200 dollars in Rome.', ['numbers']);
+    assert.equal(result.passed, true);
+    assert.equal(result.missing.entities, undefined);
+  });
+});
+
+describe('lib/diff', () => {
+  it('marks replaced words and rebuilds both texts', () => {
+    const before = 'The quick brown fox jumps.';
+    const after = 'The slow brown fox  leaps.';
+    const ops = diffWords(before, after);
+    assert.equal(ops.filter(op => op.type !== 'insert').map(op => op.text).join('').replace(/\s+/g, ' '), before);
+    assert.equal(ops.filter(op => op.type !== 'delete').map(op => op.text).join(''), after);
+    assert.deepEqual(ops.filter(op => op.type === 'delete').map(op => op.text.trim()), ['quick', 'jumps']);
+  });
+
+  it('reports nothing changed for identical text', () => {
+    const summary = summarizeChanges('Same words here.', 'Same words here.');
+    assert.equal(summary.changedPercentage, 0);
+    assert.deepEqual(summary.changes, [{ type: 'equal', text: 'Same words here.' }]);
+  });
+});
@@ -0,0 +1,255 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UploadError } from '../lib/errors.js';
+import { decodeImage, detectImageFormat, encodeImage, inspectImage } from '../lib/image/index.js';
+import { decodePng, encodePng } from '../lib/image/png.js';
+import { segmentByColor } from '../lib/image/segment.js';
+import { addShadow, cropToSubject, featherEdges, fitWithin, parseColor, replaceBackground, resizeImage } from '../lib/image/effects.js';
+import { JPEG_BASELINE, JPEG_PROGRESSIVE, buildPng, paintImage, pixelAt, productPhoto, withExifOrientation } from './helpers/images.js';
+
+const near = (actual, expected, tolerance, message) => {
+  actual.forEach((value, index) => assert.ok(Math.abs(value - expected[index]) <= tolerance, `${message}: ${actual} vs ${expected}`));
+};
+
+describe('lib/image codecs', () => {
+  it('round-trips RGBA through PNG', () => {
+    const image = paintImage(7, 5, (x, y) => [x * 30, y * 50, (x * y) % 256, x === 3 ? 0 : 200 + y]);
+    const decoded = decodePng(encodePng(image));
+    assert.equal(decoded.width, 7);
+    assert.equal(decoded.height, 5);
+    assert.deepEqual(Array.from(decoded.data), Array.from(image.data));
+  });
+
+  it('reads palette, 16-bit and interlaced PNGs', () => {
+    // 1-bit palette with a transparent second colour: 8 pixels alternating.
+    const palette = buildPng({ width: 8, height: 1, bitDepth: 1, colorType: 3 }, Buffer.from([0, 0b01010101]), {
+      palette: Buffer.from([255, 0, 0, 0, 0, 255]),
+      transparency: Buffer.from([255, 0]),
+    });
+    const decodedPalette = decodePng(palette);
+    assert.deepEqual(pixelAt(decodedPalette, 0, 0), [255, 0, 0, 255]);
+    assert.deepEqual(pixelAt(decodedPalette, 1, 0), [0, 0, 255, 0]);
+
+    // 16-bit greyscale keeps the high byte.
+    const gray = decodePng(buildPng({ width: 2, height: 1, bitDepth: 16, colorType: 0 }, Buffer.from([0, 0x12, 0x34, 0xff, 0xff])));
+    assert.deepEqual(pixelAt(gray, 0, 0), [0x12, 0x12, 0x12, 255]);
+    assert.deepEqual(pixelAt(gray, 1, 0), [255, 255, 255, 255]);
+
+    // A 3×3 Adam7 greyscale image: passes 1, 4, 5, 6 and 7 hold 1, 1, 2, 2 and 3 pixels.
+    const interlaced = buildPng({ width: 3, height: 3, bitDepth: 8, colorType: 0, interlace: 1 }, Buffer.from([
+      0, 0, // pass 1: (0,0)
+      0, 20, // pass 4: (2,0)
+      0, 60, 80, // pass 5: (0,2) (2,2)
+      0, 10, 0, 70, // pass 6: (1,0) then (1,2)
+      0, 30, 40, 50, // pass 7: row 1
+    ]));
+    const decoded = decodePng(interlaced);
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7, 8].map(pixel => decoded.data[pixel * 4]), [0, 10, 20, 30, 40, 50, 60, 70, 80]);
+  });
+
+  it('decodes baseline and progressive JPEGs', () => {
+    for (const jpeg of [JPEG_BASELINE, JPEG_PROGRESSIVE]) {
+      const image = decodeImage(jpeg);
+      assert.equal(image.format, 'jpeg');
+      assert.deepEqual([image.width, image.height], [16, 8]);
+      near(pixelAt(image, 2, 4), [220, 30, 40, 255], 12, 'red half');
+      near(pixelAt(image, 13, 4), [255, 255, 255, 255], 12, 'white half');
+    }
+  });
+
+  it('turns JPEGs upright from their EXIF orientation', () => {
+    // 6: the camera was turned clockwise, so the picture is rotated back a quarter turn.
+    const image = decodeImage(withExifOrientation(JPEG_BASELINE, 6));
+    assert.deepEqual([image.width, image.height], [8, 16]);
+    near(pixelAt(image, 4, 2), [220, 30, 40, 255], 12, 'red on top');
+    near(pixelAt(image, 4, 13), [255, 255, 255, 255], 12, 'white below');
+  });
+
+  it('writes lossless WebP with the alpha flag and dimensions in the header', () => {
+    const image = paintImage(300, 200, (x) => (x < 150 ? [0, 0, 0, 0] : [10, 200, 30, 255]));
+    const webp = encodeImage(image, 'webp');
+    assert.equal(webp.toString('latin1', 0, 4), 'RIFF');
+    assert.equal(webp.toString('latin1', 8, 16), 'WEBPVP8L');
+    assert.equal(webp.readUInt32LE(4), webp.length - 8);
+    assert.equal(webp[20], 0x2f);
+    const bits = webp.readUInt32LE(21);
+    assert.equal((bits & 0x3fff) + 1, 300);
+    assert.equal(((bits >>> 14) & 0x3fff) + 1, 200);
+    assert.equal((bits >>> 28) & 1, 1);
+    // Flat areas are back references, so this costs almost nothing.
+    assert.ok(webp.length < 500, `${webp.length} bytes`);
+  });
+
+  it('writes baseline JPEGs that decode back to the picture', () => {
+    const image = paintImage(37, 21, (x, y) => [x * 6, y * 10, 128, x < 2 ? 0 : 255]);
+    const jpeg = encodeImage(image, 'jpeg', { quality: 95 });
+    assert.deepEqual(inspectImage(jpeg), { format: 'jpeg', width: 37, height: 21 });
+    const decoded = decodeImage(jpeg);
+    near(pixelAt(decoded, 20, 10), [120, 100, 128, 255], 6, 'gradient');
+    near(pixelAt(decoded, 0, 10), [255, 255, 255, 255], 12, 'transparent on white');
+  });
+
+  it('reads the pixel size from the header alone', () => {
+    assert.deepEqual(inspectImage(buildPng({ width: 9000, height: 7000, bitDepth: 8, colorType: 2 }, Buffer.alloc(1))), { format: 'png', width: 9000, height: 7000 });
+    assert.deepEqual(inspectImage(withExifOrientation(JPEG_PROGRESSIVE, 6)), { format: 'jpeg', width: 16, height: 8 });
+    assert.deepEqual(inspectImage(encodeImage(paintImage(300, 200, () => [1, 2, 3, 255]), 'webp')), { format: 'webp', width: 300, height: 200 });
+    assert.deepEqual(inspectImage(JPEG_BASELINE.subarray(0, 100)), { format: 'jpeg' });
+    assert.deepEqual(inspectImage(Buffer.from('\0\0\0\x18ftypheic', 'latin1')), { format: 'heic' });
+  });
+
+  it('refuses image data that inflates past what the header allows', () => {
+    // A 1×1 RGB image needs 4 bytes of rows; this IDAT inflates to 20 MB of zeros.
+    const bomb = buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 2 }, Buffer.alloc(20 * 1024 * 1024));
+    assert.ok(bomb.length < 100 * 1024, `${bomb.length} bytes`);
+    assert.throws(() => decodePng(bomb), { status: 422, message: /larger than its dimensions allow/ });
+    // Interlaced images get the Adam7 row overhead and no more.
+    const interlaced = buildPng({ width: 3, height: 3, bitDepth: 8, colorType: 0, interlace: 1 }, Buffer.alloc(15));
+    assert.equal(decodePng(interlaced).width, 3);
+    assert.throws(() => decodePng(buildPng({ width: 3, height: 3, bitDepth: 8, colorType: 0, interlace: 1 }, Buffer.alloc(16))), { status: 422 });
+  });
+
+  it('detects formats by magic bytes and refuses the ones it cannot read', () => {
+    assert.equal(detectImageFormat(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0', 'latin1')), 'heic');
+    assert.equal(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'webp');
+    assert.equal(detectImageFormat(Buffer.from('GIF89a', 'latin1')), 'gif');
+    assert.throws(() => decodeImage(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0', 'latin1')), { status: 415, message: /HEIC images cannot be processed here; use PNG or JPEG/ });
+    assert.throws(() => decodePng(buildPng({ width: 5000, height: 5000, bitDepth: 8, colorType: 0 }, Buffer.alloc(1)), { maxPixels: 1e6 }), { status: 413 });
+  });
+});
+
+describe('lib/image damaged input', () => {
+  // A fixed-seed generator, so a failure here can be replayed.
+  const random = (seed) => (max) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % max;
+  };
+
+  // Decodes or refuses with an UploadError; anything else is a decoder bug.
+  const decodesOrRefuses = (data, label) => {
+    inspectImage(data);
+    try {
+      const image = decodeImage(data, { maxPixels: 40e6 });
+      assert.equal(image.data.length, image.width * image.height * 4, label);
+    } catch (error) {
+      if (!(error instanceof UploadError)) assert.fail(`${label}: ${error.stack}`);
+      assert.ok(error.status >= 400 && error.status < 500, label);
+    }
+  };
+
+  const samples = {
+    'baseline JPEG': withExifOrientation(JPEG_BASELINE, 6),
+    'progressive JPEG': JPEG_PROGRESSIVE,
+    'encoded JPEG': encodeImage(paintImage(20, 12, (x, y) => [x * 10, y * 20, 90, 255]), 'jpeg'),
+    'PNG': productPhoto(12, 9),
+    'interlaced PNG': buildPng({ width: 3, height: 3, bitDepth: 8, colorType: 0, interlace: 1 }, Buffer.alloc(15)),
+  };
+
+  for (const [name, sample] of Object.entries(samples)) {
+    it(`survives every truncation and random damage of a ${name}`, () => {
+      for (let length = 0; length < sample.length; length++) decodesOrRefuses(sample.subarray(0, length), `${name} cut at ${length}`);
+      const next = random(sample.length);
+      for (let run = 0; run < 1500; run++) {
+        const damaged = Buffer.from(sample);
+        for (let flips = 1 + next(4); flips > 0; flips--) damaged[next(damaged.length)] = next(256);
+        decodesOrRefuses(damaged, `${name} damage run ${run}`);
+      }
+    });
+  }
+
+  it('refuses JPEG headers that do not add up', () => {
+    const sof = JPEG_BASELINE.indexOf(Buffer.from([0xff, 0xc0]));
+    const noComponents = Buffer.from(JPEG_BASELINE);
+    noComponents[sof + 9] = 0;
+    assert.throws(() => decodeImage(noComponents), { status: 422, message: /bad component count/ });
+
+    const shortTable = Buffer.from(JPEG_BASELINE);
+    const dqt = JPEG_BASELINE.indexOf(Buffer.from([0xff, 0xdb]));
+    shortTable.writeUInt16BE(40, dqt + 2);
+    assert.throws(() => decodeImage(shortTable), { status: 422 });
+
+    // 65535×65535 is refused from the header, even with no limit passed.
+    const huge = Buffer.from(JPEG_BASELINE);
+    huge.writeUInt16BE(0xffff, sof + 5);
+    huge.writeUInt16BE(0xffff, sof + 7);
+    assert.throws(() => decodeImage(huge), { status: 413 });
+  });
+
+  it('refuses to build canvases past the pixel ceiling', () => {
+    const dot = paintImage(2, 2, () => [0, 0, 0, 255]);
+    assert.throws(() => cropToSubject(dot, 4000), { status: 413, message: /result would be too large/ });
+  });
+});
+
+describe('lib/image segmentation and effects', () => {
+  const photo = decodeImage(productPhoto());
+
+  it('flood-fills a plain backdrop from the edges', () => {
+    const { mask, matte } = segmentByColor(photo);
+    assert.deepEqual(matte, [250, 250, 250]);
+    assert.equal(mask[0], 0);
+    assert.equal(mask[15 * 40 + 20], 255);
+  });
+
+  it('keeps backdrop-coloured areas the fill cannot reach', () => {
+    // A white dot inside the red disc stays part of the subject.
+    const dotted = paintImage(40, 30, (x, y) => {
+      if (x === 20 && y === 15) return [250, 250, 250, 255];
+      return (x - 20) ** 2 + (y - 15) ** 2 < 100 ? [200, 20, 30, 255] : [250, 250, 250, 255];
+    });
+    assert.equal(segmentByColor(dotted).mask[15 * 40 + 20], 255);
+    // A key colour removes it everywhere.
+    assert.equal(segmentByColor(dotted, { keyColor: [250, 250, 250] }).mask[15 * 40 + 20], 0);
+  });
+
+  it('refuses pictures without a plain backdrop', () => {
+    const busy = paintImage(20, 20, (x, y) => [(x * 97) % 256, (y * 61) % 256, ((x + y) * 37) % 256, 255]);
+    assert.throws(() => segmentByColor(busy), { status: 422, message: /no plain background/ });
+  });
+
+  it('crops to the subject, scales, feathers and shadows without touching the input', () => {
+    const cutout = paintImage(50, 40, (x, y) => (x >= 10 && x < 30 && y >= 5 && y < 25 ? [0, 0, 255, 255] : [0, 0, 0, 0]));
+    const before = Array.from(cutout.data);
+
+    const cropped = cropToSubject(cutout, 2);
+    assert.deepEqual([cropped.width, cropped.height], [24, 24]);
+    assert.deepEqual(pixelAt(cropped, 2, 2), [0, 0, 255, 255]);
+    assert.deepEqual(pixelAt(cropped, 1, 1), [0, 0, 0, 0]);
+
+    const small = fitWithin(cutout, 25);
+    assert.deepEqual([small.width, small.height], [25, 20]);
+    near(pixelAt(small, 10, 7), [0, 0, 255, 255], 1, 'inside stays solid blue');
+    assert.equal(fitWithin(cutout, 100), cutout);
+
+    const feathered = featherEdges(cutout, 6);
+    assert.ok(pixelAt(feathered, 10, 15)[3] < 128, 'edge softened');
+    assert.equal(pixelAt(feathered, 20, 15)[3], 255);
+    assert.equal(pixelAt(feathered, 8, 15)[3], 0, 'no halo outside');
+
+    const shadowed = addShadow(cutout);
+    assert.deepEqual(pixelAt(shadowed, 20, 15), [0, 0, 255, 255]);
+    assert.ok(pixelAt(shadowed, 25, 26)[3] > 0, 'shadow below the subject');
+    assert.deepEqual(Array.from(cutout.data), before);
+  });
+
+  it('puts a colour or an image behind the subject', () => {
+    const cutout = paintImage(4, 4, (x) => (x < 2 ? [255, 0, 0, 255] : [0, 0, 0, 0]));
+    const onGreen = replaceBackground(cutout, { color: parseColor('#00ff00') });
+    assert.deepEqual(pixelAt(onGreen, 0, 0), [255, 0, 0, 255]);
+    assert.deepEqual(pixelAt(onGreen, 3, 0), [0, 255, 0, 255]);
+
+    const backdrop = paintImage(2, 8, () => [0, 0, 200, 255]);
+    const onImage = replaceBackground(cutout, { backgroundImage: backdrop });
+    assert.deepEqual(pixelAt(onImage, 3, 3), [0, 0, 200, 255]);
+
+    assert.deepEqual(parseColor('transparent'), [0, 0, 0, 0]);
+    assert.deepEqual(parseColor('11223380'), [0x11, 0x22, 0x33, 0x80]);
+    assert.equal(parseColor('#12345'), undefined);
+  });
+
+  it('resizes with premultiplied alpha', () => {
+    // Averaging opaque red with transparent green must not turn it brown.
+    const image = paintImage(2, 1, x => (x === 0 ? [255, 0, 0, 255] : [0, 255, 0, 0]));
+    assert.deepEqual(pixelAt(resizeImage(image, 1, 1), 0, 0), [255, 0, 0, 128]);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import handler from '../api/jobs.js';
+import plagiarism from '../api/plagiarism.js';
+import { advanceJob, createJob } from '../lib/jobs.js';
+import { ROUTE_LIMITS } from '../lib/rate-limit.js';
+import { resetStores } from '../lib/stores/index.js';
+import { checkPublicUrl, checkResolvedUrl, isPrivateAddress } from '../lib/ssrf.js';
+import { deliverWebhook, signWebhook } from '../lib/webhook.js';
+import { useFakeGemini } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+const RESULT = { aiScore: 40, explanation: 'Mixed signals.' };
+const ORIGIN = { origin: 'https://easyutilityhub.com' };
+
+// Records every POST; answers with the next queued status code (200 once empty).
+function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, statuses, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+async function waitFor(check, label) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const value = await check();
+    if (value) return value;
+    await sleep(10);
+  }
+  throw new Error(`Timed out waiting for ${label}.`);
+}
+
+describe('api/jobs', () => {
+  const fake = useFakeGemini();
+  let receiver;
+
+  before(async () => {
+    resetStores();
+    receiver = await startReceiver();
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    process.env.JOBS_WEBHOOK_SECRET = 'hook-secret';
+  });
+  after(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    delete process.env.JOBS_WEBHOOK_SECRET;
+    resetStores();
+    return new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  it('answers 202 at once and completes the job through polling', async () => {
+    fake().reply(geminiJson(RESULT));
+    const res = await invoke(handler, { headers: ORIGIN, body: { tool: 'detector', input: { text: 'A long essay.' } } });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.status, 'queued');
+    assert.equal(res.body.statusUrl, `/api/jobs?id=${res.body.jobId}`);
+
+    const done = await waitFor(async () => {
+      const poll = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: res.body.jobId } });
+      return poll.body.status === 'completed' && poll;
+    }, 'the job');
+    assert.equal(done.statusCode, 200);
+    assert.equal(done.body.result.modelScore, 40);
+    assert.equal(done.body.results, undefined);
+    assert.equal(fake().requests.length, 1);
+  });
+
+  it('runs a job once when two polls take the lease at the same moment', async () => {
+    // The file store hands each reader its own copy, as Redis would.
+    const dir = await mkdtemp(path.join(tmpdir(), 'jobs-test-'));
+    Object.assign(process.env, { JOBS_STORE: 'file', FILE_STORE_DIR: dir });
+    resetStores();
+    try {
+      fake().reply(geminiJson(RESULT), geminiJson(RESULT));
+      const job = await createJob({ tool: 'detector', documents: [{ index: 0, body: { text: 'A long essay.' } }] });
+      const runs = await Promise.all([advanceJob(job.id, { budgetMs: 5000 }), advanceJob(job.id, { budgetMs: 5000 })]);
+      assert.equal(fake().requests.length, 1);
+      assert.ok(runs.some(run => run.status === 'completed'));
+
+      const done = await advanceJob(job.id, { budgetMs: 5000 });
+      assert.equal(done.status, 'completed');
+      assert.equal(done.leaseUntil, 0);
+    } finally {
+      delete process.env.JOBS_STORE;
+      delete process.env.FILE_STORE_DIR;
+      resetStores();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reports the tool\'s own validation error as the job outcome', async () => {
+    const res = await invoke(handler, { headers: ORIGIN, body: { tool: 'grammar', input: { text: '' } } });
+    assert.equal(res.statusCode, 202);
+    const done = await waitFor(async () => {
+      const poll = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: res.body.jobId } });
+      return poll.body.status === 'completed' && poll;
+    }, 'the job');
+    assert.deepEqual(done.body.error, { status: 400, message: 'ERROR: Input text is required.' });
+  });
+
+  it('POSTs a signed webhook when the job completes', async () => {
+    fake().reply(geminiJson(RESULT));
+    const res = await invoke(handler, {
+      headers: ORIGIN,
+      body: { tool: 'detector', input: { text: 'Another essay.' }, webhookUrl: receiver.url },
+    });
+    assert.equal(res.statusCode, 202);
+    assert.deepEqual(res.body.webhook, { url: receiver.url, delivered: false, attempts: 0 });
+
+    const delivery = await waitFor(() => receiver.received.find(entry => entry.body.jobId === res.body.jobId), 'the webhook');
+    assert.equal(delivery.body.event, 'job.completed');
+    assert.equal(delivery.body.status, 'completed');
+    assert.equal(delivery.headers['x-easyutilityhub-event'], 'job.completed');
+    assert.equal(delivery.headers['x-easyutilityhub-signature'], signWebhook(delivery.raw, 'hook-secret'));
+
+    const poll = await waitFor(async () => {
+      const status = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: res.body.jobId } });
+      return status.body.webhook.delivered && status;
+    }, 'the delivery to be recorded');
+    assert.equal(poll.body.webhook.attempts, 1);
+    assert.equal(poll.body.webhook.lastStatus, 200);
+  });
+
+  it('refuses webhooks to private or plain-http hosts', async () => {
+    for (const webhookUrl of ['http://example.com/hook', 'https://localhost/hook', 'https://169.254.169.254/latest', 'https://10.0.0.5/', 'not a url']) {
+      const res = await invoke(handler, { headers: ORIGIN, body: { tool: 'detector', input: { text: 'x' }, webhookUrl } });
+      assert.equal(res.statusCode, 400, webhookUrl);
+      assert.match(res.body.message, /^ERROR: Webhook URL /);
+    }
+  });
+
+  it('charges each job to the tool\'s own rate limit', async () => {
+    const client = { ...ORIGIN, 'x-real-ip': '203.0.113.60' };
+    delete process.env.RATE_LIMIT_DISABLED;
+    resetStores();
+    try {
+      // Refused with the tool's input invalid, so no job ever runs; queuing alone is charged.
+      for (let i = 0; i < ROUTE_LIMITS.plagiarism.ip.capacity; i++) {
+        const res = await invoke(handler, { headers: client, body: { tool: 'plagiarism', input: {} } });
+        assert.equal(res.statusCode, 202);
+      }
+      let res = await invoke(handler, { headers: client, body: { tool: 'plagiarism', input: {} } });
+      assert.equal(res.statusCode, 429);
+      res = await invoke(plagiarism, { headers: client, body: { text: 'Some text to check.' } });
+      assert.equal(res.statusCode, 429);
+      // Other tools keep their own budgets.
+      res = await invoke(handler, { headers: client, body: { tool: 'detector', input: {} } });
+      assert.equal(res.statusCode, 202);
+    } finally {
+      process.env.RATE_LIMIT_DISABLED = 'true';
+      resetStores();
+    }
+  });
+
+  it('rejects unknown tools, missing input and unknown jobs', async () => {
+    const unknown = await invoke(handler, { headers: ORIGIN, body: { tool: 'translate', input: { text: 'x' } } });
+    assert.equal(unknown.statusCode, 400);
+    const missing = await invoke(handler, { headers: ORIGIN, body: { tool: 'grammar' } });
+    assert.equal(missing.statusCode, 400);
+    const gone = await invoke(handler, { method: 'GET', headers: ORIGIN, query: { id: '00000000-0000-4000-8000-000000000000' } });
+    assert.equal(gone.statusCode, 404);
+  });
+});
+
+describe('lib/webhook', () => {
+  let receiver;
+  before(async () => {
+    receiver = await startReceiver();
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  });
+  after(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    return new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  it('retries failed deliveries and gives up after the last attempt', async () => {
+    receiver.statuses.push(500);
+    const retried = await deliverWebhook(receiver.url, { n: 1 }, { baseDelayMs: 1 });
+    assert.deepEqual(retried, { delivered: true, attempts: 2, status: 200 });
+
+    receiver.statuses.push(500, 502, 503);
+    const failed = await deliverWebhook(receiver.url, { n: 2 }, { baseDelayMs: 1 });
+    assert.equal(failed.delivered, false);
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.status, 503);
+  });
+});
+
+describe('lib/ssrf', () => {
+  it('recognizes private, loopback and link-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.31.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'example.com']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it('sees IPv4 addresses through every IPv6 spelling', async () => {
+    for (const address of ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '::127.0.0.1', '::7f00:1', '::ffff:0:7f00:1', '64:ff9b::a9fe:a9fe', '2002:a00:1::1', '64:ff9b:1::1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['::ffff:808:808', '64:ff9b::808:808', '2002:808:808::1']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+    // The URL parser rewrites [::ffff:127.0.0.1] to [::ffff:7f00:1] before anything checks it.
+    for (const url of ['https://[::ffff:127.0.0.1]/', 'https://[::ffff:7f00:1]/', 'https://[::ffff:a9fe:a9fe]/latest/meta-data/', 'https://[::127.0.0.1]/']) {
+      assert.equal(checkPublicUrl(url), 'must point at a public host', url);
+      assert.equal(await checkResolvedUrl(url), 'must point at a public host', url);
+    }
+  });
+
+  it('only lets allow-listed hosts skip the https and public-host rules', () => {
+    assert.equal(checkPublicUrl('https://hooks.example.com/x'), undefined);
+    assert.equal(checkPublicUrl('https://user:pw@hooks.example.com/x'), 'must not contain credentials');
+    assert.equal(checkPublicUrl('https://metadata.google.internal/'), 'must point at a public host');
+    assert.equal(checkPublicUrl('https://[::1]/'), 'must point at a public host');
+    assert.equal(checkPublicUrl('http://127.0.0.1:3000/', { allowedHosts: ['127.0.0.1'] }), undefined);
+    assert.equal(checkPublicUrl('ftp://127.0.0.1/', { allowedHosts: ['127.0.0.1'] }), 'must use http or https');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectLanguage, resolveLanguage, correctionTypes, alphabetOf, wordPattern, GAME_LANGUAGE_CODES } from '../lib/language.js';
+
+describe('lib/language', () => {
+  it('detects Latin-script languages from their common words and letters', () => {
+    assert.equal(detectLanguage('The cat is on the mat and it is happy.').code, 'en');
+    assert.equal(detectLanguage('El gato está en la alfombra y es feliz.').code, 'es');
+    assert.equal(detectLanguage('Le chat est sur le tapis et il est content.').code, 'fr');
+    assert.equal(detectLanguage('Die Katze ist auf der Matte und sie ist glücklich.').code, 'de');
+    assert.equal(detectLanguage('Kedi halının üstünde ve çok mutlu değil.').code, 'tr');
+  });
+
+  it('detects other scripts, telling Ukrainian from Russian', () => {
+    assert.equal(detectLanguage('Кошка сидит на коврике.').code, 'ru');
+    assert.equal(detectLanguage('Кіт сидить на килимку і їсть.').code, 'uk');
+    assert.equal(detectLanguage('Η γάτα κάθεται στο χαλί.').code, 'el');
+    assert.equal(detectLanguage('猫はマットの上にいます').code, 'ja');
+    assert.equal(detectLanguage('猫在垫子上').code, 'zh');
+  });
+
+  it('prefers the requested language and falls back when detection is unsure', () => {
+    assert.deepEqual(resolveLanguage('de', 'The cat is on the mat.'), { code: 'de', name: 'German', detected: false });
+    assert.deepEqual(resolveLanguage(undefined, 'Tiere'), { code: 'en', name: 'English', detected: true });
+    // Japanese has no game alphabet, so a game falls back to English.
+    assert.equal(resolveLanguage(undefined, '動物のなまえ', { allowed: GAME_LANGUAGE_CODES }).code, 'en');
+  });
+
+  it('adds language-specific correction types to the shared ones', () => {
+    assert.deepEqual(correctionTypes('en'), ['Spelling', 'Grammar', 'Punctuation', 'Style']);
+    assert.ok(correctionTypes('fr').includes('Typography'));
+  });
+
+  it('builds alphabets and word patterns with accented and non-Latin letters', () => {
+    assert.ok(alphabetOf('tr').includes('İ'));
+    assert.equal(alphabetOf('de').includes('SS'), false);
+    assert.equal(wordPattern('es', { minLength: 4, maxLength: 12 }).test('CANCIÓN'), true);
+    assert.equal(wordPattern('ru').test('ЖИРАФ'), true);
+    assert.equal(wordPattern('ru').test('GIRAFFE'), false);
+    assert.equal(wordPattern('en', { extra: " '-" }).test('ICE CREAM'), true);
+  });
+});
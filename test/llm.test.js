@@ -0,0 +1,88 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { generateContent, stripMarkdownFences, parseJsonResponse, LLMError } from '../lib/llm.js';
+import { toJsonSchema } from '../lib/providers/openai.js';
+
+describe('lib/llm', () => {
+  const savedProvider = process.env.LLM_PROVIDER;
+
+  afterEach(() => {
+    mock.restoreAll();
+    if (savedProvider === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = savedProvider;
+  });
+
+  it('strips json and bare markdown fences', () => {
+    assert.equal(stripMarkdownFences('```json\n{"a":1}\n```'), '{"a":1}');
+    assert.equal(stripMarkdownFences('```\n[1]\n```'), '[1]');
+    assert.equal(stripMarkdownFences('  {"a":1}  '), '{"a":1}');
+    assert.equal(stripMarkdownFences('Here you go:\n```json\n{"a":1}\n```\nEnjoy'), '{"a":1}');
+  });
+
+  it('raises a retryable INVALID_JSON error for malformed output', () => {
+    assert.throws(() => parseJsonResponse('{"a":'), (error) => {
+      assert.ok(error instanceof LLMError);
+      assert.equal(error.code, 'INVALID_JSON');
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+
+  it('rejects an unknown provider', async () => {
+    process.env.LLM_PROVIDER = 'nope';
+    await assert.rejects(generateContent({ task: 'grammar', prompt: 'x' }), { code: 'NO_PROVIDER' });
+  });
+
+  it('serves deterministic, schema-shaped fixtures from the mock provider', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    mock.method(console, 'log', () => {});
+    const first = await generateContent({ task: 'detector', prompt: 'same prompt', schema: { type: 'OBJECT' } });
+    const second = await generateContent({ task: 'detector', prompt: 'same prompt', schema: { type: 'OBJECT' } });
+    assert.deepEqual(first.data, second.data);
+    assert.ok(first.data.aiScore >= 0 && first.data.aiScore <= 100);
+
+    const fallback = await generateContent({
+      task: 'unknown-task',
+      prompt: 'x',
+      schema: { type: 'OBJECT', properties: { level: { type: 'STRING', enum: ['low', 'high'] }, items: { type: 'ARRAY', items: { type: 'NUMBER' } } } },
+    });
+    assert.deepEqual(fallback.data, { level: 'low', items: [0] });
+  });
+
+  it('streams chat completions from OpenAI-compatible servers', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of ['Hello', ', world']) {
+        res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const saved = process.env.OPENAI_BASE_URL;
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    mock.method(console, 'log', () => {});
+
+    try {
+      const deltas = [];
+      const { text, metadata } = await generateContent({ task: 'paraphrase', prompt: 'x', onText: delta => deltas.push(delta) });
+      assert.deepEqual(deltas, ['Hello', ', world']);
+      assert.equal(text, 'Hello, world');
+      assert.equal(metadata.provider, 'openai');
+    } finally {
+      if (saved === undefined) delete process.env.OPENAI_BASE_URL;
+      else process.env.OPENAI_BASE_URL = saved;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('converts Gemini schemas to lower-case JSON Schema for OpenAI', () => {
+    assert.deepEqual(
+      toJsonSchema({ type: 'OBJECT', properties: { tags: { type: 'ARRAY', items: { type: 'STRING' } } }, required: ['tags'] }),
+      { type: 'object', properties: { tags: { type: 'array', items: { type: 'string' } } }, required: ['tags'] },
+    );
+  });
+});
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+
+import handler from '../api/name-combiner-ai.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+
+describeLLMHandler({
+  name: 'api/name-combiner-ai',
+  handler,
+  body: { name1: 'Sun', name2: 'Flower', context: 'a bakery' },
+  reply: geminiJson(['Sunflour', 'Flowersun']),
+  assertSuccess: (body) => {
+    assert.deepEqual(body.names, ['Sunflour', 'Flowersun']);
+  },
+  invalidBodies: [{}, { name1: 'Sun' }, { name2: 'Flower' }],
+  oversizedBody: { name1: 'Sun', name2: 'b'.repeat(51) },
+});
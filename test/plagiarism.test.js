@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/plagiarism.js';
+import { readGrounding, matchAgainstSources } from '../lib/plagiarism.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiText, geminiGrounded, geminiBlocked, geminiError } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+const TEXT = 'To be or not to be, that is the question. I wrote this line myself today.';
+
+const GROUNDING = {
+  webSearchQueries: ['"to be or not to be that is the question"'],
+  groundingChunks: [
+    { web: { uri: 'https://example.com/hamlet', title: 'example.com' } },
+    { web: { uri: 'https://example.org/quotes', title: 'example.org' } },
+  ],
+  groundingSupports: [
+    { segment: { startIndex: 0, endIndex: 40, text: 'To be, or not to be, that is the question:' }, groundingChunkIndices: [0] },
+    // Attributed to a page but shares no five-word run with the user text.
+    { segment: { startIndex: 41, endIndex: 80, text: 'Whether tis nobler in the mind to suffer' }, groundingChunkIndices: [1] },
+  ],
+};
+
+describeLLMHandler({
+  name: 'api/plagiarism',
+  handler,
+  body: { text: TEXT },
+  reply: geminiGrounded('To be, or not to be, that is the question:', GROUNDING),
+  assertSuccess: (body) => {
+    // Only the model's quote of the page matched, so nothing counts as plagiarism.
+    assert.equal(body.plagiarismPercentage, 0);
+    assert.equal(body.uniquePercentage, 100);
+    assert.equal(body.modelQuotedPercentage, 63);
+    assert.deepEqual(body.matchedSources, [{
+      url: 'https://example.com/hamlet',
+      title: 'example.com',
+      snippet: 'To be or not to be, that is the question',
+      matchedPercentage: 63,
+      textFrom: 'model',
+    }]);
+    assert.deepEqual(body.sentences[0].spans, []);
+    assert.deepEqual(body.sentences[0].modelQuotedSpans, [{ from: 0, to: 40, sources: [0] }]);
+    assert.equal(body.sentences[0].matchedPercentage, 0);
+    assert.deepEqual(body.sentences[1].modelQuotedSpans, []);
+    assert.deepEqual(body.searchQueries, GROUNDING.webSearchQueries);
+  },
+  invalidBodies: [{}, { text: '' }],
+  oversizedBody: { text: 'a'.repeat(10001) },
+  json: false,
+  extra: (fake) => {
+    it('enables the google_search tool without JSON mode', async () => {
+      fake().reply(geminiText('NONE'));
+      await invoke(handler, { body: { text: 'Some text' } });
+      const payload = fake().requests[0].body;
+      assert.deepEqual(payload.tools, [{ google_search: {} }]);
+      assert.equal(payload.generationConfig, undefined);
+    });
+
+    it('ignores URLs and numbers the model writes itself', async () => {
+      const invented = JSON.stringify({ plagiarismPercentage: 90, matchedSources: [{ url: 'https://made-up.example/' }] });
+      fake().reply(geminiText(invented));
+      const res = await invoke(handler, { body: { text: TEXT } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.plagiarismPercentage, 0);
+      assert.equal(res.body.uniquePercentage, 100);
+      assert.deepEqual(res.body.matchedSources, []);
+    });
+
+    it('explains a RECITATION block in plagiarism terms', async () => {
+      fake().reply(geminiBlocked('RECITATION'));
+      const res = await invoke(handler, { body: { text: 'Some text' } });
+      assert.equal(res.statusCode, 422);
+      assert.match(res.body.message, /too similar to a web source/);
+    });
+
+    // The old loop gave up on anything whose message contained "invalid".
+    it('still retries a 503 whose message contains "invalid"', async () => {
+      fake().reply(geminiError(503, 'Backend returned an invalid state'), geminiText('NONE'));
+      const res = await invoke(handler, { body: { text: 'Some text' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 2);
+    });
+  },
+});
+
+describe('lib/plagiarism', () => {
+  it('keeps only web sources from the grounding chunks, once each', () => {
+    const { sources, passages } = readGrounding({
+      groundingMetadata: {
+        groundingChunks: [
+          { web: { uri: 'https://a.example/x', title: 'a' } },
+          { web: { uri: 'javascript:alert(1)', title: 'bad' } },
+          { web: { uri: 'https://a.example/x', title: 'a again' } },
+        ],
+        groundingSupports: [
+          { segment: { text: 'one two three four five' }, groundingChunkIndices: [1, 2] },
+          { segment: { text: 'six seven eight nine ten' }, groundingChunkIndices: [7] },
+        ],
+      },
+    });
+    assert.deepEqual(sources, [{ url: 'https://a.example/x', title: 'a' }]);
+    assert.deepEqual(passages, [{ text: 'one two three four five', sources: [0], textFrom: 'model' }]);
+  });
+
+  it('tells page text from the model\'s own quotes of a page', () => {
+    const grounding = readGrounding({
+      groundingMetadata: {
+        groundingChunks: [
+          { retrievedContext: { uri: 'https://page.example/', title: 'page', text: 'To be, or not to be, that is the question.' } },
+          { web: { uri: 'https://quoted.example/', title: 'quoted' } },
+        ],
+        groundingSupports: [
+          { segment: { text: 'To be or not to be, that is the question' }, groundingChunkIndices: [1] },
+        ],
+      },
+    });
+    assert.deepEqual(grounding.passages.map(passage => passage.textFrom), ['page', 'model']);
+
+    // Words the page text already covers are not counted again as model quotes.
+    const report = matchAgainstSources(TEXT, grounding);
+    assert.deepEqual(report.matchedSources.map(({ url, textFrom }) => [url, textFrom]), [['https://page.example/', 'page']]);
+    assert.equal(report.plagiarismPercentage, 63);
+    assert.equal(report.modelQuotedPercentage, 0);
+  });
+
+  it('never raises the percentage for wording only the model quoted', () => {
+    const quote = { text: 'I wrote this line myself today', sources: [0], textFrom: 'model' };
+    const page = { text: 'To be, or not to be, that is the question.', sources: [1], textFrom: 'page' };
+    const sources = [{ url: 'https://quoted.example/', title: 'q' }, { url: 'https://page.example/', title: 'p' }];
+
+    const pageOnly = matchAgainstSources(TEXT, { sources, passages: [page] });
+    const report = matchAgainstSources(TEXT, { sources, passages: [page, quote] });
+    assert.equal(report.plagiarismPercentage, pageOnly.plagiarismPercentage);
+    assert.equal(report.modelQuotedPercentage, 38);
+    assert.deepEqual(report.sentences[1].spans, []);
+    assert.deepEqual(report.sentences[1].modelQuotedSpans, [{ from: 42, to: 72, sources: [1] }]);
+    assert.deepEqual(report.matchedSources.map(({ url, textFrom }) => [url, textFrom]), [
+      ['https://page.example/', 'page'],
+      ['https://quoted.example/', 'model'],
+    ]);
+  });
+
+  it('reports nothing without grounding metadata', () => {
+    const report = matchAgainstSources(TEXT, readGrounding(undefined));
+    assert.equal(report.plagiarismPercentage, 0);
+    assert.deepEqual(report.matchedSources, []);
+    assert.equal(report.sentences.length, 2);
+  });
+
+  it('matches across case, punctuation and curly apostrophes', () => {
+    const grounding = { sources: [{ url: 'https://a.example/', title: 'a' }], passages: [{ text: "WE DON'T NEED NO EDUCATION here", sources: [0], textFrom: 'page' }] };
+    const text = 'Honestly, we don’t need no education.';
+    const report = matchAgainstSources(text, grounding);
+    const [span] = report.sentences[0].spans;
+    assert.equal(text.slice(span.from, span.to), 'we don’t need no education');
+    assert.equal(report.plagiarismPercentage, 83);
+  });
+
+  it('orders sources by how much of the text they cover', () => {
+    const grounding = {
+      sources: [{ url: 'https://small.example/', title: 's' }, { url: 'https://big.example/', title: 'b' }],
+      passages: [
+        { text: 'alpha beta gamma delta epsilon', sources: [0], textFrom: 'page' },
+        { text: 'alpha beta gamma delta epsilon zeta eta theta', sources: [1], textFrom: 'page' },
+      ],
+    };
+    const report = matchAgainstSources('alpha beta gamma delta epsilon zeta eta theta iota.', grounding);
+    assert.deepEqual(report.matchedSources.map(source => source.url), ['https://big.example/', 'https://small.example/']);
+    assert.deepEqual(report.sentences[0].spans[0].sources, [0, 1]);
+  });
+});
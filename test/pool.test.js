@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { createLimiter, mapWithConcurrency } from '../lib/pool.js';
+
+describe('lib/pool', () => {
+  it('keeps results in input order with a bounded number in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      peak = Math.max(peak, ++active);
+      await sleep(delay);
+      active--;
+      return index;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(peak, 2);
+  });
+
+  it('shares one limit between every caller of a limiter, in arrival order', async () => {
+    const run = createLimiter(1);
+    const order = [];
+    let active = 0;
+    const task = (name, delay) => run(async () => {
+      assert.equal(++active, 1, name);
+      order.push(name);
+      await sleep(delay);
+      active--;
+      if (name === 'b') throw new Error('b failed');
+      return name;
+    });
+
+    const outcomes = await Promise.allSettled([task('a', 20), task('b', 0), task('c', 5)]);
+    assert.deepEqual(order, ['a', 'b', 'c']);
+    assert.deepEqual(outcomes.map(outcome => outcome.value ?? outcome.reason.message), ['a', 'b failed', 'c']);
+    // A failed call still hands its slot on.
+    assert.equal(await task('d', 0), 'd');
+  });
+});
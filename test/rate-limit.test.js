@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consume, withRateLimit, getClientIp, ROUTE_LIMITS } from '../lib/rate-limit.js';
+import { createMemoryStore, resetStores } from '../lib/stores/index.js';
+import { invoke } from './helpers/http.js';
+
+const LIMIT = { capacity: 2, refillPerMinute: 60 }; // one token per second
+
+describe('lib/rate-limit consume()', () => {
+  it('allows a burst up to capacity, then reports when the next token arrives', async () => {
+    const store = createMemoryStore();
+    const buckets = [{ key: 'ip:a', limit: LIMIT }];
+    assert.equal((await consume(store, buckets, 0)).allowed, true);
+    assert.equal((await consume(store, buckets, 0)).allowed, true);
+
+    const denied = await consume(store, buckets, 0);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterMs, 1000);
+
+    assert.equal((await consume(store, buckets, 1000)).allowed, true);
+  });
+
+  it('takes nothing from any bucket when one of them is empty', async () => {
+    const store = createMemoryStore();
+    const ipBucket = { key: 'ip:a', limit: { capacity: 5, refillPerMinute: 60 } };
+    const keyBucket = { key: 'key:x', limit: { capacity: 1, refillPerMinute: 1 } };
+
+    assert.equal((await consume(store, [ipBucket, keyBucket], 0)).allowed, true);
+    assert.equal((await consume(store, [ipBucket, keyBucket], 0)).allowed, false);
+    assert.equal((await store.get('ip:a')).tokens, 4);
+  });
+
+  it('takes several tokens at once, all or none', async () => {
+    const store = createMemoryStore();
+    const buckets = [{ key: 'ip:a', limit: { capacity: 5, refillPerMinute: 60 } }];
+    assert.equal((await consume(store, buckets, 0, 3)).allowed, true);
+    const denied = await consume(store, buckets, 0, 3);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterMs, 1000);
+    assert.equal((await store.get('ip:a')).tokens, 2);
+  });
+
+  it('keeps separate buckets per IP', async () => {
+    const store = createMemoryStore();
+    const one = { key: 'ip:1', limit: { capacity: 1, refillPerMinute: 1 } };
+    const two = { key: 'ip:2', limit: { capacity: 1, refillPerMinute: 1 } };
+    assert.equal((await consume(store, [one], 0)).allowed, true);
+    assert.equal((await consume(store, [one], 0)).allowed, false);
+    assert.equal((await consume(store, [two], 0)).allowed, true);
+  });
+});
+
+describe('lib/rate-limit withRateLimit()', () => {
+  const handler = withRateLimit('plagiarism', async (req, res) => res.status(200).json({ success: true }));
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  beforeEach(() => {
+    delete process.env.RATE_LIMIT_DISABLED;
+    resetStores();
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('answers 429 with Retry-After once the route budget is spent', async () => {
+    const request = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, body: {} };
+    for (let i = 0; i < ROUTE_LIMITS.plagiarism.ip.capacity; i++) {
+      assert.equal((await invoke(handler, request)).statusCode, 200);
+    }
+
+    const res = await invoke(handler, request);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.success, false);
+    assert.ok(Number(res.headers['retry-after']) >= 1);
+    assert.equal(res.headers['x-ratelimit-remaining'], '0');
+
+    const otherClient = await invoke(handler, { headers: { 'x-forwarded-for': '198.51.100.1' }, body: {} });
+    assert.equal(otherClient.statusCode, 200);
+  });
+
+  it('never counts preflight requests', async () => {
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await invoke(handler, { method: 'OPTIONS', headers: { 'x-forwarded-for': '192.0.2.9' } })).statusCode, 200);
+    }
+    assert.equal((await invoke(handler, { headers: { 'x-forwarded-for': '192.0.2.9' }, body: {} })).statusCode, 200);
+  });
+
+  it('gives the text tools tighter budgets than the games', () => {
+    for (const route of ['grammar', 'plagiarism', 'paraphrase', 'detector', 'humanizer']) {
+      assert.ok(ROUTE_LIMITS[route].ip.capacity < ROUTE_LIMITS['hangman-ai'].ip.capacity, route);
+      assert.ok(ROUTE_LIMITS[route].ip.refillPerMinute < ROUTE_LIMITS['riddle-joke'].ip.refillPerMinute, route);
+    }
+  });
+
+  it('reads the client IP the platform saw, not one the client wrote', () => {
+    assert.equal(getClientIp({ headers: { 'x-forwarded-for': '1.2.3.4, 5.6.7.8', 'x-real-ip': '9.9.9.9' } }), '9.9.9.9');
+    assert.equal(getClientIp({ headers: { 'x-forwarded-for': '1.2.3.4, 5.6.7.8' } }), '5.6.7.8');
+    assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '::1' } }), '::1');
+  });
+
+  it('cannot be dodged with a made-up X-Forwarded-For', async () => {
+    const spoofed = (index) => ({ headers: { 'x-forwarded-for': `192.0.2.${index}`, 'x-real-ip': '203.0.113.9' }, body: {} });
+    for (let i = 0; i < ROUTE_LIMITS.plagiarism.ip.capacity; i++) {
+      assert.equal((await invoke(handler, spoofed(i))).statusCode, 200);
+    }
+    assert.equal((await invoke(handler, spoofed(99))).statusCode, 429);
+  });
+});
@@ -0,0 +1,357 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/remove-background.js';
+import { shrinkForClipDrop } from '../lib/background.js';
+import { decodeImage, inspectImage } from '../lib/image/index.js';
+import { listZipEntries, readZipEntry } from '../lib/extract/zip.js';
+import { encodePng } from '../lib/image/png.js';
+import { createRequest, createResponse } from './helpers/http.js';
+import { multipart } from './helpers/documents.js';
+import { JPEG_BASELINE, buildPng, paintImage, pixelAt, productPhoto } from './helpers/images.js';
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PHOTO = productPhoto();
+// What ClipDrop sends back for PHOTO: the disc on transparency.
+const CUTOUT = encodePng(paintImage(40, 30, (x, y) => ((x - 20) ** 2 + (y - 15) ** 2 < 100 ? [200, 20, 30, 255] : [0, 0, 0, 0])));
+
+async function send({ fields = {}, image = PHOTO, contentType = 'image/png', extraFile, ...request } = {}) {
+  const file = { name: 'image_file', filename: 'photo.png', contentType, data: image };
+  const { headers, rawBody } = multipart(fields, file);
+  // The helper takes one file; a second one is spliced in before the closing boundary.
+  let body = rawBody;
+  if (extraFile) {
+    const boundary = headers['content-type'].split('boundary=')[1];
+    const closing = Buffer.from(`--${boundary}--\r\n`);
+    body = Buffer.concat([
+      rawBody.subarray(0, rawBody.length - closing.length),
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${extraFile.name}"; filename="extra.png"\r\nContent-Type: image/png\r\n\r\n`),
+      extraFile.data,
+      Buffer.from('\r\n'),
+      closing,
+    ]);
+  }
+  const res = createResponse();
+  await handler(createRequest({ headers, rawBody: body, ...request }), res);
+  return res;
+}
+
+describe('api/remove-background', () => {
+  let savedKey;
+
+  before(() => {
+    savedKey = process.env.CLIPDROP_API_KEY;
+    process.env.RATE_LIMIT_DISABLED = 'true';
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  beforeEach(() => {
+    process.env.CLIPDROP_API_KEY = 'clip-key';
+  });
+
+  after(() => {
+    mock.restoreAll();
+    if (savedKey === undefined) delete process.env.CLIPDROP_API_KEY;
+    else process.env.CLIPDROP_API_KEY = savedKey;
+  });
+
+  it('answers CORS preflight and accepts the x-api-key header', async () => {
+    const res = await send({ method: 'OPTIONS', headers: { origin: 'https://easyutilityhub.com' } });
+    assert.equal(res.statusCode, 204);
+    assert.equal(res.headers['access-control-allow-origin'], 'https://easyutilityhub.com');
+    assert.match(res.headers['access-control-allow-headers'], /x-api-key/);
+  });
+
+  it('returns 500 when the ClipDrop key is missing and ClipDrop was asked for', async () => {
+    delete process.env.CLIPDROP_API_KEY;
+    const res = await send({ fields: { engine: 'clipdrop' } });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'API key not configured.');
+  });
+
+  it('forwards the upload and streams the image back', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(PNG_BYTES, { status: 200, headers: { 'content-type': 'image/png' } }));
+    const res = await send({});
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.equal(res.headers['x-background-engine'], 'clipdrop');
+    assert.ok(res.ended);
+    assert.deepEqual(Buffer.concat(res.chunks), PNG_BYTES);
+
+    const [url, init] = fetchMock.mock.calls[0].arguments;
+    assert.equal(url, 'https://clipdrop-api.co/remove-background/v1');
+    assert.equal(init.headers['x-api-key'], 'clip-key');
+    const forwarded = init.body.get('image_file');
+    assert.equal(forwarded.name, 'photo.png');
+    assert.deepEqual(Buffer.from(await forwarded.arrayBuffer()), PHOTO);
+    fetchMock.mock.restore();
+  });
+
+  it('passes ClipDrop client errors through with their status', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ error: 'Invalid image' }), { status: 400 }));
+    const res = await send({});
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid image');
+    fetchMock.mock.restore();
+  });
+
+  it('falls back to the local remover without a key, out of credits, or when ClipDrop is down', async () => {
+    delete process.env.CLIPDROP_API_KEY;
+    const noKey = await send({});
+    assert.equal(noKey.statusCode, 200);
+    assert.equal(noKey.headers['x-background-engine'], 'chroma-key');
+
+    process.env.CLIPDROP_API_KEY = 'clip-key';
+    for (const reply of [
+      async () => new Response(JSON.stringify({ error: 'Quota exceeded' }), { status: 402 }),
+      async () => { throw new TypeError('fetch failed'); },
+    ]) {
+      const fetchMock = mock.method(globalThis, 'fetch', reply);
+      const res = await send({});
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['x-background-engine'], 'chroma-key');
+      const image = decodeImage(res.body);
+      assert.deepEqual(pixelAt(image, 0, 0)[3], 0);
+      assert.deepEqual(pixelAt(image, 20, 15), [200, 20, 30, 255]);
+      fetchMock.mock.restore();
+    }
+  });
+
+  it('keeps ClipDrop errors when ClipDrop was asked for explicitly', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ error: 'Quota exceeded' }), { status: 402 }));
+    const res = await send({ fields: { engine: 'clipdrop' } });
+    assert.equal(res.statusCode, 402);
+    assert.equal(res.body.error, 'Quota exceeded');
+    fetchMock.mock.restore();
+  });
+
+  it('finishes the ClipDrop cut-out: crop, background colour, size and WebP', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(CUTOUT, { status: 200, headers: { 'content-type': 'image/png' } }));
+    const res = await send({ fields: { crop: 'true', padding: '2', backgroundColor: '#ffffff', maxSize: '16', format: 'WebP' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'image/webp');
+    assert.equal(res.body.toString('latin1', 8, 16), 'WEBPVP8L');
+    const bits = res.body.readUInt32LE(21);
+    // The disc is 19 pixels across; with padding 23, scaled down to 16.
+    assert.deepEqual([(bits & 0x3fff) + 1, ((bits >>> 14) & 0x3fff) + 1], [16, 16]);
+    assert.equal((bits >>> 28) & 1, 0, 'opaque after the white background');
+    fetchMock.mock.restore();
+  });
+
+  it('puts an uploaded background image behind the subject', async () => {
+    const backdrop = encodePng(paintImage(10, 10, () => [0, 0, 255, 255]));
+    const res = await send({ fields: { engine: 'local' }, extraFile: { name: 'backgroundImage', data: backdrop } });
+    assert.equal(res.statusCode, 200);
+    const image = decodeImage(res.body);
+    assert.deepEqual(pixelAt(image, 0, 0), [0, 0, 255, 255]);
+    assert.deepEqual(pixelAt(image, 20, 15), [200, 20, 30, 255]);
+  });
+
+  it('refuses what it cannot process with a 4xx', async () => {
+    const notMultipart = await send({ headers: { 'content-type': 'text/plain' }, rawBody: 'hello' });
+    assert.equal(notMultipart.statusCode, 415);
+
+    const nothing = await send({ headers: { 'content-type': 'application/json' }, rawBody: '{}' });
+    assert.equal(nothing.statusCode, 400);
+    assert.match(nothing.body.message, /or send "urls"/);
+
+    const badOption = await send({ fields: { format: 'gif' } });
+    assert.equal(badOption.statusCode, 400);
+    assert.match(badOption.body.message, /Format must be one of: png, webp/);
+
+    const busy = encodePng(paintImage(20, 20, (x, y) => [(x * 97) % 256, (y * 61) % 256, ((x + y) * 37) % 256, 255]));
+    const noBackdrop = await send({ fields: { engine: 'local' }, image: busy });
+    assert.equal(noBackdrop.statusCode, 422);
+  });
+
+  it('checks uploads by their bytes before anything is sent on', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(PNG_BYTES, { status: 200 }));
+    const refused = async (request, status, pattern) => {
+      const res = await send(request);
+      assert.equal(res.statusCode, status, JSON.stringify(res.body));
+      assert.match(res.body.message, pattern);
+    };
+
+    await refused({ image: Buffer.alloc(0) }, 400, /"image_file" is empty/);
+    await refused({ contentType: 'application/pdf' }, 415, /was sent as application\/pdf, not as an image/);
+    await refused({ image: Buffer.from('not a picture at all') }, 415, /is not a PNG, JPEG or WebP image\./);
+    await refused({ image: Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1') }, 415, /\(it is a GIF\)/);
+    await refused({ image: Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic', 'latin1'), contentType: 'image/jpeg' }, 415, /HEIC photos are not supported; send a JPEG or PNG/);
+    await refused({ image: JPEG_BASELINE.subarray(0, 40) }, 422, /JPEG header cannot be read/);
+    // The header alone says 8000×6000; nothing is decoded.
+    const huge = buildPng({ width: 8000, height: 6000, bitDepth: 8, colorType: 2 }, Buffer.alloc(1));
+    await refused({ image: huge }, 413, /8000×6000; the limit is 40 megapixels/);
+    await refused({ extraFile: { name: 'backgroundImage', data: Buffer.from('nope') } }, 415, /"backgroundImage" is not a PNG/);
+    await refused({ extraFile: { name: 'logo', data: PHOTO } }, 400, /Unexpected file field "logo"/);
+    assert.equal(fetchMock.mock.callCount(), 0);
+
+    // A JPEG sent as image/png goes on labelled as what it is.
+    await send({ image: JPEG_BASELINE });
+    assert.equal(fetchMock.mock.calls[0].arguments[1].body.get('image_file').type, 'image/jpeg');
+    fetchMock.mock.restore();
+  });
+
+  it('scales photos down to JPEG when ClipDrop would refuse their size', () => {
+    const file = { field: 'image_file', filename: 'big.png', contentType: 'image/png', data: productPhoto(200, 150) };
+    assert.equal(shrinkForClipDrop(file, { targetPixels: 40000 }), file);
+
+    const shrunk = shrinkForClipDrop(file, { targetPixels: 10000 });
+    assert.equal(shrunk.filename, 'big.jpg');
+    assert.equal(shrunk.contentType, 'image/jpeg');
+    const { format, width, height } = inspectImage(shrunk.data);
+    assert.equal(format, 'jpeg');
+    assert.ok(width * height <= 10000 && width * height > 9000, `${width}×${height}`);
+    assert.ok(Math.abs(width / height - 4 / 3) < 0.01, "keeps the aspect ratio");
+  });
+});
+
+describe('api/remove-background batches', () => {
+  const SHOP = 'https://93.184.216.34';
+  let savedKey;
+  let savedHosts;
+
+  // ClipDrop and a pretend shop CDN, by URL.
+  const routes = (shop = {}, clipDrop = async () => new Response(CUTOUT, { status: 200, headers: { 'content-type': 'image/png' } })) => (
+    mock.method(globalThis, 'fetch', async (url, init) => {
+      if (String(url).startsWith('https://clipdrop-api.co/')) return clipDrop(url, init);
+      const reply = shop[String(url)];
+      return reply ? reply() : new Response('missing', { status: 404 });
+    })
+  );
+
+  const sendJson = async (body) => {
+    const res = createResponse();
+    await handler(createRequest({ headers: { 'content-type': 'application/json' }, rawBody: JSON.stringify(body) }), res);
+    return res;
+  };
+
+  before(() => {
+    savedKey = process.env.CLIPDROP_API_KEY;
+    savedHosts = process.env.IMAGE_URL_HOSTS;
+    process.env.RATE_LIMIT_DISABLED = 'true';
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  beforeEach(() => {
+    process.env.CLIPDROP_API_KEY = 'clip-key';
+    delete process.env.IMAGE_URL_HOSTS;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    if (savedKey === undefined) delete process.env.CLIPDROP_API_KEY;
+    else process.env.CLIPDROP_API_KEY = savedKey;
+    if (savedHosts !== undefined) process.env.IMAGE_URL_HOSTS = savedHosts;
+  });
+
+  it('returns several uploads as a ZIP with a manifest, failures included', async () => {
+    delete process.env.CLIPDROP_API_KEY;
+    const busy = encodePng(paintImage(20, 20, (x, y) => [(x * 97) % 256, (y * 61) % 256, ((x + y) * 37) % 256, 255]));
+    const res = await send({ fields: { format: 'webp' }, extraFile: { name: 'image_file', data: busy } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'application/zip');
+    assert.match(res.headers['content-disposition'], /attachment; filename="backgrounds-removed.zip"/);
+    assert.equal(res.headers['x-images-succeeded'], '1');
+    assert.equal(res.headers['x-images-failed'], '1');
+
+    const entries = listZipEntries(res.body);
+    assert.deepEqual([...entries.keys()], ['01-photo.webp', 'manifest.json']);
+    assert.equal(readZipEntry(res.body, '01-photo.webp', entries).toString('latin1', 8, 16), 'WEBPVP8L');
+    const manifest = JSON.parse(readZipEntry(res.body, 'manifest.json', entries).toString('utf8'));
+    assert.deepEqual({ total: manifest.total, succeeded: manifest.succeeded, failed: manifest.failed }, { total: 2, succeeded: 1, failed: 1 });
+    assert.deepEqual(manifest.results[0], {
+      index: 0, source: 'photo.png', success: true, status: 200, engine: 'chroma-key',
+      filename: '01-photo.webp', contentType: 'image/webp', width: 40, height: 30, bytes: manifest.results[0].bytes,
+    });
+    assert.equal(manifest.results[1].status, 422);
+    assert.match(manifest.results[1].message, /no plain background/);
+  });
+
+  it('fetches public image URLs and reports each one in a JSON manifest', async () => {
+    const fetchMock = routes({
+      [`${SHOP}/catalog/red%20sneaker.png?v=2`]: async () => new Response(PHOTO, { headers: { 'content-type': 'image/png' } }),
+      [`${SHOP}/catalog/huge.jpg`]: async () => new Response(PHOTO, { headers: { 'content-type': 'image/jpeg', 'content-length': String(50 * 1024 * 1024) } }),
+      [`${SHOP}/catalog/page.html`]: async () => new Response('<html></html>', { headers: { 'content-type': 'text/html' } }),
+    });
+    const res = await sendJson({
+      output: 'JSON',
+      urls: [
+        `${SHOP}/catalog/red%20sneaker.png?v=2`,
+        'https://127.0.0.1/admin.png',
+        'http://93.184.216.34/plain-http.png',
+        `${SHOP}/catalog/gone.png`,
+        `${SHOP}/catalog/huge.jpg`,
+        `${SHOP}/catalog/page.html`,
+      ],
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual([res.body.total, res.body.succeeded, res.body.failed], [6, 1, 5]);
+
+    const [image, ...failures] = res.body.results;
+    assert.equal(image.filename, '01-red-sneaker.png');
+    assert.equal(image.engine, 'clipdrop');
+    assert.deepEqual(Buffer.from(image.data, 'base64'), CUTOUT);
+    assert.deepEqual(failures.map(({ status, message }) => [status, message]), [
+      [400, 'ERROR: Image URL must point at a public host.'],
+      [400, 'ERROR: Image URL must use https.'],
+      [422, 'ERROR: Image URL answered 404.'],
+      [413, 'ERROR: Image at the URL is too large (the limit is 20 MB).'],
+      [415, 'ERROR: "urls" was sent as text/html, not as an image.'],
+    ]);
+    // Nothing was requested from the refused hosts.
+    assert.ok(fetchMock.mock.calls.every(call => !/127\.0\.0\.1|http:/.test(String(call.arguments[0]))));
+    fetchMock.mock.restore();
+  });
+
+  it('follows redirects only to allowed places and honours IMAGE_URL_HOSTS', async () => {
+    const fetchMock = routes({
+      [`${SHOP}/moved.png`]: async () => new Response(null, { status: 302, headers: { location: '/catalog/photo.png' } }),
+      [`${SHOP}/catalog/photo.png`]: async () => new Response(PHOTO, { headers: { 'content-type': 'image/png' } }),
+      [`${SHOP}/sneaky.png`]: async () => new Response(null, { status: 301, headers: { location: 'https://169.254.169.254/latest/meta-data' } }),
+    });
+    const followed = await sendJson({ urls: [`${SHOP}/moved.png`, `${SHOP}/sneaky.png`], output: 'json' });
+    assert.deepEqual(followed.body.results.map(result => result.status), [200, 400]);
+    assert.equal(followed.body.results[1].message, 'ERROR: Image URL must point at a public host.');
+
+    process.env.IMAGE_URL_HOSTS = 'cdn.example-shop.com';
+    const limited = await sendJson({ urls: [`${SHOP}/catalog/photo.png`] });
+    assert.equal(limited.statusCode, 400);
+    assert.equal(limited.body.message, 'ERROR: Image URL is not on a host images may be fetched from.');
+    fetchMock.mock.restore();
+  });
+
+  it('refuses loopback and metadata addresses written as IPv6', async () => {
+    const fetchMock = routes({
+      [`${SHOP}/bounce.png`]: async () => new Response(null, { status: 302, headers: { location: 'https://[::ffff:127.0.0.1]/admin.png' } }),
+    });
+    const res = await sendJson({
+      output: 'json',
+      urls: ['https://[::ffff:7f00:1]/admin.png', 'https://[::ffff:a9fe:a9fe]/latest/meta-data/', 'https://[::127.0.0.1]/x.png', `${SHOP}/bounce.png`],
+    });
+    assert.deepEqual(res.body.results.map(({ status, message }) => [status, message]), new Array(4).fill([400, 'ERROR: Image URL must point at a public host.']));
+    // Only the public shop was asked; none of the internal addresses were.
+    assert.deepEqual(fetchMock.mock.calls.map(call => String(call.arguments[0])), [`${SHOP}/bounce.png`]);
+    fetchMock.mock.restore();
+  });
+
+  it('stops asking ClipDrop for the rest of a batch once it is out of credits', async () => {
+    const clipDrop = mock.fn(async () => new Response(JSON.stringify({ error: 'Quota exceeded' }), { status: 402 }));
+    const urls = Array.from({ length: 6 }, (_, index) => `${SHOP}/catalog/${index}.png`);
+    const fetchMock = routes(Object.fromEntries(urls.map(url => [url, async () => new Response(PHOTO, { headers: { 'content-type': 'image/png' } })])), clipDrop);
+    const res = await sendJson({ urls, output: 'json' });
+    assert.deepEqual(res.body.results.map(result => result.engine), new Array(6).fill('chroma-key'));
+    // Only the images already in flight when the first 402 came back asked ClipDrop.
+    assert.ok(clipDrop.mock.callCount() <= 3, `${clipDrop.mock.callCount()} calls`);
+    fetchMock.mock.restore();
+  });
+
+  it('limits the number of images per request', async () => {
+    const res = await sendJson({ urls: Array.from({ length: 11 }, (_, index) => `${SHOP}/${index}.png`) });
+    assert.equal(res.statusCode, 413);
+    assert.match(res.body.message, /at most 10 images/);
+  });
+});
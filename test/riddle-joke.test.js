@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+
+import handler from '../api/riddle-joke.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+
+describeLLMHandler({
+  name: 'api/riddle-joke',
+  handler,
+  body: { type: 'riddle', category: 'Food' },
+  reply: geminiJson({ question: 'What has an eye but cannot see?', answer: 'A potato.' }),
+  assertSuccess: (body) => {
+    assert.equal(body.answer, 'A potato.');
+  },
+  invalidBodies: [{}, { type: 'riddle' }, { category: 'Food' }, { type: 'limerick', category: 'Food' }],
+});
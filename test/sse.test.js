@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+
+import { wantsEventStream, createJsonFieldStream } from '../lib/sse.js';
+import { readEventStream } from '../lib/providers/event-stream.js';
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+describe('lib/sse', () => {
+  it('streams only when the client accepts text/event-stream', () => {
+    assert.equal(wantsEventStream({ headers: { accept: 'text/event-stream' } }), true);
+    assert.equal(wantsEventStream({ headers: { accept: 'application/json, text/event-stream;q=0.9' } }), true);
+    assert.equal(wantsEventStream({ headers: { accept: 'application/json' } }), false);
+    assert.equal(wantsEventStream({ headers: {} }), false);
+  });
+
+  it('forwards a JSON string field as it streams, across split escapes', () => {
+    const pieces = [];
+    const feed = createJsonFieldStream('humanizedText', text => pieces.push(text));
+    for (const delta of ['{"humanized', 'Text": "Line one\\', 'nLine \\u00', 'e9 \\"two\\"', '", "other": "x"}']) feed(delta);
+    assert.equal(pieces.join(''), 'Line one\nLine é "two"');
+  });
+
+  it('joins repeated fields until the stop pattern', () => {
+    const pieces = [];
+    const feed = createJsonFieldStream('text', text => pieces.push(text), { repeat: true, separator: ' ', stopAt: /"next"/ });
+    for (const delta of ['{"items": [{"text": "One."}, {"te', 'xt": "Two."}], "ne', 'xt": [{"text": "Three."}]}']) feed(delta);
+    assert.deepEqual(pieces, ['One.', ' Two.']);
+  });
+
+  it('reads upstream events split at arbitrary byte boundaries', async () => {
+    const raw = 'data: {"a":1}\r\n\r\n: comment\ndata: {"b":\ndata: 2}\n\ndata: [DONE]';
+    const bytes = Buffer.from(raw);
+    const body = Readable.from([bytes.subarray(0, 7), bytes.subarray(7, 20), bytes.subarray(20)]);
+    assert.deepEqual(await collect(readEventStream(body)), ['{"a":1}', '{"b":\n2}', '[DONE]']);
+  });
+});
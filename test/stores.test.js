@@ -0,0 +1,164 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { createMemoryStore, createRedisStore, createFileStore, getStore, resetStores } from '../lib/stores/index.js';
+
+describe('lib/stores memory', () => {
+  it('expires entries after their TTL', async () => {
+    let clock = 0;
+    const store = createMemoryStore({ now: () => clock });
+    await store.set('a', { n: 1 }, 100);
+    assert.deepEqual(await store.get('a'), { n: 1 });
+    clock = 100;
+    assert.equal(await store.get('a'), undefined);
+  });
+
+  it('evicts the least recently used entry when full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('a'), 1);
+    assert.equal(store.size, 2);
+  });
+
+  it('compares and sets on the value\'s version', async () => {
+    const store = createMemoryStore();
+    assert.equal(await store.compareAndSet('game', 1, { version: 2 }), false);
+    assert.equal(await store.compareAndSet('game', undefined, { version: 1 }), true);
+    assert.equal(await store.compareAndSet('game', undefined, { version: 1 }), false);
+    assert.equal(await store.compareAndSet('game', 1, { version: 2, moves: 1 }), true);
+    assert.equal(await store.compareAndSet('game', 1, { version: 2, moves: 9 }), false);
+    assert.deepEqual(await store.get('game'), { version: 2, moves: 1 });
+  });
+});
+
+describe('lib/stores redis', () => {
+  let server;
+  let url;
+  const data = new Map();
+  const commands = [];
+
+  // Just enough of the Upstash REST protocol: POST a JSON command array.
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const [command, key, value] = JSON.parse(raw);
+        commands.push({ args: JSON.parse(raw), auth: req.headers.authorization });
+        let result = null;
+        if (command === 'GET') result = data.has(key) ? data.get(key) : null;
+        if (command === 'SET') { data.set(key, value); result = 'OK'; }
+        if (command === 'DEL') { result = data.delete(key) ? 1 : 0; }
+        // What the compare-and-set script does, given its key and arguments.
+        if (command === 'EVAL') {
+          const [, , , target, expected, json] = JSON.parse(raw);
+          const current = data.has(target) ? String(JSON.parse(data.get(target)).version) : '';
+          result = current === expected ? 1 : 0;
+          if (result) data.set(target, json);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('round-trips JSON values with a prefix, TTL and bearer token', async () => {
+    const store = createRedisStore({ url, token: 'secret', prefix: 'test:' });
+    await store.set('bucket', { tokens: 3 }, 1500);
+    assert.deepEqual(await store.get('bucket'), { tokens: 3 });
+    await store.delete('bucket');
+    assert.equal(await store.get('bucket'), undefined);
+
+    assert.deepEqual(commands[0].args, ['SET', 'test:bucket', '{"tokens":3}', 'PX', '1500']);
+    assert.equal(commands[0].auth, 'Bearer secret');
+  });
+
+  it('sends compare-and-set as one script with the expected version', async () => {
+    const store = createRedisStore({ url, prefix: 'test:' });
+    assert.equal(await store.compareAndSet('game', undefined, { version: 1 }, 1000), true);
+    assert.equal(await store.compareAndSet('game', undefined, { version: 1 }, 1000), false);
+    assert.equal(await store.compareAndSet('game', 1, { version: 2 }), true);
+    assert.deepEqual(await store.get('game'), { version: 2 });
+
+    const [command, script, keys, key, ...args] = commands.find(({ args }) => args[0] === 'EVAL').args;
+    assert.equal(command, 'EVAL');
+    assert.match(script, /cjson\.decode/);
+    assert.deepEqual([keys, key, ...args], ['1', 'test:game', '', '{"version":1}', '1000']);
+  });
+
+  it('refuses to start without a URL', () => {
+    assert.throws(() => createRedisStore({ url: '' }), { name: 'StoreError' });
+  });
+
+  it('reports an unreachable server as a StoreError', async () => {
+    const failure = new TypeError('fetch failed');
+    mock.method(globalThis, 'fetch', async () => { throw failure; });
+    try {
+      await assert.rejects(createRedisStore({ url }).get('bucket'), { name: 'StoreError', message: 'Redis GET failed: fetch failed', cause: failure });
+    } finally {
+      globalThis.fetch.mock.restore();
+    }
+  });
+});
+
+describe('lib/stores file', () => {
+  let dir;
+  before(async () => { dir = await mkdtemp(path.join(tmpdir(), 'store-test-')); });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('round-trips values across instances and expires them', async () => {
+    let clock = 0;
+    const store = createFileStore({ dir, now: () => clock });
+    await store.set('job:1', { status: 'queued' }, 100);
+    await store.set('job:2', [1, 2]);
+
+    const reopened = createFileStore({ dir, now: () => clock });
+    assert.deepEqual(await reopened.get('job:1'), { status: 'queued' });
+    clock = 100;
+    assert.equal(await reopened.get('job:1'), undefined);
+    assert.deepEqual(await reopened.get('job:2'), [1, 2]);
+
+    await reopened.delete('job:2');
+    await reopened.delete('job:2');
+    assert.equal(await store.get('job:2'), undefined);
+    assert.deepEqual(await readdir(dir), []);
+  });
+
+  it('compares and sets under a lock, one caller at a time', async () => {
+    const store = createFileStore({ dir });
+    const attempts = await Promise.all(Array.from({ length: 5 }, (_, moves) => store.compareAndSet('game:1', undefined, { version: 1, moves })));
+    assert.equal(attempts.filter(Boolean).length, 1);
+    assert.equal(await store.compareAndSet('game:1', 1, { version: 2 }), true);
+    assert.deepEqual(await store.get('game:1'), { version: 2 });
+
+    await store.delete('game:1');
+    assert.deepEqual(await readdir(dir), []);
+  });
+
+  it('is selected per namespace by <NAMESPACE>_STORE=file', async () => {
+    process.env.JOBS_STORE = 'file';
+    process.env.FILE_STORE_DIR = dir;
+    resetStores();
+    try {
+      const store = getStore('jobs');
+      assert.equal(store.name, 'file');
+      assert.equal(store.dir, path.join(dir, 'jobs'));
+    } finally {
+      delete process.env.JOBS_STORE;
+      delete process.env.FILE_STORE_DIR;
+      resetStores();
+    }
+  });
+});
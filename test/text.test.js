@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenizeWords, splitSentences } from '../lib/text.js';
+
+describe('lib/text', () => {
+  it('finds words with their offsets, keeping inner apostrophes', () => {
+    assert.deepEqual(tokenizeWords("It's Déjà-vu, 42!"), [
+      { word: "it's", from: 0, to: 4 },
+      { word: 'déjà', from: 5, to: 9 },
+      { word: 'vu', from: 10, to: 12 },
+      { word: '42', from: 14, to: 16 },
+    ]);
+  });
+
+  it('splits sentences on punctuation and blank lines with trimmed offsets', () => {
+    const text = 'First one.  "Second?" he asked\n\nThird without a stop';
+    const sentences = splitSentences(text);
+    assert.deepEqual(sentences.map(s => s.text), ['First one.', '"Second?"', 'he asked', 'Third without a stop']);
+    for (const sentence of sentences) assert.equal(text.slice(sentence.from, sentence.to), sentence.text);
+  });
+
+  it('does not split inside decimals', () => {
+    assert.equal(splitSentences('Pi is 3.14 roughly. Yes.').length, 2);
+  });
+});
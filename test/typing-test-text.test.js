@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+
+import handler from '../api/typing-test-text.js';
+import { describeLLMHandler } from './helpers/llm-handler-suite.js';
+import { geminiText } from './helpers/fake-gemini.js';
+
+describeLLMHandler({
+  name: 'api/typing-test-text',
+  handler,
+  body: { category: 'Science', duration: 60 },
+  reply: geminiText('Line one.\n\nLine   two.\r\n'),
+  assertSuccess: (body) => {
+    assert.equal(body.text, 'Line one. Line two.');
+    assert.equal(body.language.code, 'en');
+  },
+  // Every field is optional, but types and ranges are still checked.
+  invalidBodies: [{ duration: 'long' }, { duration: 5 }, { language: 'elvish' }],
+  json: false,
+});
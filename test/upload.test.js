@@ -0,0 +1,177 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import grammar from '../api/grammar.js';
+import paraphrase from '../api/paraphrase.js';
+import { extractDocument, locate } from '../lib/extract/index.js';
+import { parseMultipart } from '../lib/multipart.js';
+import { MAX_UPLOAD_BYTES } from '../lib/upload.js';
+import { useFakeGemini } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+import { buildDocx, buildOdt, buildPdf, multipart } from './helpers/documents.js';
+
+const ORIGIN = { origin: 'https://easyutilityhub.com' };
+const extract = (filename, data) => extractDocument({ filename, data: Buffer.from(data, typeof data === 'string' ? 'utf8' : undefined) });
+const paragraphTexts = ({ text, paragraphs }) => paragraphs.map(({ from, to }) => text.slice(from, to));
+
+describe('lib/extract', () => {
+  it('splits plain text on blank lines and pages on form feeds', () => {
+    const document = extract('notes.txt', 'First line\nstill first.\r\n\r\nSecond.\fThird, on page two.');
+    assert.equal(document.text, 'First line\nstill first.\n\nSecond.\n\nThird, on page two.');
+    assert.deepEqual(document.paragraphs, [{ from: 0, to: 23, page: 1 }, { from: 25, to: 32, page: 1 }, { from: 34, to: 53, page: 2 }]);
+    assert.equal(document.pages, 2);
+  });
+
+  it('reads Markdown as visible text, one paragraph per heading, item and block', () => {
+    const document = extract('essay.md', [
+      '# My *Essay*', '', 'Some **bold** claim with a [link](https://example.com)', 'wrapped onto two lines.', '',
+      '- first point', '- second `point`', '', '```', 'code stays', '```', '', '[ref]: https://example.com',
+    ].join('\n'));
+    assert.deepEqual(paragraphTexts(document), [
+      'My Essay', 'Some bold claim with a link wrapped onto two lines.', 'first point', 'second point', 'code stays',
+    ]);
+    assert.equal(document.pages, undefined);
+  });
+
+  it('reads HTML block elements as paragraphs and drops scripts and styles', () => {
+    const document = extract('page.html', '<html><head><title>T</title><style>p{}</style></head><body><h1>Title</h1><p>One &amp; only<br>line two</p><script>alert(1)</script><div>Caf&eacute; &#8211; done</div></body></html>');
+    assert.deepEqual(paragraphTexts(document), ['Title', 'One & only\nline two', 'Caf&eacute; – done']);
+  });
+
+  it('reads RTF body text, escapes and page breaks', () => {
+    const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Times;}}{\colortbl;\red0\green0\blue0;}{\*\generator Word;}\f0 Caf\'e9 au lait\par Na\u239?ve {\b bold} text\page {\field{\*\fldinst HYPERLINK "x"}{\fldrslt Link}} after\par}`;
+    const document = extract('letter.rtf', rtf);
+    assert.deepEqual(paragraphTexts(document), ['Café au lait', 'Naïve bold text', 'Link after']);
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.page), [1, 1, 2]);
+  });
+
+  it('reads DOCX paragraphs, tabs and rendered page breaks but not deleted text', () => {
+    const docx = buildDocx([
+      '<w:p><w:r><w:t>Hello</w:t></w:r><w:r><w:t xml:space="preserve"> world &amp; all</w:t></w:r></w:p>',
+      '<w:p><w:r><w:t>A</w:t><w:tab/><w:t>B</w:t></w:r><w:del><w:r><w:delText>gone</w:delText></w:r></w:del></w:p>',
+      '<w:p><w:r><w:lastRenderedPageBreak/><w:t>Second page.</w:t></w:r></w:p>',
+    ].join(''));
+    const document = extract('report.docx', docx);
+    assert.deepEqual(paragraphTexts(document), ['Hello world & all', 'A\tB', 'Second page.']);
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.page), [1, 1, 2]);
+    assert.equal(document.pages, 2);
+  });
+
+  it('reads ODT paragraphs and headings, skipping notes', () => {
+    const odt = buildOdt([
+      '<text:h text:outline-level="1">Heading</text:h>',
+      '<text:p>Two<text:s text:c="2"/>spaces<text:note><text:note-body><text:p>Footnote</text:p></text:note-body></text:note> here.</text:p>',
+      '<text:soft-page-break/><text:p><text:span>Next page</text:span></text:p>',
+    ].join(''));
+    const document = extract('thesis.odt', odt);
+    assert.deepEqual(paragraphTexts(document), ['Heading', 'Two  spaces here.', 'Next page']);
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.page), [1, 1, 2]);
+  });
+
+  it('reads PDF text by page, rebuilding lines and paragraphs from positions', () => {
+    const pdf = buildPdf([
+      [
+        'BT /F1 12 Tf 72 720 Td (The first paragraph runs over) Tj 0 -14 Td (two lines with a hyphen-) Tj',
+        '0 -14 Td (ated word.) Tj 0 -30 Td [(Second) -300 (paragraph.)] TJ ET',
+        'BT /F1 10 Tf 300 40 Td (1) Tj ET',
+      ].join('\n'),
+      'BT /F2 12 Tf 1 0 0 1 72 720 Tm <00010002> Tj ET',
+    ]);
+    const document = extract('paper.pdf', pdf);
+    assert.deepEqual(paragraphTexts(document), [
+      'The first paragraph runs over two lines with a hyphenated word.', 'Second paragraph.', 'Hi',
+    ]);
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.page), [1, 1, 2]);
+    assert.equal(document.pages, 2);
+  });
+
+  it('refuses unsupported, mismatched, encrypted and image-only files', () => {
+    const refusals = [
+      ['photo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]), 415, /Unsupported file type \.png/],
+      ['fake.pdf', 'just text', 415, /does not match its type \(PDF\)/],
+      ['fake.docx', buildOdt('<text:p>x</text:p>'), 415, /does not match its type \(DOCX\)/],
+      ['locked.pdf', '%PDF-1.7\ntrailer << /Encrypt 5 0 R >>', 422, /encrypted/],
+      ['scan.pdf', buildPdf(['q 100 0 0 100 0 0 cm /Im1 Do Q']), 422, /no extractable text/],
+      ['empty.txt', '  \n\n ', 422, /No text could be extracted/],
+    ];
+    for (const [filename, data, status, message] of refusals) {
+      assert.throws(() => extract(filename, data), (error) => error.name === 'UploadError' && error.status === status && message.test(error.message), filename);
+    }
+  });
+
+  it('locates offsets in paragraphs', () => {
+    const paragraphs = [{ from: 0, to: 5, page: 1 }, { from: 7, to: 12, page: 2 }];
+    assert.deepEqual(locate(paragraphs, 0), { paragraph: 1, page: 1 });
+    assert.deepEqual(locate(paragraphs, 6), { paragraph: 1, page: 1 });
+    assert.deepEqual(locate(paragraphs, 9), { paragraph: 2, page: 2 });
+  });
+});
+
+describe('lib/multipart', () => {
+  it('parses fields and files, keeping binary data intact', () => {
+    const data = Buffer.from([0, 1, 2, 13, 10, 45, 45, 255]);
+    const { headers, rawBody } = multipart({ language: 'en', note: 'a "quoted" value' }, { filename: 'bin.dat', contentType: 'application/x-test', data });
+    const { fields, files } = parseMultipart(rawBody, headers['content-type']);
+    assert.deepEqual(fields, { language: 'en', note: 'a "quoted" value' });
+    assert.equal(files[0].filename, 'bin.dat');
+    assert.equal(files[0].contentType, 'application/x-test');
+    assert.deepEqual(files[0].data, data);
+  });
+
+  it('refuses bodies without a boundary', () => {
+    assert.throws(() => parseMultipart(Buffer.from('x'), 'multipart/form-data'), { name: 'UploadError', status: 400 });
+  });
+});
+
+describe('file uploads on the text tools', () => {
+  const fake = useFakeGemini();
+
+  it('checks an uploaded DOCX and maps corrections to paragraphs and pages', async () => {
+    const docx = buildDocx([
+      '<w:p><w:r><w:t>My essay.</w:t></w:r></w:p>',
+      '<w:p><w:r><w:lastRenderedPageBreak/><w:t>I dont know.</w:t></w:r></w:p>',
+    ].join(''));
+    fake().reply(geminiJson({
+      analysis: { tone: 'Informal', clarityScore: 70 },
+      corrections: [{ from: 13, to: 17, mistake: 'dont', correction: "don't", type: 'Spelling' }],
+    }));
+    const res = await invoke(grammar, { headers: ORIGIN, ...multipart({ language: 'en' }, { filename: 'essay.docx', data: docx }) });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(fake().promptOf(), /My essay\.\n\nI dont know\./);
+    assert.deepEqual(res.body.corrections[0].location, { paragraph: 2, page: 2 });
+    assert.equal(res.body.corrections[0].from, 13);
+    assert.deepEqual(res.body.document, { filename: 'essay.docx', format: 'docx', characters: 23, paragraphs: 2, pages: 2 });
+    assert.deepEqual(res.body.language, { code: 'en', name: 'English', detected: false });
+  });
+
+  it('reads numeric and JSON form fields like their JSON counterparts', async () => {
+    fake().reply(geminiJson({ variants: [1, 2].map(n => ({ sentences: [{ text: `Essay variant ${n}.`, sources: [1] }] })) }));
+    const res = await invoke(paraphrase, {
+      headers: ORIGIN,
+      ...multipart({ mode: 'standard', variants: '2', protectedWords: '["Essay"]' }, { filename: 'in.txt', contentType: 'text/plain', data: 'Essay text here.' }),
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.variants.length, 2);
+    assert.deepEqual(res.body.variants[0].sentences[0].original[0].location, { paragraph: 1 });
+    assert.equal(res.body.document.format, 'text');
+  });
+
+  it('answers 4xx for missing, oversized and unsupported files without a model call', async () => {
+    const missing = await invoke(grammar, { headers: ORIGIN, ...multipart({ text: 'hi' }) });
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.message, 'ERROR: Attach the document as a "file" form field.');
+
+    const oversized = await invoke(grammar, { headers: ORIGIN, ...multipart({}, { filename: 'big.txt', data: 'a'.repeat(MAX_UPLOAD_BYTES + 1) }) });
+    assert.equal(oversized.statusCode, 413);
+
+    const unsupported = await invoke(grammar, { headers: ORIGIN, ...multipart({}, { filename: 'sheet.xlsx', data: 'PK' }) });
+    assert.equal(unsupported.statusCode, 415);
+
+    // The extracted text still goes through the tool's own limits.
+    const tooLong = await invoke(grammar, { headers: ORIGIN, ...multipart({}, { filename: 'long.txt', data: 'word '.repeat(25000) }) });
+    assert.equal(tooLong.statusCode, 413);
+    assert.equal(fake().requests.length, 0);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateBody, withValidation } from '../lib/validate.js';
+import { invoke } from './helpers/http.js';
+
+const SCHEMA = {
+  text: { type: 'string', required: true, maxLength: 10, label: 'Input text' },
+  mode: { type: 'string', enum: ['Formal', 'Simple'], caseInsensitive: true },
+  count: { type: 'integer', min: 1, max: 5 },
+  words: { type: 'array', maxItems: 2, items: { type: 'string', maxLength: 5 } },
+  code: { type: 'string', pattern: /^\d+$/, patternMessage: 'code must be digits.' },
+};
+
+describe('lib/validate', () => {
+  it('accepts a valid body and normalizes case-insensitive enums', () => {
+    const { value, errors } = validateBody({ text: 'hello', mode: 'formal', count: 3, words: ['a'] }, SCHEMA);
+    assert.deepEqual(errors, []);
+    assert.equal(value.mode, 'Formal');
+  });
+
+  it('lists every offending field', () => {
+    const { errors } = validateBody({ mode: 'Loud', count: 1.5, code: '12a' }, SCHEMA);
+    assert.deepEqual(errors.map(error => error.field), ['text', 'mode', 'count', 'code']);
+    assert.equal(errors[0].message, 'Input text is required.');
+    assert.equal(errors[3].message, 'code must be digits.');
+  });
+
+  it('marks size violations as 413 and type violations as 400', () => {
+    const { errors } = validateBody({ text: 'x'.repeat(11), words: ['a', 'b', 'c'] }, SCHEMA);
+    assert.deepEqual(errors.map(error => error.status), [413, 413]);
+    assert.equal(validateBody({ text: 5 }, SCHEMA).errors[0].status, 400);
+  });
+
+  it('checks array items individually', () => {
+    const { errors } = validateBody({ text: 'ok', words: ['fine', 'toolong'] }, SCHEMA);
+    assert.equal(errors[0].field, 'words[1]');
+  });
+
+  it('rejects non-object bodies', () => {
+    assert.equal(validateBody('text=hello', SCHEMA).errors[0].field, 'body');
+    assert.equal(validateBody(undefined, SCHEMA).errors[0].field, 'body');
+  });
+
+  it('only calls the handler with a valid body', async () => {
+    let seen;
+    const handler = withValidation(SCHEMA, async (req, res) => {
+      seen = req.body;
+      return res.status(200).json({ success: true });
+    });
+
+    const rejected = await invoke(handler, { body: { text: 'x'.repeat(50) } });
+    assert.equal(rejected.statusCode, 413);
+    assert.match(rejected.body.message, /^ERROR: Input text is too long/);
+    assert.deepEqual(rejected.body.errors, [{ field: 'text', message: 'Input text is too long (50 characters; the limit is 10).' }]);
+    assert.equal(seen, undefined);
+
+    const accepted = await invoke(handler, { body: { text: 'hi', mode: 'SIMPLE' } });
+    assert.equal(accepted.statusCode, 200);
+    assert.equal(seen.mode, 'Simple');
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import handler from '../api/word-scramble-ai.js';
+import { letterKey } from '../lib/anagrams.js';
+import { describeLLMHandler, useFakeGemini } from './helpers/llm-handler-suite.js';
+import { geminiJson } from './helpers/fake-gemini.js';
+import { invoke } from './helpers/http.js';
+
+// One process runs every case, so the memory store is shared enough here.
+before(() => {
+  process.env.GAMES_ALLOW_MEMORY_STORE = 'true';
+});
+after(() => {
+  delete process.env.GAMES_ALLOW_MEMORY_STORE;
+});
+
+describeLLMHandler({
+  name: 'api/word-scramble-ai',
+  handler,
+  body: { category: 'Space' },
+  reply: geminiJson({ word: 'GALAXY', hint: 'Billions of stars.' }),
+  assertSuccess: (body) => {
+    assert.notEqual(body.scrambled, 'GALAXY');
+    assert.equal(letterKey(body.scrambled, 'en'), letterKey('GALAXY', 'en'));
+    assert.equal(body.letters, 6);
+    assert.deepEqual(body.language, { code: 'en', name: 'English', detected: true });
+    assert.equal(JSON.stringify(body).includes('GALAXY'), false);
+    assert.equal(JSON.stringify(body).includes('Billions'), false);
+  },
+  invalidBodies: [{}, { category: { nested: true } }, { category: 'Space', language: 'zh' }, { action: 'solve', category: 'Space' }],
+  oversizedBody: { category: 'a'.repeat(101) },
+  extra: (fake) => {
+    it('accepts accented letters in the requested language', async () => {
+      fake().reply(geminiJson({ word: 'CANCIÓN', hint: 'Se canta.' }));
+      const res = await invoke(handler, { body: { category: 'Música', language: 'es' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(letterKey(res.body.scrambled, 'es'), letterKey('CANCIÓN', 'es'));
+    });
+
+    it('asks again for a word that cannot be scrambled', async () => {
+      fake().reply(geminiJson({ word: 'AAAA', hint: 'x' }), geminiJson({ word: 'GALAXY', hint: 'Stars.' }));
+      const res = await invoke(handler, { body: { category: 'Space' } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(fake().requests.length, 2);
+    });
+  },
+});
+
+describe('api/word-scramble-ai rounds', () => {
+  const fake = useFakeGemini();
+  let savedSecret;
+
+  before(() => {
+    savedSecret = process.env.GAME_TOKEN_SECRET;
+    process.env.GAME_TOKEN_SECRET = 'test-secret';
+  });
+
+  after(() => {
+    if (savedSecret === undefined) delete process.env.GAME_TOKEN_SECRET;
+    else process.env.GAME_TOKEN_SECRET = savedSecret;
+  });
+
+  const start = async (word = 'LISTEN') => {
+    fake().reply(geminiJson({ word, hint: 'Lend an ear.' }));
+    const res = await invoke(handler, { body: { category: 'Verbs' } });
+    assert.equal(res.statusCode, 200);
+    return res.body;
+  };
+  const guess = (round, answer) => invoke(handler, { body: { action: 'guess', round, answer } });
+  const hint = (round) => invoke(handler, { body: { action: 'hint', round } });
+
+  it('never scrambles into another word with the same letters', async () => {
+    for (let run = 0; run < 20; run++) {
+      const { scrambled } = await start();
+      assert.equal(['listen', 'silent', 'enlist', 'tinsel', 'inlets'].includes(scrambled.toLowerCase()), false, scrambled);
+    }
+  });
+
+  it('accepts the word, scores it and takes it only once', async () => {
+    const { round } = await start();
+    let res = await guess(round, ' listen ');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.correct, true);
+    assert.equal(res.body.acceptedAs, 'word');
+    assert.equal(res.body.word, 'LISTEN');
+    // 6 letters at 20 points, and nearly all of the time bonus.
+    assert.ok(res.body.score > 120 + 110, String(res.body.score));
+
+    res = await guess(round, 'LISTEN');
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.word, 'LISTEN');
+  });
+
+  it('scores a round once when the answer arrives twice at the same time', async () => {
+    const { round } = await start();
+    const results = await Promise.all([guess(round, 'LISTEN'), guess(round, 'SILENT')]);
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(results.filter(res => res.body.correct).length, 1);
+
+    // Nothing counts once it is solved, right or wrong.
+    for (const answer of ['LISTEN', 'WRONG']) {
+      const res = await guess(round, answer);
+      assert.equal(res.statusCode, 409, answer);
+      assert.match(res.body.message, /already solved/);
+      assert.equal(res.body.score, results.find(other => other.body.correct).body.score);
+    }
+  });
+
+  it('ends the round after too many wrong answers', async () => {
+    const { round, wrongAnswersAllowed } = await start();
+    let res;
+    for (let i = 0; i < wrongAnswersAllowed; i++) res = await guess(round, `WRONG${i}`);
+    assert.equal(res.body.wrongAnswersLeft, 0);
+    assert.equal(res.body.word, 'LISTEN');
+
+    res = await guess(round, 'LISTEN');
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /round is over/);
+    res = await hint(round);
+    assert.equal(res.body.hintsUsed, 0);
+  });
+
+  it('accepts another word from the dictionary made of the same letters', async () => {
+    const { round } = await start();
+    const res = await guess(round, 'Silent');
+    assert.equal(res.body.correct, true);
+    assert.equal(res.body.acceptedAs, 'anagram');
+    assert.equal(res.body.word, 'LISTEN');
+  });
+
+  it('counts wrong answers against the score', async () => {
+    const { round } = await start();
+    let res = await guess(round, 'LISTNE');
+    assert.equal(res.body.correct, false);
+    assert.equal(res.body.usesLetters, true);
+    res = await guess(round, 'LISTENS');
+    assert.equal(res.body.usesLetters, false);
+    assert.equal(res.body.wrongAnswers, 2);
+    assert.equal(res.body.word, undefined);
+
+    res = await guess(round, 'LISTEN');
+    assert.equal(res.body.breakdown.wrongAnswerPenalty, -20);
+  });
+
+  it('gives hints one at a time, each for a penalty', async () => {
+    const { round, hintsAvailable } = await start();
+    assert.equal(hintsAvailable, 3);
+
+    let res = await hint(round);
+    assert.deepEqual(res.body.hints, [{ level: 1, type: 'first-letter', pattern: 'L_____' }]);
+    res = await hint(round);
+    assert.deepEqual(res.body.hints[1], { level: 2, type: 'clue', text: 'Lend an ear.' });
+    res = await hint(round);
+    assert.equal(res.body.hints[2].pattern, 'L____N');
+    assert.equal(res.body.hintsLeft, 0);
+    res = await hint(round);
+    assert.equal(res.body.hintsUsed, 3);
+
+    res = await guess(round, 'LISTEN');
+    assert.equal(res.body.breakdown.hintPenalty, -75);
+    assert.equal(res.body.hintsUsed, 3);
+  });
+
+  it('lowers the time bonus as the clock runs', async () => {
+    const { round } = await start();
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 45 * 1000);
+    try {
+      const res = await guess(round, 'LISTEN');
+      assert.ok(res.body.elapsedMs >= 45 * 1000);
+      assert.ok(res.body.breakdown.timeBonus <= 30, String(res.body.breakdown.timeBonus));
+      assert.equal(res.body.score, 120 + res.body.breakdown.timeBonus);
+    } finally {
+      Date.now.mock.restore();
+    }
+  });
+
+  it('refuses tampered, foreign and expired round tokens', async () => {
+    const { round } = await start();
+    const raw = Buffer.from(round, 'base64url');
+    raw[raw.length - 1] ^= 1;
+    let res = await guess(raw.toString('base64url'), 'LISTEN');
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Round token is not valid/);
+
+    process.env.GAME_TOKEN_SECRET = 'another-secret';
+    res = await guess(round, 'LISTEN');
+    process.env.GAME_TOKEN_SECRET = 'test-secret';
+    assert.equal(res.statusCode, 400);
+
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+    try {
+      res = await hint(round);
+      assert.equal(res.statusCode, 410);
+    } finally {
+      Date.now.mock.restore();
+    }
+
+    res = await guess('not a token!', 'LISTEN');
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errors[0].field, 'round');
+  });
+});